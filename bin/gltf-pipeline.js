@@ -5,20 +5,53 @@ const fsExtra = require('fs-extra');
 const path = require('path');
 const Promise = require('bluebird');
 const yargs = require('yargs');
+const cleanTriangles = require('../lib/cleanTriangles');
 const compressDracoMeshes = require('../lib/compressDracoMeshes');
+const compressKtx2Textures = require('../lib/compressKtx2Textures');
+const compressMeshoptBufferViews = require('../lib/compressMeshoptBufferViews');
+const compressWebpTextures = require('../lib/compressWebpTextures');
+const generateLods = require('../lib/generateLods');
+const generateNormals = require('../lib/generateNormals');
+const generateTangents = require('../lib/generateTangents');
+const getAssetInfo = require('../lib/getAssetInfo');
 const glbToGltf = require('../lib/glbToGltf');
 const gltfToGlb = require('../lib/gltfToGlb');
+const instanceMeshes = require('../lib/instanceMeshes');
+const parseGlb = require('../lib/parseGlb');
 const processGlb = require('../lib/processGlb');
 const processGltf = require('../lib/processGltf');
+const quantizeMeshes = require('../lib/quantizeMeshes');
+const readResources = require('../lib/readResources');
+const resizeTextures = require('../lib/resizeTextures');
+const simplifyMeshes = require('../lib/simplifyMeshes');
+const updateVersion = require('../lib/updateVersion');
+const weldVertices = require('../lib/weldVertices');
 
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 
 const defaults = processGltf.defaults;
 const dracoDefaults = compressDracoMeshes.defaults;
+const instancingDefaults = instanceMeshes.defaults;
+const lodDefaults = generateLods.defaults;
+const meshoptDefaults = compressMeshoptBufferViews.defaults;
+const normalsDefaults = generateNormals.defaults;
+const quantizationDefaults = quantizeMeshes.defaults;
+const simplifyDefaults = simplifyMeshes.defaults;
+const tangentsDefaults = generateTangents.defaults;
+const weldDefaults = weldVertices.defaults;
+const cleanDefaults = cleanTriangles.defaults;
+const resizeDefaults = resizeTextures.defaults;
+const ktx2Defaults = compressKtx2Textures.defaults;
+const webpDefaults = compressWebpTextures.defaults;
 
 const args = process.argv;
 
+if (args[2] === 'info') {
+    printInfo(args.slice(3));
+    return;
+}
+
 const argv = yargs
     .usage('Usage: node $0 -i inputPath -o outputPath')
     .example('node $0 -i model.gltf')
@@ -69,17 +102,167 @@ const argv = yargs
             type: 'boolean',
             default: defaults.stats
         },
+        'stats-json': {
+            describe: 'Write statistics for the input and output glTF files to a JSON file at this path.',
+            type: 'string',
+            normalize: true
+        },
+        report: {
+            describe: 'Print a table of the bytes used by each mesh, accessor, image, and animation of the output glTF file, including estimated GPU memory for textures.',
+            type: 'boolean',
+            default: defaults.report
+        },
+        validate: {
+            describe: 'Validate the input glTF and print errors and warnings. Exits with a non-zero exit code if there are errors.',
+            type: 'boolean',
+            default: defaults.validate
+        },
         keepUnusedElements: {
             describe: 'Keep unused materials, nodes and meshes.',
             type: 'boolean',
             default: defaults.keepUnusedElements
         },
+        densifyAccessors: {
+            describe: 'Replace sparse accessors with accessors that store all of their values.',
+            type: 'boolean',
+            default: defaults.densifyAccessors
+        },
+        deinterleaveVertices: {
+            describe: 'Move interleaved vertex attributes into separate tightly packed buffer views.',
+            type: 'boolean',
+            default: defaults.deinterleaveVertices
+        },
+        convertToTriangles: {
+            describe: 'Convert TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES.',
+            type: 'boolean',
+            default: defaults.convertToTriangles
+        },
+        'instancing.instanceMeshes': {
+            describe: 'Draw sibling nodes that reference the same mesh with a single instanced node. Adds the EXT_mesh_gpu_instancing extension.',
+            type: 'boolean',
+            default: defaults.instanceMeshes
+        },
+        'instancing.minimumInstances': {
+            describe: 'The minimum number of sibling nodes referencing a mesh for them to be instanced.',
+            type: 'number',
+            default: instancingDefaults.minimumInstances
+        },
+        flattenNodes: {
+            describe: 'Collapse the node hierarchy into the scene roots and bake node transforms into meshes. Animated and skinned nodes are kept.',
+            type: 'boolean',
+            default: defaults.flattenNodes
+        },
+        mergePrimitives: {
+            describe: 'Merge the primitives of static nodes that share a material into one primitive per material to reduce draw calls. Flattens the node hierarchy first.',
+            type: 'boolean',
+            default: defaults.mergePrimitives
+        },
+        'normals.generateNormals': {
+            describe: 'Generate normals for triangle primitives that don\'t have them.',
+            type: 'boolean',
+            default: defaults.generateNormals
+        },
+        'normals.flat': {
+            describe: 'Generate flat normals instead of smooth normals.',
+            type: 'boolean',
+            default: normalsDefaults.flat
+        },
+        'normals.creaseAngle': {
+            describe: 'The angle in degrees between the normals of two triangles above which their shared vertices are not smoothed. A value of 180 smooths all triangles.',
+            type: 'number',
+            default: normalsDefaults.creaseAngle
+        },
+        'normals.force': {
+            describe: 'Replace the normals of primitives that already have them.',
+            type: 'boolean',
+            default: normalsDefaults.force
+        },
+        'tangents.generateTangents': {
+            describe: 'Generate MikkTSpace tangents for triangle primitives with normal textures that don\'t have them. Primitives need normals.',
+            type: 'boolean',
+            default: defaults.generateTangents
+        },
+        'tangents.force': {
+            describe: 'Replace the tangents of primitives that already have them.',
+            type: 'boolean',
+            default: tangentsDefaults.force
+        },
+        'weld.weldVertices': {
+            describe: 'Merge duplicate vertices of mesh primitives and rebuild their indices.',
+            type: 'boolean',
+            default: defaults.weldVertices
+        },
+        'weld.tolerance': {
+            describe: 'The distance below which floating point vertex attribute values are considered equal. A value of 0 only merges exact duplicates.',
+            type: 'number',
+            default: weldDefaults.tolerance
+        },
+        'clean.cleanTriangles': {
+            describe: 'Remove degenerate and duplicate triangles of mesh primitives and store their indices with the smallest component type.',
+            type: 'boolean',
+            default: defaults.cleanTriangles
+        },
+        'clean.tolerance': {
+            describe: 'The area at or below which triangles are considered degenerate. A value of 0 only removes triangles with zero area.',
+            type: 'number',
+            default: cleanDefaults.tolerance
+        },
+        'simplify.simplifyMeshes': {
+            describe: 'Reduce the number of triangles of indexed meshes by collapsing edges. Vertices on attribute seams and borders are kept.',
+            type: 'boolean',
+            default: defaults.simplifyMeshes
+        },
+        'simplify.ratio': {
+            describe: 'The target number of triangles as a fraction of the original number of triangles [0-1].',
+            type: 'number',
+            default: simplifyDefaults.ratio
+        },
+        'simplify.error': {
+            describe: 'The maximum error as a fraction of the size of each primitive. Simplification stops at the target ratio or the maximum error, whichever comes first.',
+            type: 'number',
+            default: simplifyDefaults.error
+        },
+        'lod.generateLods': {
+            describe: 'Generate levels of detail for meshes by simplifying them repeatedly. Adds the MSFT_lod extension.',
+            type: 'boolean',
+            default: defaults.generateLods
+        },
+        'lod.levels': {
+            describe: 'The maximum number of levels of detail to generate for each mesh.',
+            type: 'number',
+            default: lodDefaults.levels
+        },
+        'lod.ratio': {
+            describe: 'The target number of triangles of each level as a fraction of the number of triangles of the previous level [0-1].',
+            type: 'number',
+            default: lodDefaults.ratio
+        },
+        'lod.error': {
+            describe: 'The maximum error of each level as a fraction of the size of each primitive.',
+            type: 'number',
+            default: lodDefaults.error
+        },
+        'lod.coverage': {
+            describe: 'The screen coverage below which the first level is used. Each following level is used below the coverage of the previous level multiplied by this value.',
+            type: 'number',
+            default: lodDefaults.coverage
+        },
+        optimizeVertexCache: {
+            describe: 'Reorder the triangles and vertices of indexed primitives for the vertex cache of the GPU and to reduce overdraw. Draco compressed primitives are not reordered.',
+            type: 'boolean',
+            default: defaults.optimizeVertexCache
+        },
         'draco.compressMeshes': {
             alias: 'd',
             describe: 'Compress the meshes using Draco. Adds the KHR_draco_mesh_compression extension.',
             type: 'boolean',
             default: defaults.compressDracoMeshes
         },
+        'draco.decompress': {
+            describe: 'Decompress meshes that use Draco. Removes the KHR_draco_mesh_compression extension. Other draco options are ignored.',
+            type: 'boolean',
+            default: defaults.decompressDracoMeshes
+        },
         'draco.compressionLevel': {
             describe: 'Draco compression level [0-10], most is 10, least is 0. A value of 0 will apply sequential encoding and preserve face order.',
             type: 'number',
@@ -119,6 +302,149 @@ const argv = yargs
             describe: 'Quantize positions of all primitives using the same quantization grid defined by the unified bounding box of all primitives. If this option is not set, quantization is applied on each primitive separately which can result in gaps appearing between different primitives.',
             type: 'boolean',
             default: dracoDefaults.unifiedQuantization
+        },
+        'draco.convertToTriangles': {
+            describe: 'Convert TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES so that they are compressed. Otherwise only TRIANGLES primitives are compressed.',
+            type: 'boolean',
+            default: dracoDefaults.convertToTriangles
+        },
+        'quantization.quantizeMeshes': {
+            describe: 'Quantize vertex attributes. Adds the KHR_mesh_quantization extension.',
+            type: 'boolean',
+            default: defaults.quantizeMeshes
+        },
+        'quantization.quantizePositionBits': {
+            describe: 'Quantization bits for position attribute [0-16]. A value of 0 does not quantize positions.',
+            type: 'number',
+            default: quantizationDefaults.quantizePositionBits
+        },
+        'quantization.quantizeNormalBits': {
+            describe: 'Quantization bits for normal and tangent attributes [0-16]. A value of 0 does not quantize normals and tangents.',
+            type: 'number',
+            default: quantizationDefaults.quantizeNormalBits
+        },
+        'quantization.quantizeTexcoordBits': {
+            describe: 'Quantization bits for texture coordinate attributes [0-16]. A value of 0 does not quantize texture coordinates.',
+            type: 'number',
+            default: quantizationDefaults.quantizeTexcoordBits
+        },
+        sparsifyMorphTargets: {
+            describe: 'Store morph target accessors whose values are mostly zero as sparse accessors.',
+            type: 'boolean',
+            default: defaults.sparsifyMorphTargets
+        },
+        interleaveVertices: {
+            describe: 'Interleave the vertex attributes of each primitive into a single buffer view with a byte stride.',
+            type: 'boolean',
+            default: defaults.interleaveVertices
+        },
+        convertSpecularGlossiness: {
+            describe: 'Convert KHR_materials_pbrSpecularGlossiness materials to metallic-roughness materials, baking their textures.',
+            type: 'boolean',
+            default: defaults.convertSpecularGlossiness
+        },
+        deduplicateTextures: {
+            describe: 'Merge images with identical contents and the textures and samplers that become identical.',
+            type: 'boolean',
+            default: defaults.deduplicateTextures
+        },
+        'resize.resizeTextures': {
+            describe: 'Resize the PNG and JPEG images of material textures.',
+            type: 'boolean',
+            default: defaults.resizeTextures
+        },
+        'resize.maximumSize': {
+            describe: 'The maximum width and height of images. If not set, images are not scaled down.',
+            type: 'number',
+            default: resizeDefaults.maximumSize
+        },
+        'resize.maximumSizes': {
+            describe: 'The maximum width and height of images for a texture slot, such as --resize.maximumSizes.normalTexture 4096. Overrides --resize.maximumSize.'
+        },
+        'resize.powerOfTwo': {
+            describe: 'Resize images to the nearest power of two width and height that does not exceed the maximum size.',
+            type: 'boolean',
+            default: resizeDefaults.powerOfTwo
+        },
+        'resize.filter': {
+            describe: 'The filter to resample images with.',
+            choices: ['nearest', 'bilinear', 'box'],
+            default: resizeDefaults.filter
+        },
+        'resize.jpegQuality': {
+            describe: 'The quality of re-encoded JPEG images [1-100].',
+            type: 'number',
+            default: resizeDefaults.jpegQuality
+        },
+        'ktx2.compress': {
+            describe: 'Compress the PNG and JPEG images of material textures to KTX2 with Basis Universal. Adds the KHR_texture_basisu extension.',
+            type: 'boolean',
+            default: defaults.compressKtx2Textures
+        },
+        'ktx2.colorMode': {
+            describe: 'The Basis Universal mode of textures other than normal textures. ETC1S is smaller and UASTC has a higher quality.',
+            choices: ['etc1s', 'uastc'],
+            default: ktx2Defaults.colorMode
+        },
+        'ktx2.normalMode': {
+            describe: 'The Basis Universal mode of normal textures.',
+            choices: ['etc1s', 'uastc'],
+            default: ktx2Defaults.normalMode
+        },
+        'ktx2.quality': {
+            describe: 'The quality of ETC1S textures [1-255].',
+            type: 'number',
+            default: ktx2Defaults.quality
+        },
+        'ktx2.supercompression': {
+            describe: 'Compress UASTC textures with Zstandard.',
+            type: 'boolean',
+            default: ktx2Defaults.supercompression
+        },
+        'ktx2.generateMipmaps': {
+            describe: 'Store mipmaps in the KTX2 images.',
+            type: 'boolean',
+            default: ktx2Defaults.generateMipmaps
+        },
+        'ktx2.uncompressedFallback': {
+            describe: 'Keep the original images as a fallback for loaders that do not support KHR_texture_basisu.',
+            type: 'boolean',
+            default: ktx2Defaults.uncompressedFallback
+        },
+        'webp.compress': {
+            describe: 'Compress the PNG and JPEG images of textures to WebP. Adds the EXT_texture_webp extension.',
+            type: 'boolean',
+            default: defaults.compressWebpTextures
+        },
+        'webp.lossless': {
+            describe: 'Encode lossless WebP images.',
+            type: 'boolean',
+            default: webpDefaults.lossless
+        },
+        'webp.quality': {
+            describe: 'The quality of lossy images, or the compression effort of lossless images [0-100].',
+            type: 'number',
+            default: webpDefaults.quality
+        },
+        'webp.uncompressedFallback': {
+            describe: 'Keep the original images as a fallback for loaders that do not support EXT_texture_webp.',
+            type: 'boolean',
+            default: webpDefaults.uncompressedFallback
+        },
+        'meshopt.compress': {
+            describe: 'Compress vertex, index, and animation buffer views using meshopt. Adds the EXT_meshopt_compression extension.',
+            type: 'boolean',
+            default: defaults.compressMeshoptBufferViews
+        },
+        'meshopt.decompress': {
+            describe: 'Decompress buffer views that use meshopt. Removes the EXT_meshopt_compression extension. Other meshopt options are ignored.',
+            type: 'boolean',
+            default: defaults.decompressMeshoptBufferViews
+        },
+        'meshopt.uncompressedFallback': {
+            describe: 'Keeps the uncompressed data of the compressed buffer views in a fallback buffer.',
+            type: 'boolean',
+            default: meshoptDefaults.uncompressedFallback
         }
     }).parse(args);
 
@@ -155,12 +481,60 @@ if (outputExtension !== '.gltf' && outputExtension !== '.glb') {
 
 let i;
 let dracoOptions;
+let meshoptOptions;
+let quantizationOptions;
+let instancingOptions;
+let normalsOptions;
+let tangentsOptions;
+let weldOptions;
+let cleanOptions;
+let resizeOptions;
+let ktx2Options;
+let webpOptions;
+let simplifyOptions;
+let lodOptions;
 const length = args.length;
 for (i = 0; i < length; ++i) {
     const arg = args[i];
     if (arg.indexOf('--draco.') === 0 || arg === '-d') {
         dracoOptions = defaultValue(argv.draco, {});
     }
+    if (arg.indexOf('--quantization.') === 0) {
+        quantizationOptions = defaultValue(argv.quantization, {});
+    }
+    if (arg.indexOf('--instancing.') === 0) {
+        instancingOptions = defaultValue(argv.instancing, {});
+    }
+    if (arg.indexOf('--normals.') === 0) {
+        normalsOptions = defaultValue(argv.normals, {});
+    }
+    if (arg.indexOf('--tangents.') === 0) {
+        tangentsOptions = defaultValue(argv.tangents, {});
+    }
+    if (arg.indexOf('--weld.') === 0) {
+        weldOptions = defaultValue(argv.weld, {});
+    }
+    if (arg.indexOf('--clean.') === 0) {
+        cleanOptions = defaultValue(argv.clean, {});
+    }
+    if (arg.indexOf('--resize.') === 0) {
+        resizeOptions = defaultValue(argv.resize, {});
+    }
+    if (arg.indexOf('--ktx2.') === 0) {
+        ktx2Options = defaultValue(argv.ktx2, {});
+    }
+    if (arg.indexOf('--webp.') === 0) {
+        webpOptions = defaultValue(argv.webp, {});
+    }
+    if (arg.indexOf('--simplify.') === 0) {
+        simplifyOptions = defaultValue(argv.simplify, {});
+    }
+    if (arg.indexOf('--lod.') === 0) {
+        lodOptions = defaultValue(argv.lod, {});
+    }
+    if (arg.indexOf('--meshopt.') === 0) {
+        meshoptOptions = defaultValue(argv.meshopt, {});
+    }
 }
 
 const options = {
@@ -168,9 +542,34 @@ const options = {
     separate: argv.separate,
     separateTextures: argv.separateTextures,
     stats: argv.stats,
+    collectStats: defined(argv.statsJson),
+    report: argv.report,
+    validate: argv.validate,
     keepUnusedElements: argv.keepUnusedElements,
+    densifyAccessors: argv.densifyAccessors,
+    deinterleaveVertices: argv.deinterleaveVertices,
+    convertToTriangles: argv.convertToTriangles,
+    flattenNodes: argv.flattenNodes,
+    mergePrimitives: argv.mergePrimitives,
+    optimizeVertexCache: argv.optimizeVertexCache,
+    sparsifyMorphTargets: argv.sparsifyMorphTargets,
+    interleaveVertices: argv.interleaveVertices,
+    convertSpecularGlossiness: argv.convertSpecularGlossiness,
+    deduplicateTextures: argv.deduplicateTextures,
     name: outputName,
-    dracoOptions: dracoOptions
+    instancingOptions: instancingOptions,
+    normalsOptions: normalsOptions,
+    tangentsOptions: tangentsOptions,
+    weldOptions: weldOptions,
+    cleanOptions: cleanOptions,
+    resizeOptions: resizeOptions,
+    ktx2Options: ktx2Options,
+    webpOptions: webpOptions,
+    simplifyOptions: simplifyOptions,
+    lodOptions: lodOptions,
+    dracoOptions: dracoOptions,
+    quantizationOptions: quantizationOptions,
+    meshoptOptions: meshoptOptions
 };
 
 const inputIsBinary = inputExtension === '.glb';
@@ -197,6 +596,13 @@ function saveSeparateResources(separateResources) {
     return resourcePromises;
 }
 
+function saveStatistics(statistics) {
+    if (!defined(argv.statsJson) || !defined(statistics)) {
+        return undefined;
+    }
+    return fsExtra.outputJson(argv.statsJson, statistics, jsonOptions);
+}
+
 console.time('Total');
 
 read(inputPath)
@@ -208,7 +614,8 @@ read(inputPath)
         const separateResources = results.separateResources;
         return Promise.all([
             write(outputPath, gltf, writeOptions),
-            saveSeparateResources(separateResources)
+            saveSeparateResources(separateResources),
+            saveStatistics(results.statistics)
         ]);
     })
     .then(function() {
@@ -218,3 +625,57 @@ read(inputPath)
         console.log(error);
         process.exit(1);
     });
+
+function printInfo(infoArgs) {
+    const infoArgv = yargs(infoArgs)
+        .usage('Usage: node $0 info -i inputPath')
+        .example('node $0 info -i model.glb')
+        .example('node $0 info -i model.gltf --json')
+        .help('h')
+        .alias('h', 'help')
+        .options({
+            input: {
+                alias: 'i',
+                describe: 'Path to the glTF or glb file.',
+                type: 'string',
+                normalize: true,
+                demandOption: true
+            },
+            json: {
+                describe: 'Print the information as JSON.',
+                type: 'boolean',
+                default: false
+            }
+        }).parse(infoArgs);
+
+    const inputPath = infoArgv.input;
+    const inputExtension = path.extname(inputPath).toLowerCase();
+    if (inputExtension !== '.gltf' && inputExtension !== '.glb') {
+        console.log('Error: unrecognized file extension "' + inputExtension + '".');
+        return;
+    }
+
+    const inputIsBinary = inputExtension === '.glb';
+    const read = inputIsBinary ? fsExtra.readFile : fsExtra.readJson;
+    let version;
+
+    read(inputPath)
+        .then(function(contents) {
+            const gltf = inputIsBinary ? parseGlb(contents) : contents;
+            return readResources(gltf, {
+                resourceDirectory: path.dirname(inputPath)
+            });
+        })
+        .then(function(gltf) {
+            // Report the version of the input even though glTF 1.0 assets are upgraded for inspection
+            version = defined(gltf.asset) ? gltf.asset.version : undefined;
+            updateVersion(gltf);
+            const info = getAssetInfo(gltf);
+            info.version = version;
+            console.log(infoArgv.json ? JSON.stringify(info, undefined, 2) : info.toString());
+        })
+        .catch(function(error) {
+            console.log(error);
+            process.exit(1);
+        });
+}
@@ -1,10 +1,14 @@
 /*eslint-disable global-require*/
 'use strict';
 module.exports = {
+    decompressDracoMeshes: require('./lib/decompressDracoMeshes'),
+    getAssetInfo: require('./lib/getAssetInfo'),
+    getMemoryReport: require('./lib/getMemoryReport'),
     getStatistics: require('./lib/getStatistics'),
     glbToGltf: require('./lib/glbToGltf'),
     gltfToGlb: require('./lib/gltfToGlb'),
     processGlb: require('./lib/processGlb'),
     processGltf: require('./lib/processGltf'),
-    removeExtension: require('./lib/removeExtension')
+    removeExtension: require('./lib/removeExtension'),
+    validateGltf: require('./lib/validateGltf')
 };
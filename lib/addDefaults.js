@@ -3,6 +3,7 @@ const Cesium = require('cesium');
 const addToArray = require('./addToArray');
 const ForEach = require('./ForEach');
 const getAccessorByteStride = require('./getAccessorByteStride');
+const getAnimatedNodes = require('./getAnimatedNodes');
 
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
@@ -161,22 +162,6 @@ function addDefaults(gltf) {
     return gltf;
 }
 
-function getAnimatedNodes(gltf) {
-    const nodes = {};
-    ForEach.animation(gltf, function(animation) {
-        ForEach.animationChannel(animation, function(channel) {
-            const target = channel.target;
-            const nodeId = target.node;
-            const path = target.path;
-            // Ignore animations that target 'weights'
-            if (path === 'translation' || path === 'rotation' || path === 'scale') {
-                nodes[nodeId] = true;
-            }
-        });
-    });
-    return nodes;
-}
-
 function addTextureDefaults(texture) {
     if (defined(texture)) {
         texture.texCoord = defaultValue(texture.texCoord, 0);
@@ -0,0 +1,180 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readAccessorPacked = require('./readAccessorPacked');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const Cartesian3 = Cesium.Cartesian3;
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = cleanTriangles;
+
+/**
+ * Removes degenerate and duplicate triangles from TRIANGLES primitives.
+ * <p>
+ * A triangle is degenerate when two of its indices are the same or when its area is not greater than the tolerance, in the units
+ * of the POSITION accessor. A triangle is a duplicate when an earlier triangle of the same primitive references the same vertices in
+ * the same winding order, so that faces that are back to back are kept. The indices of cleaned primitives use the smallest component
+ * type that fits the vertices they reference, and primitives that are left without triangles are removed. The number of removed
+ * triangles is logged.
+ * </p>
+ * <p>
+ * Primitives without a POSITION attribute are skipped, as are primitives that are compressed with Draco or meshopt, that use sparse
+ * accessors, or that share only some of their attributes with other primitives.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.cleanOptions Options defining triangle cleaning settings.
+ * @param {Number} [options.cleanOptions.tolerance=0.0] The area at or below which triangles are considered degenerate. A value of 0 only removes triangles with zero area.
+ * @param {Logger} [options.logger] A callback function for handling logged messages.
+ * @returns {Object} The glTF asset with cleaned triangles.
+ *
+ * @private
+ */
+function cleanTriangles(gltf, options) {
+    options = defaultValue(options, {});
+    const cleanOptions = defaultValue(options.cleanOptions, {});
+    const tolerance = defaultValue(cleanOptions.tolerance, cleanTriangles.defaults.tolerance);
+    Check.typeOf.number.greaterThanOrEquals('tolerance', tolerance, 0.0);
+
+    const context = {
+        gltf: gltf,
+        tolerance: tolerance,
+        cleanedIndices: {},
+        degenerateCount: 0,
+        duplicateCount: 0
+    };
+    const emptyPrimitives = [];
+    let cleaned = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        const positionAccessorId = group.primitives[0].attributes.POSITION;
+        if (!defined(positionAccessorId)) {
+            return;
+        }
+        const positions = readAccessorPacked(gltf, gltf.accessors[positionAccessorId]);
+        group.primitives.forEach(function(primitive) {
+            if (defaultValue(primitive.mode, WebGLConstants.TRIANGLES) !== WebGLConstants.TRIANGLES) {
+                return;
+            }
+            // Primitives that share indices and positions share the cleaned indices as well
+            const key = positionAccessorId + ':' + primitive.indices;
+            let result = context.cleanedIndices[key];
+            if (!defined(result)) {
+                result = context.cleanedIndices[key] = cleanPrimitive(context, primitive, positions);
+            }
+            if (result.empty) {
+                emptyPrimitives.push(primitive);
+            } else if (defined(result.indices)) {
+                primitive.indices = result.indices;
+                cleaned = true;
+            }
+        });
+    });
+
+    if (emptyPrimitives.length > 0) {
+        gltf.meshes.forEach(function(mesh) {
+            mesh.primitives = mesh.primitives.filter(function(primitive) {
+                return emptyPrimitives.indexOf(primitive) === -1;
+            });
+        });
+        // Meshes without primitives are removed, and so are the nodes that are left empty
+        removeUnusedElements(gltf, ['node', 'mesh', 'accessor', 'bufferView', 'buffer']);
+    } else if (cleaned) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    if (defined(options.logger)) {
+        options.logger('Removed ' + context.degenerateCount + ' degenerate triangles and ' + context.duplicateCount + ' duplicate triangles.');
+    }
+
+    return gltf;
+}
+
+const scratchA = new Cartesian3();
+const scratchB = new Cartesian3();
+const scratchC = new Cartesian3();
+
+function isDegenerate(positions, a, b, c, tolerance) {
+    if (a === b || b === c || c === a) {
+        return true;
+    }
+    const p0 = Cartesian3.unpack(positions, a * 3, scratchA);
+    const edge1 = Cartesian3.subtract(Cartesian3.unpack(positions, b * 3, scratchB), p0, scratchB);
+    const edge2 = Cartesian3.subtract(Cartesian3.unpack(positions, c * 3, scratchC), p0, scratchC);
+    const area = Cartesian3.magnitude(Cartesian3.cross(edge1, edge2, scratchC)) * 0.5;
+    return area <= tolerance;
+}
+
+// Returns the key of a triangle that doesn't depend on which of its vertices comes first
+function getTriangleKey(a, b, c) {
+    if (a < b && a < c) {
+        return a + ',' + b + ',' + c;
+    }
+    if (b < c) {
+        return b + ',' + c + ',' + a;
+    }
+    return c + ',' + a + ',' + b;
+}
+
+// Returns the accessor of the cleaned indices, which is undefined if the indices don't change, or whether the primitive has no triangles left
+function cleanPrimitive(context, primitive, positions) {
+    const gltf = context.gltf;
+    const indices = readPrimitiveIndices(gltf, primitive);
+    const length = indices.length - indices.length % 3;
+    const triangles = {};
+    const cleanedIndices = [];
+    let maximumIndex = 0;
+    for (let i = 0; i < length; i += 3) {
+        const a = indices[i];
+        const b = indices[i + 1];
+        const c = indices[i + 2];
+        if (isDegenerate(positions, a, b, c, context.tolerance)) {
+            ++context.degenerateCount;
+            continue;
+        }
+        const key = getTriangleKey(a, b, c);
+        if (triangles[key]) {
+            ++context.duplicateCount;
+            continue;
+        }
+        triangles[key] = true;
+        cleanedIndices.push(a, b, c);
+        maximumIndex = Math.max(maximumIndex, a, b, c);
+    }
+
+    if (cleanedIndices.length === 0) {
+        return {
+            empty: true
+        };
+    }
+
+    // Primitives without indices only get indices when triangles are removed
+    const componentType = getIndicesComponentType(maximumIndex + 1);
+    const unchanged = cleanedIndices.length === indices.length &&
+        (!defined(primitive.indices) || gltf.accessors[primitive.indices].componentType === componentType);
+    if (unchanged) {
+        return {};
+    }
+
+    // The indices accessor may be shared with primitives that are not cleaned
+    const indicesAccessor = {
+        componentType: componentType,
+        type: 'SCALAR'
+    };
+    writeAccessorPacked(gltf, indicesAccessor, cleanedIndices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return {
+        indices: addToArray(gltf.accessors, indicesAccessor)
+    };
+}
+
+cleanTriangles.defaults = {
+    tolerance: 0.0
+};
@@ -0,0 +1,48 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const reorderVertices = require('./reorderVertices');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = compactVertices;
+
+/**
+ * Rewrites the vertices of a group of primitives in the order they are first referenced by the new indices,
+ * removing vertices that are no longer referenced, and writes the new indices of each primitive.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} group A group of primitives returned by {@link getPrimitiveGroups}.
+ * @param {Array[]} primitiveIndices The new indices of each primitive in the group. The arrays are modified in place.
+ *
+ * @private
+ */
+function compactVertices(gltf, group, primitiveIndices) {
+    const vertexCount = gltf.accessors[group.accessorIds[0]].count;
+    const remap = new Int32Array(vertexCount).fill(-1);
+    const vertices = [];
+    primitiveIndices.forEach(function(indices) {
+        const length = indices.length;
+        for (let i = 0; i < length; ++i) {
+            const index = indices[i];
+            if (remap[index] === -1) {
+                remap[index] = vertices.length;
+                vertices.push(index);
+            }
+            indices[i] = remap[index];
+        }
+    });
+
+    reorderVertices(gltf, group.accessorIds, vertices);
+
+    group.primitives.forEach(function(primitive, i) {
+        // The indices accessor may be shared with primitives that are not in the group
+        const indicesAccessor = {
+            componentType: gltf.accessors[primitive.indices].componentType,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, primitiveIndices[i], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        primitive.indices = addToArray(gltf.accessors, indicesAccessor);
+    });
+}
@@ -6,6 +6,7 @@ const addBuffer = require('./addBuffer');
 const addExtensionsRequired = require('./addExtensionsRequired');
 const addExtensionsUsed = require('./addExtensionsUsed');
 const addToArray = require('./addToArray');
+const convertToTriangles = require('./convertToTriangles');
 const ForEach = require('./ForEach');
 const numberOfComponentsForType = require('./numberOfComponentsForType');
 const readAccessorPacked = require('./readAccessorPacked');
@@ -30,6 +31,10 @@ module.exports = compressDracoMeshes;
 
 /**
  * Compresses meshes using Draco compression in the glTF model.
+ * <p>
+ * Only TRIANGLES primitives are compressed. Set <code>options.dracoOptions.convertToTriangles</code> to convert TRIANGLE_STRIP and
+ * TRIANGLE_FAN primitives with {@link convertToTriangles} first, so that they are compressed too.
+ * </p>
  *
  * @param {Object} gltf A javascript object containing a glTF asset.
  * @param {Object} options The same options object as {@link processGltf}
@@ -43,6 +48,7 @@ module.exports = compressDracoMeshes;
  * @param {Boolean} [options.dracoOptions.uncompressedFallback=false] If set, add uncompressed fallback versions of the compressed meshes.
  * @param {Boolean} [options.dracoOptions.unifiedQuantization=false] Quantize positions, defined by the unified bounding box of all primitives. If not set, quantization is applied separately.
  * @param {Object} [options.dracoOptions.quantizationVolume] An AxisAlignedBoundingBox defining the explicit quantization volume.
+ * @param {Boolean} [options.dracoOptions.convertToTriangles=false] Convert TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES so that they are compressed.
  * @returns {Object} The glTF asset with compressed meshes.
  *
  * @private
@@ -54,6 +60,7 @@ function compressDracoMeshes(gltf, options) {
     const compressionLevel = defaultValue(dracoOptions.compressionLevel, defaults.compressionLevel);
     const uncompressedFallback = defaultValue(dracoOptions.uncompressedFallback, defaults.uncompressedFallback);
     const unifiedQuantization = defaultValue(dracoOptions.unifiedQuantization, defaults.unifiedQuantization);
+    const convertStripsAndFans = defaultValue(dracoOptions.convertToTriangles, defaults.convertToTriangles);
     const quantizationVolume = dracoOptions.quantizationVolume;
     const explicitQuantization = unifiedQuantization || defined(quantizationVolume);
     const quantizationBitsValues = getQuantizationBits(dracoOptions);
@@ -65,6 +72,9 @@ function compressDracoMeshes(gltf, options) {
         }
     }
 
+    if (convertStripsAndFans) {
+        convertToTriangles(gltf);
+    }
     splitPrimitives(gltf);
 
     const hashPrimitives = {};
@@ -360,5 +370,6 @@ compressDracoMeshes.defaults = {
     quantizeSkinBits: 8,
     quantizeGenericBits: 8,
     uncompressedFallback: false,
-    unifiedQuantization: false
+    unifiedQuantization: false,
+    convertToTriangles: false
 };
@@ -0,0 +1,278 @@
+'use strict';
+const Cesium = require('cesium');
+const Promise = require('bluebird');
+const path = require('path');
+const addExtensionsRequired = require('./addExtensionsRequired');
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const decodeImage = require('./decodeImage');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const ForEach = require('./ForEach');
+const getTextureSlot = require('./getTextureSlot');
+
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const DeveloperError = Cesium.DeveloperError;
+const RuntimeError = Cesium.RuntimeError;
+
+module.exports = compressKtx2Textures;
+
+const modes = ['etc1s', 'uastc'];
+
+// Material texture slots whose values are not colors, which are encoded without the sRGB transfer function
+const normalSlots = ['normalTexture'];
+const nonColorSlots = ['metallicRoughnessTexture', 'occlusionTexture'];
+
+// Errors of ktx2-encoder for images that the encoder can't compress, such as images that are too large
+const encoderFailures = [/^Encode failed/, /^setSliceSourceImage failed/, /^Total source texels/];
+
+/**
+ * Compresses the PNG and JPEG images of material textures to KTX2 with Basis Universal, using the KHR_texture_basisu extension.
+ * <p>
+ * Normal textures are encoded with <code>normalMode</code> and all other textures with <code>colorMode</code>. ETC1S produces smaller files,
+ * while UASTC has a higher quality, which normal textures usually need. Normal, metallic-roughness, and occlusion textures are encoded as
+ * linear data, and all other textures as sRGB colors. Textures that are used in several roles are encoded for the first of normal, linear
+ * data, and color.
+ * </p>
+ * <p>
+ * Without <code>uncompressedFallback</code>, the original images are no longer referenced by the textures and KHR_texture_basisu is added to
+ * <code>extensionsRequired</code>. Images that the encoder can't compress, such as images that are too large, are logged and left
+ * uncompressed.
+ * </p>
+ * <p>
+ * The images are encoded in a worker thread, since the encoder prints the status of every encode, and require Node.js 16 or later.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.ktx2Options Options defining KTX2 compression settings.
+ * @param {String} [options.ktx2Options.colorMode='etc1s'] The Basis Universal mode of textures other than normal textures. Either <code>etc1s</code> or <code>uastc</code>.
+ * @param {String} [options.ktx2Options.normalMode='uastc'] The Basis Universal mode of normal textures. Either <code>etc1s</code> or <code>uastc</code>.
+ * @param {Number} [options.ktx2Options.quality=128] The quality of ETC1S textures, from 1 to 255.
+ * @param {Boolean} [options.ktx2Options.supercompression=true] Compress UASTC textures with Zstandard.
+ * @param {Boolean} [options.ktx2Options.generateMipmaps=true] Store mipmaps in the KTX2 images.
+ * @param {Boolean} [options.ktx2Options.uncompressedFallback=false] Keep the original images as a fallback for loaders that do not support the extension.
+ * @param {Logger} [options.logger] A callback function for handling logged messages.
+ * @returns {Promise} A promise that resolves to the glTF asset with compressed textures.
+ *
+ * @private
+ */
+function compressKtx2Textures(gltf, options) {
+    options = defaultValue(options, {});
+    const ktx2Options = defaultValue(options.ktx2Options, {});
+    const defaults = compressKtx2Textures.defaults;
+    const context = {
+        colorMode: defaultValue(ktx2Options.colorMode, defaults.colorMode),
+        normalMode: defaultValue(ktx2Options.normalMode, defaults.normalMode),
+        quality: defaultValue(ktx2Options.quality, defaults.quality),
+        supercompression: defaultValue(ktx2Options.supercompression, defaults.supercompression),
+        generateMipmaps: defaultValue(ktx2Options.generateMipmaps, defaults.generateMipmaps),
+        logger: options.logger
+    };
+    const uncompressedFallback = defaultValue(ktx2Options.uncompressedFallback, defaults.uncompressedFallback);
+
+    checkMode('colorMode', context.colorMode);
+    checkMode('normalMode', context.normalMode);
+    Check.typeOf.number.greaterThanOrEquals('quality', context.quality, 1);
+    Check.typeOf.number.lessThanOrEquals('quality', context.quality, 255);
+
+    // Textures with the same image and role share the compressed image
+    const textureRoles = getTextureRoles(gltf);
+    const imageKeys = [];
+    ForEach.texture(gltf, function(texture, textureId) {
+        const key = getImageKey(texture, textureRoles[textureId]);
+        if (defined(key) && imageKeys.indexOf(key) === -1) {
+            imageKeys.push(key);
+        }
+    });
+
+    if (imageKeys.length === 0) {
+        return Promise.resolve(gltf);
+    }
+    if (parseInt(process.versions.node) < 16) {
+        return Promise.reject(new RuntimeError('Compressing textures to KTX2 requires Node.js 16 or later.'));
+    }
+
+    const worker = createWorker();
+    context.worker = worker;
+    // Images are encoded one at a time to limit memory usage
+    const compressedImages = {};
+    return Promise.each(imageKeys, function(key) {
+        const separator = key.indexOf(':');
+        return compressImage(gltf, parseInt(key.substring(0, separator)), key.substring(separator + 1), context)
+            .then(function(imageId) {
+                compressedImages[key] = imageId;
+            });
+    })
+        .finally(function() {
+            return worker.terminate();
+        })
+        .then(function() {
+            let compressed = false;
+            ForEach.texture(gltf, function(texture, textureId) {
+                const key = getImageKey(texture, textureRoles[textureId]);
+                const imageId = defined(key) ? compressedImages[key] : undefined;
+                if (!defined(imageId)) {
+                    return;
+                }
+                texture.extensions = defaultValue(texture.extensions, {});
+                texture.extensions.KHR_texture_basisu = {
+                    source: imageId
+                };
+                if (!uncompressedFallback) {
+                    delete texture.source;
+                }
+                compressed = true;
+            });
+
+            if (compressed) {
+                if (uncompressedFallback) {
+                    addExtensionsUsed(gltf, 'KHR_texture_basisu');
+                } else {
+                    addExtensionsRequired(gltf, 'KHR_texture_basisu');
+                }
+            }
+            return gltf;
+        });
+}
+
+// Returns the key of the compressed image of a texture, or undefined if the texture is not compressed
+function getImageKey(texture, role) {
+    const extensions = texture.extensions;
+    if (!defined(role) || !defined(texture.source) || (defined(extensions) && defined(extensions.KHR_texture_basisu))) {
+        return undefined;
+    }
+    return texture.source + ':' + role;
+}
+
+function checkMode(name, mode) {
+    if (modes.indexOf(mode) === -1) {
+        throw new DeveloperError(name + ' must be one of ' + modes.join(', ') + '.');
+    }
+}
+
+// Returns whether each texture of a material is a normal, linear data, or color texture
+function getTextureRoles(gltf) {
+    const rolePriorities = ['normal', 'data', 'color'];
+    const textureRoles = {};
+    ForEach.material(gltf, function(material) {
+        forEachTextureInMaterial(material, function(textureId, textureInfo) {
+            const slot = getTextureSlot(material, textureInfo);
+            let role = 'color';
+            if (normalSlots.indexOf(slot) !== -1) {
+                role = 'normal';
+            } else if (nonColorSlots.indexOf(slot) !== -1) {
+                role = 'data';
+            }
+            const currentRole = textureRoles[textureId];
+            if (!defined(currentRole) || rolePriorities.indexOf(role) < rolePriorities.indexOf(currentRole)) {
+                textureRoles[textureId] = role;
+            }
+        });
+    });
+    return textureRoles;
+}
+
+function createWorker() {
+    // Required here so that the library can be loaded with versions of Node.js without worker threads
+    const Worker = require('worker_threads').Worker; // eslint-disable-line global-require
+    const worker = new Worker(path.join(__dirname, 'compressKtx2TexturesWorker.js'), {
+        stdout: true
+    });
+    // Discard the status output of the encoder
+    worker.stdout.resume();
+    return worker;
+}
+
+// Resolves to the KTX2 data encoded by the worker
+function encode(worker, message) {
+    return new Promise(function(resolve, reject) {
+        function onMessage(result) {
+            worker.removeListener('error', onError);
+            if (defined(result.errorMessage)) {
+                reject(new RuntimeError(result.errorMessage));
+            } else {
+                resolve(result.source);
+            }
+        }
+        function onError(error) {
+            worker.removeListener('message', onMessage);
+            reject(error);
+        }
+        worker.once('message', onMessage);
+        worker.once('error', onError);
+        worker.postMessage(message);
+    });
+}
+
+function isEncoderFailure(error) {
+    return error instanceof RuntimeError && encoderFailures.some(function(pattern) {
+        return pattern.test(error.message);
+    });
+}
+
+// Resolves to the id of the KTX2 image, or undefined if the image can't be compressed
+function compressImage(gltf, imageId, role, context) {
+    const image = gltf.images[imageId];
+    if (!defined(image) || !defined(image.extras) || !defined(image.extras._pipeline) || !defined(image.extras._pipeline.source)) {
+        return Promise.resolve(undefined);
+    }
+    const source = image.extras._pipeline.source;
+    const decoded = decodeImage(source);
+    if (!defined(decoded)) {
+        return Promise.resolve(undefined);
+    }
+
+    const uastc = (role === 'normal' ? context.normalMode : context.colorMode) === 'uastc';
+    const srgb = role === 'color';
+    return encode(context.worker, {
+        source: new Uint8Array(source),
+        decoded: {
+            data: decoded.data,
+            width: decoded.width,
+            height: decoded.height
+        },
+        options: {
+            isUASTC: uastc,
+            needSupercompression: context.supercompression,
+            qualityLevel: context.quality,
+            generateMipmap: context.generateMipmaps,
+            isNormalMap: role === 'normal',
+            isPerceptual: srgb,
+            isSetKTX2SRGBTransferFunc: srgb
+        }
+    })
+        .then(function(compressedSource) {
+            const compressedImage = {
+                mimeType: 'image/ktx2',
+                extras: {
+                    _pipeline: {
+                        source: Buffer.from(compressedSource.buffer, compressedSource.byteOffset, compressedSource.byteLength)
+                    }
+                }
+            };
+            if (defined(image.name)) {
+                compressedImage.name = image.name;
+            }
+            return addToArray(gltf.images, compressedImage);
+        })
+        .catch(function(error) {
+            if (!isEncoderFailure(error)) {
+                throw error;
+            }
+            if (defined(context.logger)) {
+                context.logger('Image ' + imageId + ' (' + decoded.width + 'x' + decoded.height + ') could not be compressed to KTX2 and is left uncompressed: ' + error.message);
+            }
+            return undefined;
+        });
+}
+
+compressKtx2Textures.defaults = {
+    colorMode: 'etc1s',
+    normalMode: 'uastc',
+    quality: 128,
+    supercompression: true,
+    generateMipmaps: true,
+    uncompressedFallback: false
+};
@@ -0,0 +1,42 @@
+'use strict';
+const workerThreads = require('worker_threads');
+
+// Worker thread of compressKtx2Textures that encodes decoded images to KTX2 with ktx2-encoder. The Basis Universal
+// encoder prints the status of every encode with console.log, which only reaches the stdout of this worker.
+
+// ktx2-encoder is an ES module, which can only be loaded with a dynamic import
+const importModule = new Function('specifier', 'return import(specifier)');
+
+const parentPort = workerThreads.parentPort;
+
+const encoderPromise = importModule('ktx2-encoder')
+    .then(function(ktx2Encoder) {
+        const encoder = new ktx2Encoder.NodeBasisEncoder();
+        return encoder.init()
+            .then(function() {
+                return encoder;
+            });
+    });
+
+parentPort.on('message', function(message) {
+    encoderPromise
+        .then(function(encoder) {
+            const decoded = message.decoded;
+            const options = Object.assign({
+                imageDecoder: function() {
+                    return decoded;
+                }
+            }, message.options);
+            return encoder.encode(message.source, options);
+        })
+        .then(function(compressedSource) {
+            parentPort.postMessage({
+                source: compressedSource
+            }, [compressedSource.buffer]);
+        })
+        .catch(function(error) {
+            parentPort.postMessage({
+                errorMessage: error.message
+            });
+        });
+});
@@ -0,0 +1,211 @@
+'use strict';
+const Cesium = require('cesium');
+const MeshoptEncoder = require('meshoptimizer').MeshoptEncoder;
+const Promise = require('bluebird');
+const addExtensionsRequired = require('./addExtensionsRequired');
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const getAccessorByteStride = require('./getAccessorByteStride');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = compressMeshoptBufferViews;
+
+/**
+ * Compresses buffer views containing vertex attributes, indices, and animation data using the EXT_meshopt_compression extension.
+ * Buffer views that are shared with other data, such as images or sparse accessors, are not compressed.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.meshoptOptions Options defining meshopt compression settings.
+ * @param {Boolean} [options.meshoptOptions.uncompressedFallback=false] If set, keep the uncompressed data in a fallback buffer for loaders that do not support the extension.
+ * @returns {Promise} A promise that resolves to the glTF asset with compressed buffer views.
+ *
+ * @private
+ */
+function compressMeshoptBufferViews(gltf, options) {
+    options = defaultValue(options, {});
+    const meshoptOptions = defaultValue(options.meshoptOptions, {});
+    const defaults = compressMeshoptBufferViews.defaults;
+    const uncompressedFallback = defaultValue(meshoptOptions.uncompressedFallback, defaults.uncompressedFallback);
+
+    // Keep the fallback data in the same buffer when writing a glb since only one buffer can be stored in the binary chunk
+    const separateFallbackBuffer = !uncompressedFallback || !defined(options.bufferStorage);
+
+    return Promise.resolve(MeshoptEncoder.ready)
+        .then(function() {
+            const compressibleBufferViews = getCompressibleBufferViews(gltf);
+            let addedExtension = false;
+
+            ForEach.bufferView(gltf, function(bufferView, bufferViewId) {
+                const compressible = compressibleBufferViews[bufferViewId];
+                if (!defined(compressible) || !compressible.valid) {
+                    return;
+                }
+                const byteStride = compressible.byteStride;
+                const count = bufferView.byteLength / byteStride;
+                const mode = getMode(compressible, count);
+                if (!defined(mode)) {
+                    return;
+                }
+
+                // Copy the data so that it is aligned for the encoder
+                const source = gltf.buffers[bufferView.buffer].extras._pipeline.source;
+                const byteOffset = defaultValue(bufferView.byteOffset, 0);
+                const data = new Uint8Array(bufferView.byteLength);
+                data.set(source.subarray(byteOffset, byteOffset + bufferView.byteLength));
+
+                const encoded = MeshoptEncoder.encodeGltfBuffer(data, count, byteStride, mode);
+                const compressedBuffer = {
+                    byteLength: encoded.length,
+                    extras: {
+                        _pipeline: {
+                            source: Buffer.from(encoded.buffer, encoded.byteOffset, encoded.length)
+                        }
+                    }
+                };
+                const fallbackBuffer = {
+                    byteLength: data.length,
+                    extras: {
+                        _pipeline: {
+                            source: Buffer.from(data.buffer)
+                        }
+                    }
+                };
+                if (separateFallbackBuffer) {
+                    fallbackBuffer.extras._pipeline.mergedBufferName = 'fallback';
+                }
+                if (!uncompressedFallback) {
+                    fallbackBuffer.extensions = {
+                        EXT_meshopt_compression: {
+                            fallback: true
+                        }
+                    };
+                }
+
+                bufferView.buffer = addToArray(gltf.buffers, fallbackBuffer);
+                bufferView.byteOffset = 0;
+                bufferView.extensions = defaultValue(bufferView.extensions, {});
+                bufferView.extensions.EXT_meshopt_compression = {
+                    buffer: addToArray(gltf.buffers, compressedBuffer),
+                    byteOffset: 0,
+                    byteLength: encoded.length,
+                    byteStride: byteStride,
+                    count: count,
+                    mode: mode
+                };
+                addedExtension = true;
+            });
+
+            if (addedExtension) {
+                if (uncompressedFallback) {
+                    addExtensionsUsed(gltf, 'EXT_meshopt_compression');
+                } else {
+                    addExtensionsRequired(gltf, 'EXT_meshopt_compression');
+                }
+                removeUnusedElements(gltf, ['buffer']);
+            }
+
+            return gltf;
+        });
+}
+
+function getMode(compressible, count) {
+    const byteStride = compressible.byteStride;
+    if (!Number.isInteger(count)) {
+        return undefined;
+    }
+    if (compressible.isIndices) {
+        if (byteStride !== 2 && byteStride !== 4) {
+            return undefined;
+        }
+        return (compressible.isTriangles && (count % 3 === 0)) ? 'TRIANGLES' : 'INDICES';
+    }
+    if ((byteStride % 4 !== 0) || (byteStride > 256)) {
+        return undefined;
+    }
+    return 'ATTRIBUTES';
+}
+
+function invalidateBufferView(compressibleBufferViews, bufferViewId) {
+    if (defined(bufferViewId)) {
+        compressibleBufferViews[bufferViewId] = {
+            valid: false
+        };
+    }
+}
+
+function getCompressibleBufferViews(gltf) {
+    const indexAccessors = {};
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            const indices = primitive.indices;
+            if (defined(indices)) {
+                const isTriangles = !defined(primitive.mode) || primitive.mode === WebGLConstants.TRIANGLES;
+                indexAccessors[indices] = defaultValue(indexAccessors[indices], true) && isTriangles;
+            }
+        });
+    });
+
+    const compressibleBufferViews = {};
+    ForEach.accessor(gltf, function(accessor, accessorId) {
+        const bufferViewId = accessor.bufferView;
+        if (!defined(bufferViewId)) {
+            return;
+        }
+        const isIndices = defined(indexAccessors[accessorId]);
+        const byteStride = isIndices ? ComponentDatatype.getSizeInBytes(accessor.componentType) : getAccessorByteStride(gltf, accessor);
+        const compressible = compressibleBufferViews[bufferViewId];
+        if (!defined(compressible)) {
+            compressibleBufferViews[bufferViewId] = {
+                valid: true,
+                isIndices: isIndices,
+                isTriangles: isIndices && indexAccessors[accessorId],
+                byteStride: byteStride
+            };
+        } else if (compressible.isIndices !== isIndices || compressible.byteStride !== byteStride) {
+            compressible.valid = false;
+        } else if (isIndices) {
+            compressible.isTriangles = compressible.isTriangles && indexAccessors[accessorId];
+        }
+    });
+
+    // Buffer views used by anything other than regular accessors are left uncompressed
+    ForEach.accessor(gltf, function(accessor) {
+        const sparse = accessor.sparse;
+        if (defined(sparse)) {
+            invalidateBufferView(compressibleBufferViews, accessor.bufferView);
+            invalidateBufferView(compressibleBufferViews, sparse.indices.bufferView);
+            invalidateBufferView(compressibleBufferViews, sparse.values.bufferView);
+        }
+    });
+    ForEach.image(gltf, function(image) {
+        invalidateBufferView(compressibleBufferViews, image.bufferView);
+    });
+    ForEach.shader(gltf, function(shader) {
+        invalidateBufferView(compressibleBufferViews, shader.bufferView);
+    });
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            if (defined(primitive.extensions) && defined(primitive.extensions.KHR_draco_mesh_compression)) {
+                invalidateBufferView(compressibleBufferViews, primitive.extensions.KHR_draco_mesh_compression.bufferView);
+            }
+        });
+    });
+    ForEach.bufferView(gltf, function(bufferView, bufferViewId) {
+        if (defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression)) {
+            invalidateBufferView(compressibleBufferViews, bufferViewId);
+        }
+    });
+
+    return compressibleBufferViews;
+}
+
+compressMeshoptBufferViews.defaults = {
+    uncompressedFallback: false
+};
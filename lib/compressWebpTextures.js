@@ -0,0 +1,152 @@
+'use strict';
+const Cesium = require('cesium');
+const Promise = require('bluebird');
+const webp = require('webp-wasm');
+const addExtensionsRequired = require('./addExtensionsRequired');
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const decodeImage = require('./decodeImage');
+const ForEach = require('./ForEach');
+const getImageExtension = require('./getImageExtension');
+
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = compressWebpTextures;
+
+/**
+ * Re-encodes the PNG and JPEG images of textures as WebP, using the EXT_texture_webp extension.
+ * <p>
+ * Lossy images are encoded with <code>quality</code> as the WebP quality factor. Lossless images keep the exact pixels, and
+ * <code>quality</code> sets how much effort is spent on making them smaller.
+ * </p>
+ * <p>
+ * Without <code>uncompressedFallback</code>, the original images are no longer referenced by the textures and EXT_texture_webp is added to
+ * <code>extensionsRequired</code>. The bytes saved by each image are logged.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.webpOptions Options defining WebP compression settings.
+ * @param {Boolean} [options.webpOptions.lossless=false] Encode lossless WebP images.
+ * @param {Number} [options.webpOptions.quality=80] The quality of lossy images, or the compression effort of lossless images, from 0 to 100.
+ * @param {Boolean} [options.webpOptions.uncompressedFallback=false] Keep the original images as a fallback for loaders that do not support the extension.
+ * @param {Logger} [options.logger] A callback function for handling logged messages.
+ * @returns {Promise} A promise that resolves to the glTF asset with compressed textures.
+ *
+ * @private
+ */
+function compressWebpTextures(gltf, options) {
+    options = defaultValue(options, {});
+    const webpOptions = defaultValue(options.webpOptions, {});
+    const defaults = compressWebpTextures.defaults;
+    const context = {
+        lossless: defaultValue(webpOptions.lossless, defaults.lossless),
+        quality: defaultValue(webpOptions.quality, defaults.quality),
+        logger: options.logger
+    };
+    const uncompressedFallback = defaultValue(webpOptions.uncompressedFallback, defaults.uncompressedFallback);
+
+    Check.typeOf.number.greaterThanOrEquals('quality', context.quality, 0);
+    Check.typeOf.number.lessThanOrEquals('quality', context.quality, 100);
+
+    const imageIds = [];
+    ForEach.texture(gltf, function(texture) {
+        const extensions = texture.extensions;
+        if (!defined(texture.source) || (defined(extensions) && defined(extensions.EXT_texture_webp))) {
+            return;
+        }
+        if (imageIds.indexOf(texture.source) === -1) {
+            imageIds.push(texture.source);
+        }
+    });
+
+    // Images are encoded one at a time to limit memory usage
+    const compressedImages = {};
+    return Promise.each(imageIds, function(imageId) {
+        return compressImage(gltf, imageId, context)
+            .then(function(compressedImageId) {
+                compressedImages[imageId] = compressedImageId;
+            });
+    })
+        .then(function() {
+            let compressed = false;
+            ForEach.texture(gltf, function(texture) {
+                const imageId = compressedImages[texture.source];
+                if (!defined(imageId)) {
+                    return;
+                }
+                texture.extensions = defaultValue(texture.extensions, {});
+                texture.extensions.EXT_texture_webp = {
+                    source: imageId
+                };
+                if (!uncompressedFallback) {
+                    delete texture.source;
+                }
+                compressed = true;
+            });
+
+            if (compressed) {
+                if (uncompressedFallback) {
+                    addExtensionsUsed(gltf, 'EXT_texture_webp');
+                } else {
+                    addExtensionsRequired(gltf, 'EXT_texture_webp');
+                }
+            }
+            return gltf;
+        });
+}
+
+// Resolves to the id of the WebP image, or undefined if the image can't be compressed
+function compressImage(gltf, imageId, context) {
+    const image = gltf.images[imageId];
+    if (!defined(image) || !defined(image.extras) || !defined(image.extras._pipeline) || !defined(image.extras._pipeline.source)) {
+        return Promise.resolve(undefined);
+    }
+    const source = image.extras._pipeline.source;
+    const decoded = decodeImage(source);
+    if (!defined(decoded)) {
+        return Promise.resolve(undefined);
+    }
+
+    const imageData = {
+        data: new Uint8Array(decoded.data),
+        width: decoded.width,
+        height: decoded.height
+    };
+    return Promise.resolve(webp.encode(imageData, {
+        lossless: context.lossless ? 1 : 0,
+        quality: context.quality
+    }))
+        .then(function(compressedSource) {
+            if (defined(context.logger)) {
+                const format = getImageExtension(source) === '.png' ? 'PNG' : 'JPEG';
+                context.logger('Image ' + imageId + ': ' + source.length + ' bytes as ' + format + ', ' + compressedSource.length + ' bytes as WebP (saved ' + (source.length - compressedSource.length) + ' bytes).');
+            }
+            const compressedImage = {
+                mimeType: 'image/webp',
+                extras: {
+                    _pipeline: {
+                        source: compressedSource
+                    }
+                }
+            };
+            if (defined(image.name)) {
+                compressedImage.name = image.name;
+            }
+            return addToArray(gltf.images, compressedImage);
+        })
+        .catch(function(error) {
+            if (defined(context.logger)) {
+                context.logger('Image ' + imageId + ' could not be compressed to WebP and is left uncompressed: ' + error.message);
+            }
+            return undefined;
+        });
+}
+
+compressWebpTextures.defaults = {
+    lossless: false,
+    quality: 80,
+    uncompressedFallback: false
+};
@@ -0,0 +1,330 @@
+'use strict';
+const Cesium = require('cesium');
+const PNG = require('pngjs').PNG;
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const decodeImage = require('./decodeImage');
+const ForEach = require('./ForEach');
+const removeExtension = require('./removeExtension');
+const resizeImage = require('./resizeImage');
+
+const CesiumMath = Cesium.Math;
+const clone = Cesium.clone;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = convertSpecularGlossiness;
+
+// The specular reflectance of dielectrics in the metallic-roughness model, which is the reflectance of an index of refraction of 1.5
+const dielectricSpecular = 0.04;
+
+const scratchConverted = {
+    baseColor: new Array(3),
+    metallic: 0.0
+};
+
+const srgbToLinearTable = new Float64Array(256);
+for (let i = 0; i < 256; ++i) {
+    srgbToLinearTable[i] = srgbToLinear(i / 255.0);
+}
+
+/**
+ * Converts materials that use the KHR_materials_pbrSpecularGlossiness extension to metallic-roughness materials, and removes the extension.
+ * <p>
+ * The metallic value and base color are solved from the diffuse and specular colors so that the perceived brightness of both is kept.
+ * Diffuse and specular-glossiness textures are baked pixel by pixel into new PNG base color and metallic-roughness textures. Both textures
+ * must use the same texture coordinates and transform to be baked; otherwise only the factors are converted and the diffuse texture is used
+ * as the base color texture, which is logged.
+ * </p>
+ * <p>
+ * The specular color of a dielectric can only be 0.04 in the metallic-roughness model. Materials without textures whose metallic value solves
+ * to nearly zero keep their diffuse color as base color and their specular color with KHR_materials_ior, for a grey specular color, or
+ * KHR_materials_specular.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} [options] The same options object as {@link processGltf}
+ * @param {Logger} [options.logger] A callback function for handling logged messages.
+ * @returns {Object} The glTF asset with metallic-roughness materials.
+ *
+ * @private
+ */
+function convertSpecularGlossiness(gltf, options) {
+    options = defaultValue(options, {});
+    const context = {
+        gltf: gltf,
+        logger: options.logger,
+        bakedTextures: {}
+    };
+    ForEach.material(gltf, function(material, materialId) {
+        const extensions = material.extensions;
+        if (defined(extensions) && defined(extensions.KHR_materials_pbrSpecularGlossiness)) {
+            convertMaterial(material, materialId, extensions.KHR_materials_pbrSpecularGlossiness, context);
+        }
+    });
+    removeExtension(gltf, 'KHR_materials_pbrSpecularGlossiness');
+    return gltf;
+}
+
+function convertMaterial(material, materialId, specularGlossiness, context) {
+    const factors = {
+        diffuse: defaultValue(specularGlossiness.diffuseFactor, [1.0, 1.0, 1.0, 1.0]),
+        specular: defaultValue(specularGlossiness.specularFactor, [1.0, 1.0, 1.0]),
+        glossiness: defaultValue(specularGlossiness.glossinessFactor, 1.0)
+    };
+    const diffuseTexture = specularGlossiness.diffuseTexture;
+    const specularGlossinessTexture = specularGlossiness.specularGlossinessTexture;
+
+    if (!defined(diffuseTexture) && !defined(specularGlossinessTexture)) {
+        material.pbrMetallicRoughness = convertFactors(material, factors, true, context);
+        return;
+    }
+
+    const baked = bakeTextures(diffuseTexture, specularGlossinessTexture, factors, context);
+    if (defined(baked)) {
+        // The texture infos of the baked textures keep the texture coordinates and extensions of the original texture infos
+        const textureInfo = defaultValue(diffuseTexture, specularGlossinessTexture);
+        const baseColorTexture = clone(textureInfo, true);
+        baseColorTexture.index = baked.baseColorTexture;
+        const metallicRoughnessTexture = clone(textureInfo, true);
+        metallicRoughnessTexture.index = baked.metallicRoughnessTexture;
+        material.pbrMetallicRoughness = {
+            baseColorTexture: baseColorTexture,
+            metallicRoughnessTexture: metallicRoughnessTexture
+        };
+        return;
+    }
+
+    if (defined(context.logger)) {
+        context.logger('The textures of material ' + materialId + ' could not be baked. Only its factors and diffuse texture are converted.');
+    }
+    const pbrMetallicRoughness = convertFactors(material, factors, false, context);
+    if (defined(diffuseTexture)) {
+        pbrMetallicRoughness.baseColorTexture = clone(diffuseTexture, true);
+    }
+    material.pbrMetallicRoughness = pbrMetallicRoughness;
+}
+
+function convertFactors(material, factors, useExtensions, context) {
+    const converted = convertColor(factors.diffuse, factors.specular, scratchConverted);
+    const baseColor = converted.baseColor;
+    const pbrMetallicRoughness = {
+        baseColorFactor: [baseColor[0], baseColor[1], baseColor[2], factors.diffuse[3]],
+        metallicFactor: converted.metallic,
+        roughnessFactor: 1.0 - factors.glossiness
+    };
+
+    const extensions = material.extensions;
+    if (useExtensions && converted.metallic < CesiumMath.EPSILON2 && !isDielectricSpecular(factors.specular) &&
+        !defined(extensions.KHR_materials_ior) && !defined(extensions.KHR_materials_specular)) {
+        // With the specular color stored by an extension, the base color of a dielectric is its diffuse color
+        pbrMetallicRoughness.baseColorFactor = factors.diffuse.slice();
+        pbrMetallicRoughness.metallicFactor = 0.0;
+        addSpecularExtension(material, factors.specular, context.gltf);
+    }
+    return pbrMetallicRoughness;
+}
+
+function isDielectricSpecular(specular) {
+    return specular.every(function(value) {
+        return CesiumMath.equalsEpsilon(value, dielectricSpecular, CesiumMath.EPSILON4);
+    });
+}
+
+function addSpecularExtension(material, specular, gltf) {
+    if (CesiumMath.equalsEpsilon(specular[0], specular[1], CesiumMath.EPSILON6) && CesiumMath.equalsEpsilon(specular[0], specular[2], CesiumMath.EPSILON6)) {
+        // The reflectance at normal incidence is ((ior - 1) / (ior + 1))^2
+        const root = Math.sqrt(specular[0]);
+        material.extensions.KHR_materials_ior = {
+            ior: (1.0 + root) / (1.0 - root)
+        };
+        addExtensionsUsed(gltf, 'KHR_materials_ior');
+        return;
+    }
+    material.extensions.KHR_materials_specular = {
+        specularColorFactor: specular.map(function(value) {
+            return value / dielectricSpecular;
+        })
+    };
+    addExtensionsUsed(gltf, 'KHR_materials_specular');
+}
+
+function haveSameCoordinates(textureInfo, otherTextureInfo) {
+    const extensions = defaultValue(textureInfo.extensions, {});
+    const otherExtensions = defaultValue(otherTextureInfo.extensions, {});
+    return defaultValue(textureInfo.texCoord, 0) === defaultValue(otherTextureInfo.texCoord, 0) &&
+        JSON.stringify(extensions.KHR_texture_transform) === JSON.stringify(otherExtensions.KHR_texture_transform);
+}
+
+// Returns the ids of the baked textures, or undefined if the textures can't be baked
+function bakeTextures(diffuseTexture, specularGlossinessTexture, factors, context) {
+    if (defined(diffuseTexture) && defined(specularGlossinessTexture) && !haveSameCoordinates(diffuseTexture, specularGlossinessTexture)) {
+        return undefined;
+    }
+
+    // Materials with the same textures and factors share the baked textures
+    const key = JSON.stringify([defined(diffuseTexture) ? diffuseTexture.index : -1, defined(specularGlossinessTexture) ? specularGlossinessTexture.index : -1, factors]);
+    const bakedTextures = context.bakedTextures;
+    if (!Object.prototype.hasOwnProperty.call(bakedTextures, key)) {
+        bakedTextures[key] = bakeImages(diffuseTexture, specularGlossinessTexture, factors, context.gltf);
+    }
+    return bakedTextures[key];
+}
+
+function decodeTexture(gltf, textureInfo) {
+    const texture = defined(gltf.textures) ? gltf.textures[textureInfo.index] : undefined;
+    if (!defined(texture) || !defined(texture.source) || !defined(gltf.images[texture.source])) {
+        return undefined;
+    }
+    const image = gltf.images[texture.source];
+    if (!defined(image.extras) || !defined(image.extras._pipeline) || !defined(image.extras._pipeline.source)) {
+        return undefined;
+    }
+    return decodeImage(image.extras._pipeline.source);
+}
+
+function resample(decoded, width, height) {
+    if (decoded.width === width && decoded.height === height) {
+        return decoded.data;
+    }
+    return resizeImage(decoded.data, decoded.width, decoded.height, width, height, 'bilinear');
+}
+
+function bakeImages(diffuseTexture, specularGlossinessTexture, factors, gltf) {
+    let diffuse;
+    let specularGlossiness;
+    if (defined(diffuseTexture)) {
+        diffuse = decodeTexture(gltf, diffuseTexture);
+        if (!defined(diffuse)) {
+            return undefined;
+        }
+    }
+    if (defined(specularGlossinessTexture)) {
+        specularGlossiness = decodeTexture(gltf, specularGlossinessTexture);
+        if (!defined(specularGlossiness)) {
+            return undefined;
+        }
+    }
+
+    // The baked images have the dimensions of the larger image
+    let size = defaultValue(diffuse, specularGlossiness);
+    if (defined(diffuse) && defined(specularGlossiness) && specularGlossiness.width * specularGlossiness.height > diffuse.width * diffuse.height) {
+        size = specularGlossiness;
+    }
+    const width = size.width;
+    const height = size.height;
+    const diffuseData = defined(diffuse) ? resample(diffuse, width, height) : undefined;
+    const specularGlossinessData = defined(specularGlossiness) ? resample(specularGlossiness, width, height) : undefined;
+
+    const pixelCount = width * height;
+    const baseColorData = Buffer.alloc(pixelCount * 4);
+    const metallicRoughnessData = Buffer.alloc(pixelCount * 4);
+    const diffuseColor = new Array(3);
+    const specularColor = new Array(3);
+    for (let i = 0; i < pixelCount; ++i) {
+        const offset = i * 4;
+        // Colors are sRGB encoded, while glossiness and alpha are linear
+        let alpha = factors.diffuse[3];
+        let glossiness = factors.glossiness;
+        for (let j = 0; j < 3; ++j) {
+            diffuseColor[j] = factors.diffuse[j];
+            specularColor[j] = factors.specular[j];
+        }
+        if (defined(diffuseData)) {
+            for (let j = 0; j < 3; ++j) {
+                diffuseColor[j] *= srgbToLinearTable[diffuseData[offset + j]];
+            }
+            alpha *= diffuseData[offset + 3] / 255.0;
+        }
+        if (defined(specularGlossinessData)) {
+            for (let j = 0; j < 3; ++j) {
+                specularColor[j] *= srgbToLinearTable[specularGlossinessData[offset + j]];
+            }
+            glossiness *= specularGlossinessData[offset + 3] / 255.0;
+        }
+
+        const converted = convertColor(diffuseColor, specularColor, scratchConverted);
+        for (let j = 0; j < 3; ++j) {
+            baseColorData[offset + j] = toByte(linearToSrgb(converted.baseColor[j]));
+        }
+        baseColorData[offset + 3] = toByte(alpha);
+        metallicRoughnessData[offset + 1] = toByte(1.0 - glossiness);
+        metallicRoughnessData[offset + 2] = toByte(converted.metallic);
+        metallicRoughnessData[offset + 3] = 255;
+    }
+
+    const sourceTexture = gltf.textures[defaultValue(diffuseTexture, specularGlossinessTexture).index];
+    return {
+        baseColorTexture: addBakedTexture(gltf, baseColorData, width, height, 6, sourceTexture.sampler),
+        metallicRoughnessTexture: addBakedTexture(gltf, metallicRoughnessData, width, height, 2, sourceTexture.sampler)
+    };
+}
+
+function addBakedTexture(gltf, data, width, height, colorType, sampler) {
+    const source = PNG.sync.write({
+        data: data,
+        width: width,
+        height: height
+    }, {
+        colorType: colorType
+    });
+    const imageId = addToArray(gltf.images, {
+        mimeType: 'image/png',
+        extras: {
+            _pipeline: {
+                source: source
+            }
+        }
+    });
+    const texture = {
+        source: imageId
+    };
+    if (defined(sampler)) {
+        texture.sampler = sampler;
+    }
+    return addToArray(gltf.textures, texture);
+}
+
+function getPerceivedBrightness(color) {
+    return Math.sqrt(0.299 * color[0] * color[0] + 0.587 * color[1] * color[1] + 0.114 * color[2] * color[2]);
+}
+
+// Solves the metallic value for which the diffuse and specular brightness are reproduced by the metallic-roughness model
+function solveMetallic(diffuse, specular, oneMinusSpecularStrength) {
+    if (specular < dielectricSpecular) {
+        return 0.0;
+    }
+    const a = dielectricSpecular;
+    const b = diffuse * oneMinusSpecularStrength / (1.0 - dielectricSpecular) + specular - 2.0 * dielectricSpecular;
+    const c = dielectricSpecular - specular;
+    const discriminant = b * b - 4.0 * a * c;
+    return CesiumMath.clamp((-b + Math.sqrt(discriminant)) / (2.0 * a), 0.0, 1.0);
+}
+
+// Converts linear diffuse and specular colors to a linear base color and metallic value
+function convertColor(diffuse, specular, result) {
+    const oneMinusSpecularStrength = 1.0 - Math.max(specular[0], specular[1], specular[2]);
+    const metallic = solveMetallic(getPerceivedBrightness(diffuse), getPerceivedBrightness(specular), oneMinusSpecularStrength);
+    const diffuseScale = oneMinusSpecularStrength / (1.0 - dielectricSpecular) / Math.max(1.0 - metallic, CesiumMath.EPSILON6);
+    const specularScale = 1.0 / Math.max(metallic, CesiumMath.EPSILON6);
+    const weight = metallic * metallic;
+    for (let i = 0; i < 3; ++i) {
+        const baseColorFromDiffuse = diffuse[i] * diffuseScale;
+        const baseColorFromSpecular = (specular[i] - dielectricSpecular * (1.0 - metallic)) * specularScale;
+        result.baseColor[i] = CesiumMath.clamp(CesiumMath.lerp(baseColorFromDiffuse, baseColorFromSpecular, weight), 0.0, 1.0);
+    }
+    result.metallic = metallic;
+    return result;
+}
+
+function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1.0 / 2.4) - 0.055;
+}
+
+function toByte(value) {
+    return Math.round(CesiumMath.clamp(value, 0.0, 1.0) * 255.0);
+}
@@ -0,0 +1,111 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = convertToTriangles;
+
+/**
+ * Converts TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES primitives with new indices.
+ * <p>
+ * The winding order of the triangles is preserved and degenerate triangles, which strips use to join separate runs,
+ * are dropped. Vertex attributes are not modified. Primitives that are compressed with Draco or meshopt, that use sparse
+ * accessors, or that share only some of their attributes with other primitives are skipped.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with strips and fans converted to triangles.
+ *
+ * @private
+ */
+function convertToTriangles(gltf) {
+    const readablePrimitives = [];
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        group.primitives.forEach(function(primitive) {
+            readablePrimitives.push(primitive);
+        });
+    });
+
+    // Primitives that share indices share the converted indices as well
+    const convertedIndices = {};
+    let converted = false;
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            const mode = primitive.mode;
+            if ((mode !== WebGLConstants.TRIANGLE_STRIP && mode !== WebGLConstants.TRIANGLE_FAN) || readablePrimitives.indexOf(primitive) === -1) {
+                return;
+            }
+            const key = mode + ':' + (defined(primitive.indices) ? primitive.indices : 'vertices:' + getVertexCount(gltf, primitive));
+            let indicesAccessorId = convertedIndices[key];
+            if (!defined(indicesAccessorId)) {
+                indicesAccessorId = convertedIndices[key] = convertIndices(gltf, primitive);
+            }
+            if (!defined(indicesAccessorId)) {
+                // Primitives without any triangles are left as they are
+                return;
+            }
+            primitive.indices = indicesAccessorId;
+            primitive.mode = WebGLConstants.TRIANGLES;
+            converted = true;
+        });
+    });
+
+    if (converted) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+function getVertexCount(gltf, primitive) {
+    const semantic = Object.keys(primitive.attributes)[0];
+    return gltf.accessors[primitive.attributes[semantic]].count;
+}
+
+function addTriangle(triangles, a, b, c) {
+    if (a !== b && b !== c && c !== a) {
+        triangles.push(a, b, c);
+    }
+}
+
+// Returns the accessor of the triangle indices, or undefined if the primitive has no triangles
+function convertIndices(gltf, primitive) {
+    const indices = readPrimitiveIndices(gltf, primitive);
+    const length = indices.length;
+    const triangles = [];
+    let i;
+    if (primitive.mode === WebGLConstants.TRIANGLE_STRIP) {
+        // Every other triangle of a strip has the opposite winding order
+        for (i = 0; i < length - 2; ++i) {
+            if (i % 2 === 0) {
+                addTriangle(triangles, indices[i], indices[i + 1], indices[i + 2]);
+            } else {
+                addTriangle(triangles, indices[i], indices[i + 2], indices[i + 1]);
+            }
+        }
+    } else {
+        for (i = 0; i < length - 2; ++i) {
+            addTriangle(triangles, indices[i + 1], indices[i + 2], indices[0]);
+        }
+    }
+    if (triangles.length === 0) {
+        return undefined;
+    }
+
+    // Primitives without indices reference all of their vertices in order
+    const componentType = defined(primitive.indices) ? gltf.accessors[primitive.indices].componentType : getIndicesComponentType(length);
+    const indicesAccessor = {
+        componentType: componentType,
+        type: 'SCALAR'
+    };
+    writeAccessorPacked(gltf, indicesAccessor, triangles, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return addToArray(gltf.accessors, indicesAccessor);
+}
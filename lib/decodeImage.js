@@ -0,0 +1,37 @@
+'use strict';
+const jpeg = require('jpeg-js');
+const PNG = require('pngjs').PNG;
+const getImageExtension = require('./getImageExtension');
+
+module.exports = decodeImage;
+
+/**
+ * Decodes a PNG or JPEG image to 8-bit RGBA pixels.
+ * <p>
+ * PNG images also have the <code>colorType</code>, <code>palette</code>, and <code>alpha</code> properties of their header, which
+ * are needed to encode them again in the same format.
+ * </p>
+ *
+ * @param {Buffer} source The image data.
+ * @returns {Object|undefined} An object containing the <code>width</code>, <code>height</code>, and RGBA <code>data</code> of the image, or undefined if the image is not a PNG or JPEG.
+ *
+ * @private
+ */
+function decodeImage(source) {
+    let extension;
+    try {
+        extension = getImageExtension(source);
+    } catch (e) {
+        return undefined;
+    }
+    if (extension === '.png') {
+        return PNG.sync.read(source);
+    }
+    if (extension === '.jpg') {
+        return jpeg.decode(source, {
+            useTArray: true,
+            formatAsRGBA: true
+        });
+    }
+    return undefined;
+}
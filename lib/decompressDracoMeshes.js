@@ -0,0 +1,83 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const hasExtension = require('./hasExtension');
+const removeExtension = require('./removeExtension');
+const removeUnusedElements = require('./removeUnusedElements');
+const replaceWithDecompressedPrimitive = require('./replaceWithDecompressedPrimitive');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = decompressDracoMeshes;
+
+/**
+ * Decompresses meshes compressed with the KHR_draco_mesh_compression extension.
+ * The decoded indices and attributes are written to new buffer views, the extension is removed from the
+ * primitives, extensionsUsed and extensionsRequired, and the compressed buffer views are removed.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} [options] The same options object as {@link processGltf}
+ * @returns {Object} The glTF asset with decompressed meshes.
+ */
+function decompressDracoMeshes(gltf, options) {
+    if (!hasExtension(gltf, 'KHR_draco_mesh_compression')) {
+        return gltf;
+    }
+
+    const decodedPrimitives = {};
+
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            if (!defined(primitive.extensions) || !defined(primitive.extensions.KHR_draco_mesh_compression)) {
+                return;
+            }
+            const dracoExtension = primitive.extensions.KHR_draco_mesh_compression;
+            if (!defined(primitive.indices)) {
+                addIndices(gltf, primitive);
+            }
+
+            // Primitives that share the compressed data and accessors only need to be decoded once.
+            const key = getDecodedPrimitiveKey(dracoExtension, primitive);
+            if (!defined(decodedPrimitives[key])) {
+                decodedPrimitives[key] = true;
+                const dracoEncodedBuffer = {
+                    buffer: getBufferViewData(gltf, dracoExtension.bufferView)
+                };
+                replaceWithDecompressedPrimitive(gltf, primitive, dracoEncodedBuffer, true);
+            }
+        });
+    });
+
+    removeExtension(gltf, 'KHR_draco_mesh_compression');
+    removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+
+    return gltf;
+}
+
+function getDecodedPrimitiveKey(dracoExtension, primitive) {
+    const attributes = primitive.attributes;
+    const attributeIds = Object.keys(attributes).sort().map(function(semantic) {
+        return semantic + ':' + attributes[semantic];
+    });
+    return [dracoExtension.bufferView, primitive.indices].concat(attributeIds).join('-');
+}
+
+function getBufferViewData(gltf, bufferViewId) {
+    const bufferView = gltf.bufferViews[bufferViewId];
+    const source = gltf.buffers[bufferView.buffer].extras._pipeline.source;
+    const byteOffset = bufferView.byteOffset;
+    return source.slice(byteOffset, byteOffset + bufferView.byteLength);
+}
+
+function addIndices(gltf, primitive) {
+    // The index data is filled in when the primitive is decoded
+    const length = gltf.accessors[primitive.attributes.POSITION].count;
+    const accessor = {
+        componentType: length < 65535 ? WebGLConstants.UNSIGNED_SHORT : WebGLConstants.UNSIGNED_INT,
+        count: 0,
+        type: 'SCALAR'
+    };
+    primitive.indices = addToArray(gltf.accessors, accessor);
+}
@@ -0,0 +1,66 @@
+'use strict';
+const Cesium = require('cesium');
+const MeshoptDecoder = require('meshoptimizer').MeshoptDecoder;
+const Promise = require('bluebird');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const hasExtension = require('./hasExtension');
+const removeExtension = require('./removeExtension');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = decompressMeshoptBufferViews;
+
+/**
+ * Decompresses buffer views compressed with the EXT_meshopt_compression extension.
+ * The decoded data replaces the fallback data of the buffer views and the extension is removed.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} [options] The same options object as {@link processGltf}
+ * @returns {Promise} A promise that resolves to the glTF asset with decompressed buffer views.
+ *
+ * @private
+ */
+function decompressMeshoptBufferViews(gltf, options) {
+    if (!hasExtension(gltf, 'EXT_meshopt_compression')) {
+        return Promise.resolve(gltf);
+    }
+
+    return Promise.resolve(MeshoptDecoder.ready)
+        .then(function() {
+            ForEach.bufferView(gltf, function(bufferView) {
+                if (!defined(bufferView.extensions) || !defined(bufferView.extensions.EXT_meshopt_compression)) {
+                    return;
+                }
+                const meshoptExtension = bufferView.extensions.EXT_meshopt_compression;
+                const source = gltf.buffers[meshoptExtension.buffer].extras._pipeline.source;
+                const byteOffset = defaultValue(meshoptExtension.byteOffset, 0);
+                const encoded = new Uint8Array(meshoptExtension.byteLength);
+                encoded.set(source.subarray(byteOffset, byteOffset + meshoptExtension.byteLength));
+
+                const count = meshoptExtension.count;
+                const byteStride = meshoptExtension.byteStride;
+                const decoded = new Uint8Array(count * byteStride);
+                MeshoptDecoder.decodeGltfBuffer(decoded, count, byteStride, encoded, meshoptExtension.mode, meshoptExtension.filter);
+
+                const buffer = {
+                    byteLength: decoded.length,
+                    extras: {
+                        _pipeline: {
+                            source: Buffer.from(decoded.buffer)
+                        }
+                    }
+                };
+                bufferView.buffer = addToArray(gltf.buffers, buffer);
+                bufferView.byteOffset = 0;
+            });
+
+            // Also removes the extension from the buffer views and fallback buffers
+            removeExtension(gltf, 'EXT_meshopt_compression');
+            removeUnusedElements(gltf, ['buffer']);
+
+            return gltf;
+        });
+}
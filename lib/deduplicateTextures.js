@@ -0,0 +1,113 @@
+'use strict';
+const Cesium = require('cesium');
+const crypto = require('crypto');
+const hashObject = require('object-hash');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const ForEach = require('./ForEach');
+
+const defined = Cesium.defined;
+
+module.exports = deduplicateTextures;
+
+/**
+ * Merges images with identical contents, and then merges the textures and samplers that become identical.
+ * <p>
+ * Images are compared by the bytes in <code>extras._pipeline.source</code>, so images that were read from different files, data uris, or
+ * buffer views are merged as well. Textures and samplers are compared by all of their properties except their names. References from
+ * textures, including the <code>EXT_texture_webp</code> and <code>KHR_texture_basisu</code> extensions, and from material texture infos are
+ * updated to the first of the merged elements.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with duplicate images, textures, and samplers removed.
+ *
+ * @private
+ */
+function deduplicateTextures(gltf) {
+    const imageIds = removeDuplicates(gltf.images, getImageKey);
+    if (defined(imageIds)) {
+        ForEach.texture(gltf, function(texture) {
+            updateTextureSources(texture, imageIds);
+        });
+    }
+
+    const samplerIds = removeDuplicates(gltf.samplers, getObjectKey);
+    if (defined(samplerIds)) {
+        ForEach.texture(gltf, function(texture) {
+            if (defined(texture.sampler)) {
+                texture.sampler = samplerIds[texture.sampler];
+            }
+        });
+    }
+
+    const textureIds = removeDuplicates(gltf.textures, getObjectKey);
+    if (defined(textureIds)) {
+        ForEach.material(gltf, function(material) {
+            forEachTextureInMaterial(material, function(textureId, textureInfo) {
+                textureInfo.index = textureIds[textureId];
+            });
+        });
+    }
+
+    return gltf;
+}
+
+function getImageKey(image) {
+    if (!defined(image.extras) || !defined(image.extras._pipeline) || !defined(image.extras._pipeline.source)) {
+        return undefined;
+    }
+    // object-hash hashes buffers as strings, which is not reliable for binary data
+    return crypto.createHash('sha256').update(image.extras._pipeline.source).digest('hex');
+}
+
+function getObjectKey(object) {
+    const properties = Object.assign({}, object);
+    delete properties.name;
+    return hashObject(properties);
+}
+
+// Removes the elements that have the same key as an earlier element, and returns the new id of every element, or undefined if nothing was removed
+function removeDuplicates(array, getKey) {
+    if (!defined(array)) {
+        return undefined;
+    }
+    const keptIds = {};
+    const newIds = [];
+    const kept = [];
+    array.forEach(function(element) {
+        const key = getKey(element);
+        if (defined(key) && defined(keptIds[key])) {
+            newIds.push(keptIds[key]);
+            return;
+        }
+        const newId = kept.push(element) - 1;
+        if (defined(key)) {
+            keptIds[key] = newId;
+        }
+        newIds.push(newId);
+    });
+    if (kept.length === array.length) {
+        return undefined;
+    }
+    array.length = 0;
+    kept.forEach(function(element) {
+        array.push(element);
+    });
+    return newIds;
+}
+
+function updateTextureSources(texture, imageIds) {
+    if (defined(texture.source)) {
+        texture.source = imageIds[texture.source];
+    }
+    const extensions = texture.extensions;
+    if (!defined(extensions)) {
+        return;
+    }
+    if (defined(extensions.EXT_texture_webp)) {
+        extensions.EXT_texture_webp.source = imageIds[extensions.EXT_texture_webp.source];
+    }
+    if (defined(extensions.KHR_texture_basisu)) {
+        extensions.KHR_texture_basisu.source = imageIds[extensions.KHR_texture_basisu.source];
+    }
+}
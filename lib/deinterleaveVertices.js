@@ -0,0 +1,61 @@
+'use strict';
+const Cesium = require('cesium');
+const ForEach = require('./ForEach');
+const getAccessorByteStride = require('./getAccessorByteStride');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = deinterleaveVertices;
+
+/**
+ * Moves each vertex attribute and morph target accessor that shares its buffer view with other accessors or that has gaps
+ * between its elements into its own tightly packed buffer view. Elements are still padded to a multiple of 4 bytes, as required
+ * by the glTF specification. Primitives that are compressed with Draco or meshopt, that use sparse accessors, or that share only
+ * some of their attributes with other primitives are skipped.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with de-interleaved vertex attributes.
+ *
+ * @private
+ */
+function deinterleaveVertices(gltf) {
+    const accessorCounts = {};
+    ForEach.accessor(gltf, function(accessor) {
+        if (defined(accessor.bufferView)) {
+            accessorCounts[accessor.bufferView] = defaultValue(accessorCounts[accessor.bufferView], 0) + 1;
+        }
+    });
+
+    let deinterleaved = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        group.accessorIds.forEach(function(accessorId) {
+            const accessor = gltf.accessors[accessorId];
+            if (!defined(accessor.bufferView)) {
+                return;
+            }
+            const elementByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType) * numberOfComponentsForType(accessor.type);
+            const packedByteStride = Math.ceil(elementByteLength / 4) * 4;
+            const shared = accessorCounts[accessor.bufferView] > 1;
+            if (!shared && getAccessorByteStride(gltf, accessor) === packedByteStride) {
+                return;
+            }
+            const values = readAccessorPacked(gltf, accessor);
+            writeAccessorPacked(gltf, accessor, values, WebGLConstants.ARRAY_BUFFER);
+            deinterleaved = true;
+        });
+    });
+
+    if (deinterleaved) {
+        removeUnusedElements(gltf, ['bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
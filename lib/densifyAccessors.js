@@ -0,0 +1,59 @@
+'use strict';
+const Cesium = require('cesium');
+const ForEach = require('./ForEach');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = densifyAccessors;
+
+/**
+ * Replaces sparse accessors with accessors that store all of their values in a buffer view, so that
+ * stages and runtimes that don't support sparse accessors can read them. Accessors whose buffer views are
+ * compressed with meshopt are skipped.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset without sparse accessors.
+ *
+ * @private
+ */
+function densifyAccessors(gltf) {
+    const targets = {};
+    ForEach.accessorContainingVertexAttributeData(gltf, function(accessorId) {
+        targets[accessorId] = WebGLConstants.ARRAY_BUFFER;
+    });
+    ForEach.accessorContainingIndexData(gltf, function(accessorId) {
+        targets[accessorId] = WebGLConstants.ELEMENT_ARRAY_BUFFER;
+    });
+
+    let densified = false;
+    ForEach.accessor(gltf, function(accessor, accessorId) {
+        const sparse = accessor.sparse;
+        if (!defined(sparse)) {
+            return;
+        }
+        const bufferViewIds = [sparse.indices.bufferView, sparse.values.bufferView];
+        if (defined(accessor.bufferView)) {
+            bufferViewIds.push(accessor.bufferView);
+        }
+        const compressed = bufferViewIds.some(function(bufferViewId) {
+            const bufferView = gltf.bufferViews[bufferViewId];
+            return defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression);
+        });
+        if (compressed) {
+            return;
+        }
+        const values = readAccessorPacked(gltf, accessor);
+        writeAccessorPacked(gltf, accessor, values, targets[accessorId]);
+        densified = true;
+    });
+
+    if (densified) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
@@ -8,6 +8,7 @@ const defined = Cesium.defined;
 const getAccessorByteStride = require('./getAccessorByteStride');
 const getComponentReader = require('./getComponentReader');
 const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
 
 module.exports = findAccessorMinMax;
 
@@ -26,6 +27,10 @@ function findAccessorMinMax(gltf, accessor) {
     const bufferViewId = accessor.bufferView;
     const numberOfComponents = numberOfComponentsForType(accessor.type);
 
+    if (defined(accessor.sparse)) {
+        return findSparseAccessorMinMax(gltf, accessor, numberOfComponents);
+    }
+
     // According to the spec, when bufferView is not defined, accessor must be initialized with zeros
     if (!defined(accessor.bufferView)) {
         return {
@@ -66,3 +71,19 @@ function findAccessorMinMax(gltf, accessor) {
         max: max
     };
 }
+
+function findSparseAccessorMinMax(gltf, accessor, numberOfComponents) {
+    const min = arrayFill(new Array(numberOfComponents), Number.POSITIVE_INFINITY);
+    const max = arrayFill(new Array(numberOfComponents), Number.NEGATIVE_INFINITY);
+    const values = readAccessorPacked(gltf, accessor);
+    const length = values.length;
+    for (let i = 0; i < length; i++) {
+        const j = i % numberOfComponents;
+        min[j] = Math.min(min[j], values[i]);
+        max[j] = Math.max(max[j], values[i]);
+    }
+    return {
+        min: min,
+        max: max
+    };
+}
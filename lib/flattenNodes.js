@@ -0,0 +1,391 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const getAnimatedNodes = require('./getAnimatedNodes');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const Cartesian3 = Cesium.Cartesian3;
+const clone = Cesium.clone;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const Matrix3 = Cesium.Matrix3;
+const Matrix4 = Cesium.Matrix4;
+const Quaternion = Cesium.Quaternion;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = flattenNodes;
+
+/**
+ * Collapses the node hierarchy of each scene into the scene roots, baking the world transform of each node into the
+ * positions, normals, and tangents of its mesh.
+ * <p>
+ * Meshes are transformed in place when all the nodes that use them have the same world transform, and duplicated for each
+ * other world transform. Nodes without a mesh are removed. Nodes whose transform is needed at runtime are kept: animated nodes,
+ * skinned nodes, joints, and nodes with levels of detail or instancing are kept with their descendants, under a new node with the
+ * transform of their parent when it isn't the identity. Nodes with cameras or other extensions, and nodes whose meshes can't be
+ * transformed, such as meshes compressed with Draco, are moved to the scene roots with their world transform.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with flattened nodes.
+ *
+ * @private
+ */
+function flattenNodes(gltf) {
+    const context = {
+        gltf: gltf,
+        dynamicNodes: getDynamicNodes(gltf),
+        readablePrimitives: getReadablePrimitives(gltf),
+        transformedAccessors: {},
+        flippedIndices: {}
+    };
+
+    const parents = {};
+    ForEach.node(gltf, function(node, nodeId) {
+        if (defined(node.children)) {
+            node.children.forEach(function(childId) {
+                parents[childId] = nodeId;
+            });
+        }
+    });
+
+    // Find the new roots of each scene and the world transform of each node
+    const worldMatrices = {};
+    const keptSubtrees = {};
+    const collapsedNodes = {};
+    const sceneRoots = [];
+    ForEach.scene(gltf, function(scene, sceneId) {
+        const roots = sceneRoots[sceneId] = [];
+        ForEach.nodeInScene(gltf, scene, function(node, nodeId) {
+            const parentId = parents[nodeId];
+            if (defined(parentId) && (keptSubtrees[parentId] || context.dynamicNodes[parentId])) {
+                // The descendants of dynamic nodes are kept as they are
+                keptSubtrees[nodeId] = true;
+                return;
+            }
+            const parentMatrix = defined(parentId) ? worldMatrices[parentId] : Matrix4.IDENTITY;
+            const worldMatrix = Matrix4.multiply(parentMatrix, getLocalMatrix(node), new Matrix4());
+            worldMatrices[nodeId] = worldMatrix;
+            collapsedNodes[nodeId] = true;
+
+            if (context.dynamicNodes[nodeId]) {
+                roots.push({
+                    nodeId: nodeId,
+                    dynamic: true,
+                    matrix: parentMatrix
+                });
+            } else if (defined(node.camera) || hasExtensions(node) || (defined(node.mesh) && !isMeshTransformable(context, node.mesh, worldMatrix))) {
+                roots.push({
+                    nodeId: nodeId,
+                    matrix: worldMatrix
+                });
+            } else if (defined(node.mesh)) {
+                roots.push({
+                    nodeId: nodeId,
+                    baked: true,
+                    matrix: worldMatrix
+                });
+            }
+        });
+    });
+
+    const meshIds = getTransformedMeshes(context, sceneRoots);
+
+    const wrapperNodes = {};
+    const movedNodes = {};
+    sceneRoots.forEach(function(roots, sceneId) {
+        gltf.scenes[sceneId].nodes = roots.map(function(root) {
+            const nodeId = root.nodeId;
+            const node = gltf.nodes[nodeId];
+            delete collapsedNodes[nodeId];
+            if (root.dynamic) {
+                if (Matrix4.equals(root.matrix, Matrix4.IDENTITY)) {
+                    return nodeId;
+                }
+                if (!defined(wrapperNodes[nodeId])) {
+                    wrapperNodes[nodeId] = addToArray(gltf.nodes, {
+                        children: [nodeId],
+                        matrix: Matrix4.toArray(root.matrix)
+                    });
+                }
+                return wrapperNodes[nodeId];
+            }
+            // Nodes can be roots of multiple scenes
+            if (movedNodes[nodeId]) {
+                return nodeId;
+            }
+            movedNodes[nodeId] = true;
+            delete node.children;
+            if (root.baked) {
+                node.mesh = meshIds[node.mesh][getMatrixKey(root.matrix)];
+                setMatrix(node, Matrix4.IDENTITY);
+            } else {
+                setMatrix(node, root.matrix);
+            }
+            return nodeId;
+        });
+    });
+
+    // Only the nodes that are no longer part of the hierarchy are removed, unused elements of the input are kept
+    Object.keys(collapsedNodes)
+        .map(Number)
+        .sort(function(a, b) {
+            return b - a;
+        })
+        .forEach(function(nodeId) {
+            removeUnusedElements.Remove.node(gltf, nodeId);
+        });
+
+    removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+
+    return gltf;
+}
+
+function hasExtensions(node) {
+    return defined(node.extensions) && Object.keys(node.extensions).length > 0;
+}
+
+// Returns the nodes whose transforms change at runtime or are needed by other elements
+function getDynamicNodes(gltf) {
+    const dynamicNodes = getAnimatedNodes(gltf);
+    ForEach.skin(gltf, function(skin) {
+        if (defined(skin.skeleton)) {
+            dynamicNodes[skin.skeleton] = true;
+        }
+        ForEach.skinJoint(skin, function(joint) {
+            dynamicNodes[joint] = true;
+        });
+    });
+    ForEach.node(gltf, function(node, nodeId) {
+        const extensions = defaultValue(node.extensions, {});
+        if (defined(node.skin) || defined(extensions.MSFT_lod) || defined(extensions.EXT_mesh_gpu_instancing)) {
+            dynamicNodes[nodeId] = true;
+        }
+    });
+    return dynamicNodes;
+}
+
+function getReadablePrimitives(gltf) {
+    const readablePrimitives = [];
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        group.primitives.forEach(function(primitive) {
+            readablePrimitives.push(primitive);
+        });
+    });
+    return readablePrimitives;
+}
+
+function getLocalMatrix(node) {
+    if (defined(node.matrix)) {
+        return Matrix4.fromColumnMajorArray(node.matrix);
+    }
+    const translation = Cartesian3.fromArray(defaultValue(node.translation, [0.0, 0.0, 0.0]));
+    const rotation = Quaternion.unpack(defaultValue(node.rotation, [0.0, 0.0, 0.0, 1.0]));
+    const scale = Cartesian3.fromArray(defaultValue(node.scale, [1.0, 1.0, 1.0]));
+    return Matrix4.fromTranslationQuaternionRotationScale(translation, rotation, scale);
+}
+
+function setMatrix(node, matrix) {
+    delete node.translation;
+    delete node.rotation;
+    delete node.scale;
+    if (Matrix4.equals(matrix, Matrix4.IDENTITY)) {
+        delete node.matrix;
+    } else {
+        node.matrix = Matrix4.toArray(matrix);
+    }
+}
+
+function getMatrixKey(matrix) {
+    return Matrix4.toArray(matrix).join(',');
+}
+
+function getDeterminant(matrix) {
+    return Matrix3.determinant(Matrix4.getMatrix3(matrix, new Matrix3()));
+}
+
+const transformedSemantics = ['POSITION', 'NORMAL', 'TANGENT'];
+
+function forEachTransformedAccessor(primitive, handler) {
+    transformedSemantics.forEach(function(semantic) {
+        if (defined(primitive.attributes[semantic])) {
+            handler(primitive.attributes, semantic, false);
+        }
+        ForEach.meshPrimitiveTarget(primitive, function(target) {
+            if (defined(target[semantic])) {
+                handler(target, semantic, true);
+            }
+        });
+    });
+}
+
+function isMeshTransformable(context, meshId, matrix) {
+    if (Matrix4.equals(matrix, Matrix4.IDENTITY)) {
+        return true;
+    }
+    const gltf = context.gltf;
+    const determinant = getDeterminant(matrix);
+    if (determinant === 0.0) {
+        return false;
+    }
+    return gltf.meshes[meshId].primitives.every(function(primitive) {
+        if (context.readablePrimitives.indexOf(primitive) === -1) {
+            return false;
+        }
+        // Mirroring transforms reverse the winding order of triangles, which is only done for separate triangles
+        const mode = defaultValue(primitive.mode, WebGLConstants.TRIANGLES);
+        if (determinant < 0.0 && (mode === WebGLConstants.TRIANGLE_STRIP || mode === WebGLConstants.TRIANGLE_FAN)) {
+            return false;
+        }
+        let float = true;
+        forEachTransformedAccessor(primitive, function(attributes, semantic) {
+            float = float && gltf.accessors[attributes[semantic]].componentType === WebGLConstants.FLOAT;
+        });
+        return float;
+    });
+}
+
+// Returns the id of the mesh to use for each world transform of each baked mesh
+function getTransformedMeshes(context, sceneRoots) {
+    const gltf = context.gltf;
+    const meshMatrices = {};
+    const bakedNodes = {};
+    sceneRoots.forEach(function(roots) {
+        roots.forEach(function(root) {
+            if (root.baked) {
+                const meshId = gltf.nodes[root.nodeId].mesh;
+                const matrices = meshMatrices[meshId] = defaultValue(meshMatrices[meshId], {});
+                matrices[getMatrixKey(root.matrix)] = root.matrix;
+                bakedNodes[root.nodeId] = true;
+            }
+        });
+    });
+
+    // Meshes that are still used without a baked transform are not modified
+    const usedMeshes = {};
+    ForEach.node(gltf, function(node, nodeId) {
+        if (defined(node.mesh) && !bakedNodes[nodeId]) {
+            usedMeshes[node.mesh] = true;
+        }
+    });
+
+    const meshIds = {};
+    Object.keys(meshMatrices).forEach(function(meshId) {
+        const matrices = meshMatrices[meshId];
+        const ids = meshIds[meshId] = {};
+        const identityKey = getMatrixKey(Matrix4.IDENTITY);
+        const original = clone(gltf.meshes[meshId], true);
+        if (defined(matrices[identityKey])) {
+            ids[identityKey] = Number(meshId);
+            usedMeshes[meshId] = true;
+        }
+        Object.keys(matrices).forEach(function(key) {
+            if (key === identityKey) {
+                return;
+            }
+            let mesh = gltf.meshes[meshId];
+            if (usedMeshes[meshId]) {
+                mesh = clone(original, true);
+                ids[key] = addToArray(gltf.meshes, mesh);
+            } else {
+                ids[key] = Number(meshId);
+                usedMeshes[meshId] = true;
+            }
+            transformMesh(context, mesh, matrices[key]);
+        });
+    });
+    return meshIds;
+}
+
+function transformMesh(context, mesh, matrix) {
+    const matrixKey = getMatrixKey(matrix);
+    const transforms = {
+        matrix: matrix,
+        linear: Matrix4.getMatrix3(matrix, new Matrix3()),
+        normal: Matrix3.transpose(Matrix3.inverse(Matrix4.getMatrix3(matrix, new Matrix3()), new Matrix3()), new Matrix3()),
+        sign: Math.sign(getDeterminant(matrix))
+    };
+    mesh.primitives.forEach(function(primitive) {
+        forEachTransformedAccessor(primitive, function(attributes, semantic, target) {
+            const accessorId = attributes[semantic];
+            const key = accessorId + ':' + semantic + ':' + target + ':' + matrixKey;
+            let transformedAccessorId = context.transformedAccessors[key];
+            if (!defined(transformedAccessorId)) {
+                transformedAccessorId = context.transformedAccessors[key] = transformAccessor(context.gltf, accessorId, semantic, target, transforms);
+            }
+            attributes[semantic] = transformedAccessorId;
+        });
+        if (transforms.sign < 0.0 && defaultValue(primitive.mode, WebGLConstants.TRIANGLES) === WebGLConstants.TRIANGLES) {
+            flipTriangles(context, primitive);
+        }
+    });
+}
+
+const scratchVector = new Cartesian3();
+
+function transformAccessor(gltf, accessorId, semantic, target, transforms) {
+    const accessor = gltf.accessors[accessorId];
+    const values = readAccessorPacked(gltf, accessor);
+    const numberOfComponents = numberOfComponentsForType(accessor.type);
+    const count = accessor.count;
+    for (let i = 0; i < count; ++i) {
+        const offset = i * numberOfComponents;
+        const vector = Cartesian3.unpack(values, offset, scratchVector);
+        if (semantic === 'POSITION' && !target) {
+            Matrix4.multiplyByPoint(transforms.matrix, vector, vector);
+        } else if (semantic === 'NORMAL') {
+            Matrix3.multiplyByVector(transforms.normal, vector, vector);
+        } else {
+            // Morph target positions are displacements, which aren't translated
+            Matrix3.multiplyByVector(transforms.linear, vector, vector);
+        }
+        if (!target && semantic !== 'POSITION' && !Cartesian3.equals(vector, Cartesian3.ZERO)) {
+            Cartesian3.normalize(vector, vector);
+        }
+        Cartesian3.pack(vector, values, offset);
+        if (numberOfComponents === 4) {
+            // Mirroring transforms flip the handedness of the tangent space
+            values[offset + 3] *= transforms.sign;
+        }
+    }
+
+    const transformedAccessor = {
+        componentType: accessor.componentType,
+        type: accessor.type
+    };
+    if (defined(accessor.name)) {
+        transformedAccessor.name = accessor.name;
+    }
+    writeAccessorPacked(gltf, transformedAccessor, values, WebGLConstants.ARRAY_BUFFER);
+    return addToArray(gltf.accessors, transformedAccessor);
+}
+
+function flipTriangles(context, primitive) {
+    const gltf = context.gltf;
+    const key = defined(primitive.indices) ? primitive.indices : 'POSITION:' + primitive.attributes.POSITION;
+    let indicesAccessorId = context.flippedIndices[key];
+    if (!defined(indicesAccessorId)) {
+        const indices = readPrimitiveIndices(gltf, primitive);
+        const length = indices.length - indices.length % 3;
+        for (let i = 0; i < length; i += 3) {
+            const index = indices[i + 1];
+            indices[i + 1] = indices[i + 2];
+            indices[i + 2] = index;
+        }
+        const componentType = defined(primitive.indices) ? gltf.accessors[primitive.indices].componentType : getIndicesComponentType(indices.length);
+        const indicesAccessor = {
+            componentType: componentType,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        indicesAccessorId = context.flippedIndices[key] = addToArray(gltf.accessors, indicesAccessor);
+    }
+    primitive.indices = indicesAccessorId;
+}
@@ -0,0 +1,226 @@
+'use strict';
+const Cesium = require('cesium');
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readAccessorPacked = require('./readAccessorPacked');
+const simplifyTriangles = require('./simplifyTriangles');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const Check = Cesium.Check;
+const clone = Cesium.clone;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = generateLods;
+
+/**
+ * Generates levels of detail for meshes using the MSFT_lod extension.
+ * <p>
+ * Each level simplifies the triangles of the previous level with the same simplifier as {@link simplifyMeshes}. The meshes of
+ * all levels share the vertex attributes of the original mesh and only have their own indices. For each node referencing a
+ * simplified mesh, a node for each level is added and referenced by the MSFT_lod extension of the node, and the screen coverage
+ * at which each level is used is stored in <code>node.extras.MSFT_screencoverage</code>. Levels stop being generated for a mesh
+ * once its triangles can't be simplified further.
+ * </p>
+ * <p>
+ * Nodes that are animated or instanced and nodes that already have levels of detail are skipped, since the nodes of the
+ * levels would not follow their animation or instancing. Nodes with children are skipped as well, since a level would
+ * replace the whole subtree of the node and only the mesh of the node is simplified.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.lodOptions Options defining level of detail settings.
+ * @param {Number} [options.lodOptions.levels=2] The maximum number of levels to generate in addition to the original mesh.
+ * @param {Number} [options.lodOptions.ratio=0.5] The target number of triangles of each level as a fraction of the number of triangles of the previous level, between 0 and 1.
+ * @param {Number} [options.lodOptions.error=0.05] The maximum error of each level as a fraction of the size of each primitive.
+ * @param {Number} [options.lodOptions.coverage=0.5] The screen coverage below which the first level is used. Each following level is used below the coverage of the previous level multiplied by this value.
+ * @returns {Object} The glTF asset with levels of detail.
+ *
+ * @private
+ */
+function generateLods(gltf, options) {
+    options = defaultValue(options, {});
+    const lodOptions = defaultValue(options.lodOptions, {});
+    const defaults = generateLods.defaults;
+    const levels = defaultValue(lodOptions.levels, defaults.levels);
+    const ratio = defaultValue(lodOptions.ratio, defaults.ratio);
+    const error = defaultValue(lodOptions.error, defaults.error);
+    const coverage = defaultValue(lodOptions.coverage, defaults.coverage);
+
+    Check.typeOf.number.greaterThanOrEquals('levels', levels, 1);
+    if (!Number.isInteger(levels)) {
+        throw new DeveloperError('levels must be an integer.');
+    }
+    Check.typeOf.number.greaterThanOrEquals('ratio', ratio, 0.0);
+    Check.typeOf.number.lessThanOrEquals('ratio', ratio, 1.0);
+    Check.typeOf.number.greaterThanOrEquals('error', error, 0.0);
+    Check.typeOf.number.greaterThan('coverage', coverage, 0.0);
+    Check.typeOf.number.lessThan('coverage', coverage, 1.0);
+
+    const readablePrimitives = [];
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        group.primitives.forEach(function(primitive) {
+            readablePrimitives.push(primitive);
+        });
+    });
+
+    const skippedNodes = getSkippedNodes(gltf);
+    const meshLods = {};
+    let generated = false;
+
+    const nodesLength = defined(gltf.nodes) ? gltf.nodes.length : 0;
+    for (let nodeId = 0; nodeId < nodesLength; ++nodeId) {
+        const node = gltf.nodes[nodeId];
+        if (!defined(node.mesh) || skippedNodes[nodeId]) {
+            continue;
+        }
+        let lodMeshes = meshLods[node.mesh];
+        if (!defined(lodMeshes)) {
+            lodMeshes = meshLods[node.mesh] = generateMeshLods(gltf, node.mesh, readablePrimitives, levels, ratio, error);
+        }
+        if (lodMeshes.length === 0) {
+            continue;
+        }
+
+        const screenCoverage = [];
+        const ids = lodMeshes.map(function(meshId, level) {
+            screenCoverage.push(Math.pow(coverage, level + 1));
+            return addToArray(gltf.nodes, createLodNode(node, meshId, level + 1));
+        });
+        // The last level is used down to a screen coverage of zero
+        screenCoverage.push(0.0);
+
+        node.extensions = defaultValue(node.extensions, {});
+        node.extensions.MSFT_lod = {
+            ids: ids
+        };
+        node.extras = defaultValue(node.extras, {});
+        node.extras.MSFT_screencoverage = screenCoverage;
+        generated = true;
+    }
+
+    if (generated) {
+        addExtensionsUsed(gltf, 'MSFT_lod');
+    }
+
+    return gltf;
+}
+
+function getSkippedNodes(gltf) {
+    const skippedNodes = {};
+    ForEach.animation(gltf, function(animation) {
+        ForEach.animationChannel(animation, function(channel) {
+            if (defined(channel.target) && defined(channel.target.node)) {
+                skippedNodes[channel.target.node] = true;
+            }
+        });
+    });
+    ForEach.node(gltf, function(node, nodeId) {
+        const extensions = node.extensions;
+        if (defined(extensions) && (defined(extensions.MSFT_lod) || defined(extensions.EXT_mesh_gpu_instancing))) {
+            skippedNodes[nodeId] = true;
+        }
+        if (defined(node.children) && node.children.length > 0) {
+            skippedNodes[nodeId] = true;
+        }
+    });
+    return skippedNodes;
+}
+
+function createLodNode(node, meshId, level) {
+    const lodNode = {
+        mesh: meshId
+    };
+    if (defined(node.name)) {
+        lodNode.name = node.name + '_LOD' + level;
+    }
+    const properties = ['skin', 'weights', 'matrix', 'translation', 'rotation', 'scale'];
+    properties.forEach(function(property) {
+        if (defined(node[property])) {
+            lodNode[property] = clone(node[property], true);
+        }
+    });
+    return lodNode;
+}
+
+function isSimplifiable(gltf, primitive, readablePrimitives) {
+    return defined(primitive.attributes.POSITION) &&
+        defined(primitive.indices) &&
+        defaultValue(primitive.mode, WebGLConstants.TRIANGLES) === WebGLConstants.TRIANGLES &&
+        readablePrimitives.indexOf(primitive) !== -1;
+}
+
+function generateMeshLods(gltf, meshId, readablePrimitives, levels, ratio, error) {
+    const mesh = gltf.meshes[meshId];
+    const primitives = mesh.primitives;
+    const positions = primitives.map(function(primitive) {
+        if (isSimplifiable(gltf, primitive, readablePrimitives)) {
+            return readAccessorPacked(gltf, gltf.accessors[primitive.attributes.POSITION]);
+        }
+        return undefined;
+    });
+    let primitiveIndices = primitives.map(function(primitive, i) {
+        if (defined(positions[i])) {
+            return readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        }
+        return undefined;
+    });
+
+    const lodMeshes = [];
+    for (let level = 0; level < levels; ++level) {
+        const lodIndices = simplifyLevel(positions, primitiveIndices, ratio, error);
+        if (!defined(lodIndices)) {
+            break;
+        }
+        lodMeshes.push(addToArray(gltf.meshes, createLodMesh(gltf, mesh, lodIndices, level + 1)));
+        primitiveIndices = lodIndices;
+    }
+    return lodMeshes;
+}
+
+// Returns the simplified indices of each primitive, or undefined if none of the primitives can be simplified further
+function simplifyLevel(positions, primitiveIndices, ratio, error) {
+    let simplified = false;
+    const lodIndices = primitiveIndices.map(function(indices, i) {
+        if (!defined(indices)) {
+            return undefined;
+        }
+        const result = simplifyTriangles(positions[i], indices, ratio, error);
+        simplified = simplified || result.length < indices.length;
+        return result;
+    });
+    return simplified ? lodIndices : undefined;
+}
+
+function createLodMesh(gltf, mesh, lodIndices, level) {
+    const lodMesh = clone(mesh, true);
+    if (defined(lodMesh.name)) {
+        lodMesh.name += '_LOD' + level;
+    }
+    lodMesh.primitives.forEach(function(primitive, i) {
+        const indices = lodIndices[i];
+        if (!defined(indices)) {
+            return;
+        }
+        // The vertex attributes are shared with the original mesh
+        const indicesAccessor = {
+            componentType: gltf.accessors[primitive.indices].componentType,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        primitive.indices = addToArray(gltf.accessors, indicesAccessor);
+    });
+    return lodMesh;
+}
+
+generateLods.defaults = {
+    levels: 2,
+    ratio: 0.5,
+    error: 0.05,
+    coverage: 0.5
+};
@@ -0,0 +1,160 @@
+'use strict';
+const Cesium = require('cesium');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readAccessorPacked = require('./readAccessorPacked');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const setCornerAttribute = require('./setCornerAttribute');
+
+const Cartesian3 = Cesium.Cartesian3;
+const Check = Cesium.Check;
+const CesiumMath = Cesium.Math;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = generateNormals;
+
+/**
+ * Generates the NORMAL attribute of triangle primitives that don't have one.
+ * <p>
+ * Smooth normals are the area weighted average of the normals of the triangles around a position, including triangles
+ * of other primitives that share the vertices and triangles whose vertices have the same position but different texture
+ * coordinates. Only triangles whose normals differ from each other by less than the crease angle are averaged, and vertices
+ * on creases are split. Flat normals are the normals of the triangles.
+ * </p>
+ * <p>
+ * Primitives that are compressed with Draco or meshopt, that use sparse accessors, or that share only some of their attributes with
+ * other primitives are skipped, as are groups of primitives that share vertices with primitives of other modes.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.normalsOptions Options defining normal generation settings.
+ * @param {Boolean} [options.normalsOptions.flat=false] Generate flat normals instead of smooth normals.
+ * @param {Number} [options.normalsOptions.creaseAngle=180] The angle in degrees between the normals of two triangles above which their shared vertices are not smoothed. A value of 180 smooths all triangles.
+ * @param {Boolean} [options.normalsOptions.force=false] Replace the normals of primitives that already have them.
+ * @returns {Object} The glTF asset with generated normals.
+ *
+ * @private
+ */
+function generateNormals(gltf, options) {
+    options = defaultValue(options, {});
+    const normalsOptions = defaultValue(options.normalsOptions, {});
+    const defaults = generateNormals.defaults;
+    const flat = defaultValue(normalsOptions.flat, defaults.flat);
+    const creaseAngle = defaultValue(normalsOptions.creaseAngle, defaults.creaseAngle);
+    const force = defaultValue(normalsOptions.force, defaults.force);
+
+    Check.typeOf.number.greaterThanOrEquals('creaseAngle', creaseAngle, 0.0);
+    Check.typeOf.number.lessThanOrEquals('creaseAngle', creaseAngle, 180.0);
+
+    // Flat normals are smooth normals that are never averaged. The epsilon keeps triangles at exactly the crease angle averaged.
+    const minimumCosine = flat ? 2.0 : Math.cos(CesiumMath.toRadians(creaseAngle)) - CesiumMath.EPSILON10;
+
+    let generated = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        const primitives = group.primitives;
+        const attributes = primitives[0].attributes;
+        const triangles = primitives.every(function(primitive) {
+            return defaultValue(primitive.mode, WebGLConstants.TRIANGLES) === WebGLConstants.TRIANGLES;
+        });
+        if (!triangles || !defined(attributes.POSITION) || (defined(attributes.NORMAL) && !force)) {
+            return;
+        }
+        generatePrimitiveNormals(gltf, group, minimumCosine);
+        generated = true;
+    });
+
+    if (generated) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+const scratchA = new Cartesian3();
+const scratchB = new Cartesian3();
+const scratchC = new Cartesian3();
+const scratchNormal = new Cartesian3();
+
+// Returns the normal of each triangle, scaled by twice the area of the triangle
+function getTriangleNormals(positions, indices) {
+    const triangleCount = Math.floor(indices.length / 3);
+    const normals = new Array(triangleCount);
+    for (let i = 0; i < triangleCount; ++i) {
+        const a = Cartesian3.unpack(positions, indices[i * 3] * 3, scratchA);
+        const b = Cartesian3.unpack(positions, indices[i * 3 + 1] * 3, scratchB);
+        const c = Cartesian3.unpack(positions, indices[i * 3 + 2] * 3, scratchC);
+        Cartesian3.subtract(b, a, b);
+        Cartesian3.subtract(c, a, c);
+        normals[i] = Cartesian3.cross(b, c, new Cartesian3());
+    }
+    return normals;
+}
+
+function getDirection(normal) {
+    const magnitude = Cartesian3.magnitude(normal);
+    if (magnitude === 0.0) {
+        return normal;
+    }
+    return Cartesian3.divideByScalar(normal, magnitude, new Cartesian3());
+}
+
+function generatePrimitiveNormals(gltf, group, minimumCosine) {
+    const primitives = group.primitives;
+    const positions = readAccessorPacked(gltf, gltf.accessors[primitives[0].attributes.POSITION]);
+    const primitiveIndices = primitives.map(function(primitive) {
+        return readPrimitiveIndices(gltf, primitive);
+    });
+
+    // Collect the triangles around each position, regardless of the other attributes of the vertices
+    const positionTriangles = {};
+    const primitiveTriangles = primitiveIndices.map(function(indices) {
+        return getTriangleNormals(positions, indices).map(function(normal, i) {
+            const triangle = {
+                normal: normal,
+                direction: getDirection(normal),
+                keys: []
+            };
+            for (let j = 0; j < 3; ++j) {
+                const vertex = indices[i * 3 + j];
+                const key = positions.slice(vertex * 3, vertex * 3 + 3).join(',');
+                positionTriangles[key] = defaultValue(positionTriangles[key], []);
+                positionTriangles[key].push(triangle);
+                triangle.keys.push(key);
+            }
+            return triangle;
+        });
+    });
+
+    const cornerValues = primitiveTriangles.map(function(triangles) {
+        const values = [];
+        triangles.forEach(function(triangle) {
+            triangle.keys.forEach(function(key) {
+                // The triangles are summed in the same order for each corner, so that corners with the same triangles get the same normal
+                const normal = Cartesian3.clone(Cartesian3.ZERO, scratchNormal);
+                positionTriangles[key].forEach(function(otherTriangle) {
+                    if (otherTriangle === triangle || Cartesian3.dot(triangle.direction, otherTriangle.direction) >= minimumCosine) {
+                        Cartesian3.add(normal, otherTriangle.normal, normal);
+                    }
+                });
+                if (Cartesian3.equals(normal, Cartesian3.ZERO)) {
+                    // Degenerate triangles still need a valid normal
+                    Cartesian3.clone(Cartesian3.UNIT_Z, normal);
+                }
+                Cartesian3.normalize(normal, normal);
+                values.push(normal.x, normal.y, normal.z);
+            });
+        });
+        return values;
+    });
+
+    setCornerAttribute(gltf, group, primitiveIndices, 'NORMAL', 'VEC3', cornerValues);
+}
+
+generateNormals.defaults = {
+    flat: false,
+    creaseAngle: 180.0,
+    force: false
+};
@@ -0,0 +1,125 @@
+'use strict';
+const Cesium = require('cesium');
+const mikktspace = require('mikktspace');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readAccessorPacked = require('./readAccessorPacked');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const setCornerAttribute = require('./setCornerAttribute');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = generateTangents;
+
+/**
+ * Generates the TANGENT attribute of triangle primitives whose material has a normal texture and that don't have one.
+ * <p>
+ * Tangents are generated for each primitive with the reference implementation of MikkTSpace, the tangent space used by most
+ * normal map bakers, along the texture coordinates of the normal texture. Vertices whose triangles get different tangents, such as
+ * vertices shared by triangles with mirrored texture coordinates, are split.
+ * </p>
+ * <p>
+ * Primitives need a NORMAL attribute, which can be generated with {@link generateNormals} first. Primitives that are compressed with Draco
+ * or meshopt, that use sparse accessors, or that share only some of their attributes with other primitives are skipped, as are groups of
+ * primitives that share vertices with primitives of other modes or whose normal textures use different texture coordinates.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.tangentsOptions Options defining tangent generation settings.
+ * @param {Boolean} [options.tangentsOptions.force=false] Replace the tangents of primitives that already have them.
+ * @returns {Object} The glTF asset with generated tangents.
+ *
+ * @private
+ */
+function generateTangents(gltf, options) {
+    options = defaultValue(options, {});
+    const tangentsOptions = defaultValue(options.tangentsOptions, {});
+    const force = defaultValue(tangentsOptions.force, generateTangents.defaults.force);
+
+    let generated = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        const primitives = group.primitives;
+        const attributes = primitives[0].attributes;
+        const triangles = primitives.every(function(primitive) {
+            return defaultValue(primitive.mode, WebGLConstants.TRIANGLES) === WebGLConstants.TRIANGLES;
+        });
+        const texcoordSemantic = getTexcoordSemantic(gltf, primitives);
+        if (!triangles || !defined(texcoordSemantic) || (defined(attributes.TANGENT) && !force)) {
+            return;
+        }
+        if (!defined(attributes.POSITION) || !defined(attributes.NORMAL) || !defined(attributes[texcoordSemantic])) {
+            return;
+        }
+        generatePrimitiveTangents(gltf, group, texcoordSemantic);
+        generated = true;
+    });
+
+    if (generated) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+// Returns the texture coordinates used by the normal textures of the primitives, or undefined if there are none or they differ
+function getTexcoordSemantic(gltf, primitives) {
+    const semantics = [];
+    primitives.forEach(function(primitive) {
+        if (!defined(primitive.material)) {
+            return;
+        }
+        const normalTexture = gltf.materials[primitive.material].normalTexture;
+        if (defined(normalTexture)) {
+            const semantic = 'TEXCOORD_' + defaultValue(normalTexture.texCoord, 0);
+            if (semantics.indexOf(semantic) === -1) {
+                semantics.push(semantic);
+            }
+        }
+    });
+    return semantics.length === 1 ? semantics[0] : undefined;
+}
+
+// Returns the value of each corner of each triangle in a contiguous array
+function getCornerValues(values, indices, numberOfComponents) {
+    const length = indices.length - indices.length % 3;
+    const cornerValues = new Float32Array(length * numberOfComponents);
+    for (let i = 0; i < length; ++i) {
+        for (let j = 0; j < numberOfComponents; ++j) {
+            cornerValues[i * numberOfComponents + j] = values[indices[i] * numberOfComponents + j];
+        }
+    }
+    return cornerValues;
+}
+
+function generatePrimitiveTangents(gltf, group, texcoordSemantic) {
+    const primitives = group.primitives;
+    const semantics = primitives[0].attributes;
+    const positions = readAccessorPacked(gltf, gltf.accessors[semantics.POSITION]);
+    const normals = readAccessorPacked(gltf, gltf.accessors[semantics.NORMAL]);
+    const texcoords = readAccessorPacked(gltf, gltf.accessors[semantics[texcoordSemantic]]);
+    const primitiveIndices = primitives.map(function(primitive) {
+        return readPrimitiveIndices(gltf, primitive);
+    });
+
+    const cornerValues = primitiveIndices.map(function(indices) {
+        const tangents = mikktspace.generateTangents(
+            getCornerValues(positions, indices, 3),
+            getCornerValues(normals, indices, 3),
+            getCornerValues(texcoords, indices, 2));
+        // MikkTSpace expects v to point up the texture while glTF texture coordinates point down
+        const length = tangents.length;
+        for (let i = 3; i < length; i += 4) {
+            tangents[i] = -tangents[i];
+        }
+        return Array.from(tangents);
+    });
+
+    setCornerAttribute(gltf, group, primitiveIndices, 'TANGENT', 'VEC4', cornerValues);
+}
+
+generateTangents.defaults = {
+    force: false
+};
@@ -0,0 +1,29 @@
+'use strict';
+const ForEach = require('./ForEach');
+
+module.exports = getAnimatedNodes;
+
+/**
+ * Gets the nodes whose translation, rotation, or scale is targeted by an animation. Animations that only target
+ * the morph target weights of a node are ignored.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} An object with a key for the id of each animated node.
+ *
+ * @private
+ */
+function getAnimatedNodes(gltf) {
+    const nodes = {};
+    ForEach.animation(gltf, function(animation) {
+        ForEach.animationChannel(animation, function(channel) {
+            const target = channel.target;
+            const nodeId = target.node;
+            const path = target.path;
+            // Ignore animations that target 'weights'
+            if (path === 'translation' || path === 'rotation' || path === 'scale') {
+                nodes[nodeId] = true;
+            }
+        });
+    });
+    return nodes;
+}
@@ -0,0 +1,394 @@
+'use strict';
+const Cesium = require('cesium');
+const findAccessorMinMax = require('./findAccessorMinMax');
+const ForEach = require('./ForEach');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const getImageDimensions = require('./getImageDimensions');
+const getImageExtension = require('./getImageExtension');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = getAssetInfo;
+
+const componentTypeNames = {};
+componentTypeNames[WebGLConstants.BYTE] = 'BYTE';
+componentTypeNames[WebGLConstants.UNSIGNED_BYTE] = 'UNSIGNED_BYTE';
+componentTypeNames[WebGLConstants.SHORT] = 'SHORT';
+componentTypeNames[WebGLConstants.UNSIGNED_SHORT] = 'UNSIGNED_SHORT';
+componentTypeNames[WebGLConstants.UNSIGNED_INT] = 'UNSIGNED_INT';
+componentTypeNames[WebGLConstants.FLOAT] = 'FLOAT';
+
+const modeNames = ['POINTS', 'LINES', 'LINE_LOOP', 'LINE_STRIP', 'TRIANGLES', 'TRIANGLE_STRIP', 'TRIANGLE_FAN'];
+
+// Extensions that reference an alternative image for a texture
+const textureSourceExtensions = ['KHR_texture_basisu', 'EXT_texture_webp'];
+
+/**
+ * Returns an object describing the contents of a glTF 2.0 asset.
+ * <p>
+ * Image formats and dimensions are read from <code>image.extras._pipeline.source</code> and animation durations from
+ * the accessor bounds or the buffer data, so the resources should be read with {@link readResources} first.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {AssetInfo} Object describing the glTF asset.
+ *
+ * @see AssetInfo
+ */
+function getAssetInfo(gltf) {
+    const asset = defaultValue(gltf.asset, {});
+    const info = new AssetInfo();
+    info.version = asset.version;
+    info.generator = asset.generator;
+    info.extensionsUsed = defaultValue(gltf.extensionsUsed, []).slice();
+    info.extensionsRequired = defaultValue(gltf.extensionsRequired, []).slice();
+    info.scenes = getScenes(gltf);
+    info.meshes = getMeshes(gltf);
+    info.materials = getMaterials(gltf);
+    info.textures = getTextures(gltf);
+    info.animations = getAnimations(gltf);
+    return info;
+}
+
+function getNodeTree(gltf, nodeId, visited) {
+    const node = gltf.nodes[nodeId];
+    const nodeInfo = {
+        node: nodeId,
+        name: node.name,
+        mesh: node.mesh,
+        children: []
+    };
+    // Guard against cycles in invalid assets
+    if (visited[nodeId]) {
+        return nodeInfo;
+    }
+    visited[nodeId] = true;
+    ForEach.object(node.children, function(childId) {
+        nodeInfo.children.push(getNodeTree(gltf, childId, visited));
+    });
+    return nodeInfo;
+}
+
+function getRootNodes(gltf) {
+    const childNodes = {};
+    ForEach.node(gltf, function(node) {
+        ForEach.object(node.children, function(childId) {
+            childNodes[childId] = true;
+        });
+    });
+    const rootNodes = [];
+    ForEach.node(gltf, function(node, nodeId) {
+        if (!childNodes[nodeId]) {
+            rootNodes.push(nodeId);
+        }
+    });
+    return rootNodes;
+}
+
+function getScenes(gltf) {
+    const scenes = [];
+    ForEach.scene(gltf, function(scene, sceneId) {
+        const visited = {};
+        scenes.push({
+            scene: sceneId,
+            name: scene.name,
+            nodes: defaultValue(scene.nodes, []).map(function(nodeId) {
+                return getNodeTree(gltf, nodeId, visited);
+            })
+        });
+    });
+
+    // Nodes are still shown when the asset does not define a scene
+    if (scenes.length === 0 && defined(gltf.nodes) && gltf.nodes.length > 0) {
+        const visited = {};
+        scenes.push({
+            scene: undefined,
+            name: undefined,
+            nodes: getRootNodes(gltf).map(function(nodeId) {
+                return getNodeTree(gltf, nodeId, visited);
+            })
+        });
+    }
+    return scenes;
+}
+
+function getAccessorInfo(accessor) {
+    return {
+        type: accessor.type,
+        componentType: defaultValue(componentTypeNames[accessor.componentType], accessor.componentType),
+        normalized: defaultValue(accessor.normalized, false),
+        count: accessor.count
+    };
+}
+
+function getMeshes(gltf) {
+    const meshes = [];
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        const primitives = [];
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            const attributes = [];
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId, semantic) {
+                const attributeInfo = getAccessorInfo(gltf.accessors[accessorId]);
+                attributeInfo.semantic = semantic;
+                attributes.push(attributeInfo);
+            });
+            const extensions = defaultValue(primitive.extensions, {});
+            primitives.push({
+                mode: modeNames[defaultValue(primitive.mode, WebGLConstants.TRIANGLES)],
+                attributes: attributes,
+                indices: defined(primitive.indices) ? getAccessorInfo(gltf.accessors[primitive.indices]) : undefined,
+                material: primitive.material,
+                targets: defaultValue(primitive.targets, []).length,
+                extensions: Object.keys(extensions)
+            });
+        });
+        meshes.push({
+            mesh: meshId,
+            name: mesh.name,
+            primitives: primitives
+        });
+    });
+    return meshes;
+}
+
+function getMaterialType(material) {
+    const extensions = defaultValue(material.extensions, {});
+    if (defined(extensions.KHR_materials_pbrSpecularGlossiness)) {
+        return 'pbrSpecularGlossiness';
+    } else if (defined(extensions.KHR_materials_unlit)) {
+        return 'unlit';
+    } else if (defined(extensions.KHR_techniques_webgl)) {
+        return 'techniques';
+    } else if (defined(extensions.KHR_materials_common)) {
+        return 'common';
+    }
+    return 'pbrMetallicRoughness';
+}
+
+function getMaterials(gltf) {
+    const materials = [];
+    ForEach.material(gltf, function(material, materialId) {
+        const textures = [];
+        forEachTextureInMaterial(material, function(textureId) {
+            textures.push(textureId);
+        });
+        materials.push({
+            material: materialId,
+            name: material.name,
+            type: getMaterialType(material),
+            alphaMode: defaultValue(material.alphaMode, 'OPAQUE'),
+            doubleSided: defaultValue(material.doubleSided, false),
+            textures: textures
+        });
+    });
+    return materials;
+}
+
+function getImageInfo(gltf, imageId) {
+    const image = gltf.images[imageId];
+    const imageInfo = {
+        image: imageId,
+        name: image.name,
+        format: undefined,
+        width: undefined,
+        height: undefined
+    };
+    const source = (defined(image.extras) && defined(image.extras._pipeline)) ? image.extras._pipeline.source : undefined;
+    if (defined(source)) {
+        try {
+            imageInfo.format = getImageExtension(source).substring(1);
+        } catch (e) {
+            // The image format is unknown
+        }
+        const dimensions = getImageDimensions(source);
+        if (defined(dimensions)) {
+            imageInfo.width = dimensions.width;
+            imageInfo.height = dimensions.height;
+        }
+    }
+    if (!defined(imageInfo.format) && defined(image.mimeType)) {
+        imageInfo.format = image.mimeType.substring(image.mimeType.indexOf('/') + 1);
+    }
+    return imageInfo;
+}
+
+function getTextures(gltf) {
+    const textures = [];
+    ForEach.texture(gltf, function(texture, textureId) {
+        const images = [];
+        if (defined(texture.source)) {
+            images.push(getImageInfo(gltf, texture.source));
+        }
+        const extensions = defaultValue(texture.extensions, {});
+        textureSourceExtensions.forEach(function(extensionName) {
+            if (defined(extensions[extensionName]) && defined(extensions[extensionName].source)) {
+                images.push(getImageInfo(gltf, extensions[extensionName].source));
+            }
+        });
+        textures.push({
+            texture: textureId,
+            name: texture.name,
+            sampler: texture.sampler,
+            images: images
+        });
+    });
+    return textures;
+}
+
+function getAnimations(gltf) {
+    const animations = [];
+    ForEach.animation(gltf, function(animation, animationId) {
+        let start = Number.POSITIVE_INFINITY;
+        let end = Number.NEGATIVE_INFINITY;
+        ForEach.animationSampler(animation, function(sampler) {
+            const accessor = gltf.accessors[sampler.input];
+            let min = accessor.min;
+            let max = accessor.max;
+            if (!defined(min) || !defined(max)) {
+                const minMax = findAccessorMinMax(gltf, accessor);
+                min = minMax.min;
+                max = minMax.max;
+            }
+            start = Math.min(start, min[0]);
+            end = Math.max(end, max[0]);
+        });
+        animations.push({
+            animation: animationId,
+            name: animation.name,
+            channels: defaultValue(animation.channels, []).length,
+            samplers: defaultValue(animation.samplers, []).length,
+            duration: (end >= start) ? end - start : 0
+        });
+    });
+    return animations;
+}
+
+/**
+ * Describes the contents of a glTF asset.
+ *
+ * @property {String} version The glTF version of the asset.
+ * @property {String} generator The tool that generated the asset.
+ * @property {String[]} extensionsUsed The extensions used by the asset.
+ * @property {String[]} extensionsRequired The extensions required to load the asset.
+ * @property {Object[]} scenes The scenes with their node trees.
+ * @property {Object[]} meshes The meshes with the semantics and component types of their attributes.
+ * @property {Object[]} materials The materials with their types and textures.
+ * @property {Object[]} textures The textures with the formats and dimensions of their images.
+ * @property {Object[]} animations The animations with their durations in seconds.
+ *
+ * @constructor
+ *
+ * @see getAssetInfo
+ */
+function AssetInfo() {
+    this.version = undefined;
+    this.generator = undefined;
+    this.extensionsUsed = [];
+    this.extensionsRequired = [];
+    this.scenes = [];
+    this.meshes = [];
+    this.materials = [];
+    this.textures = [];
+    this.animations = [];
+}
+
+function getLabel(type, index, name) {
+    let label = type;
+    if (defined(index)) {
+        label += ' ' + index;
+    }
+    if (defined(name)) {
+        label += ' "' + name + '"';
+    }
+    return label;
+}
+
+function getListString(list) {
+    return (list.length > 0) ? list.join(', ') : 'none';
+}
+
+function getNodeTreeString(nodeInfo, indent) {
+    let string = '\n' + indent + getLabel('Node', nodeInfo.node, nodeInfo.name);
+    if (defined(nodeInfo.mesh)) {
+        string += ' (mesh ' + nodeInfo.mesh + ')';
+    }
+    nodeInfo.children.forEach(function(child) {
+        string += getNodeTreeString(child, indent + '  ');
+    });
+    return string;
+}
+
+function getAccessorString(accessorInfo) {
+    return accessorInfo.type + ' ' + accessorInfo.componentType + (accessorInfo.normalized ? ' normalized' : '') + ' (' + accessorInfo.count + ')';
+}
+
+/**
+ * Creates a string describing the asset.
+ *
+ * @returns {String} A string describing the glTF asset.
+ */
+AssetInfo.prototype.toString = function() {
+    let string = 'Version: ' + defaultValue(this.version, 'unknown') +
+        '\nGenerator: ' + defaultValue(this.generator, 'unknown') +
+        '\nExtensions used: ' + getListString(this.extensionsUsed) +
+        '\nExtensions required: ' + getListString(this.extensionsRequired);
+
+    string += '\nScenes: ' + this.scenes.length;
+    this.scenes.forEach(function(sceneInfo) {
+        string += '\n  ' + (defined(sceneInfo.scene) ? getLabel('Scene', sceneInfo.scene, sceneInfo.name) : 'Nodes without a scene');
+        sceneInfo.nodes.forEach(function(nodeInfo) {
+            string += getNodeTreeString(nodeInfo, '    ');
+        });
+    });
+
+    string += '\nMeshes: ' + this.meshes.length;
+    this.meshes.forEach(function(meshInfo) {
+        string += '\n  ' + getLabel('Mesh', meshInfo.mesh, meshInfo.name);
+        meshInfo.primitives.forEach(function(primitiveInfo, primitiveId) {
+            string += '\n    Primitive ' + primitiveId + ': ' + primitiveInfo.mode;
+            if (defined(primitiveInfo.material)) {
+                string += ', material ' + primitiveInfo.material;
+            }
+            if (primitiveInfo.targets > 0) {
+                string += ', ' + primitiveInfo.targets + ' morph targets';
+            }
+            if (primitiveInfo.extensions.length > 0) {
+                string += ', ' + primitiveInfo.extensions.join(', ');
+            }
+            primitiveInfo.attributes.forEach(function(attributeInfo) {
+                string += '\n      ' + attributeInfo.semantic + ': ' + getAccessorString(attributeInfo);
+            });
+            if (defined(primitiveInfo.indices)) {
+                string += '\n      indices: ' + getAccessorString(primitiveInfo.indices);
+            }
+        });
+    });
+
+    string += '\nMaterials: ' + this.materials.length;
+    this.materials.forEach(function(materialInfo) {
+        string += '\n  ' + getLabel('Material', materialInfo.material, materialInfo.name) + ': ' + materialInfo.type + ', ' + materialInfo.alphaMode +
+            (materialInfo.doubleSided ? ', double sided' : '') + ', textures: ' + getListString(materialInfo.textures);
+    });
+
+    string += '\nTextures: ' + this.textures.length;
+    this.textures.forEach(function(textureInfo) {
+        const images = textureInfo.images.map(function(imageInfo) {
+            let imageString = 'image ' + imageInfo.image + ' ' + defaultValue(imageInfo.format, 'unknown');
+            if (defined(imageInfo.width)) {
+                imageString += ' ' + imageInfo.width + 'x' + imageInfo.height;
+            }
+            return imageString;
+        });
+        string += '\n  ' + getLabel('Texture', textureInfo.texture, textureInfo.name) + ': ' + getListString(images);
+    });
+
+    string += '\nAnimations: ' + this.animations.length;
+    this.animations.forEach(function(animationInfo) {
+        string += '\n  ' + getLabel('Animation', animationInfo.animation, animationInfo.name) + ': ' +
+            animationInfo.channels + ' channels, ' + animationInfo.samplers + ' samplers, ' + animationInfo.duration + ' seconds';
+    });
+
+    return string;
+};
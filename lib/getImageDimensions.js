@@ -0,0 +1,122 @@
+'use strict';
+const getImageExtension = require('./getImageExtension');
+
+module.exports = getImageDimensions;
+
+/**
+ * Get the dimensions of an image by reading its header.
+ *
+ * @param {Buffer} data The image data.
+ * @returns {Object|undefined} An object containing the <code>width</code> and <code>height</code> of the image, or undefined if the dimensions could not be read.
+ *
+ * @private
+ */
+function getImageDimensions(data) {
+    let extension;
+    try {
+        extension = getImageExtension(data);
+    } catch (e) {
+        return undefined;
+    }
+
+    try {
+        switch (extension) {
+            case '.png':
+                return getPngDimensions(data);
+            case '.jpg':
+                return getJpegDimensions(data);
+            case '.webp':
+                return getWebpDimensions(data);
+            case '.ktx2':
+                return getKtx2Dimensions(data);
+            case '.gif':
+                return getGifDimensions(data);
+            case '.bmp':
+                return getBmpDimensions(data);
+        }
+    } catch (e) {
+        // The header is truncated
+    }
+    return undefined;
+}
+
+function getPngDimensions(data) {
+    // The IHDR chunk is always first
+    return {
+        width: data.readUInt32BE(16),
+        height: data.readUInt32BE(20)
+    };
+}
+
+function isJpegStartOfFrame(marker) {
+    // SOF0 - SOF15, excluding DHT (0xC4), JPG (0xC8), and DAC (0xCC)
+    return marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+}
+
+function getJpegDimensions(data) {
+    let offset = 2;
+    const length = data.length;
+    while (offset + 4 <= length) {
+        if (data[offset] !== 0xFF) {
+            return undefined;
+        }
+        const marker = data[offset + 1];
+        if (marker === 0xFF) {
+            // Fill byte
+            offset++;
+            continue;
+        }
+        if (isJpegStartOfFrame(marker)) {
+            return {
+                width: data.readUInt16BE(offset + 7),
+                height: data.readUInt16BE(offset + 5)
+            };
+        }
+        offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return undefined;
+}
+
+function getWebpDimensions(data) {
+    // See https://developers.google.com/speed/webp/docs/riff_container
+    const chunkType = data.toString('ascii', 12, 16);
+    if (chunkType === 'VP8 ') {
+        return {
+            width: data.readUInt16LE(26) & 0x3FFF,
+            height: data.readUInt16LE(28) & 0x3FFF
+        };
+    } else if (chunkType === 'VP8L') {
+        const bits = data.readUInt32LE(21);
+        return {
+            width: (bits & 0x3FFF) + 1,
+            height: ((bits >> 14) & 0x3FFF) + 1
+        };
+    } else if (chunkType === 'VP8X') {
+        return {
+            width: data.readUIntLE(24, 3) + 1,
+            height: data.readUIntLE(27, 3) + 1
+        };
+    }
+    return undefined;
+}
+
+function getKtx2Dimensions(data) {
+    return {
+        width: data.readUInt32LE(20),
+        height: Math.max(data.readUInt32LE(24), 1)
+    };
+}
+
+function getGifDimensions(data) {
+    return {
+        width: data.readUInt16LE(6),
+        height: data.readUInt16LE(8)
+    };
+}
+
+function getBmpDimensions(data) {
+    return {
+        width: data.readInt32LE(18),
+        height: Math.abs(data.readInt32LE(22))
+    };
+}
@@ -0,0 +1,25 @@
+'use strict';
+const Cesium = require('cesium');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = getIndicesComponentType;
+
+/**
+ * Returns the smallest component type that can store the indices of a primitive.
+ * The largest value of each component type is reserved for primitive restart.
+ *
+ * @param {Number} vertexCount The number of vertices referenced by the indices.
+ * @returns {Number} WebGLConstants.UNSIGNED_BYTE, WebGLConstants.UNSIGNED_SHORT, or WebGLConstants.UNSIGNED_INT.
+ *
+ * @private
+ */
+function getIndicesComponentType(vertexCount) {
+    if (vertexCount <= 255) {
+        return WebGLConstants.UNSIGNED_BYTE;
+    }
+    if (vertexCount <= 65535) {
+        return WebGLConstants.UNSIGNED_SHORT;
+    }
+    return WebGLConstants.UNSIGNED_INT;
+}
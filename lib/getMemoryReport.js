@@ -0,0 +1,286 @@
+'use strict';
+const Cesium = require('cesium');
+const ForEach = require('./ForEach');
+const getImageDimensions = require('./getImageDimensions');
+const getImageExtension = require('./getImageExtension');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const getListOfElementsIdsInUse = removeUnusedElements.getListOfElementsIdsInUse;
+
+module.exports = getMemoryReport;
+
+/**
+ * Returns a report attributing the bytes of every buffer view to the element that references it.
+ * <p>
+ * Buffer views are attributed to mesh primitive attributes, indices, morph targets, Draco compressed data, skins,
+ * animation samplers, instancing attributes, images, and shaders. An accessor that is referenced by multiple elements
+ * is attributed to the first one. Buffer views shared by multiple elements are split in proportion to the data each element uses.
+ * Accessors and buffer views that {@link removeUnusedElements} would remove are reported as unused accessors and unused buffer views.
+ * </p>
+ * <p>
+ * The GPU memory of images is estimated from their dimensions as uncompressed RGBA8 textures with mipmaps, or
+ * one byte per pixel for KTX2 images which are transcoded to compressed formats. Images whose data is not loaded
+ * or whose header can't be read have no estimate.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {MemoryReport} Object containing the memory report of the glTF asset.
+ *
+ * @see MemoryReport
+ */
+function getMemoryReport(gltf) {
+    const entries = [];
+    const usedAccessorIds = getListOfElementsIdsInUse.accessor(gltf);
+    const usedBufferViewIds = getListOfElementsIdsInUse.bufferView(gltf);
+    const accessorEntries = {};
+    const bufferViewUsers = {};
+
+    function addEntry(type, path, name) {
+        const entry = new MemoryReportEntry(type, path, name);
+        entries.push(entry);
+        return entry;
+    }
+
+    function addBufferViewUser(bufferViewId, entry, byteLength) {
+        if (!defined(bufferViewId)) {
+            return;
+        }
+        bufferViewUsers[bufferViewId] = defaultValue(bufferViewUsers[bufferViewId], []);
+        bufferViewUsers[bufferViewId].push({
+            entry: entry,
+            byteLength: byteLength
+        });
+    }
+
+    function addAccessor(accessorId, type, path, name) {
+        if (!defined(accessorId) || defined(accessorEntries[accessorId])) {
+            return;
+        }
+        const accessor = gltf.accessors[accessorId];
+        const entry = addEntry(type, path, name);
+        accessorEntries[accessorId] = entry;
+
+        const elementByteLength = numberOfComponentsForType(accessor.type) * ComponentDatatype.getSizeInBytes(accessor.componentType);
+        addBufferViewUser(accessor.bufferView, entry, accessor.count * elementByteLength);
+
+        const sparse = accessor.sparse;
+        if (defined(sparse)) {
+            const indicesByteLength = sparse.count * ComponentDatatype.getSizeInBytes(sparse.indices.componentType);
+            addBufferViewUser(sparse.indices.bufferView, entry, indicesByteLength);
+            addBufferViewUser(sparse.values.bufferView, entry, sparse.count * elementByteLength);
+        }
+    }
+
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        ForEach.meshPrimitive(mesh, function(primitive, primitiveId) {
+            const primitivePath = '/meshes/' + meshId + '/primitives/' + primitiveId;
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId, semantic) {
+                addAccessor(accessorId, 'attribute', primitivePath + '/attributes/' + semantic, mesh.name);
+            });
+            ForEach.meshPrimitiveTarget(primitive, function(target, targetId) {
+                ForEach.meshPrimitiveTargetAttribute(target, function(accessorId, semantic) {
+                    addAccessor(accessorId, 'morphTarget', primitivePath + '/targets/' + targetId + '/' + semantic, mesh.name);
+                });
+            });
+            addAccessor(primitive.indices, 'indices', primitivePath + '/indices', mesh.name);
+
+            if (defined(primitive.extensions) && defined(primitive.extensions.KHR_draco_mesh_compression)) {
+                const bufferViewId = primitive.extensions.KHR_draco_mesh_compression.bufferView;
+                if (!defined(bufferViewUsers[bufferViewId])) {
+                    const entry = addEntry('draco', primitivePath + '/extensions/KHR_draco_mesh_compression', mesh.name);
+                    addBufferViewUser(bufferViewId, entry, gltf.bufferViews[bufferViewId].byteLength);
+                }
+            }
+        });
+    });
+
+    ForEach.skin(gltf, function(skin, skinId) {
+        addAccessor(skin.inverseBindMatrices, 'skin', '/skins/' + skinId + '/inverseBindMatrices', skin.name);
+    });
+
+    ForEach.animation(gltf, function(animation, animationId) {
+        ForEach.animationSampler(animation, function(sampler, samplerId) {
+            const samplerPath = '/animations/' + animationId + '/samplers/' + samplerId;
+            addAccessor(sampler.input, 'animation', samplerPath + '/input', animation.name);
+            addAccessor(sampler.output, 'animation', samplerPath + '/output', animation.name);
+        });
+    });
+
+    ForEach.node(gltf, function(node, nodeId) {
+        if (defined(node.extensions) && defined(node.extensions.EXT_mesh_gpu_instancing)) {
+            const attributes = node.extensions.EXT_mesh_gpu_instancing.attributes;
+            Object.keys(attributes).forEach(function(semantic) {
+                addAccessor(attributes[semantic], 'instancing', '/nodes/' + nodeId + '/extensions/EXT_mesh_gpu_instancing/attributes/' + semantic, node.name);
+            });
+        }
+    });
+
+    // Accessors that are not referenced are still attributed to themselves
+    ForEach.accessor(gltf, function(accessor, accessorId) {
+        if (!usedAccessorIds[accessorId]) {
+            addAccessor(accessorId, 'accessor', '/accessors/' + accessorId, accessor.name);
+        }
+    });
+
+    ForEach.image(gltf, function(image, imageId) {
+        const entry = addEntry('image', '/images/' + imageId, image.name);
+        const source = getImageSource(gltf, image);
+        if (defined(image.bufferView)) {
+            addBufferViewUser(image.bufferView, entry, gltf.bufferViews[image.bufferView].byteLength);
+        } else if (defined(source)) {
+            entry.byteLength = source.length;
+        }
+        if (defined(source)) {
+            entry.gpuByteLength = getTextureGpuByteLength(source);
+        }
+    });
+
+    ForEach.shader(gltf, function(shader, shaderId) {
+        const entry = addEntry('shader', '/shaders/' + shaderId, shader.name);
+        if (defined(shader.bufferView)) {
+            addBufferViewUser(shader.bufferView, entry, gltf.bufferViews[shader.bufferView].byteLength);
+        }
+    });
+
+    ForEach.bufferView(gltf, function(bufferView, bufferViewId) {
+        const users = bufferViewUsers[bufferViewId];
+        if (!usedBufferViewIds[bufferViewId] || !defined(users)) {
+            const entry = addEntry('unused', '/bufferViews/' + bufferViewId, bufferView.name);
+            entry.byteLength = bufferView.byteLength;
+            return;
+        }
+        distributeByteLength(bufferView.byteLength, users);
+    });
+
+    return new MemoryReport(entries);
+}
+
+function distributeByteLength(byteLength, users) {
+    let totalByteLength = 0;
+    users.forEach(function(user) {
+        totalByteLength += user.byteLength;
+    });
+
+    // The last user gets the remaining bytes so that every byte is attributed
+    let remainingByteLength = byteLength;
+    const length = users.length;
+    for (let i = 0; i < length; ++i) {
+        const user = users[i];
+        let userByteLength = remainingByteLength;
+        if (i < length - 1) {
+            userByteLength = (totalByteLength > 0) ? Math.floor(byteLength * user.byteLength / totalByteLength) : 0;
+        }
+        user.entry.byteLength += userByteLength;
+        remainingByteLength -= userByteLength;
+    }
+}
+
+function getImageSource(gltf, image) {
+    if (defined(image.extras) && defined(image.extras._pipeline) && defined(image.extras._pipeline.source)) {
+        return image.extras._pipeline.source;
+    }
+    if (defined(image.bufferView)) {
+        const bufferView = gltf.bufferViews[image.bufferView];
+        const buffer = gltf.buffers[bufferView.buffer];
+        if (defined(buffer.extras) && defined(buffer.extras._pipeline) && defined(buffer.extras._pipeline.source)) {
+            const byteOffset = defaultValue(bufferView.byteOffset, 0);
+            return buffer.extras._pipeline.source.slice(byteOffset, byteOffset + bufferView.byteLength);
+        }
+    }
+    return undefined;
+}
+
+function getTextureGpuByteLength(source) {
+    const dimensions = getImageDimensions(source);
+    if (!defined(dimensions)) {
+        return undefined;
+    }
+    const bytesPerPixel = (getImageExtension(source) === '.ktx2') ? 1 : 4;
+    // A full mipmap chain adds one third to the size of the base level
+    return Math.ceil(dimensions.width * dimensions.height * bytesPerPixel * 4 / 3);
+}
+
+/**
+ * Contains the bytes attributed to an element of a glTF asset.
+ *
+ * @property {String} type The type of the element, e.g. attribute, indices, morphTarget, draco, skin, animation, instancing, accessor, image, shader, or unused.
+ * @property {String} path The JSON pointer of the element in the glTF asset.
+ * @property {String} name The name of the mesh, skin, animation, node, accessor, image, shader, or buffer view the element belongs to.
+ * @property {Number} byteLength The number of bytes attributed to the element.
+ * @property {Number} gpuByteLength The estimated GPU memory of a decoded image, or undefined for other types.
+ *
+ * @constructor
+ *
+ * @see MemoryReport
+ */
+function MemoryReportEntry(type, path, name) {
+    this.type = type;
+    this.path = path;
+    this.name = name;
+    this.byteLength = 0;
+    this.gpuByteLength = undefined;
+}
+
+/**
+ * Contains the memory report of a glTF asset.
+ *
+ * @property {MemoryReportEntry[]} entries The entries of the report sorted by byte length in descending order.
+ * @property {Number} byteLength The total number of bytes attributed to entries.
+ * @property {Number} gpuByteLength The total estimated GPU memory of the images.
+ *
+ * @constructor
+ *
+ * @see getMemoryReport
+ */
+function MemoryReport(entries) {
+    entries.sort(function(a, b) {
+        return b.byteLength - a.byteLength;
+    });
+
+    let byteLength = 0;
+    let gpuByteLength = 0;
+    entries.forEach(function(entry) {
+        byteLength += entry.byteLength;
+        gpuByteLength += defaultValue(entry.gpuByteLength, 0);
+    });
+
+    this.entries = entries;
+    this.byteLength = byteLength;
+    this.gpuByteLength = gpuByteLength;
+}
+
+/**
+ * Creates a table listing the entries of the report.
+ *
+ * @returns {String} A string containing a table of the entries sorted by byte length.
+ */
+MemoryReport.prototype.toString = function() {
+    const rows = [['Bytes', 'GPU bytes', 'Type', 'Path', 'Name']];
+    this.entries.forEach(function(entry) {
+        rows.push([
+            String(entry.byteLength),
+            defined(entry.gpuByteLength) ? String(entry.gpuByteLength) : '',
+            entry.type,
+            entry.path,
+            defaultValue(entry.name, '')
+        ]);
+    });
+    rows.push([String(this.byteLength), String(this.gpuByteLength), 'total', '', '']);
+
+    const widths = rows[0].map(function(header, column) {
+        return Math.max.apply(null, rows.map(function(row) {
+            return row[column].length;
+        }));
+    });
+
+    return rows.map(function(row) {
+        return row.map(function(value, column) {
+            // Right-align the numeric columns
+            return (column < 2) ? value.padStart(widths[column]) : value.padEnd(widths[column]);
+        }).join('  ').trimEnd();
+    }).join('\n');
+};
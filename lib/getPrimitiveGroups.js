@@ -0,0 +1,105 @@
+'use strict';
+const Cesium = require('cesium');
+const ForEach = require('./ForEach');
+
+const defined = Cesium.defined;
+
+module.exports = getPrimitiveGroups;
+
+/**
+ * Groups mesh primitives by the vertex attribute and morph target accessors they reference, so that
+ * stages can rewrite the vertices of primitives that share them.
+ * <p>
+ * Groups are left out when any of their primitives are compressed with Draco, use sparse or meshopt compressed accessors,
+ * or share only some of their accessors with primitives of another group. Sparse accessors can be replaced with
+ * {@link densifyAccessors} first.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object[]} An array of groups, each with the <code>accessorIds</code> of the vertices and the <code>primitives</code> that reference them.
+ *
+ * @private
+ */
+function getPrimitiveGroups(gltf) {
+    const groups = {};
+    const keys = [];
+    const accessorGroups = {};
+    const excludedGroups = {};
+
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            const accessorIds = getVertexAccessors(primitive);
+            const key = accessorIds.slice().sort().join(',');
+            let group = groups[key];
+            if (!defined(group)) {
+                group = groups[key] = {
+                    accessorIds: accessorIds,
+                    primitives: []
+                };
+                keys.push(key);
+            }
+            group.primitives.push(primitive);
+
+            if (!isPrimitiveReadable(gltf, primitive, accessorIds)) {
+                excludedGroups[key] = true;
+            }
+
+            // Accessors shared with primitives that reference other accessors can't be rewritten
+            accessorIds.forEach(function(accessorId) {
+                const accessorGroup = accessorGroups[accessorId];
+                if (defined(accessorGroup) && accessorGroup !== key) {
+                    excludedGroups[key] = true;
+                    excludedGroups[accessorGroup] = true;
+                }
+                accessorGroups[accessorId] = key;
+            });
+        });
+    });
+
+    return keys.filter(function(key) {
+        return !excludedGroups[key];
+    }).map(function(key) {
+        return groups[key];
+    });
+}
+
+function getVertexAccessors(primitive) {
+    const accessorIds = [];
+    function addAccessor(accessorId) {
+        if (accessorIds.indexOf(accessorId) === -1) {
+            accessorIds.push(accessorId);
+        }
+    }
+    ForEach.meshPrimitiveAttribute(primitive, addAccessor);
+    ForEach.meshPrimitiveTarget(primitive, function(target) {
+        ForEach.meshPrimitiveTargetAttribute(target, addAccessor);
+    });
+    return accessorIds;
+}
+
+function isAccessorReadable(gltf, accessorId) {
+    const accessor = gltf.accessors[accessorId];
+    if (defined(accessor.sparse)) {
+        return false;
+    }
+    if (!defined(accessor.bufferView)) {
+        return true;
+    }
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    return !defined(bufferView.extensions) || !defined(bufferView.extensions.EXT_meshopt_compression);
+}
+
+function isPrimitiveReadable(gltf, primitive, accessorIds) {
+    if (defined(primitive.extensions) && defined(primitive.extensions.KHR_draco_mesh_compression)) {
+        return false;
+    }
+    if (accessorIds.length === 0) {
+        return false;
+    }
+    if (defined(primitive.indices) && !isAccessorReadable(gltf, primitive.indices)) {
+        return false;
+    }
+    return accessorIds.every(function(accessorId) {
+        return isAccessorReadable(gltf, accessorId);
+    });
+}
@@ -1,15 +1,28 @@
 'use strict';
 const Cesium = require('cesium');
+const draco3d = require('draco3d');
 const ForEach = require('./ForEach');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
 
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 const isDataUri = Cesium.isDataUri;
+const RuntimeError = Cesium.RuntimeError;
 const WebGLConstants = Cesium.WebGLConstants;
 
+const decoderModule = draco3d.createDecoderModule({});
+
 module.exports = getStatistics;
 
 /**
  * Returns an object containing the statistics for the glTF asset.
+ * <p>
+ * Primitives compressed with the KHR_draco_mesh_compression extension are decoded when the compressed data is
+ * available in <code>buffer.extras._pipeline.source</code>, so that the rendered primitives reflect the decoded
+ * geometry instead of the accessor counts. Primitives whose compressed data can't be decoded are reported in
+ * <code>undecodableDracoPrimitives</code> and counted with their accessor counts instead.
+ * </p>
  *
  * @param {Object} gltf A javascript object containing a glTF asset.
  * @param {Number} [nodeId] If defined, statistics will only process number of draw calls and rendered primitives for the specified node.
@@ -20,14 +33,16 @@ module.exports = getStatistics;
 function getStatistics(gltf, nodeId) {
     const statistics = new Statistics();
 
+    const dracoStatistics = {};
+
     if (defined(nodeId)) {
-        const nodeDrawStats = getDrawCallStatisticsForNode(gltf, nodeId);
+        const nodeDrawStats = getDrawCallStatisticsForNode(gltf, nodeId, dracoStatistics);
         statistics.numberOfDrawCalls = nodeDrawStats.numberOfDrawCalls;
         statistics.numberOfRenderedPrimitives = nodeDrawStats.numberOfRenderedPrimitives;
         return statistics;
     }
 
-    const drawStats = getDrawCallStatistics(gltf);
+    const drawStats = getDrawCallStatistics(gltf, dracoStatistics);
 
     statistics.buffersByteLength = getBuffersByteLength(gltf);
     statistics.numberOfImages = defined(gltf.images) ? gltf.images.length : 0;
@@ -38,6 +53,20 @@ function getStatistics(gltf, nodeId) {
     statistics.numberOfMeshes = defined(gltf.meshes) ? gltf.meshes.length : 0;
     statistics.numberOfMaterials = defined(gltf.materials) ? gltf.materials.length : 0;
     statistics.numberOfAnimations = defined(gltf.animations) ? gltf.animations.length : 0;
+    statistics.dracoPrimitives = drawStats.dracoPrimitives;
+    statistics.undecodableDracoPrimitives = drawStats.undecodableDracoPrimitives;
+
+    // Primitives that share compressed data are only counted once
+    for (const bufferViewId in dracoStatistics) {
+        if (Object.prototype.hasOwnProperty.call(dracoStatistics, bufferViewId)) {
+            const primitiveStatistics = dracoStatistics[bufferViewId];
+            if (isDecoded(primitiveStatistics)) {
+                statistics.dracoCompressedByteLength += primitiveStatistics.compressedByteLength;
+                statistics.dracoUncompressedByteLength += primitiveStatistics.uncompressedByteLength;
+            }
+        }
+    }
+    statistics.dracoCompressionRatio = getCompressionRatio(statistics.dracoUncompressedByteLength, statistics.dracoCompressedByteLength);
 
     return statistics;
 }
@@ -70,7 +99,111 @@ function getNumberOfExternalRequests(gltf) {
     return count;
 }
 
-function getNumberOfRenderedPrimitives(gltf, primitive) {
+function getCompressionRatio(uncompressedByteLength, compressedByteLength) {
+    return (compressedByteLength > 0) ? uncompressedByteLength / compressedByteLength : 0;
+}
+
+function getBufferViewData(gltf, bufferViewId) {
+    const bufferView = gltf.bufferViews[bufferViewId];
+    const buffer = gltf.buffers[bufferView.buffer];
+    if (!defined(buffer.extras) || !defined(buffer.extras._pipeline) || !defined(buffer.extras._pipeline.source)) {
+        return undefined;
+    }
+    const source = buffer.extras._pipeline.source;
+    const byteOffset = defaultValue(bufferView.byteOffset, 0);
+    return new Int8Array(source.buffer, source.byteOffset + byteOffset, bufferView.byteLength);
+}
+
+function decodeDracoCounts(data) {
+    const decoder = new decoderModule.Decoder();
+    const dracoBuffer = new decoderModule.DecoderBuffer();
+    dracoBuffer.Init(data, data.length);
+
+    const geometryType = decoder.GetEncodedGeometryType(dracoBuffer);
+    if (geometryType !== decoderModule.TRIANGULAR_MESH) {
+        decoderModule.destroy(dracoBuffer);
+        decoderModule.destroy(decoder);
+        throw new RuntimeError('Compressed data is not a mesh.');
+    }
+    const dracoGeometry = new decoderModule.Mesh();
+    const decodingStatus = decoder.DecodeBufferToMesh(dracoBuffer, dracoGeometry);
+    const decoded = decodingStatus.ok() && dracoGeometry.ptr !== 0;
+    const errorMessage = decoded ? undefined : decodingStatus.error_msg();
+    const counts = decoded ? {
+        numberOfPoints: dracoGeometry.num_points(),
+        numberOfFaces: dracoGeometry.num_faces()
+    } : undefined;
+
+    decoderModule.destroy(dracoGeometry);
+    decoderModule.destroy(dracoBuffer);
+    decoderModule.destroy(decoder);
+
+    if (!decoded) {
+        throw new RuntimeError('Draco decoding failed: ' + errorMessage);
+    }
+    return counts;
+}
+
+function getUncompressedByteLength(gltf, primitive, numberOfPoints, numberOfFaces) {
+    let byteLength = 0;
+    const dracoAttributes = primitive.extensions.KHR_draco_mesh_compression.attributes;
+    for (const semantic in dracoAttributes) {
+        if (Object.prototype.hasOwnProperty.call(dracoAttributes, semantic)) {
+            const accessor = gltf.accessors[primitive.attributes[semantic]];
+            byteLength += numberOfPoints * numberOfComponentsForType(accessor.type) * ComponentDatatype.getSizeInBytes(accessor.componentType);
+        }
+    }
+
+    let indicesComponentType = (numberOfPoints < 65535) ? WebGLConstants.UNSIGNED_SHORT : WebGLConstants.UNSIGNED_INT;
+    if (defined(primitive.indices)) {
+        indicesComponentType = gltf.accessors[primitive.indices].componentType;
+    }
+    byteLength += numberOfFaces * 3 * ComponentDatatype.getSizeInBytes(indicesComponentType);
+    return byteLength;
+}
+
+function getDracoPrimitiveStatistics(gltf, primitive, dracoStatistics) {
+    if (!defined(primitive.extensions) || !defined(primitive.extensions.KHR_draco_mesh_compression)) {
+        return undefined;
+    }
+
+    const bufferViewId = primitive.extensions.KHR_draco_mesh_compression.bufferView;
+    if (!Object.prototype.hasOwnProperty.call(dracoStatistics, bufferViewId)) {
+        const data = getBufferViewData(gltf, bufferViewId);
+        let primitiveStatistics;
+        let counts;
+        try {
+            counts = defined(data) ? decodeDracoCounts(data) : undefined;
+        } catch (error) {
+            primitiveStatistics = {
+                errorMessage: error.message
+            };
+        }
+        if (defined(counts)) {
+            const compressedByteLength = data.length;
+            const uncompressedByteLength = getUncompressedByteLength(gltf, primitive, counts.numberOfPoints, counts.numberOfFaces);
+            primitiveStatistics = {
+                numberOfVertices: counts.numberOfPoints,
+                numberOfTriangles: counts.numberOfFaces,
+                compressedByteLength: compressedByteLength,
+                uncompressedByteLength: uncompressedByteLength,
+                compressionRatio: getCompressionRatio(uncompressedByteLength, compressedByteLength)
+            };
+        }
+        dracoStatistics[bufferViewId] = primitiveStatistics;
+    }
+    return dracoStatistics[bufferViewId];
+}
+
+function isDecoded(dracoPrimitiveStatistics) {
+    return defined(dracoPrimitiveStatistics) && !defined(dracoPrimitiveStatistics.errorMessage);
+}
+
+function getNumberOfRenderedPrimitives(gltf, primitive, dracoPrimitiveStatistics) {
+    if (isDecoded(dracoPrimitiveStatistics)) {
+        return dracoPrimitiveStatistics.numberOfTriangles;
+    }
+
     let count = 0;
     if (defined(primitive.indices)) {
         count = gltf.accessors[primitive.indices].count;
@@ -96,7 +229,7 @@ function getNumberOfRenderedPrimitives(gltf, primitive) {
     }
 }
 
-function getDrawCallStatisticsForNode(gltf, nodeId) {
+function getDrawCallStatisticsForNode(gltf, nodeId, dracoStatistics) {
     let numberOfDrawCalls = 0;
     let numberOfRenderedPrimitives = 0;
 
@@ -104,8 +237,9 @@ function getDrawCallStatisticsForNode(gltf, nodeId) {
         const mesh = gltf.meshes[node.mesh];
         if (defined(mesh)) {
             ForEach.meshPrimitive(mesh, function(primitive) {
+                const dracoPrimitiveStatistics = getDracoPrimitiveStatistics(gltf, primitive, dracoStatistics);
                 numberOfDrawCalls++;
-                numberOfRenderedPrimitives += getNumberOfRenderedPrimitives(gltf, primitive);
+                numberOfRenderedPrimitives += getNumberOfRenderedPrimitives(gltf, primitive, dracoPrimitiveStatistics);
             });
         }
     });
@@ -116,20 +250,34 @@ function getDrawCallStatisticsForNode(gltf, nodeId) {
     };
 }
 
-function getDrawCallStatistics(gltf) {
+function getDrawCallStatistics(gltf, dracoStatistics) {
     let numberOfDrawCalls = 0;
     let numberOfRenderedPrimitives = 0;
+    const dracoPrimitives = [];
+    const undecodableDracoPrimitives = [];
 
-    ForEach.mesh(gltf, function(mesh) {
-        ForEach.meshPrimitive(mesh, function(primitive) {
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        ForEach.meshPrimitive(mesh, function(primitive, primitiveId) {
+            const dracoPrimitiveStatistics = getDracoPrimitiveStatistics(gltf, primitive, dracoStatistics);
+            if (isDecoded(dracoPrimitiveStatistics)) {
+                dracoPrimitives.push(new DracoPrimitiveStatistics(meshId, primitiveId, dracoPrimitiveStatistics));
+            } else if (defined(dracoPrimitiveStatistics)) {
+                undecodableDracoPrimitives.push({
+                    mesh: meshId,
+                    primitive: primitiveId,
+                    errorMessage: dracoPrimitiveStatistics.errorMessage
+                });
+            }
             numberOfDrawCalls++;
-            numberOfRenderedPrimitives += getNumberOfRenderedPrimitives(gltf, primitive);
+            numberOfRenderedPrimitives += getNumberOfRenderedPrimitives(gltf, primitive, dracoPrimitiveStatistics);
         });
     });
 
     return {
         numberOfDrawCalls: numberOfDrawCalls,
-        numberOfRenderedPrimitives: numberOfRenderedPrimitives
+        numberOfRenderedPrimitives: numberOfRenderedPrimitives,
+        dracoPrimitives: dracoPrimitives,
+        undecodableDracoPrimitives: undecodableDracoPrimitives
     };
 }
 
@@ -145,6 +293,11 @@ function getDrawCallStatistics(gltf) {
  * @property {Number} numberOfMeshes The total number of meshes in the asset.
  * @property {Number} numberOfMaterials The total number of materials in the asset.
  * @property {Number} numberOfAnimations The total number of animations in the asset.
+ * @property {DracoPrimitiveStatistics[]} dracoPrimitives Statistics for each decoded Draco compressed primitive in the asset.
+ * @property {Object[]} undecodableDracoPrimitives The <code>mesh</code> and <code>primitive</code> indices and the <code>errorMessage</code> of each Draco compressed primitive whose data could not be decoded.
+ * @property {Number} dracoCompressedByteLength The total byte length of the decoded Draco compressed data.
+ * @property {Number} dracoUncompressedByteLength The total byte length of the decoded Draco data as uncompressed indices and attributes.
+ * @property {Number} dracoCompressionRatio The ratio of the uncompressed to the compressed byte length of the decoded Draco data.
  *
  * @constructor
  *
@@ -160,6 +313,11 @@ function Statistics() {
     this.numberOfMeshes = 0;
     this.numberOfMaterials = 0;
     this.numberOfAnimations = 0;
+    this.dracoPrimitives = [];
+    this.undecodableDracoPrimitives = [];
+    this.dracoCompressedByteLength = 0;
+    this.dracoUncompressedByteLength = 0;
+    this.dracoCompressionRatio = 0;
 }
 
 /**
@@ -176,5 +334,94 @@ Statistics.prototype.toString = function() {
         '\nMeshes: ' + this.numberOfMeshes +
         '\nMaterials: ' + this.numberOfMaterials +
         '\nAnimations: ' + this.numberOfAnimations +
-        '\nExternal requests (not data uris): ' + this.numberOfExternalRequests;
+        '\nExternal requests (not data uris): ' + this.numberOfExternalRequests +
+        getDracoString(this);
+};
+
+/**
+ * Creates an object containing the statistics that can be serialized to JSON.
+ *
+ * @returns {Object} An object containing the statistics for the glTF asset.
+ */
+Statistics.prototype.toJSON = function() {
+    return {
+        buffersByteLength: this.buffersByteLength,
+        numberOfImages: this.numberOfImages,
+        numberOfDrawCalls: this.numberOfDrawCalls,
+        numberOfRenderedPrimitives: this.numberOfRenderedPrimitives,
+        numberOfNodes: this.numberOfNodes,
+        numberOfMeshes: this.numberOfMeshes,
+        numberOfMaterials: this.numberOfMaterials,
+        numberOfAnimations: this.numberOfAnimations,
+        numberOfExternalRequests: this.numberOfExternalRequests,
+        dracoPrimitives: this.dracoPrimitives.map(function(primitive) {
+            return {
+                mesh: primitive.mesh,
+                primitive: primitive.primitive,
+                numberOfVertices: primitive.numberOfVertices,
+                numberOfTriangles: primitive.numberOfTriangles,
+                compressedByteLength: primitive.compressedByteLength,
+                uncompressedByteLength: primitive.uncompressedByteLength,
+                compressionRatio: primitive.compressionRatio
+            };
+        }),
+        undecodableDracoPrimitives: this.undecodableDracoPrimitives.map(function(primitive) {
+            return {
+                mesh: primitive.mesh,
+                primitive: primitive.primitive,
+                errorMessage: primitive.errorMessage
+            };
+        }),
+        dracoCompressedByteLength: this.dracoCompressedByteLength,
+        dracoUncompressedByteLength: this.dracoUncompressedByteLength,
+        dracoCompressionRatio: this.dracoCompressionRatio
+    };
 };
+
+function getDracoString(statistics) {
+    const dracoPrimitives = statistics.dracoPrimitives;
+    const undecodableDracoPrimitives = statistics.undecodableDracoPrimitives;
+    let string = '';
+    undecodableDracoPrimitives.forEach(function(primitive) {
+        string += '\nDraco compressed mesh ' + primitive.mesh + ' primitive ' + primitive.primitive + ' could not be decoded: ' + primitive.errorMessage;
+    });
+    if (dracoPrimitives.length === 0) {
+        return string;
+    }
+    string += '\nDraco compressed primitives: ' + dracoPrimitives.length +
+        '\nDraco compressed byte length: ' + statistics.dracoCompressedByteLength + ' bytes' +
+        '\nDraco uncompressed byte length: ' + statistics.dracoUncompressedByteLength + ' bytes' +
+        '\nDraco compression ratio: ' + statistics.dracoCompressionRatio.toFixed(2);
+    dracoPrimitives.forEach(function(primitive) {
+        string += '\n  Mesh ' + primitive.mesh + ' primitive ' + primitive.primitive + ': ' +
+            primitive.numberOfVertices + ' vertices, ' +
+            primitive.numberOfTriangles + ' triangles, ' +
+            primitive.compressedByteLength + '/' + primitive.uncompressedByteLength + ' bytes (ratio ' + primitive.compressionRatio.toFixed(2) + ')';
+    });
+    return string;
+}
+
+/**
+ * Contains statistics for a decoded Draco compressed primitive.
+ *
+ * @property {Number} mesh The index of the mesh.
+ * @property {Number} primitive The index of the primitive in the mesh.
+ * @property {Number} numberOfVertices The number of decoded vertices.
+ * @property {Number} numberOfTriangles The number of decoded triangles.
+ * @property {Number} compressedByteLength The byte length of the compressed data.
+ * @property {Number} uncompressedByteLength The byte length of the decoded indices and attributes.
+ * @property {Number} compressionRatio The ratio of the uncompressed to the compressed byte length.
+ *
+ * @constructor
+ *
+ * @see Statistics
+ */
+function DracoPrimitiveStatistics(meshId, primitiveId, primitiveStatistics) {
+    this.mesh = meshId;
+    this.primitive = primitiveId;
+    this.numberOfVertices = primitiveStatistics.numberOfVertices;
+    this.numberOfTriangles = primitiveStatistics.numberOfTriangles;
+    this.compressedByteLength = primitiveStatistics.compressedByteLength;
+    this.uncompressedByteLength = primitiveStatistics.uncompressedByteLength;
+    this.compressionRatio = primitiveStatistics.compressionRatio;
+}
@@ -0,0 +1,41 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = getTextureSlot;
+
+/**
+ * Gets the name of the material property that holds a texture info, such as <code>normalTexture</code> or <code>baseColorTexture</code>.
+ * Texture infos of the KHR_materials_common and KHR_techniques_webgl extensions are named by their value.
+ *
+ * @param {Object} material The glTF material.
+ * @param {Object} textureInfo A texture info of the material, as passed to the handler of {@link forEachTextureInMaterial}.
+ * @returns {String|undefined} The name of the property, or undefined if the texture info is not part of the material.
+ *
+ * @private
+ */
+function getTextureSlot(material, textureInfo) {
+    const extensions = defaultValue(material.extensions, {});
+    const containers = [material, material.pbrMetallicRoughness, extensions.KHR_materials_pbrSpecularGlossiness, material.values];
+    if (defined(extensions.KHR_materials_common)) {
+        containers.push(extensions.KHR_materials_common.values);
+    }
+    if (defined(extensions.KHR_techniques_webgl)) {
+        containers.push(extensions.KHR_techniques_webgl.values);
+    }
+    const length = containers.length;
+    for (let i = 0; i < length; ++i) {
+        const container = containers[i];
+        if (!defined(container)) {
+            continue;
+        }
+        for (const slot in container) {
+            if (Object.prototype.hasOwnProperty.call(container, slot) && container[slot] === textureInfo) {
+                return slot;
+            }
+        }
+    }
+    return undefined;
+}
@@ -25,7 +25,8 @@ function gltfToGlb(gltf, options) {
         .then(function(results) {
             return {
                 glb: getGlb(results.gltf, options.bufferStorage.buffer),
-                separateResources: results.separateResources
+                separateResources: results.separateResources,
+                statistics: results.statistics
             };
         });
 }
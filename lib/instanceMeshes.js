@@ -0,0 +1,263 @@
+'use strict';
+const Cesium = require('cesium');
+const addExtensionsUsed = require('./addExtensionsUsed');
+const addToArray = require('./addToArray');
+const ForEach = require('./ForEach');
+const getAnimatedNodes = require('./getAnimatedNodes');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const Cartesian3 = Cesium.Cartesian3;
+const Check = Cesium.Check;
+const CesiumMath = Cesium.Math;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const Matrix3 = Cesium.Matrix3;
+const Matrix4 = Cesium.Matrix4;
+const Quaternion = Cesium.Quaternion;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = instanceMeshes;
+
+/**
+ * Replaces sibling nodes that reference the same mesh with a single node that draws the mesh once for each of them using
+ * the EXT_mesh_gpu_instancing extension.
+ * <p>
+ * The transform of each sibling becomes the TRANSLATION, ROTATION, and SCALE of an instance, and the instanced node takes the place
+ * of the first sibling with no transform of its own. Attributes whose values are the same default for all instances are omitted.
+ * </p>
+ * <p>
+ * Nodes that are animated, skinned, have morph weights, cameras, extras, extensions, or children are not instanced, and neither
+ * are joints, nodes that are part of more than one scene, and nodes whose matrix has a shear that can't be expressed as a translation,
+ * rotation, and scale.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.instancingOptions Options defining instancing settings.
+ * @param {Number} [options.instancingOptions.minimumInstances=2] The minimum number of sibling nodes referencing a mesh for them to be instanced.
+ * @returns {Object} The glTF asset with instanced meshes.
+ *
+ * @private
+ */
+function instanceMeshes(gltf, options) {
+    options = defaultValue(options, {});
+    const instancingOptions = defaultValue(options.instancingOptions, {});
+    const minimumInstances = defaultValue(instancingOptions.minimumInstances, instanceMeshes.defaults.minimumInstances);
+
+    Check.typeOf.number.greaterThanOrEquals('minimumInstances', minimumInstances, 2);
+
+    const instanceableNodes = getInstanceableNodes(gltf);
+
+    // Group the instanceable nodes by their parent and mesh. Scene roots are grouped by scene.
+    const groups = {};
+    const keys = [];
+    function addNodes(nodeIds, containerKey) {
+        nodeIds.forEach(function(nodeId) {
+            const transform = instanceableNodes[nodeId];
+            if (!defined(transform)) {
+                return;
+            }
+            const groupKey = containerKey + ':' + gltf.nodes[nodeId].mesh;
+            if (!defined(groups[groupKey])) {
+                groups[groupKey] = {
+                    nodeIds: nodeIds,
+                    instances: []
+                };
+                keys.push(groupKey);
+            }
+            groups[groupKey].instances.push({
+                nodeId: nodeId,
+                transform: transform
+            });
+        });
+    }
+    ForEach.node(gltf, function(node, nodeId) {
+        if (defined(node.children)) {
+            addNodes(node.children, 'node:' + nodeId);
+        }
+    });
+    ForEach.scene(gltf, function(scene, sceneId) {
+        if (defined(scene.nodes)) {
+            addNodes(scene.nodes, 'scene:' + sceneId);
+        }
+    });
+
+    let instanced = false;
+    keys.forEach(function(key) {
+        const group = groups[key];
+        if (group.instances.length < minimumInstances) {
+            return;
+        }
+        instanceGroup(gltf, group);
+        instanced = true;
+    });
+
+    if (instanced) {
+        addExtensionsUsed(gltf, 'EXT_mesh_gpu_instancing');
+        removeUnusedElements(gltf, ['node']);
+    }
+
+    return gltf;
+}
+
+// Returns the translation, rotation, and scale of each node that can be instanced
+function getInstanceableNodes(gltf) {
+    const excludedNodes = getAnimatedNodes(gltf);
+    ForEach.skin(gltf, function(skin) {
+        if (defined(skin.skeleton)) {
+            excludedNodes[skin.skeleton] = true;
+        }
+        ForEach.skinJoint(skin, function(joint) {
+            excludedNodes[joint] = true;
+        });
+    });
+
+    // Nodes can only be replaced in a single parent or scene
+    const parentCounts = {};
+    function countParent(nodeId) {
+        parentCounts[nodeId] = defaultValue(parentCounts[nodeId], 0) + 1;
+    }
+    ForEach.node(gltf, function(node) {
+        defaultValue(node.children, []).forEach(countParent);
+    });
+    ForEach.scene(gltf, function(scene) {
+        defaultValue(scene.nodes, []).forEach(countParent);
+    });
+
+    const instanceableNodes = {};
+    ForEach.node(gltf, function(node, nodeId) {
+        const extended = defined(node.extensions) && Object.keys(node.extensions).length > 0;
+        const leaf = !defined(node.children) || node.children.length === 0;
+        if (!defined(node.mesh) || !leaf || extended || excludedNodes[nodeId] || parentCounts[nodeId] !== 1 ||
+            defined(node.skin) || defined(node.weights) || defined(node.camera) || defined(node.extras)) {
+            return;
+        }
+        const transform = getTransform(node);
+        if (defined(transform)) {
+            instanceableNodes[nodeId] = transform;
+        }
+    });
+    return instanceableNodes;
+}
+
+const scratchColumn = new Cartesian3();
+const scratchRotation = new Matrix3();
+const scratchMatrix = new Matrix4();
+
+// Returns the translation, rotation, and scale of the node, or undefined if its matrix can't be decomposed
+function getTransform(node) {
+    if (!defined(node.matrix)) {
+        return {
+            translation: defaultValue(node.translation, [0.0, 0.0, 0.0]),
+            rotation: defaultValue(node.rotation, [0.0, 0.0, 0.0, 1.0]),
+            scale: defaultValue(node.scale, [1.0, 1.0, 1.0])
+        };
+    }
+
+    const matrix = Matrix4.fromColumnMajorArray(node.matrix);
+    const linear = Matrix4.getMatrix3(matrix, scratchRotation);
+    const scale = Matrix3.getScale(linear, new Cartesian3());
+    if (Matrix3.determinant(linear) < 0.0) {
+        // Mirroring is expressed with a negative scale
+        scale.x = -scale.x;
+    }
+    if (scale.x === 0.0 || scale.y === 0.0 || scale.z === 0.0) {
+        return undefined;
+    }
+    const scales = Cartesian3.pack(scale, []);
+    for (let i = 0; i < 3; ++i) {
+        const column = Matrix3.getColumn(linear, i, scratchColumn);
+        Cartesian3.divideByScalar(column, scales[i], column);
+        Matrix3.setColumn(linear, i, column, linear);
+    }
+    const rotation = Quaternion.fromRotationMatrix(linear, new Quaternion());
+    Quaternion.normalize(rotation, rotation);
+    const translation = Matrix4.getTranslation(matrix, new Cartesian3());
+
+    // Matrices with shear can't be decomposed
+    const decomposed = Matrix4.fromTranslationQuaternionRotationScale(translation, rotation, scale, scratchMatrix);
+    for (let i = 0; i < 16; ++i) {
+        if (!CesiumMath.equalsEpsilon(decomposed[i], matrix[i], CesiumMath.EPSILON6, CesiumMath.EPSILON6)) {
+            return undefined;
+        }
+    }
+
+    return {
+        translation: Cartesian3.pack(translation, []),
+        rotation: Quaternion.pack(rotation, []),
+        scale: scales
+    };
+}
+
+function isDefaultValue(instances, name, defaultValues) {
+    return instances.every(function(instance) {
+        return instance.transform[name].every(function(value, i) {
+            return value === defaultValues[i];
+        });
+    });
+}
+
+function instanceGroup(gltf, group) {
+    const instances = group.instances;
+    const transforms = [{
+        semantic: 'TRANSLATION',
+        name: 'translation',
+        type: 'VEC3',
+        defaultValues: [0.0, 0.0, 0.0]
+    }, {
+        semantic: 'ROTATION',
+        name: 'rotation',
+        type: 'VEC4',
+        defaultValues: [0.0, 0.0, 0.0, 1.0]
+    }, {
+        semantic: 'SCALE',
+        name: 'scale',
+        type: 'VEC3',
+        defaultValues: [1.0, 1.0, 1.0]
+    }];
+    const attributes = {};
+    let instancedTransforms = transforms.filter(function(transform) {
+        return !isDefaultValue(instances, transform.name, transform.defaultValues);
+    });
+    if (instancedTransforms.length === 0) {
+        // Instances with identical transforms still need an attribute
+        instancedTransforms = transforms.slice(0, 1);
+    }
+    instancedTransforms.forEach(function(transform) {
+        const values = [];
+        instances.forEach(function(instance) {
+            instance.transform[transform.name].forEach(function(value) {
+                values.push(value);
+            });
+        });
+        const accessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: transform.type
+        };
+        writeAccessorPacked(gltf, accessor, values);
+        attributes[transform.semantic] = addToArray(gltf.accessors, accessor);
+    });
+
+    const node = gltf.nodes[instances[0].nodeId];
+    delete node.matrix;
+    delete node.translation;
+    delete node.rotation;
+    delete node.scale;
+    node.extensions = {
+        EXT_mesh_gpu_instancing: {
+            attributes: attributes
+        }
+    };
+
+    // The other nodes are removed from their parent and left empty, so that they are removed
+    instances.slice(1).forEach(function(instance) {
+        const nodeIds = group.nodeIds;
+        nodeIds.splice(nodeIds.indexOf(instance.nodeId), 1);
+        delete gltf.nodes[instance.nodeId].mesh;
+    });
+}
+
+instanceMeshes.defaults = {
+    minimumInstances: 2
+};
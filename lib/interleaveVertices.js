@@ -0,0 +1,102 @@
+'use strict';
+const Cesium = require('cesium');
+const addBuffer = require('./addBuffer');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = interleaveVertices;
+
+// The largest byte stride allowed by the glTF specification
+const maximumByteStride = 252;
+
+/**
+ * Interleaves the vertex attributes of each primitive into a single buffer view with a byte stride.
+ * <p>
+ * Each attribute starts at a multiple of 4 bytes within a vertex, as required by the glTF specification. Primitives that share
+ * vertices share the interleaved buffer view. Morph targets are not interleaved, and neither are attributes without a buffer view,
+ * vertices whose stride would exceed 252 bytes, and primitives that are compressed with Draco or meshopt, that use sparse accessors,
+ * or that share only some of their attributes with other primitives.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with interleaved vertex attributes.
+ *
+ * @private
+ */
+function interleaveVertices(gltf) {
+    let interleaved = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        const attributes = group.primitives[0].attributes;
+        const accessorIds = Object.keys(attributes).map(function(semantic) {
+            return attributes[semantic];
+        }).filter(function(accessorId) {
+            return defined(gltf.accessors[accessorId].bufferView);
+        });
+        interleaved = interleaveAccessors(gltf, accessorIds) || interleaved;
+    });
+
+    if (interleaved) {
+        removeUnusedElements(gltf, ['bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+function interleaveAccessors(gltf, accessorIds) {
+    if (accessorIds.length < 2) {
+        return false;
+    }
+    const accessors = accessorIds.map(function(accessorId) {
+        return gltf.accessors[accessorId];
+    });
+    const count = accessors[0].count;
+    const sameCount = accessors.every(function(accessor) {
+        return accessor.count === count;
+    });
+    if (!sameCount) {
+        return false;
+    }
+
+    let byteStride = 0;
+    const byteOffsets = accessors.map(function(accessor) {
+        const byteOffset = byteStride;
+        const elementByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType) * numberOfComponentsForType(accessor.type);
+        byteStride += Math.ceil(elementByteLength / 4) * 4;
+        return byteOffset;
+    });
+    if (byteStride > maximumByteStride) {
+        return false;
+    }
+
+    const buffer = new ArrayBuffer(count * byteStride);
+    accessors.forEach(function(accessor, i) {
+        const componentByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType);
+        const numberOfComponents = numberOfComponentsForType(accessor.type);
+        // Offsets and strides are multiples of 4, so they are multiples of the component size as well
+        const componentStride = byteStride / componentByteLength;
+        const componentOffset = byteOffsets[i] / componentByteLength;
+        const typedArray = ComponentDatatype.createArrayBufferView(accessor.componentType, buffer);
+        const values = readAccessorPacked(gltf, accessor);
+        for (let j = 0; j < count; ++j) {
+            for (let k = 0; k < numberOfComponents; ++k) {
+                typedArray[j * componentStride + componentOffset + k] = values[j * numberOfComponents + k];
+            }
+        }
+    });
+
+    const bufferViewId = addBuffer(gltf, Buffer.from(buffer));
+    const bufferView = gltf.bufferViews[bufferViewId];
+    bufferView.byteStride = byteStride;
+    bufferView.target = WebGLConstants.ARRAY_BUFFER;
+    accessors.forEach(function(accessor, i) {
+        accessor.bufferView = bufferViewId;
+        accessor.byteOffset = byteOffsets[i];
+    });
+    return true;
+}
@@ -0,0 +1,20 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defined = Cesium.defined;
+
+module.exports = isMeshoptFallbackBuffer;
+
+/**
+ * Checks whether the buffer is a fallback buffer of the EXT_meshopt_compression extension, which is not required to contain data.
+ *
+ * @param {Object} buffer A javascript object containing a glTF buffer.
+ * @returns {Boolean} True if the buffer is a fallback buffer, false otherwise.
+ *
+ * @private
+ */
+function isMeshoptFallbackBuffer(buffer) {
+    return defined(buffer.extensions) &&
+        defined(buffer.extensions.EXT_meshopt_compression) &&
+        buffer.extensions.EXT_meshopt_compression.fallback === true;
+}
@@ -2,6 +2,7 @@
 const BUFFER_MAX_BYTE_LENGTH = require('buffer').constants.MAX_LENGTH;
 const Cesium = require('cesium');
 const ForEach = require('./ForEach');
+const isMeshoptFallbackBuffer = require('./isMeshoptFallbackBuffer');
 
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
@@ -10,6 +11,7 @@ module.exports = mergeBuffers;
 
 /**
  * Merge all buffers. Buffers with the same extras._pipeline.mergedBufferName will be merged together.
+ * Data referenced by the EXT_meshopt_compression extension of a buffer view is merged as well.
  *
  * @param {Object} gltf A javascript object containing a glTF asset.
  * @param {String} [defaultName] The default name of the buffer data files.
@@ -36,72 +38,97 @@ function mergeBuffers(gltf, defaultName) {
     const mergedNameCount = {};
 
     ForEach.bufferView(gltf, function(bufferView) {
-        const buffer = gltf.buffers[bufferView.buffer];
-        let mergedName = buffer.extras._pipeline.mergedBufferName;
-        mergedName = defined(mergedName) ? baseBufferName + '-' + mergedName : baseBufferName;
-
-        if (splitBuffers) {
-            if (!defined(mergedNameCount[mergedName])) {
-                mergedNameCount[mergedName] = 0;
-            }
-            mergedName += '-' + mergedNameCount[mergedName]++;
-        }
-
-        if (!defined(buffersToMerge[mergedName])) {
-            buffersToMerge[mergedName] = {
-                buffers: [],
-                byteLength: 0,
-                index: Object.keys(buffersToMerge).length
-            };
-        }
-        const buffers = buffersToMerge[mergedName].buffers;
-        let byteLength = buffersToMerge[mergedName].byteLength;
-        const index = buffersToMerge[mergedName].index;
-
-        const sourceBufferViewData = Buffer.from(buffer.extras._pipeline.source.slice(bufferView.byteOffset, bufferView.byteOffset + bufferView.byteLength));
-        const bufferViewPadding = allocateBufferPadding(byteLength);
-        if (defined(bufferViewPadding)) {
-            buffers.push(bufferViewPadding);
-            byteLength += bufferViewPadding.byteLength;
+        mergeBufferViewData(gltf, bufferView, baseBufferName, splitBuffers, buffersToMerge, mergedNameCount);
+        if (defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression)) {
+            // The compressed data is stored in a different buffer than the fallback data
+            mergeBufferViewData(gltf, bufferView.extensions.EXT_meshopt_compression, baseBufferName, splitBuffers, buffersToMerge, mergedNameCount);
         }
-
-        bufferView.byteOffset = byteLength;
-        bufferView.buffer = index;
-
-        buffers.push(sourceBufferViewData);
-        byteLength += sourceBufferViewData.byteLength;
-
-        buffersToMerge[mergedName].byteLength = byteLength;
     });
 
-    const buffersLength = Object.keys(buffersToMerge).length;
+    // Buffers without data go last so that the first buffer can be stored in the glb binary chunk
+    const mergedNames = Object.keys(buffersToMerge).sort(function(a, b) {
+        return buffersToMerge[a].meshoptFallback - buffersToMerge[b].meshoptFallback || buffersToMerge[a].index - buffersToMerge[b].index;
+    });
+    const buffersLength = mergedNames.length;
     gltf.buffers = new Array(buffersLength);
 
-    for (const mergedName in buffersToMerge) {
-        if (Object.prototype.hasOwnProperty.call(buffersToMerge, mergedName)) {
-            const buffers = buffersToMerge[mergedName].buffers;
-            const byteLength = buffersToMerge[mergedName].byteLength;
-            const index = buffersToMerge[mergedName].index;
-            const bufferPadding = allocateBufferPadding(byteLength);
-            if (defined(bufferPadding)) {
-                buffers.push(bufferPadding);
+    for (let i = 0; i < buffersLength; ++i) {
+        const mergedName = mergedNames[i];
+        const buffersToMergeWithName = buffersToMerge[mergedName];
+        const buffers = buffersToMergeWithName.buffers;
+        const byteLength = buffersToMergeWithName.byteLength;
+        const bufferPadding = allocateBufferPadding(byteLength);
+        if (defined(bufferPadding)) {
+            buffers.push(bufferPadding);
+        }
+        const mergedSource = (buffers.length > 1) ? Buffer.concat(buffers) : buffers[0];
+        const mergedBuffer = {
+            name: mergedName,
+            byteLength: mergedSource.byteLength,
+            extras: {
+                _pipeline: {
+                    source: mergedSource
+                }
             }
-            const mergedSource = (buffers.length > 1) ? Buffer.concat(buffers) : buffers[0];
-            gltf.buffers[index] = {
-                name: mergedName,
-                byteLength: mergedSource.byteLength,
-                extras: {
-                    _pipeline: {
-                        source: mergedSource
-                    }
+        };
+        if (buffersToMergeWithName.meshoptFallback) {
+            mergedBuffer.extensions = {
+                EXT_meshopt_compression: {
+                    fallback: true
                 }
             };
         }
+        gltf.buffers[i] = mergedBuffer;
+
+        buffersToMergeWithName.bufferViewData.forEach(function(bufferViewData) {
+            bufferViewData.buffer = i;
+        });
     }
 
     return gltf;
 }
 
+function mergeBufferViewData(gltf, bufferViewData, baseBufferName, splitBuffers, buffersToMerge, mergedNameCount) {
+    const buffer = gltf.buffers[bufferViewData.buffer];
+    let mergedName = buffer.extras._pipeline.mergedBufferName;
+    mergedName = defined(mergedName) ? baseBufferName + '-' + mergedName : baseBufferName;
+
+    if (splitBuffers) {
+        if (!defined(mergedNameCount[mergedName])) {
+            mergedNameCount[mergedName] = 0;
+        }
+        mergedName += '-' + mergedNameCount[mergedName]++;
+    }
+
+    if (!defined(buffersToMerge[mergedName])) {
+        buffersToMerge[mergedName] = {
+            buffers: [],
+            byteLength: 0,
+            index: Object.keys(buffersToMerge).length,
+            meshoptFallback: true,
+            bufferViewData: []
+        };
+    }
+    const buffers = buffersToMerge[mergedName].buffers;
+    let byteLength = buffersToMerge[mergedName].byteLength;
+
+    const sourceBufferViewData = Buffer.from(buffer.extras._pipeline.source.slice(bufferViewData.byteOffset, bufferViewData.byteOffset + bufferViewData.byteLength));
+    const bufferViewPadding = allocateBufferPadding(byteLength);
+    if (defined(bufferViewPadding)) {
+        buffers.push(bufferViewPadding);
+        byteLength += bufferViewPadding.byteLength;
+    }
+
+    bufferViewData.byteOffset = byteLength;
+    buffersToMerge[mergedName].bufferViewData.push(bufferViewData);
+    buffersToMerge[mergedName].meshoptFallback = buffersToMerge[mergedName].meshoptFallback && isMeshoptFallbackBuffer(buffer);
+
+    buffers.push(sourceBufferViewData);
+    byteLength += sourceBufferViewData.byteLength;
+
+    buffersToMerge[mergedName].byteLength = byteLength;
+}
+
 function allocateBufferPadding(byteLength) {
     const alignment = byteLength & 3;
     if (alignment > 0) {
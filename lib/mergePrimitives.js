@@ -0,0 +1,253 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const flattenNodes = require('./flattenNodes');
+const ForEach = require('./ForEach');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const getStatistics = require('./getStatistics');
+const readAccessorPacked = require('./readAccessorPacked');
+const readPrimitiveIndices = require('./readPrimitiveIndices');
+const removeUnusedElements = require('./removeUnusedElements');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = mergePrimitives;
+
+/**
+ * Merges the primitives of the static nodes of each scene that can be drawn together into one primitive per material.
+ * <p>
+ * The node hierarchy is flattened with {@link flattenNodes} first, so that the transforms of static nodes are baked into their meshes.
+ * Primitives are merged when they have the same material and mode, and the same attribute semantics with the same accessor types and
+ * component types. The merged primitives are added to a new mesh in a new node at the root of the scene, and nodes whose primitives were
+ * all merged are removed.
+ * </p>
+ * <p>
+ * Primitives of nodes that are animated, skinned, have morph weights, cameras, extensions, or children are not merged, and neither are
+ * primitives with morph targets or extensions, strips, loops, and fans, and primitives that are compressed with Draco or meshopt or that use
+ * sparse accessors. When <code>options.stats</code> is set, the number of draw calls before and after merging is logged.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} [options] The same options object as {@link processGltf}
+ * @param {Boolean} [options.stats=false] Log the number of draw calls before and after merging.
+ * @param {Logger} [options.logger] A callback function for handling logged messages.
+ * @returns {Object} The glTF asset with merged primitives.
+ *
+ * @private
+ */
+function mergePrimitives(gltf, options) {
+    options = defaultValue(options, {});
+    let numberOfDrawCalls;
+    if (options.stats) {
+        numberOfDrawCalls = getStatistics(gltf).numberOfDrawCalls;
+    }
+
+    flattenNodes(gltf);
+
+    const readablePrimitives = [];
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        group.primitives.forEach(function(primitive) {
+            readablePrimitives.push(primitive);
+        });
+    });
+
+    const mergeableNodes = getMergeableNodes(gltf);
+    let merged = false;
+    ForEach.scene(gltf, function(scene) {
+        merged = mergeScene(gltf, scene, mergeableNodes, readablePrimitives) || merged;
+    });
+
+    if (merged) {
+        removeUnusedElements(gltf, ['node', 'mesh', 'accessor', 'bufferView', 'buffer']);
+    }
+
+    if (options.stats) {
+        options.logger('Draw calls before merging primitives: ' + numberOfDrawCalls);
+        options.logger('Draw calls after merging primitives: ' + getStatistics(gltf).numberOfDrawCalls);
+    }
+
+    return gltf;
+}
+
+// Returns the static root nodes whose meshes can be merged, which must be part of a single scene
+function getMergeableNodes(gltf) {
+    const sceneCounts = {};
+    ForEach.scene(gltf, function(scene) {
+        defaultValue(scene.nodes, []).forEach(function(nodeId) {
+            sceneCounts[nodeId] = defaultValue(sceneCounts[nodeId], 0) + 1;
+        });
+    });
+
+    const animatedNodes = {};
+    ForEach.animation(gltf, function(animation) {
+        ForEach.animationChannel(animation, function(channel) {
+            animatedNodes[channel.target.node] = true;
+        });
+    });
+
+    const mergeableNodes = {};
+    ForEach.node(gltf, function(node, nodeId) {
+        const transformed = defined(node.matrix) || defined(node.translation) || defined(node.rotation) || defined(node.scale);
+        const extended = defined(node.extensions) && Object.keys(node.extensions).length > 0;
+        if (sceneCounts[nodeId] === 1 && defined(node.mesh) && !transformed && !extended && !animatedNodes[nodeId] &&
+            !defined(node.skin) && !defined(node.weights) && !defined(node.camera) && !defined(node.children)) {
+            mergeableNodes[nodeId] = true;
+        }
+    });
+    return mergeableNodes;
+}
+
+function isPrimitiveMergeable(primitive, readablePrimitives) {
+    const mode = defaultValue(primitive.mode, WebGLConstants.TRIANGLES);
+    return readablePrimitives.indexOf(primitive) !== -1 &&
+        !defined(primitive.targets) &&
+        !defined(primitive.extensions) &&
+        mode !== WebGLConstants.TRIANGLE_STRIP &&
+        mode !== WebGLConstants.TRIANGLE_FAN &&
+        mode !== WebGLConstants.LINE_STRIP &&
+        mode !== WebGLConstants.LINE_LOOP;
+}
+
+function getPrimitiveKey(gltf, primitive) {
+    const attributes = primitive.attributes;
+    const semantics = Object.keys(attributes).sort().map(function(semantic) {
+        const accessor = gltf.accessors[attributes[semantic]];
+        return semantic + ':' + accessor.type + ':' + accessor.componentType + ':' + defaultValue(accessor.normalized, false);
+    });
+    return [primitive.material, defaultValue(primitive.mode, WebGLConstants.TRIANGLES)].concat(semantics).join(',');
+}
+
+function mergeScene(gltf, scene, mergeableNodes, readablePrimitives) {
+    const groups = {};
+    const keys = [];
+    const nodeIds = [];
+    defaultValue(scene.nodes, []).forEach(function(nodeId) {
+        if (!mergeableNodes[nodeId]) {
+            return;
+        }
+        nodeIds.push(nodeId);
+        ForEach.meshPrimitive(gltf.meshes[gltf.nodes[nodeId].mesh], function(primitive) {
+            if (!isPrimitiveMergeable(primitive, readablePrimitives)) {
+                return;
+            }
+            const key = getPrimitiveKey(gltf, primitive);
+            if (!defined(groups[key])) {
+                groups[key] = [];
+                keys.push(key);
+            }
+            groups[key].push(primitive);
+        });
+    });
+
+    const mergedPrimitives = keys.map(function(key) {
+        return groups[key];
+    });
+    const mergeable = mergedPrimitives.some(function(primitives) {
+        return primitives.length > 1;
+    });
+    if (!mergeable) {
+        return false;
+    }
+
+    const mesh = {
+        primitives: mergedPrimitives.map(function(primitives) {
+            return mergePrimitiveGroup(gltf, primitives);
+        })
+    };
+    const node = {
+        mesh: addToArray(gltf.meshes, mesh)
+    };
+    scene.nodes.push(addToArray(gltf.nodes, node));
+
+    // Keep the primitives that weren't merged in the nodes
+    nodeIds.forEach(function(nodeId) {
+        const node = gltf.nodes[nodeId];
+        const remainingPrimitives = gltf.meshes[node.mesh].primitives.filter(function(primitive) {
+            return !isPrimitiveMergeable(primitive, readablePrimitives);
+        });
+        if (remainingPrimitives.length === 0) {
+            delete node.mesh;
+            scene.nodes.splice(scene.nodes.indexOf(nodeId), 1);
+            return;
+        }
+        const remainingMesh = Object.assign({}, gltf.meshes[node.mesh]);
+        remainingMesh.primitives = remainingPrimitives;
+        node.mesh = addToArray(gltf.meshes, remainingMesh);
+    });
+
+    return true;
+}
+
+function mergePrimitiveGroup(gltf, primitives) {
+    const firstPrimitive = primitives[0];
+    const merged = {
+        attributes: {},
+        mode: defaultValue(firstPrimitive.mode, WebGLConstants.TRIANGLES)
+    };
+    if (defined(firstPrimitive.material)) {
+        merged.material = firstPrimitive.material;
+    }
+    if (primitives.length === 1) {
+        merged.attributes = Object.assign({}, firstPrimitive.attributes);
+        if (defined(firstPrimitive.indices)) {
+            merged.indices = firstPrimitive.indices;
+        }
+        return merged;
+    }
+
+    const semantics = Object.keys(firstPrimitive.attributes);
+    const values = {};
+    semantics.forEach(function(semantic) {
+        values[semantic] = [];
+    });
+    const indices = [];
+    const vertexOffsets = {};
+    let vertexCount = 0;
+    primitives.forEach(function(primitive) {
+        // Primitives that share their vertices share them in the merged primitive as well
+        const verticesKey = semantics.map(function(semantic) {
+            return primitive.attributes[semantic];
+        }).join(',');
+        let vertexOffset = vertexOffsets[verticesKey];
+        if (!defined(vertexOffset)) {
+            vertexOffset = vertexOffsets[verticesKey] = vertexCount;
+            semantics.forEach(function(semantic) {
+                const accessor = gltf.accessors[primitive.attributes[semantic]];
+                const semanticValues = values[semantic];
+                readAccessorPacked(gltf, accessor).forEach(function(value) {
+                    semanticValues.push(value);
+                });
+            });
+            vertexCount += gltf.accessors[primitive.attributes[semantics[0]]].count;
+        }
+        readPrimitiveIndices(gltf, primitive).forEach(function(index) {
+            indices.push(index + vertexOffset);
+        });
+    });
+
+    semantics.forEach(function(semantic) {
+        const accessor = gltf.accessors[firstPrimitive.attributes[semantic]];
+        const mergedAccessor = {
+            componentType: accessor.componentType,
+            type: accessor.type
+        };
+        if (accessor.normalized) {
+            mergedAccessor.normalized = true;
+        }
+        writeAccessorPacked(gltf, mergedAccessor, values[semantic], WebGLConstants.ARRAY_BUFFER);
+        merged.attributes[semantic] = addToArray(gltf.accessors, mergedAccessor);
+    });
+
+    const indicesAccessor = {
+        componentType: getIndicesComponentType(vertexCount),
+        type: 'SCALAR'
+    };
+    writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    merged.indices = addToArray(gltf.accessors, indicesAccessor);
+
+    return merged;
+}
@@ -0,0 +1,198 @@
+'use strict';
+
+module.exports = optimizeOverdraw;
+
+const cacheSize = 16;
+const sortBits = 11;
+
+/**
+ * Reorders triangles that are already ordered for the vertex cache so that front-facing triangles are more likely to be drawn
+ * before the triangles they occlude, reducing overdraw.
+ * <p>
+ * This is a port of the overdraw optimizer of meshoptimizer, which is based on Pedro Sander's algorithm. The triangles are split
+ * into clusters at the points where the vertex cache would be flushed, and clusters are split further while they stay within the
+ * given ratio of the vertex cache efficiency of the original order. The clusters are then sorted by how much they face outwards from
+ * the center of the mesh.
+ * </p>
+ *
+ * @param {Uint32Array} indices The indices of the triangles, which are reordered in place.
+ * @param {Number[]} positions The positions of the vertices in a contiguous array.
+ * @param {Number} threshold How much the average number of vertex cache misses per triangle may increase, e.g. 1.05 for 5%.
+ *
+ * @private
+ */
+function optimizeOverdraw(indices, positions, threshold) {
+    const triangleCount = Math.floor(indices.length / 3);
+    if (triangleCount === 0) {
+        return;
+    }
+
+    const triangles = indices.slice(0, triangleCount * 3);
+    const vertexCount = positions.length / 3;
+    const hardClusters = getHardBoundaries(triangles, vertexCount);
+    const clusters = getSoftBoundaries(triangles, vertexCount, hardClusters, threshold);
+    const order = getSortOrder(getSortData(triangles, positions, clusters));
+
+    let offset = 0;
+    order.forEach(function(cluster) {
+        const start = clusters[cluster] * 3;
+        const end = cluster + 1 < clusters.length ? clusters[cluster + 1] * 3 : triangles.length;
+        for (let i = start; i < end; ++i) {
+            indices[offset++] = triangles[i];
+        }
+    });
+}
+
+function createCache(vertexCount) {
+    return {
+        timestamps: new Uint32Array(vertexCount),
+        timestamp: cacheSize + 1
+    };
+}
+
+function resetCache(cache) {
+    cache.timestamp += cacheSize + 1;
+}
+
+// Simulates a FIFO vertex cache and returns the number of vertices of the triangle that are not in the cache
+function updateCache(cache, triangles, triangle) {
+    let misses = 0;
+    for (let i = 0; i < 3; ++i) {
+        const vertex = triangles[triangle * 3 + i];
+        if (cache.timestamp - cache.timestamps[vertex] > cacheSize) {
+            cache.timestamps[vertex] = cache.timestamp++;
+            ++misses;
+        }
+    }
+    return misses;
+}
+
+// A triangle whose vertices are all missing from the cache usually starts a disjoint patch of the mesh
+function getHardBoundaries(triangles, vertexCount) {
+    const cache = createCache(vertexCount);
+    const triangleCount = triangles.length / 3;
+    const boundaries = [];
+    for (let i = 0; i < triangleCount; ++i) {
+        const misses = updateCache(cache, triangles, i);
+        if (i === 0 || misses === 3) {
+            boundaries.push(i);
+        }
+    }
+    return boundaries;
+}
+
+function getSoftBoundaries(triangles, vertexCount, hardClusters, threshold) {
+    const cache = createCache(vertexCount);
+    const triangleCount = triangles.length / 3;
+    const boundaries = [];
+    const length = hardClusters.length;
+    for (let i = 0; i < length; ++i) {
+        const start = hardClusters[i];
+        const end = i + 1 < length ? hardClusters[i + 1] : triangleCount;
+
+        resetCache(cache);
+        let clusterMisses = 0;
+        for (let j = start; j < end; ++j) {
+            clusterMisses += updateCache(cache, triangles, j);
+        }
+        const clusterThreshold = threshold * clusterMisses / (end - start);
+
+        boundaries.push(start);
+        resetCache(cache);
+        let misses = 0;
+        let count = 0;
+        for (let j = start; j < end; ++j) {
+            misses += updateCache(cache, triangles, j);
+            ++count;
+            if (misses / count <= clusterThreshold) {
+                boundaries.push(j + 1);
+                resetCache(cache);
+                misses = 0;
+                count = 0;
+            }
+        }
+
+        // The last cluster is usually too small to be efficient, so it's merged with the one before it. This also removes the
+        // boundary at the end of the hard cluster if the last cluster was complete.
+        if (boundaries[boundaries.length - 1] !== start) {
+            boundaries.pop();
+        }
+    }
+    return boundaries;
+}
+
+// Returns how much each cluster faces away from the center of the mesh
+function getSortData(triangles, positions, clusters) {
+    const meshCentroid = [0.0, 0.0, 0.0];
+    const indexCount = triangles.length;
+    for (let i = 0; i < indexCount; ++i) {
+        for (let j = 0; j < 3; ++j) {
+            meshCentroid[j] += positions[triangles[i] * 3 + j];
+        }
+    }
+    for (let j = 0; j < 3; ++j) {
+        meshCentroid[j] /= indexCount;
+    }
+
+    const length = clusters.length;
+    const sortData = new Array(length);
+    for (let i = 0; i < length; ++i) {
+        const start = clusters[i] * 3;
+        const end = i + 1 < length ? clusters[i + 1] * 3 : indexCount;
+        let clusterArea = 0.0;
+        const centroid = [0.0, 0.0, 0.0];
+        const normal = [0.0, 0.0, 0.0];
+        for (let j = start; j < end; j += 3) {
+            const p0 = triangles[j] * 3;
+            const p1 = triangles[j + 1] * 3;
+            const p2 = triangles[j + 2] * 3;
+            const e1x = positions[p1] - positions[p0];
+            const e1y = positions[p1 + 1] - positions[p0 + 1];
+            const e1z = positions[p1 + 2] - positions[p0 + 2];
+            const e2x = positions[p2] - positions[p0];
+            const e2y = positions[p2 + 1] - positions[p0 + 1];
+            const e2z = positions[p2 + 2] - positions[p0 + 2];
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            const area = Math.sqrt(nx * nx + ny * ny + nz * nz);
+            for (let k = 0; k < 3; ++k) {
+                centroid[k] += (positions[p0 + k] + positions[p1 + k] + positions[p2 + k]) * (area / 3.0);
+            }
+            normal[0] += nx;
+            normal[1] += ny;
+            normal[2] += nz;
+            clusterArea += area;
+        }
+
+        const inverseArea = clusterArea === 0.0 ? 0.0 : 1.0 / clusterArea;
+        const normalLength = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
+        const inverseNormalLength = normalLength === 0.0 ? 0.0 : 1.0 / normalLength;
+        let dot = 0.0;
+        for (let k = 0; k < 3; ++k) {
+            dot += (centroid[k] * inverseArea - meshCentroid[k]) * normal[k] * inverseNormalLength;
+        }
+        sortData[i] = dot;
+    }
+    return sortData;
+}
+
+// Sorts the clusters that face outwards the most first. The sort data is quantized so that clusters that face
+// outwards by about the same amount keep their order for the vertex cache.
+function getSortOrder(sortData) {
+    let maximum = 1e-3;
+    sortData.forEach(function(value) {
+        maximum = Math.max(maximum, Math.abs(value));
+    });
+    const scale = (1 << sortBits) - 1;
+    const keys = sortData.map(function(value) {
+        const key = Math.min(Math.max(0.5 - 0.5 * value / maximum, 0.0), 1.0);
+        return Math.floor(key * scale + 0.5);
+    });
+    const order = keys.map(function(key, i) {
+        return i;
+    });
+    return order.sort(function(a, b) {
+        return keys[a] - keys[b] || a - b;
+    });
+}
@@ -0,0 +1,96 @@
+'use strict';
+const Cesium = require('cesium');
+const MeshoptEncoder = require('meshoptimizer').MeshoptEncoder;
+const Promise = require('bluebird');
+const compactVertices = require('./compactVertices');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const optimizeOverdraw = require('./optimizeOverdraw');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = optimizeVertexCache;
+
+const overdrawThreshold = 1.05;
+
+/**
+ * Reorders the triangles of indexed primitives for the post-transform vertex cache of the GPU and to reduce overdraw, then reorders
+ * the vertices in the order they are first referenced so that vertex fetches are more local.
+ * <p>
+ * Triangles are reordered with the vertex cache optimizer of meshoptimizer, which is based on Tom Forsyth's algorithm, and then with
+ * {@link optimizeOverdraw}, which may make the vertex cache up to 5% less efficient to draw outward facing triangles first. Vertex attributes
+ * and morph targets are rewritten consistently, and vertices that are not referenced by any primitive are removed. Primitives that
+ * share vertices are reordered together, keeping the triangles of each primitive separate. Primitives without indices are not reordered,
+ * and neither are primitives that are compressed with Draco or meshopt or that use sparse accessors.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Promise} A promise that resolves to the glTF asset with optimized primitives.
+ *
+ * @private
+ */
+function optimizeVertexCache(gltf) {
+    return Promise.resolve(MeshoptEncoder.ready)
+        .then(function() {
+            let optimized = false;
+            getPrimitiveGroups(gltf).forEach(function(group) {
+                optimized = optimizePrimitives(gltf, group) || optimized;
+            });
+            if (optimized) {
+                removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+            }
+            return gltf;
+        });
+}
+
+function getMode(primitive) {
+    return defaultValue(primitive.mode, WebGLConstants.TRIANGLES);
+}
+
+function optimizeTriangles(indices, positions) {
+    // reorderMesh also remaps the vertices in the order they are first referenced, which is undone here so that
+    // the vertices of all primitives in the group can be remapped together
+    const remap = MeshoptEncoder.reorderMesh(indices, true, false)[0];
+    const inverseRemap = [];
+    const vertexCount = remap.length;
+    for (let i = 0; i < vertexCount; ++i) {
+        if (remap[i] !== 0xFFFFFFFF) {
+            inverseRemap[remap[i]] = i;
+        }
+    }
+    const length = indices.length;
+    for (let i = 0; i < length; ++i) {
+        indices[i] = inverseRemap[indices[i]];
+    }
+    if (defined(positions)) {
+        optimizeOverdraw(indices, positions, overdrawThreshold);
+    }
+}
+
+function optimizePrimitives(gltf, group) {
+    const primitives = group.primitives;
+    const indexed = primitives.every(function(primitive) {
+        return defined(primitive.indices);
+    });
+    if (!indexed) {
+        return false;
+    }
+
+    const positionAccessorId = primitives[0].attributes.POSITION;
+    const positions = defined(positionAccessorId) ? readAccessorPacked(gltf, gltf.accessors[positionAccessorId]) : undefined;
+    const primitiveIndices = primitives.map(function(primitive) {
+        const indicesAccessor = gltf.accessors[primitive.indices];
+        const indices = new Uint32Array(readAccessorPacked(gltf, indicesAccessor));
+        if (getMode(primitive) === WebGLConstants.TRIANGLES && indices.length >= 3) {
+            optimizeTriangles(indices, positions);
+        }
+        return indices;
+    });
+
+    compactVertices(gltf, group, primitiveIndices);
+
+    return true;
+}
@@ -3,18 +3,45 @@ const Cesium = require('cesium');
 const Promise = require('bluebird');
 const addDefaults = require('./addDefaults');
 const addPipelineExtras = require('./addPipelineExtras');
+const cleanTriangles = require('./cleanTriangles');
+const compressDracoMeshes = require('./compressDracoMeshes');
+const compressKtx2Textures = require('./compressKtx2Textures');
+const compressMeshoptBufferViews = require('./compressMeshoptBufferViews');
+const compressWebpTextures = require('./compressWebpTextures');
+const convertSpecularGlossiness = require('./convertSpecularGlossiness');
+const convertToTriangles = require('./convertToTriangles');
+const decompressDracoMeshes = require('./decompressDracoMeshes');
+const decompressMeshoptBufferViews = require('./decompressMeshoptBufferViews');
+const deduplicateTextures = require('./deduplicateTextures');
+const deinterleaveVertices = require('./deinterleaveVertices');
+const densifyAccessors = require('./densifyAccessors');
+const flattenNodes = require('./flattenNodes');
+const generateLods = require('./generateLods');
+const generateNormals = require('./generateNormals');
+const generateTangents = require('./generateTangents');
+const getMemoryReport = require('./getMemoryReport');
 const getStatistics = require('./getStatistics');
+const instanceMeshes = require('./instanceMeshes');
+const interleaveVertices = require('./interleaveVertices');
+const mergePrimitives = require('./mergePrimitives');
+const optimizeVertexCache = require('./optimizeVertexCache');
+const quantizeMeshes = require('./quantizeMeshes');
 const readResources = require('./readResources');
 const removeDefaults = require('./removeDefaults');
 const removePipelineExtras = require('./removePipelineExtras');
 const removeUnusedElements = require('./removeUnusedElements');
+const resizeTextures = require('./resizeTextures');
+const simplifyMeshes = require('./simplifyMeshes');
+const sparsifyMorphTargets = require('./sparsifyMorphTargets');
 const updateVersion = require('./updateVersion');
+const validateGltf = require('./validateGltf');
+const weldVertices = require('./weldVertices');
 const writeResources = require('./writeResources');
-const compressDracoMeshes = require('./compressDracoMeshes');
 
 const clone = Cesium.clone;
 const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
+const RuntimeError = Cesium.RuntimeError;
 
 module.exports = processGltf;
 
@@ -28,11 +55,38 @@ module.exports = processGltf;
  * @param {Boolean} [options.separate = false] Write separate buffers, shaders, and textures instead of embedding them in the glTF.
  * @param {Boolean} [options.separateTextures = false] Write out separate textures only.
  * @param {Boolean} [options.stats = false] Print statistics to console for input and output glTF files.
+ * @param {Boolean} [options.validate = false] Validate the input glTF and log the errors and warnings. The promise is rejected if there are errors.
+ * @param {Boolean} [options.report = false] Print a table of the bytes used by each element of the output glTF file.
+ * @param {Boolean} [options.collectStats = false] Return statistics for input and output glTF files in the results without printing them.
+ * @param {Boolean} [options.densifyAccessors = false] Replace sparse accessors with accessors that store all of their values.
+ * @param {Boolean} [options.deinterleaveVertices = false] Move interleaved vertex attributes into separate buffer views.
+ * @param {Boolean} [options.convertToTriangles = false] Convert TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES.
+ * @param {Object} [options.instancingOptions] Options to pass to the instanceMeshes stage. If undefined, stage is not run.
+ * @param {Boolean} [options.flattenNodes = false] Collapse the node hierarchy into the scene roots and bake node transforms into meshes.
+ * @param {Boolean} [options.mergePrimitives = false] Merge the primitives of static nodes that share a material into one primitive per material. Flattens the node hierarchy first.
+ * @param {Object} [options.normalsOptions] Options to pass to the generateNormals stage. If undefined, stage is not run.
+ * @param {Object} [options.tangentsOptions] Options to pass to the generateTangents stage. If undefined, stage is not run.
+ * @param {Object} [options.weldOptions] Options to pass to the weldVertices stage. If undefined, stage is not run.
+ * @param {Object} [options.cleanOptions] Options to pass to the cleanTriangles stage. If undefined, stage is not run.
+ * @param {Object} [options.simplifyOptions] Options to pass to the simplifyMeshes stage. If undefined, stage is not run.
+ * @param {Object} [options.lodOptions] Options to pass to the generateLods stage. If undefined, stage is not run.
+ * @param {Boolean} [options.optimizeVertexCache = false] Reorder the triangles and vertices of indexed primitives for the vertex cache of the GPU.
  * @param {Object} [options.dracoOptions] Options to pass to the compressDracoMeshes stage. If undefined, stage is not run.
+ * @param {Boolean} [options.dracoOptions.decompress=false] Run the decompressDracoMeshes stage instead of the compressDracoMeshes stage.
+ * @param {Object} [options.quantizationOptions] Options to pass to the quantizeMeshes stage. If undefined, stage is not run.
+ * @param {Boolean} [options.sparsifyMorphTargets = false] Store morph target accessors whose values are mostly zero as sparse accessors.
+ * @param {Boolean} [options.interleaveVertices = false] Interleave the vertex attributes of each primitive into a single buffer view.
+ * @param {Boolean} [options.convertSpecularGlossiness = false] Convert KHR_materials_pbrSpecularGlossiness materials to metallic-roughness materials.
+ * @param {Boolean} [options.deduplicateTextures = false] Merge images with identical contents and the textures and samplers that become identical.
+ * @param {Object} [options.resizeOptions] Options to pass to the resizeTextures stage. If undefined, stage is not run.
+ * @param {Object} [options.ktx2Options] Options to pass to the compressKtx2Textures stage. If undefined, stage is not run.
+ * @param {Object} [options.webpOptions] Options to pass to the compressWebpTextures stage. If undefined, stage is not run.
+ * @param {Object} [options.meshoptOptions] Options to pass to the compressMeshoptBufferViews stage. If undefined, stage is not run.
+ * @param {Boolean} [options.meshoptOptions.decompress=false] Run the decompressMeshoptBufferViews stage instead of the compressMeshoptBufferViews stage.
  * @param {Stage[]} [options.customStages] Custom stages to run on the glTF asset.
  * @param {Logger} [options.logger] A callback function for handling logged messages. Defaults to console.log.
  *
- * @returns {Promise} A promise that resolves to the processed glTF and a dictionary containing separate resources.
+ * @returns {Promise} A promise that resolves to the processed glTF, a dictionary containing separate resources, and the statistics of the input and output glTF when <code>options.collectStats</code> is set, or of the output glTF when <code>options.stats</code> is set.
  */
 function processGltf(gltf, options) {
     const defaults = processGltf.defaults;
@@ -41,19 +95,32 @@ function processGltf(gltf, options) {
     options.separateShaders = defaultValue(options.separate, defaults.separate);
     options.separateTextures = defaultValue(options.separateTextures, defaults.separateTextures) || options.separate;
     options.stats = defaultValue(options.stats, defaults.stats);
+    options.collectStats = defaultValue(options.collectStats, defaults.collectStats);
+    options.report = defaultValue(options.report, defaults.report);
+    options.validate = defaultValue(options.validate, defaults.validate);
     options.logger = defaultValue(options.logger, getDefaultLogger());
     options.separateResources = {};
+    options.statistics = {};
     options.customStages = defaultValue(options.customStages, []);
 
     const preStages = [
         addPipelineExtras,
         readResources,
         updateVersion,
-        addDefaults
+        validate,
+        addDefaults,
+        function(gltf, options) {
+            collectStats(gltf, options, false);
+        }
     ];
 
+    // Statistics are computed before the pipeline extras are removed so that Draco compressed data and images can be decoded
     const postStages = [
         writeResources,
+        function(gltf, options) {
+            collectStats(gltf, options, true);
+            printReport(gltf, options);
+        },
         removePipelineExtras,
         removeDefaults
     ];
@@ -64,25 +131,131 @@ function processGltf(gltf, options) {
     return Promise.each(stages, function(stage) {
         return stage(gltf, options);
     }).then(function() {
-        printStats(gltf, options, true);
         return {
             gltf: gltf,
-            separateResources: options.separateResources
+            separateResources: options.separateResources,
+            statistics: options.statistics
         };
     });
 }
 
-function printStats(gltf, options, processed) {
-    if (options.stats) {
-        options.logger(processed ? 'Statistics after:' : 'Statistics before:');
-        options.logger(getStatistics(gltf).toString());
+function collectStats(gltf, options, processed) {
+    // Only the statistics of the output glTF are printed
+    if (!options.collectStats && !(options.stats && processed)) {
+        return;
+    }
+    const statistics = getStatistics(gltf);
+    if (processed) {
+        options.statistics.after = statistics;
+    } else {
+        options.statistics.before = statistics;
+    }
+    if (options.stats && processed) {
+        options.logger('Statistics after:');
+        options.logger(statistics.toString());
+    }
+}
+
+function validate(gltf, options) {
+    if (!options.validate) {
+        return;
+    }
+    const results = validateGltf(gltf);
+    results.errors.forEach(function(error) {
+        options.logger('Error: ' + error.pointer + ': ' + error.message);
+    });
+    results.warnings.forEach(function(warning) {
+        options.logger('Warning: ' + warning.pointer + ': ' + warning.message);
+    });
+    if (results.errors.length > 0) {
+        throw new RuntimeError('glTF validation failed with ' + results.errors.length + ' error(s).');
+    }
+}
+
+function printReport(gltf, options) {
+    if (options.report) {
+        options.logger('Memory report:');
+        options.logger(getMemoryReport(gltf).toString());
     }
 }
 
 function getStages(options) {
     const stages = [];
+    if (defined(options.meshoptOptions) && options.meshoptOptions.decompress) {
+        stages.push(decompressMeshoptBufferViews);
+    }
+    if (options.densifyAccessors) {
+        stages.push(densifyAccessors);
+    }
+    if (options.deinterleaveVertices) {
+        stages.push(deinterleaveVertices);
+    }
+    if (options.convertToTriangles) {
+        stages.push(convertToTriangles);
+    }
+    if (defined(options.instancingOptions)) {
+        stages.push(instanceMeshes);
+    }
+    if (options.flattenNodes) {
+        stages.push(flattenNodes);
+    }
+    if (options.mergePrimitives) {
+        stages.push(mergePrimitives);
+    }
+    if (defined(options.normalsOptions)) {
+        stages.push(generateNormals);
+    }
+    if (defined(options.tangentsOptions)) {
+        stages.push(generateTangents);
+    }
+    if (defined(options.weldOptions)) {
+        stages.push(weldVertices);
+    }
+    if (defined(options.cleanOptions)) {
+        stages.push(cleanTriangles);
+    }
+    if (defined(options.simplifyOptions)) {
+        stages.push(simplifyMeshes);
+    }
+    if (defined(options.lodOptions)) {
+        stages.push(generateLods);
+    }
+    if (options.optimizeVertexCache) {
+        stages.push(optimizeVertexCache);
+    }
     if (defined(options.dracoOptions)) {
-        stages.push(compressDracoMeshes);
+        if (options.dracoOptions.decompress) {
+            stages.push(decompressDracoMeshes);
+        } else {
+            stages.push(compressDracoMeshes);
+        }
+    }
+    if (defined(options.quantizationOptions)) {
+        stages.push(quantizeMeshes);
+    }
+    if (options.sparsifyMorphTargets) {
+        stages.push(sparsifyMorphTargets);
+    }
+    if (options.interleaveVertices) {
+        stages.push(interleaveVertices);
+    }
+    if (options.convertSpecularGlossiness) {
+        stages.push(convertSpecularGlossiness);
+    }
+    if (options.deduplicateTextures) {
+        stages.push(deduplicateTextures);
+    }
+    if (defined(options.resizeOptions)) {
+        stages.push(resizeTextures);
+    }
+    if (defined(options.ktx2Options)) {
+        stages.push(compressKtx2Textures);
+    }
+    if (defined(options.webpOptions)) {
+        stages.push(compressWebpTextures);
+    }
+    if (defined(options.meshoptOptions) && !options.meshoptOptions.decompress) {
+        stages.push(compressMeshoptBufferViews);
     }
     if (!options.keepUnusedElements) {
         stages.push(function(gltf, options) {
@@ -120,18 +293,180 @@ processGltf.defaults = {
      * @default false
      */
     stats: false,
+    /**
+     * Gets or sets whether to return statistics for input and output glTF files without printing them.
+     * @type Boolean
+     * @default false
+     */
+    collectStats: false,
+    /**
+     * Gets or sets whether to print a table of the bytes used by each element of the output glTF file.
+     * @type Boolean
+     * @default false
+     */
+    report: false,
+    /**
+     * Gets or sets whether to validate the input glTF. Processing fails if there are errors.
+     * @type Boolean
+     * @default false
+     */
+    validate: false,
     /**
      * Keep unused 'node', 'mesh' and 'material' elements.
      * @type Boolean
      * @default false
      */
     keepUnusedElements: false,
+    /**
+     * Gets or sets whether to replace sparse accessors with accessors that store all of their values.
+     * @type Boolean
+     * @default false
+     */
+    densifyAccessors: false,
+    /**
+     * Gets or sets whether to move interleaved vertex attributes into separate buffer views.
+     * @type Boolean
+     * @default false
+     */
+    deinterleaveVertices: false,
+    /**
+     * Gets or sets whether to convert TRIANGLE_STRIP and TRIANGLE_FAN primitives to TRIANGLES.
+     * @type Boolean
+     * @default false
+     */
+    convertToTriangles: false,
+    /**
+     * Gets or sets whether to draw sibling nodes that reference the same mesh with a single instanced node. Adds the EXT_mesh_gpu_instancing extension.
+     * @type Boolean
+     * @default false
+     */
+    instanceMeshes: false,
+    /**
+     * Gets or sets whether to collapse the node hierarchy into the scene roots and bake node transforms into meshes.
+     * @type Boolean
+     * @default false
+     */
+    flattenNodes: false,
+    /**
+     * Gets or sets whether to merge the primitives of static nodes that share a material into one primitive per material.
+     * @type Boolean
+     * @default false
+     */
+    mergePrimitives: false,
+    /**
+     * Gets or sets whether to generate normals for primitives that don't have them.
+     * @type Boolean
+     * @default false
+     */
+    generateNormals: false,
+    /**
+     * Gets or sets whether to generate tangents for primitives with normal textures that don't have them.
+     * @type Boolean
+     * @default false
+     */
+    generateTangents: false,
+    /**
+     * Gets or sets whether to merge duplicate vertices of mesh primitives.
+     * @type Boolean
+     * @default false
+     */
+    weldVertices: false,
+    /**
+     * Gets or sets whether to remove degenerate and duplicate triangles of mesh primitives.
+     * @type Boolean
+     * @default false
+     */
+    cleanTriangles: false,
+    /**
+     * Gets or sets whether to reduce the number of triangles of meshes.
+     * @type Boolean
+     * @default false
+     */
+    simplifyMeshes: false,
+    /**
+     * Gets or sets whether to generate levels of detail for meshes. Adds the MSFT_lod extension.
+     * @type Boolean
+     * @default false
+     */
+    generateLods: false,
+    /**
+     * Gets or sets whether to reorder the triangles and vertices of indexed primitives for the vertex cache of the GPU.
+     * @type Boolean
+     * @default false
+     */
+    optimizeVertexCache: false,
     /**
      * Gets or sets whether to compress the meshes using Draco. Adds the KHR_draco_mesh_compression extension.
      * @type Boolean
      * @default false
      */
-    compressDracoMeshes: false
+    compressDracoMeshes: false,
+    /**
+     * Gets or sets whether to decompress meshes that use Draco. Removes the KHR_draco_mesh_compression extension.
+     * @type Boolean
+     * @default false
+     */
+    decompressDracoMeshes: false,
+    /**
+     * Gets or sets whether to quantize vertex attributes. Adds the KHR_mesh_quantization extension.
+     * @type Boolean
+     * @default false
+     */
+    quantizeMeshes: false,
+    /**
+     * Gets or sets whether to store morph target accessors whose values are mostly zero as sparse accessors.
+     * @type Boolean
+     * @default false
+     */
+    sparsifyMorphTargets: false,
+    /**
+     * Gets or sets whether to interleave the vertex attributes of each primitive into a single buffer view.
+     * @type Boolean
+     * @default false
+     */
+    interleaveVertices: false,
+    /**
+     * Gets or sets whether to convert KHR_materials_pbrSpecularGlossiness materials to metallic-roughness materials.
+     * @type Boolean
+     * @default false
+     */
+    convertSpecularGlossiness: false,
+    /**
+     * Gets or sets whether to merge images with identical contents and the textures and samplers that become identical.
+     * @type Boolean
+     * @default false
+     */
+    deduplicateTextures: false,
+    /**
+     * Gets or sets whether to resize the PNG and JPEG images of material textures.
+     * @type Boolean
+     * @default false
+     */
+    resizeTextures: false,
+    /**
+     * Gets or sets whether to compress the PNG and JPEG images of material textures to KTX2. Adds the KHR_texture_basisu extension.
+     * @type Boolean
+     * @default false
+     */
+    compressKtx2Textures: false,
+    /**
+     * Gets or sets whether to compress the PNG and JPEG images of textures to WebP. Adds the EXT_texture_webp extension.
+     * @type Boolean
+     * @default false
+     */
+    compressWebpTextures: false,
+    /**
+     * Gets or sets whether to compress vertex, index, and animation buffer views using meshopt. Adds the EXT_meshopt_compression extension.
+     * @type Boolean
+     * @default false
+     */
+    compressMeshoptBufferViews: false,
+    /**
+     * Gets or sets whether to decompress buffer views that use meshopt. Removes the EXT_meshopt_compression extension.
+     * @type Boolean
+     * @default false
+     */
+    decompressMeshoptBufferViews: false
 };
 
 /**
@@ -0,0 +1,470 @@
+'use strict';
+const Cesium = require('cesium');
+const addBuffer = require('./addBuffer');
+const addExtensionsRequired = require('./addExtensionsRequired');
+const addToArray = require('./addToArray');
+const findAccessorMinMax = require('./findAccessorMinMax');
+const ForEach = require('./ForEach');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+
+const Check = Cesium.Check;
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = quantizeMeshes;
+
+/**
+ * Quantizes vertex attributes using the KHR_mesh_quantization extension.
+ * <p>
+ * Positions are quantized to unsigned integers on a grid shared by all meshes. The mesh of each node is moved to
+ * a new child node whose transform maps the grid back to the original positions. Meshes that are skinned or instanced are
+ * not quantized since their positions cannot be compensated with a node transform.
+ * </p>
+ * <p>
+ * Normals and tangents are quantized to signed normalized integers. Texture coordinates are quantized to unsigned normalized
+ * integers, using KHR_texture_transform to restore texture coordinates outside of the [0, 1] range. Such texture coordinates are not
+ * quantized if no texture of their materials uses them, if their materials already have texture transforms, or if their materials are also
+ * used by primitives whose texture coordinates can't be quantized.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.quantizationOptions Options defining quantization settings.
+ * @param {Number} [options.quantizationOptions.quantizePositionBits=14] A value between 1 and 16 specifying the number of bits used for positions. A value of 0 does not quantize positions.
+ * @param {Number} [options.quantizationOptions.quantizeNormalBits=8] A value between 1 and 16 specifying the number of bits used for normals and tangents. A value of 0 does not quantize normals and tangents.
+ * @param {Number} [options.quantizationOptions.quantizeTexcoordBits=12] A value between 1 and 16 specifying the number of bits used for texture coordinates. A value of 0 does not quantize texture coordinates.
+ * @returns {Object} The glTF asset with quantized meshes.
+ *
+ * @private
+ */
+function quantizeMeshes(gltf, options) {
+    options = defaultValue(options, {});
+    const quantizationOptions = defaultValue(options.quantizationOptions, {});
+    const defaults = quantizeMeshes.defaults;
+    const positionBits = defaultValue(quantizationOptions.quantizePositionBits, defaults.quantizePositionBits);
+    const normalBits = defaultValue(quantizationOptions.quantizeNormalBits, defaults.quantizeNormalBits);
+    const texcoordBits = defaultValue(quantizationOptions.quantizeTexcoordBits, defaults.quantizeTexcoordBits);
+
+    checkRange('quantizePositionBits', positionBits, 0, 16);
+    checkRange('quantizeNormalBits', normalBits, 0, 16);
+    checkRange('quantizeTexcoordBits', texcoordBits, 0, 16);
+
+    const quantizedAccessors = {};
+    let quantized = false;
+
+    if (positionBits > 0) {
+        quantized = quantizePositions(gltf, positionBits, quantizedAccessors) || quantized;
+    }
+    if (normalBits > 0) {
+        quantized = quantizeNormalsAndTangents(gltf, normalBits, quantizedAccessors) || quantized;
+    }
+    if (texcoordBits > 0) {
+        quantized = quantizeTexcoords(gltf, texcoordBits, quantizedAccessors) || quantized;
+    }
+
+    if (quantized) {
+        addExtensionsRequired(gltf, 'KHR_mesh_quantization');
+    }
+
+    return gltf;
+}
+
+function checkRange(name, value, minimum, maximum) {
+    Check.typeOf.number.greaterThanOrEquals(name, value, minimum);
+    Check.typeOf.number.lessThanOrEquals(name, value, maximum);
+}
+
+function isQuantizable(gltf, accessorId, quantizedAccessors) {
+    const accessor = gltf.accessors[accessorId];
+    return !defined(quantizedAccessors[accessorId]) &&
+        defined(accessor.bufferView) &&
+        !defined(accessor.sparse) &&
+        accessor.componentType === WebGLConstants.FLOAT;
+}
+
+function isScalable(gltf, accessorId) {
+    const accessor = gltf.accessors[accessorId];
+    return !defined(accessor.sparse) &&
+        accessor.componentType === WebGLConstants.FLOAT;
+}
+
+function forEachAttributeWithSemantic(primitive, semantic, handler) {
+    ForEach.meshPrimitiveAttribute(primitive, function(accessorId, attributeSemantic) {
+        if (attributeSemantic === semantic || attributeSemantic.indexOf(semantic + '_') === 0) {
+            handler(accessorId, attributeSemantic);
+        }
+    });
+}
+
+function getQuantizableMeshes(gltf, quantizedAccessors) {
+    const meshes = gltf.meshes;
+    const meshesLength = defined(meshes) ? meshes.length : 0;
+    const quantizable = new Array(meshesLength).fill(false);
+    const excluded = new Array(meshesLength).fill(false);
+
+    ForEach.node(gltf, function(node) {
+        if (!defined(node.mesh)) {
+            return;
+        }
+        // Skinned and instanced meshes can't be compensated with the transform of a child node
+        const instanced = defined(node.extensions) && defined(node.extensions.EXT_mesh_gpu_instancing);
+        if (defined(node.skin) || instanced) {
+            excluded[node.mesh] = true;
+        } else {
+            quantizable[node.mesh] = true;
+        }
+    });
+
+    // Position accessors that are shared with a mesh that is not quantized are not quantized either
+    let changed = true;
+    while (changed) {
+        changed = excludeMeshes(gltf, quantizable, excluded, quantizedAccessors);
+    }
+
+    return quantizable.map(function(value, meshId) {
+        return value && !excluded[meshId];
+    });
+}
+
+function excludeMeshes(gltf, quantizable, excluded, quantizedAccessors) {
+    const blockedAccessors = {};
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        if (quantizable[meshId] && !excluded[meshId]) {
+            return;
+        }
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            forEachAttributeWithSemantic(primitive, 'POSITION', function(accessorId) {
+                blockedAccessors[accessorId] = true;
+            });
+        });
+    });
+
+    let changed = false;
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        if (!quantizable[meshId] || excluded[meshId]) {
+            return;
+        }
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            forEachAttributeWithSemantic(primitive, 'POSITION', function(accessorId) {
+                if (blockedAccessors[accessorId] || !isQuantizable(gltf, accessorId, quantizedAccessors)) {
+                    excluded[meshId] = true;
+                }
+            });
+            ForEach.meshPrimitiveTarget(primitive, function(target) {
+                if (defined(target.POSITION) && !isScalable(gltf, target.POSITION)) {
+                    excluded[meshId] = true;
+                }
+            });
+        });
+        changed = changed || excluded[meshId];
+    });
+    return changed;
+}
+
+function quantizePositions(gltf, bits, quantizedAccessors) {
+    const quantizableMeshes = getQuantizableMeshes(gltf, quantizedAccessors);
+    const positionAccessors = {};
+    const min = new Array(3).fill(Number.POSITIVE_INFINITY);
+    const max = new Array(3).fill(Number.NEGATIVE_INFINITY);
+
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        if (!quantizableMeshes[meshId]) {
+            return;
+        }
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            forEachAttributeWithSemantic(primitive, 'POSITION', function(accessorId) {
+                const minMax = findAccessorMinMax(gltf, gltf.accessors[accessorId]);
+                for (let i = 0; i < 3; ++i) {
+                    min[i] = Math.min(min[i], minMax.min[i]);
+                    max[i] = Math.max(max[i], minMax.max[i]);
+                }
+                positionAccessors[accessorId] = true;
+            });
+        });
+    });
+
+    if (Object.keys(positionAccessors).length === 0) {
+        return false;
+    }
+
+    // Use a uniform scale so that normals are not affected by the dequantization transform
+    const maxValue = (1 << bits) - 1;
+    let range = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    range = (range > 0.0) ? range : 1.0;
+    const scale = range / maxValue;
+    const componentType = (bits <= 8) ? WebGLConstants.UNSIGNED_BYTE : WebGLConstants.UNSIGNED_SHORT;
+
+    Object.keys(positionAccessors).forEach(function(accessorId) {
+        quantizeAccessor(gltf, accessorId, componentType, false, function(value, component) {
+            return Math.round((value - min[component]) / scale);
+        });
+        quantizedAccessors[accessorId] = true;
+    });
+
+    // Morph target displacements only need to be scaled
+    const targetAccessors = {};
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        if (!quantizableMeshes[meshId]) {
+            return;
+        }
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            ForEach.meshPrimitiveTarget(primitive, function(target) {
+                const accessorId = target.POSITION;
+                if (defined(accessorId) && !defined(targetAccessors[accessorId])) {
+                    targetAccessors[accessorId] = true;
+                    scaleAccessor(gltf, accessorId, 1.0 / scale);
+                }
+            });
+        });
+    });
+
+    addDequantizationNodes(gltf, quantizableMeshes, min, scale);
+
+    return true;
+}
+
+function addDequantizationNodes(gltf, quantizableMeshes, translation, scale) {
+    const nodesLength = gltf.nodes.length;
+    for (let nodeId = 0; nodeId < nodesLength; ++nodeId) {
+        const node = gltf.nodes[nodeId];
+        if (!defined(node.mesh) || !quantizableMeshes[node.mesh]) {
+            continue;
+        }
+        const dequantizationNode = {
+            mesh: node.mesh,
+            translation: translation.slice(),
+            scale: [scale, scale, scale]
+        };
+        if (defined(node.name)) {
+            dequantizationNode.name = node.name + '-dequantized';
+        }
+        if (defined(node.weights)) {
+            dequantizationNode.weights = node.weights;
+            delete node.weights;
+        }
+        delete node.mesh;
+
+        const dequantizationNodeId = addToArray(gltf.nodes, dequantizationNode);
+        node.children = defaultValue(node.children, []);
+        node.children.push(dequantizationNodeId);
+
+        // Morph target weights are animated on the node that has the mesh
+        ForEach.animation(gltf, function(animation) {
+            ForEach.animationChannel(animation, function(channel) {
+                const target = channel.target;
+                if (target.node === nodeId && target.path === 'weights') {
+                    target.node = dequantizationNodeId;
+                }
+            });
+        });
+    }
+}
+
+function quantizeNormalsAndTangents(gltf, bits, quantizedAccessors) {
+    const maxValue = (1 << (bits - 1)) - 1;
+    const componentType = (bits <= 8) ? WebGLConstants.BYTE : WebGLConstants.SHORT;
+    let quantized = false;
+
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId, semantic) {
+                if ((semantic !== 'NORMAL' && semantic !== 'TANGENT') || !isQuantizable(gltf, accessorId, quantizedAccessors)) {
+                    return;
+                }
+                quantizeAccessor(gltf, accessorId, componentType, true, function(value) {
+                    return Math.round(Math.min(Math.max(value, -1.0), 1.0) * maxValue);
+                });
+                quantizedAccessors[accessorId] = true;
+                quantized = true;
+            });
+        });
+    });
+
+    return quantized;
+}
+
+function getTexcoordSet(semantic) {
+    return parseInt(semantic.substring('TEXCOORD_'.length));
+}
+
+function quantizeTexcoords(gltf, bits, quantizedAccessors) {
+    // Texture coordinates of each set share the same range so that materials only need a single texture transform
+    const texcoordSets = {};
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            forEachAttributeWithSemantic(primitive, 'TEXCOORD', function(accessorId, semantic) {
+                const set = getTexcoordSet(semantic);
+                let texcoordSet = texcoordSets[set];
+                if (!defined(texcoordSet)) {
+                    texcoordSet = texcoordSets[set] = {
+                        accessors: {},
+                        materials: {},
+                        unquantizedMaterials: {},
+                        min: [Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY],
+                        max: [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY]
+                    };
+                }
+                if (!isQuantizable(gltf, accessorId, quantizedAccessors)) {
+                    if (defined(primitive.material)) {
+                        texcoordSet.unquantizedMaterials[primitive.material] = true;
+                    }
+                    return;
+                }
+                if (defined(primitive.material)) {
+                    texcoordSet.materials[primitive.material] = true;
+                }
+                if (!defined(texcoordSet.accessors[accessorId])) {
+                    const minMax = findAccessorMinMax(gltf, gltf.accessors[accessorId]);
+                    for (let i = 0; i < 2; ++i) {
+                        texcoordSet.min[i] = Math.min(texcoordSet.min[i], minMax.min[i]);
+                        texcoordSet.max[i] = Math.max(texcoordSet.max[i], minMax.max[i]);
+                    }
+                    texcoordSet.accessors[accessorId] = true;
+                }
+            });
+        });
+    });
+
+    const maxValue = (1 << bits) - 1;
+    const componentType = (bits <= 8) ? WebGLConstants.UNSIGNED_BYTE : WebGLConstants.UNSIGNED_SHORT;
+    let quantized = false;
+    let addedTextureTransform = false;
+
+    Object.keys(texcoordSets).forEach(function(set) {
+        set = parseInt(set);
+        const texcoordSet = texcoordSets[set];
+        if (Object.keys(texcoordSet.accessors).length === 0) {
+            return;
+        }
+        const min = texcoordSet.min;
+        const max = texcoordSet.max;
+        const inUnitRange = min[0] >= 0.0 && min[1] >= 0.0 && max[0] <= 1.0 && max[1] <= 1.0;
+        const offset = inUnitRange ? [0.0, 0.0] : min;
+        const scale = inUnitRange ? [1.0, 1.0] : [Math.max(max[0] - min[0], 0.0), Math.max(max[1] - min[1], 0.0)];
+
+        if (!inUnitRange) {
+            if (!addTextureTransforms(gltf, set, texcoordSet, offset, scale)) {
+                return;
+            }
+            addedTextureTransform = true;
+        }
+
+        Object.keys(texcoordSet.accessors).forEach(function(accessorId) {
+            quantizeAccessor(gltf, accessorId, componentType, true, function(value, component) {
+                const normalized = (scale[component] > 0.0) ? (value - offset[component]) / scale[component] : 0.0;
+                return Math.round(Math.min(Math.max(normalized, 0.0), 1.0) * maxValue);
+            });
+            quantizedAccessors[accessorId] = true;
+        });
+        quantized = true;
+    });
+
+    if (addedTextureTransform) {
+        addExtensionsRequired(gltf, 'KHR_texture_transform');
+    }
+
+    return quantized;
+}
+
+// Adds the dequantization transform to the texture infos of the materials of the quantized primitives
+function addTextureTransforms(gltf, set, texcoordSet, offset, scale) {
+    const textureInfos = [];
+    let hasTextureTransform = false;
+    let usedByUnquantizedPrimitive = false;
+    ForEach.material(gltf, function(material, materialId) {
+        if (!defined(texcoordSet.materials[materialId])) {
+            return;
+        }
+        forEachTextureInMaterial(material, function(textureIndex, textureInfo) {
+            if (defaultValue(textureInfo.texCoord, 0) !== set) {
+                return;
+            }
+            if (defined(textureInfo.extensions) && defined(textureInfo.extensions.KHR_texture_transform)) {
+                hasTextureTransform = true;
+            }
+            if (defined(texcoordSet.unquantizedMaterials[materialId])) {
+                usedByUnquantizedPrimitive = true;
+            }
+            textureInfos.push(textureInfo);
+        });
+    });
+
+    // Existing texture transforms are not combined with the dequantization transform, and materials that are also used by primitives
+    // whose texture coordinates can't be quantized would transform their texture coordinates as well. Texture coordinates that no
+    // texture uses would lose their range since there is no texture transform to restore it.
+    if (textureInfos.length === 0 || hasTextureTransform || usedByUnquantizedPrimitive) {
+        return false;
+    }
+
+    textureInfos.forEach(function(textureInfo) {
+        textureInfo.extensions = defaultValue(textureInfo.extensions, {});
+        textureInfo.extensions.KHR_texture_transform = {
+            offset: offset.slice(),
+            scale: scale.slice()
+        };
+    });
+    return true;
+}
+
+function quantizeAccessor(gltf, accessorId, componentType, normalized, quantizeFunction) {
+    const accessor = gltf.accessors[accessorId];
+    const values = readAccessorPacked(gltf, accessor);
+    const numberOfComponents = numberOfComponentsForType(accessor.type);
+    const componentByteLength = ComponentDatatype.getSizeInBytes(componentType);
+
+    // Vertex attributes must be aligned to 4 bytes
+    const elementByteLength = numberOfComponents * componentByteLength;
+    const byteStride = Math.ceil(elementByteLength / 4) * 4;
+    const componentStride = byteStride / componentByteLength;
+    const count = accessor.count;
+    const typedArray = ComponentDatatype.createTypedArray(componentType, count * componentStride);
+
+    for (let i = 0; i < count; ++i) {
+        for (let j = 0; j < numberOfComponents; ++j) {
+            typedArray[i * componentStride + j] = quantizeFunction(values[i * numberOfComponents + j], j);
+        }
+    }
+
+    const bufferViewId = addBuffer(gltf, Buffer.from(typedArray.buffer));
+    gltf.bufferViews[bufferViewId].byteStride = byteStride;
+    gltf.bufferViews[bufferViewId].target = WebGLConstants.ARRAY_BUFFER;
+
+    accessor.bufferView = bufferViewId;
+    accessor.byteOffset = 0;
+    accessor.componentType = componentType;
+    accessor.normalized = normalized;
+
+    const minMax = findAccessorMinMax(gltf, accessor);
+    accessor.min = minMax.min;
+    accessor.max = minMax.max;
+}
+
+function scaleAccessor(gltf, accessorId, scale) {
+    const accessor = gltf.accessors[accessorId];
+    if (!defined(accessor.bufferView)) {
+        // The displacements are all zero
+        return;
+    }
+    const values = readAccessorPacked(gltf, accessor);
+    const length = values.length;
+    const typedArray = new Float32Array(length);
+    for (let i = 0; i < length; ++i) {
+        typedArray[i] = values[i] * scale;
+    }
+    accessor.bufferView = addBuffer(gltf, Buffer.from(typedArray.buffer));
+    accessor.byteOffset = 0;
+
+    const minMax = findAccessorMinMax(gltf, accessor);
+    accessor.min = minMax.min;
+    accessor.max = minMax.max;
+}
+
+quantizeMeshes.defaults = {
+    quantizePositionBits: 14,
+    quantizeNormalBits: 8,
+    quantizeTexcoordBits: 12
+};
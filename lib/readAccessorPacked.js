@@ -6,12 +6,14 @@ const numberOfComponentsForType = require('./numberOfComponentsForType');
 
 const arrayFill = Cesium.arrayFill;
 const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 
 module.exports = readAccessorPacked;
 
 /**
- * Returns the accessor data in a contiguous array.
+ * Returns the accessor data in a contiguous array. The values of sparse accessors are substituted into the
+ * values of the buffer view, or into zeros when the accessor has no buffer view.
  *
  * @param {Object} gltf A javascript object containing a glTF asset.
  * @param {Object} accessor The accessor.
@@ -26,18 +28,40 @@ function readAccessorPacked(gltf, accessor) {
     const count = accessor.count;
     const values = new Array(numberOfComponents * count);
 
-    if (!defined(accessor.bufferView)) {
+    if (defined(accessor.bufferView)) {
+        readValues(gltf, accessor.bufferView, accessor.byteOffset, byteStride, accessor.componentType, numberOfComponents, count, values);
+    } else {
         arrayFill(values, 0);
-        return values;
     }
 
-    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const sparse = accessor.sparse;
+    if (defined(sparse)) {
+        const indices = new Array(sparse.count);
+        const indicesComponentType = sparse.indices.componentType;
+        readValues(gltf, sparse.indices.bufferView, sparse.indices.byteOffset, ComponentDatatype.getSizeInBytes(indicesComponentType), indicesComponentType, 1, sparse.count, indices);
+
+        // Sparse values are tightly packed
+        const sparseValues = new Array(numberOfComponents * sparse.count);
+        readValues(gltf, sparse.values.bufferView, sparse.values.byteOffset, componentTypeByteLength * numberOfComponents, accessor.componentType, numberOfComponents, sparse.count, sparseValues);
+
+        for (let i = 0; i < sparse.count; ++i) {
+            for (let j = 0; j < numberOfComponents; ++j) {
+                values[indices[i] * numberOfComponents + j] = sparseValues[i * numberOfComponents + j];
+            }
+        }
+    }
+    return values;
+}
+
+function readValues(gltf, bufferViewId, byteOffset, byteStride, componentType, numberOfComponents, count, values) {
+    const bufferView = gltf.bufferViews[bufferViewId];
     const source = gltf.buffers[bufferView.buffer].extras._pipeline.source;
-    let byteOffset = accessor.byteOffset + bufferView.byteOffset + source.byteOffset;
+    byteOffset = defaultValue(byteOffset, 0) + defaultValue(bufferView.byteOffset, 0) + source.byteOffset;
 
+    const componentTypeByteLength = ComponentDatatype.getSizeInBytes(componentType);
     const dataView = new DataView(source.buffer);
     const components = new Array(numberOfComponents);
-    const componentReader = getComponentReader(accessor.componentType);
+    const componentReader = getComponentReader(componentType);
 
     for (let i = 0; i < count; ++i) {
         componentReader(dataView, byteOffset, numberOfComponents, componentTypeByteLength, components);
@@ -46,5 +70,4 @@ function readAccessorPacked(gltf, accessor) {
         }
         byteOffset += byteStride;
     }
-    return values;
 }
@@ -0,0 +1,29 @@
+'use strict';
+const Cesium = require('cesium');
+const readAccessorPacked = require('./readAccessorPacked');
+
+const defined = Cesium.defined;
+
+module.exports = readPrimitiveIndices;
+
+/**
+ * Returns the indices of a primitive in a contiguous array. Primitives without indices reference their vertices in order.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} primitive The primitive.
+ * @returns {Number[]} The indices of the primitive.
+ *
+ * @private
+ */
+function readPrimitiveIndices(gltf, primitive) {
+    if (defined(primitive.indices)) {
+        return readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+    }
+    const semantic = Object.keys(primitive.attributes)[0];
+    const vertexCount = gltf.accessors[primitive.attributes[semantic]].count;
+    const indices = new Array(vertexCount);
+    for (let i = 0; i < vertexCount; ++i) {
+        indices[i] = i;
+    }
+    return indices;
+}
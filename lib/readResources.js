@@ -9,6 +9,7 @@ const addPipelineExtras = require('./addPipelineExtras');
 const dataUriToBuffer = require('./dataUriToBuffer');
 const { fileURLToPath, pathToFileURL } = require('./FileUrl');
 const ForEach = require('./ForEach');
+const isMeshoptFallbackBuffer = require('./isMeshoptFallbackBuffer');
 
 const defined = Cesium.defined;
 const defaultValue = Cesium.defaultValue;
@@ -61,6 +62,11 @@ function readResources(gltf, options) {
 }
 
 function readBuffer(gltf, buffer, options) {
+    if (!defined(buffer.uri) && !defined(buffer.extras._pipeline.source) && isMeshoptFallbackBuffer(buffer)) {
+        // The fallback buffer of EXT_meshopt_compression does not need to have data
+        buffer.extras._pipeline.source = Buffer.alloc(buffer.byteLength);
+        return Promise.resolve();
+    }
     return readResource(gltf, buffer, false, options)
         .then(function(data) {
             buffer.extras._pipeline.source = data;
@@ -69,6 +69,8 @@ function removeUnusedElementsByType(gltf, type) {
  */
 function Remove() {}
 
+removeUnusedElements.Remove = Remove;
+
 Remove.accessor = function(gltf, accessorId) {
     const accessors = gltf.accessors;
 
@@ -125,6 +127,11 @@ Remove.buffer = function(gltf, bufferId) {
         if (defined(bufferView.buffer) && bufferView.buffer > bufferId) {
             bufferView.buffer--;
         }
+        if (defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression)) {
+            if (bufferView.extensions.EXT_meshopt_compression.buffer > bufferId) {
+                bufferView.extensions.EXT_meshopt_compression.buffer--;
+            }
+        }
     });
 };
 
@@ -137,6 +144,15 @@ Remove.bufferView = function(gltf, bufferViewId) {
         if (defined(accessor.bufferView) && accessor.bufferView > bufferViewId) {
             accessor.bufferView--;
         }
+        const sparse = accessor.sparse;
+        if (defined(sparse)) {
+            if (sparse.indices.bufferView > bufferViewId) {
+                sparse.indices.bufferView--;
+            }
+            if (sparse.values.bufferView > bufferViewId) {
+                sparse.values.bufferView--;
+            }
+        }
     });
 
     ForEach.shader(gltf, function(shader) {
@@ -178,7 +194,8 @@ Remove.image = function(gltf, imageId) {
         const ext = texture.extensions;
         if (defined(ext) && defined(ext.EXT_texture_webp) && ext.EXT_texture_webp.source > imageId) {
             --texture.extensions.EXT_texture_webp.source;
-        } else if (defined(ext) && defined(ext.KHR_texture_basisu) && ext.KHR_texture_basisu.source > imageId) {
+        }
+        if (defined(ext) && defined(ext.KHR_texture_basisu) && ext.KHR_texture_basisu.source > imageId) {
             --texture.extensions.KHR_texture_basisu.source;
         }
     });
@@ -241,6 +258,13 @@ Remove.node = function(gltf, nodeId) {
                 return x > nodeId ? x - 1 : x; // Shift indices
             });
     });
+    if (hasExtension(gltf, 'MSFT_lod')) {
+        ForEach.node(gltf, function(node) {
+            if (defined(node.extensions) && defined(node.extensions.MSFT_lod)) {
+                removeLodNode(node, nodeId);
+            }
+        });
+    }
     ForEach.scene(gltf, function(scene) {
         scene.nodes = scene.nodes
             .filter(function(x) {
@@ -252,6 +276,21 @@ Remove.node = function(gltf, nodeId) {
     });
 };
 
+function removeLodNode(node, nodeId) {
+    const lod = node.extensions.MSFT_lod;
+    const index = lod.ids.indexOf(nodeId);
+    if (index !== -1) {
+        lod.ids.splice(index, 1);
+        // The first screen coverage belongs to the node itself
+        if (defined(node.extras) && Array.isArray(node.extras.MSFT_screencoverage)) {
+            node.extras.MSFT_screencoverage.splice(index + 1, 1);
+        }
+    }
+    lod.ids = lod.ids.map(function(x) {
+        return x > nodeId ? x - 1 : x;
+    });
+}
+
 Remove.material = function(gltf, materialId) {
     const materials = gltf.materials;
     materials.splice(materialId, 1);
@@ -300,6 +339,8 @@ Remove.texture = function(gltf, textureId) {
  */
 function getListOfElementsIdsInUse() {}
 
+removeUnusedElements.getListOfElementsIdsInUse = getListOfElementsIdsInUse;
+
 getListOfElementsIdsInUse.accessor = function(gltf) {
     // Calculate accessor's that are currently in use.
     const usedAccessorIds = {};
@@ -360,6 +401,9 @@ getListOfElementsIdsInUse.buffer = function(gltf) {
         if (defined(bufferView.buffer)) {
             usedBufferIds[bufferView.buffer] = true;
         }
+        if (defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression)) {
+            usedBufferIds[bufferView.extensions.EXT_meshopt_compression.buffer] = true;
+        }
     });
 
     return usedBufferIds;
@@ -373,6 +417,10 @@ getListOfElementsIdsInUse.bufferView = function(gltf) {
         if (defined(accessor.bufferView)) {
             usedBufferViewIds[accessor.bufferView] = true;
         }
+        if (defined(accessor.sparse)) {
+            usedBufferViewIds[accessor.sparse.indices.bufferView] = true;
+            usedBufferViewIds[accessor.sparse.values.bufferView] = true;
+        }
     });
 
     ForEach.shader(gltf, function(shader) {
@@ -411,7 +459,8 @@ getListOfElementsIdsInUse.image = function(gltf) {
 
         if (defined(texture.extensions) && defined(texture.extensions.EXT_texture_webp)) {
             usedImageIds[texture.extensions.EXT_texture_webp.source] = true;
-        } else if (defined(texture.extensions) && defined(texture.extensions.KHR_texture_basisu)) {
+        }
+        if (defined(texture.extensions) && defined(texture.extensions.KHR_texture_basisu)) {
             usedImageIds[texture.extensions.KHR_texture_basisu.source] = true;
         }
 
@@ -433,17 +482,35 @@ getListOfElementsIdsInUse.mesh = function(gltf) {
     return usedMeshIds;
 };
 
+function getLodIds(node) {
+    if (defined(node.extensions) && defined(node.extensions.MSFT_lod)) {
+        return node.extensions.MSFT_lod.ids;
+    }
+    return [];
+}
+
 // Check if node is empty. It is considered empty if neither referencing
-// mesh, camera, extensions and has no children
+// mesh, camera, extensions other than MSFT_lod and has no children or levels of detail
 function nodeIsEmpty(gltf, nodeId, usedNodeIds) {
     const node = gltf.nodes[nodeId];
+    const extensions = defaultValue(node.extensions, {});
     if (defined(node.mesh) || defined(node.camera) || defined(node.skin)
         || defined(node.weights) || defined(node.extras)
-        || (defined(node.extensions) && Object.keys(node.extensions).length !== 0)
+        || Object.keys(extensions).some(function(extension) {
+            return extension !== 'MSFT_lod';
+        })
         || defined(usedNodeIds[nodeId])) {
         return false;
     }
 
+    // Not empty if any of the levels of detail is not empty
+    const lodIds = getLodIds(node);
+    if (lodIds.some(function(lodNodeId) {
+        return !nodeIsEmpty(gltf, lodNodeId, usedNodeIds);
+    })) {
+        return false;
+    }
+
     // Empty if no children or children are all empty nodes
     return !defined(node.children)
         || node.children.filter(function(n) {
@@ -481,6 +548,16 @@ getListOfElementsIdsInUse.node = function(gltf) {
             usedNodeIds[nodeId] = true;
         }
     });
+    if (hasExtension(gltf, 'MSFT_lod')) {
+        // The levels of detail of a node are not part of the scene hierarchy, and are only used if the node is
+        ForEach.node(gltf, function(node, nodeId) {
+            if (usedNodeIds[nodeId]) {
+                getLodIds(node).forEach(function(lodNodeId) {
+                    usedNodeIds[lodNodeId] = true;
+                });
+            }
+        });
+    }
 
     return usedNodeIds;
 };
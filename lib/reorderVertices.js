@@ -0,0 +1,41 @@
+'use strict';
+const Cesium = require('cesium');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = reorderVertices;
+
+/**
+ * Rewrites vertex accessors so that they contain the given vertices in the given order.
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Number[]} accessorIds The ids of the vertex attribute and morph target accessors to rewrite.
+ * @param {Number[]} vertices The original index of each vertex in the rewritten accessors.
+ *
+ * @private
+ */
+function reorderVertices(gltf, accessorIds, vertices) {
+    const count = vertices.length;
+    accessorIds.forEach(function(accessorId) {
+        const accessor = gltf.accessors[accessorId];
+        if (!defined(accessor.bufferView)) {
+            // The values are all zero
+            accessor.count = count;
+            return;
+        }
+        const numberOfComponents = numberOfComponentsForType(accessor.type);
+        const source = readAccessorPacked(gltf, accessor);
+        const values = new Array(count * numberOfComponents);
+        for (let i = 0; i < count; ++i) {
+            const vertex = vertices[i];
+            for (let j = 0; j < numberOfComponents; ++j) {
+                values[i * numberOfComponents + j] = source[vertex * numberOfComponents + j];
+            }
+        }
+        writeAccessorPacked(gltf, accessor, values, WebGLConstants.ARRAY_BUFFER);
+    });
+}
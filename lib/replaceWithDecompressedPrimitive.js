@@ -4,6 +4,7 @@ const draco3d = require('draco3d');
 const addBuffer = require('./addBuffer');
 const numberOfComponentsForType = require('./numberOfComponentsForType');
 
+const defaultValue = Cesium.defaultValue;
 const defined = Cesium.defined;
 const RuntimeError = Cesium.RuntimeError;
 const WebGLConstants = Cesium.WebGLConstants;
@@ -18,8 +19,8 @@ module.exports = replaceWithDecompressedPrimitive;
  * @param {Object} gltf A javascript object containing a glTF asset.
  * @param {Object} primitive A javascript object containing a glTF primitive.
  * @param {Object} dracoEncodedBuffer A javascript object containing a Draco encoded mesh.
- * @param {Number} dracoEncodedBuffer.numberOfPoints Number of points after the mesh is decompressed.
- * @param {Number} dracoEncodedBuffer.numberOfFaces Number of faces after the mesh is decompressed.
+ * @param {Number} [dracoEncodedBuffer.numberOfPoints] Number of points after the mesh is decompressed. If undefined, the value is read from the decoded mesh.
+ * @param {Number} [dracoEncodedBuffer.numberOfFaces] Number of faces after the mesh is decompressed. If undefined, the value is read from the decoded mesh.
  * @param {Buffer} dracoEncodedBuffer.buffer A Buffer object containing a Draco compressed mesh.
  * @param {Boolean} uncompressedFallback If set, replaces the original with the decompressed data.
  * @param {Object} quantizationBitsValues A javascript object containing quantization bits for the different attribute types.
@@ -30,16 +31,22 @@ module.exports = replaceWithDecompressedPrimitive;
 function replaceWithDecompressedPrimitive(gltf, primitive, dracoEncodedBuffer, uncompressedFallback, quantizationBitsValues) {
     let decoder;
     let dracoGeometry;
-
-    // Add decompressed indices data to indices accessor.
-    const indicesAccessor = gltf.accessors[primitive.indices];
-    indicesAccessor.count = dracoEncodedBuffer.numberOfFaces * 3;
+    let numberOfPoints = dracoEncodedBuffer.numberOfPoints;
+    let numberOfFaces = dracoEncodedBuffer.numberOfFaces;
 
     if (uncompressedFallback) {
         decoder = new decoderModule.Decoder();
         dracoGeometry = decompressDracoBuffer(decoder, dracoEncodedBuffer.buffer);
+        numberOfPoints = defaultValue(numberOfPoints, dracoGeometry.num_points());
+        numberOfFaces = defaultValue(numberOfFaces, dracoGeometry.num_faces());
+    }
 
-        const indicesBuffer = getIndicesBuffer(indicesAccessor, decoderModule, decoder, dracoGeometry, dracoEncodedBuffer.numberOfFaces);
+    // Add decompressed indices data to indices accessor.
+    const indicesAccessor = gltf.accessors[primitive.indices];
+    indicesAccessor.count = numberOfFaces * 3;
+
+    if (uncompressedFallback) {
+        const indicesBuffer = getIndicesBuffer(indicesAccessor, decoderModule, decoder, dracoGeometry, numberOfFaces);
 
         indicesAccessor.bufferView = addBuffer(gltf, indicesBuffer);
         indicesAccessor.byteOffset = 0;
@@ -49,7 +56,7 @@ function replaceWithDecompressedPrimitive(gltf, primitive, dracoEncodedBuffer, u
     for (const semantic in dracoAttributes) {
         if (Object.prototype.hasOwnProperty.call(dracoAttributes, semantic)) {
             const attributeAccessor = gltf.accessors[primitive.attributes[semantic]];
-            attributeAccessor.count = dracoEncodedBuffer.numberOfPoints;
+            attributeAccessor.count = numberOfPoints;
 
             if (uncompressedFallback) {
                 const attributeId = decoder.GetAttributeByUniqueId(dracoGeometry, dracoAttributes[semantic]);
@@ -76,7 +83,7 @@ function replaceWithDecompressedPrimitive(gltf, primitive, dracoEncodedBuffer, u
 }
 
 function decompressDracoBuffer(decoder, compressedData) {
-    const source = new Uint8Array(compressedData.buffer);
+    const source = new Uint8Array(compressedData.buffer, compressedData.byteOffset, compressedData.length);
     const dracoBuffer = new decoderModule.DecoderBuffer();
     dracoBuffer.Init(source, source.length);
 
@@ -0,0 +1,118 @@
+'use strict';
+const Cesium = require('cesium');
+
+const Check = Cesium.Check;
+const DeveloperError = Cesium.DeveloperError;
+
+module.exports = resizeImage;
+
+/**
+ * Resamples 8-bit RGBA pixels to new dimensions.
+ * <p>
+ * The <code>nearest</code> filter copies the closest pixel, <code>bilinear</code> interpolates between the four closest pixels,
+ * and <code>box</code> averages all of the pixels covered by each new pixel, which avoids aliasing when reducing an image by more
+ * than half.
+ * </p>
+ *
+ * @param {Uint8Array} data The RGBA pixels of the image, row by row from the top.
+ * @param {Number} width The width of the image.
+ * @param {Number} height The height of the image.
+ * @param {Number} newWidth The width of the resized image.
+ * @param {Number} newHeight The height of the resized image.
+ * @param {String} [filter='box'] The filter to resample the image with. One of <code>nearest</code>, <code>bilinear</code>, or <code>box</code>.
+ * @returns {Uint8Array} The RGBA pixels of the resized image.
+ *
+ * @private
+ */
+function resizeImage(data, width, height, newWidth, newHeight, filter) {
+    Check.typeOf.number.greaterThan('newWidth', newWidth, 0);
+    Check.typeOf.number.greaterThan('newHeight', newHeight, 0);
+
+    const resized = new Uint8Array(newWidth * newHeight * 4);
+    const image = {
+        data: data,
+        width: width,
+        height: height
+    };
+    const sample = getSampler(filter);
+    const scaleX = width / newWidth;
+    const scaleY = height / newHeight;
+    for (let y = 0; y < newHeight; ++y) {
+        for (let x = 0; x < newWidth; ++x) {
+            sample(image, x * scaleX, y * scaleY, scaleX, scaleY, resized, (y * newWidth + x) * 4);
+        }
+    }
+    return resized;
+}
+
+resizeImage.filters = ['nearest', 'bilinear', 'box'];
+
+function getSampler(filter) {
+    switch (filter) {
+        case 'nearest':
+            return sampleNearest;
+        case 'bilinear':
+            return sampleBilinear;
+        case undefined:
+        case 'box':
+            return sampleBox;
+    }
+    throw new DeveloperError('filter must be one of ' + resizeImage.filters.join(', ') + '.');
+}
+
+function clamp(value, maximum) {
+    return Math.min(Math.max(value, 0), maximum);
+}
+
+// Each sampler resamples the area of the image from (left, top) to (left + scaleX, top + scaleY)
+function sampleNearest(image, left, top, scaleX, scaleY, result, offset) {
+    const x = clamp(Math.floor(left + scaleX * 0.5), image.width - 1);
+    const y = clamp(Math.floor(top + scaleY * 0.5), image.height - 1);
+    const source = (y * image.width + x) * 4;
+    for (let i = 0; i < 4; ++i) {
+        result[offset + i] = image.data[source + i];
+    }
+}
+
+function sampleBilinear(image, left, top, scaleX, scaleY, result, offset) {
+    // Pixel centers are at half pixel offsets
+    const x = clamp(left + scaleX * 0.5 - 0.5, image.width - 1);
+    const y = clamp(top + scaleY * 0.5 - 0.5, image.height - 1);
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, image.width - 1);
+    const y1 = Math.min(y0 + 1, image.height - 1);
+    const tx = x - x0;
+    const ty = y - y0;
+    const data = image.data;
+    const width = image.width;
+    for (let i = 0; i < 4; ++i) {
+        const topValue = data[(y0 * width + x0) * 4 + i] * (1.0 - tx) + data[(y0 * width + x1) * 4 + i] * tx;
+        const bottomValue = data[(y1 * width + x0) * 4 + i] * (1.0 - tx) + data[(y1 * width + x1) * 4 + i] * tx;
+        result[offset + i] = Math.round(topValue * (1.0 - ty) + bottomValue * ty);
+    }
+}
+
+function sampleBox(image, left, top, scaleX, scaleY, result, offset) {
+    const right = Math.min(left + scaleX, image.width);
+    const bottom = Math.min(top + scaleY, image.height);
+    const data = image.data;
+    const width = image.width;
+    const sums = [0.0, 0.0, 0.0, 0.0];
+    let totalWeight = 0.0;
+    // Pixels that are partially covered contribute with the fraction that is covered
+    for (let y = Math.floor(top); y < bottom; ++y) {
+        const weightY = Math.min(y + 1, bottom) - Math.max(y, top);
+        for (let x = Math.floor(left); x < right; ++x) {
+            const weight = (Math.min(x + 1, right) - Math.max(x, left)) * weightY;
+            const source = (y * width + x) * 4;
+            for (let i = 0; i < 4; ++i) {
+                sums[i] += data[source + i] * weight;
+            }
+            totalWeight += weight;
+        }
+    }
+    for (let i = 0; i < 4; ++i) {
+        result[offset + i] = Math.round(sums[i] / totalWeight);
+    }
+}
@@ -0,0 +1,164 @@
+'use strict';
+const Cesium = require('cesium');
+const jpeg = require('jpeg-js');
+const PNG = require('pngjs').PNG;
+const decodeImage = require('./decodeImage');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const ForEach = require('./ForEach');
+const getImageExtension = require('./getImageExtension');
+const getTextureSlot = require('./getTextureSlot');
+const resizeImage = require('./resizeImage');
+
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const DeveloperError = Cesium.DeveloperError;
+
+module.exports = resizeTextures;
+
+/**
+ * Resizes the PNG and JPEG images of material textures to a maximum size and, optionally, to power of two dimensions.
+ * <p>
+ * Images are first scaled down to fit the maximum size while keeping their aspect ratio, and then each dimension is rounded to the
+ * nearest power of two that does not exceed the maximum size. Images are re-encoded in their original format. PNG images are always
+ * written with 8 bits per channel, and paletted PNG images are written as RGB or RGBA.
+ * </p>
+ * <p>
+ * The maximum size can be set for each texture slot of a material, such as <code>normalTexture</code> or <code>baseColorTexture</code>,
+ * with <code>maximumSizes</code>. Images that are used in several slots are resized to the largest of their maximum sizes. Images in other
+ * formats and images that are not used by a material are not changed.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.resizeOptions Options defining texture resizing settings.
+ * @param {Number} [options.resizeOptions.maximumSize] The maximum width and height of images. If undefined, images are not scaled down.
+ * @param {Object} [options.resizeOptions.maximumSizes] The maximum width and height of images for each texture slot, which override <code>maximumSize</code>.
+ * @param {Boolean} [options.resizeOptions.powerOfTwo=false] Resize images to the nearest power of two width and height.
+ * @param {String} [options.resizeOptions.filter='box'] The filter to resample images with. One of <code>nearest</code>, <code>bilinear</code>, or <code>box</code>.
+ * @param {Number} [options.resizeOptions.jpegQuality=90] The quality of re-encoded JPEG images, from 1 to 100.
+ * @returns {Object} The glTF asset with resized textures.
+ *
+ * @private
+ */
+function resizeTextures(gltf, options) {
+    options = defaultValue(options, {});
+    const resizeOptions = defaultValue(options.resizeOptions, {});
+    const defaults = resizeTextures.defaults;
+    const maximumSize = defaultValue(resizeOptions.maximumSize, defaults.maximumSize);
+    const maximumSizes = defaultValue(resizeOptions.maximumSizes, {});
+    const powerOfTwo = defaultValue(resizeOptions.powerOfTwo, defaults.powerOfTwo);
+    const filter = defaultValue(resizeOptions.filter, defaults.filter);
+    const jpegQuality = defaultValue(resizeOptions.jpegQuality, defaults.jpegQuality);
+
+    if (defined(maximumSize)) {
+        Check.typeOf.number.greaterThanOrEquals('maximumSize', maximumSize, 1);
+    }
+    Object.keys(maximumSizes).forEach(function(slot) {
+        Check.typeOf.number.greaterThanOrEquals('maximumSizes.' + slot, maximumSizes[slot], 1);
+    });
+    if (resizeImage.filters.indexOf(filter) === -1) {
+        throw new DeveloperError('filter must be one of ' + resizeImage.filters.join(', ') + '.');
+    }
+    Check.typeOf.number.greaterThanOrEquals('jpegQuality', jpegQuality, 1);
+    Check.typeOf.number.lessThanOrEquals('jpegQuality', jpegQuality, 100);
+
+    // The maximum size of each image is the largest maximum size of the slots it is used in
+    const imageMaximumSizes = {};
+    ForEach.material(gltf, function(material) {
+        forEachTextureInMaterial(material, function(textureId, textureInfo) {
+            const texture = gltf.textures[textureId];
+            if (!defined(texture) || !defined(texture.source)) {
+                return;
+            }
+            const slotMaximumSize = defaultValue(defaultValue(maximumSizes[getTextureSlot(material, textureInfo)], maximumSize), Number.POSITIVE_INFINITY);
+            imageMaximumSizes[texture.source] = Math.max(defaultValue(imageMaximumSizes[texture.source], 0), slotMaximumSize);
+        });
+    });
+
+    const context = {
+        powerOfTwo: powerOfTwo,
+        filter: filter,
+        jpegQuality: jpegQuality
+    };
+    ForEach.image(gltf, function(image, imageId) {
+        const imageMaximumSize = imageMaximumSizes[imageId];
+        if (defined(imageMaximumSize) && defined(image.extras) && defined(image.extras._pipeline) && defined(image.extras._pipeline.source)) {
+            resizeTexture(image, imageMaximumSize, context);
+        }
+    });
+
+    return gltf;
+}
+
+function getPowerOfTwo(size, maximumSize) {
+    const lower = Math.pow(2, Math.floor(Math.log2(size)));
+    const upper = lower * 2;
+    if (upper <= maximumSize && upper - size <= size - lower) {
+        return upper;
+    }
+    return lower;
+}
+
+function getResizedDimensions(width, height, maximumSize, powerOfTwo) {
+    const scale = Math.min(1.0, maximumSize / Math.max(width, height));
+    let newWidth = Math.max(Math.round(width * scale), 1);
+    let newHeight = Math.max(Math.round(height * scale), 1);
+    if (powerOfTwo) {
+        newWidth = getPowerOfTwo(newWidth, maximumSize);
+        newHeight = getPowerOfTwo(newHeight, maximumSize);
+    }
+    return {
+        width: newWidth,
+        height: newHeight
+    };
+}
+
+function resizeTexture(image, maximumSize, context) {
+    const pipelineExtras = image.extras._pipeline;
+    const source = pipelineExtras.source;
+    const decoded = decodeImage(source);
+    if (!defined(decoded)) {
+        return;
+    }
+    const width = decoded.width;
+    const height = decoded.height;
+    const dimensions = getResizedDimensions(width, height, maximumSize, context.powerOfTwo);
+    if (dimensions.width === width && dimensions.height === height) {
+        return;
+    }
+
+    const data = resizeImage(decoded.data, width, height, dimensions.width, dimensions.height, context.filter);
+    const resized = {
+        data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+        width: dimensions.width,
+        height: dimensions.height
+    };
+    if (getImageExtension(source) === '.png') {
+        pipelineExtras.source = PNG.sync.write(resized, {
+            colorType: getPngColorType(decoded)
+        });
+    } else {
+        pipelineExtras.source = jpeg.encode(resized, context.jpegQuality).data;
+    }
+
+    if (defined(pipelineExtras.resourceId)) {
+        // Images that share a resource are only written once if they are resized to the same dimensions
+        pipelineExtras.resourceId = pipelineExtras.resourceId + '#' + dimensions.width + 'x' + dimensions.height;
+    }
+}
+
+function getPngColorType(png) {
+    // Paletted images are decoded to RGBA, which pngjs can't write back to a palette
+    if (png.palette) {
+        return png.alpha ? 6 : 2;
+    }
+    return png.colorType;
+}
+
+resizeTextures.defaults = {
+    maximumSize: undefined,
+    powerOfTwo: false,
+    filter: 'box',
+    jpegQuality: 90
+};
@@ -0,0 +1,100 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const reorderVertices = require('./reorderVertices');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = setCornerAttribute;
+
+/**
+ * Sets a floating point vertex attribute of a group of triangle primitives from a value for each corner of each triangle.
+ * <p>
+ * Vertices whose corners have different values are split, in which case all other vertex attributes and morph targets
+ * of the group are rewritten and the primitives get new indices. Unreferenced vertices are removed as well. Existing
+ * accessors of the attribute are replaced.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} group A group of primitives returned by {@link getPrimitiveGroups}.
+ * @param {Array[]} primitiveIndices The indices of each primitive in the group. Incomplete triangles at the end are dropped.
+ * @param {String} semantic The attribute semantic, e.g. NORMAL.
+ * @param {String} type The accessor type of the attribute, e.g. VEC3.
+ * @param {Array[]} cornerValues The values of each corner of each primitive in a contiguous array.
+ *
+ * @private
+ */
+function setCornerAttribute(gltf, group, primitiveIndices, semantic, type, cornerValues) {
+    const primitives = group.primitives;
+    const vertexCount = gltf.accessors[group.accessorIds[0]].count;
+    const numberOfComponents = numberOfComponentsForType(type);
+
+    const vertexMap = {};
+    const vertices = [];
+    const values = [];
+    const newIndices = primitiveIndices.map(function(indices, i) {
+        const corners = cornerValues[i];
+        const length = indices.length - indices.length % 3;
+        const newIndices = new Array(length);
+        for (let j = 0; j < length; ++j) {
+            const value = corners.slice(j * numberOfComponents, (j + 1) * numberOfComponents);
+            const key = indices[j] + ':' + value.join(',');
+            let index = vertexMap[key];
+            if (!defined(index)) {
+                index = vertexMap[key] = vertices.length;
+                vertices.push(indices[j]);
+                Array.prototype.push.apply(values, value);
+            }
+            newIndices[j] = index;
+        }
+        return newIndices;
+    });
+
+    let split = vertices.length !== vertexCount;
+    const referenced = new Uint8Array(vertexCount);
+    vertices.forEach(function(vertex) {
+        split = split || referenced[vertex] === 1;
+        referenced[vertex] = 1;
+    });
+
+    let attributeValues = values;
+    if (split) {
+        const accessorIds = group.accessorIds.filter(function(accessorId) {
+            return accessorId !== primitives[0].attributes[semantic];
+        });
+        reorderVertices(gltf, accessorIds, vertices);
+
+        const componentType = getIndicesComponentType(vertices.length);
+        primitives.forEach(function(primitive, i) {
+            // The indices accessor may be shared with primitives that are not in the group
+            const indicesAccessor = {
+                componentType: componentType,
+                type: 'SCALAR'
+            };
+            writeAccessorPacked(gltf, indicesAccessor, newIndices[i], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+            primitive.indices = addToArray(gltf.accessors, indicesAccessor);
+        });
+    } else {
+        // Each vertex has a single value, so the vertices and indices are kept as they are
+        attributeValues = new Array(values.length);
+        vertices.forEach(function(vertex, i) {
+            for (let j = 0; j < numberOfComponents; ++j) {
+                attributeValues[vertex * numberOfComponents + j] = values[i * numberOfComponents + j];
+            }
+        });
+    }
+
+    const accessor = {
+        componentType: WebGLConstants.FLOAT,
+        type: type
+    };
+    writeAccessorPacked(gltf, accessor, attributeValues, WebGLConstants.ARRAY_BUFFER);
+    const accessorId = addToArray(gltf.accessors, accessor);
+    primitives.forEach(function(primitive) {
+        primitive.attributes[semantic] = accessorId;
+    });
+}
@@ -0,0 +1,92 @@
+'use strict';
+const Cesium = require('cesium');
+const compactVertices = require('./compactVertices');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+const simplifyTriangles = require('./simplifyTriangles');
+
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = simplifyMeshes;
+
+/**
+ * Reduces the number of triangles of indexed TRIANGLES primitives by collapsing edges in the order of their quadric error.
+ * <p>
+ * Each collapse moves a vertex onto one of its neighbors, so the remaining vertices keep their original texture coordinates, normals,
+ * skin weights, and morph targets. Vertices on UV seams, normal creases, and other attribute discontinuities, as well as vertices on the
+ * border of a primitive, are never removed, so that seams and the boundaries between primitives stay intact. Collapses that would flip
+ * a triangle are rejected.
+ * </p>
+ * <p>
+ * Simplification stops when the number of triangles reaches the target ratio or when the next collapse would exceed the error bound,
+ * whichever comes first. Primitives without indices should be welded with {@link weldVertices} first.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.simplifyOptions Options defining simplification settings.
+ * @param {Number} [options.simplifyOptions.ratio=0.5] The target number of triangles as a fraction of the original number of triangles, between 0 and 1.
+ * @param {Number} [options.simplifyOptions.error=0.01] The maximum error as a fraction of the size of the primitive.
+ * @returns {Object} The glTF asset with simplified meshes.
+ *
+ * @private
+ */
+function simplifyMeshes(gltf, options) {
+    options = defaultValue(options, {});
+    const simplifyOptions = defaultValue(options.simplifyOptions, {});
+    const defaults = simplifyMeshes.defaults;
+    const ratio = defaultValue(simplifyOptions.ratio, defaults.ratio);
+    const error = defaultValue(simplifyOptions.error, defaults.error);
+
+    Check.typeOf.number.greaterThanOrEquals('ratio', ratio, 0.0);
+    Check.typeOf.number.lessThanOrEquals('ratio', ratio, 1.0);
+    Check.typeOf.number.greaterThanOrEquals('error', error, 0.0);
+
+    let simplified = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        simplified = simplifyPrimitives(gltf, group, ratio, error) || simplified;
+    });
+
+    if (simplified) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+function simplifyPrimitives(gltf, group, ratio, error) {
+    const primitives = group.primitives;
+    const positionAccessorId = primitives[0].attributes.POSITION;
+    const indexed = primitives.every(function(primitive) {
+        return defined(primitive.indices);
+    });
+    if (!defined(positionAccessorId) || !indexed) {
+        return false;
+    }
+
+    const positions = readAccessorPacked(gltf, gltf.accessors[positionAccessorId]);
+    let simplified = false;
+    const primitiveIndices = primitives.map(function(primitive) {
+        const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        if (defaultValue(primitive.mode, WebGLConstants.TRIANGLES) !== WebGLConstants.TRIANGLES) {
+            return indices;
+        }
+        const simplifiedIndices = simplifyTriangles(positions, indices, ratio, error);
+        simplified = simplified || simplifiedIndices.length < indices.length;
+        return simplifiedIndices;
+    });
+
+    if (simplified) {
+        compactVertices(gltf, group, primitiveIndices);
+    }
+    return simplified;
+}
+
+simplifyMeshes.defaults = {
+    ratio: 0.5,
+    error: 0.01
+};
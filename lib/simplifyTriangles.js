@@ -0,0 +1,324 @@
+'use strict';
+const Cesium = require('cesium');
+
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = simplifyTriangles;
+
+/**
+ * Reduces the number of triangles by collapsing edges in the order of their quadric error.
+ * <p>
+ * Each collapse moves a vertex onto one of its neighbors, so no vertices are created and the remaining triangles reference the
+ * original vertices. Vertices that share their position with other vertices, such as vertices on UV seams or normal creases,
+ * and vertices on borders are never moved. Collapses that would flip a triangle are rejected.
+ * </p>
+ *
+ * @param {Number[]} positions The positions of the vertices in a contiguous array.
+ * @param {Number[]} indices The indices of the triangles.
+ * @param {Number} ratio The target number of triangles as a fraction of the original number of triangles.
+ * @param {Number} error The maximum error as a fraction of the size of the triangles' bounding box.
+ * @returns {Number[]} The indices of the remaining triangles.
+ *
+ * @private
+ */
+function simplifyTriangles(positions, indices, ratio, error) {
+    const triangles = indices.slice(0, indices.length - indices.length % 3);
+    const triangleCount = triangles.length / 3;
+    const targetTriangleCount = Math.floor(triangleCount * ratio);
+    if (triangleCount <= targetTriangleCount) {
+        return indices;
+    }
+
+    const positionInfo = getPositionIds(positions, triangles);
+    const positionIds = positionInfo.positionIds;
+    const mesh = {
+        positions: positions,
+        triangles: triangles,
+        triangleCount: triangleCount,
+        targetTriangleCount: targetTriangleCount,
+        positionIds: positionIds,
+        locked: getLockedPositions(triangles, positionIds, positionInfo.wedgeCounts),
+        quadrics: computeQuadrics(positions, triangles, positionIds, positionInfo.wedgeCounts.length),
+        maximumError: Math.pow(error * getExtent(positions, triangles), 2.0)
+    };
+
+    let collapsed = true;
+    while (collapsed && mesh.triangleCount > mesh.targetTriangleCount) {
+        collapsed = simplifyPass(mesh);
+    }
+
+    return mesh.triangles;
+}
+
+// Vertices with the same position are treated as a single point of the surface
+function getPositionIds(positions, indices) {
+    const positionMap = {};
+    const positionIds = new Int32Array(positions.length / 3).fill(-1);
+    const wedgeCounts = [];
+    const length = indices.length;
+    for (let i = 0; i < length; ++i) {
+        const vertex = indices[i];
+        if (positionIds[vertex] !== -1) {
+            continue;
+        }
+        const key = positions[vertex * 3] + ',' + positions[vertex * 3 + 1] + ',' + positions[vertex * 3 + 2];
+        let positionId = positionMap[key];
+        if (!defined(positionId)) {
+            positionId = positionMap[key] = wedgeCounts.length;
+            wedgeCounts.push(0);
+        }
+        positionIds[vertex] = positionId;
+        wedgeCounts[positionId]++;
+    }
+    return {
+        positionIds: positionIds,
+        wedgeCounts: wedgeCounts
+    };
+}
+
+function getLockedPositions(triangles, positionIds, wedgeCounts) {
+    // Positions shared by several vertices lie on an attribute seam
+    const locked = wedgeCounts.map(function(wedgeCount) {
+        return wedgeCount > 1;
+    });
+
+    // Positions on an edge that is not shared by exactly two triangles lie on a border
+    const positionCount = wedgeCounts.length;
+    const edgeCounts = new Map();
+    const length = triangles.length;
+    for (let i = 0; i < length; i += 3) {
+        for (let j = 0; j < 3; ++j) {
+            const a = positionIds[triangles[i + j]];
+            const b = positionIds[triangles[i + (j + 1) % 3]];
+            const key = Math.min(a, b) * positionCount + Math.max(a, b);
+            edgeCounts.set(key, defaultValue(edgeCounts.get(key), 0) + 1);
+        }
+    }
+    edgeCounts.forEach(function(count, key) {
+        if (count !== 2) {
+            locked[Math.floor(key / positionCount)] = true;
+            locked[key % positionCount] = true;
+        }
+    });
+    return locked;
+}
+
+function getTriangleNormal(positions, a, b, c, result) {
+    const e1x = positions[b * 3] - positions[a * 3];
+    const e1y = positions[b * 3 + 1] - positions[a * 3 + 1];
+    const e1z = positions[b * 3 + 2] - positions[a * 3 + 2];
+    const e2x = positions[c * 3] - positions[a * 3];
+    const e2y = positions[c * 3 + 1] - positions[a * 3 + 1];
+    const e2z = positions[c * 3 + 2] - positions[a * 3 + 2];
+    result[0] = e1y * e2z - e1z * e2y;
+    result[1] = e1z * e2x - e1x * e2z;
+    result[2] = e1x * e2y - e1y * e2x;
+    return result;
+}
+
+// Each quadric stores the upper triangle of A, b, c, and the total weight of the planes
+const quadricLength = 11;
+
+function computeQuadrics(positions, triangles, positionIds, positionCount) {
+    const quadrics = new Float64Array(positionCount * quadricLength);
+    const normal = new Array(3);
+    const length = triangles.length;
+    for (let i = 0; i < length; i += 3) {
+        const a = triangles[i];
+        getTriangleNormal(positions, a, triangles[i + 1], triangles[i + 2], normal);
+        const magnitude = Math.sqrt(normal[0] * normal[0] + normal[1] * normal[1] + normal[2] * normal[2]);
+        if (magnitude === 0.0) {
+            continue;
+        }
+        const area = magnitude * 0.5;
+        const nx = normal[0] / magnitude;
+        const ny = normal[1] / magnitude;
+        const nz = normal[2] / magnitude;
+        const d = -(nx * positions[a * 3] + ny * positions[a * 3 + 1] + nz * positions[a * 3 + 2]);
+        const plane = [nx * nx, nx * ny, nx * nz, ny * ny, ny * nz, nz * nz, nx * d, ny * d, nz * d, d * d, 1.0];
+        for (let j = 0; j < 3; ++j) {
+            const offset = positionIds[triangles[i + j]] * quadricLength;
+            for (let k = 0; k < quadricLength; ++k) {
+                quadrics[offset + k] += plane[k] * area;
+            }
+        }
+    }
+    return quadrics;
+}
+
+// Returns the mean squared distance of the point to the planes of both quadrics
+function getCollapseError(quadrics, u, v, positions, vertex) {
+    const q = new Array(quadricLength);
+    for (let k = 0; k < quadricLength; ++k) {
+        q[k] = quadrics[u * quadricLength + k] + quadrics[v * quadricLength + k];
+    }
+    if (q[10] === 0.0) {
+        return 0.0;
+    }
+    const x = positions[vertex * 3];
+    const y = positions[vertex * 3 + 1];
+    const z = positions[vertex * 3 + 2];
+    const error = q[0] * x * x + 2.0 * q[1] * x * y + 2.0 * q[2] * x * z + q[3] * y * y + 2.0 * q[4] * y * z + q[5] * z * z +
+        2.0 * (q[6] * x + q[7] * y + q[8] * z) + q[9];
+    return Math.max(error, 0.0) / q[10];
+}
+
+function getExtent(positions, triangles) {
+    const min = [Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY];
+    const max = [Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY];
+    const length = triangles.length;
+    for (let i = 0; i < length; ++i) {
+        for (let j = 0; j < 3; ++j) {
+            const value = positions[triangles[i] * 3 + j];
+            min[j] = Math.min(min[j], value);
+            max[j] = Math.max(max[j], value);
+        }
+    }
+    return Math.sqrt(Math.pow(max[0] - min[0], 2) + Math.pow(max[1] - min[1], 2) + Math.pow(max[2] - min[2], 2));
+}
+
+function getVertexTriangles(triangles, vertexCount) {
+    const vertexTriangles = new Array(vertexCount);
+    const length = triangles.length;
+    for (let i = 0; i < length; ++i) {
+        const vertex = triangles[i];
+        if (!defined(vertexTriangles[vertex])) {
+            vertexTriangles[vertex] = [];
+        }
+        vertexTriangles[vertex].push(Math.floor(i / 3));
+    }
+    return vertexTriangles;
+}
+
+function isCollapseValid(positions, triangles, removedTriangles, positionIds, vertexTriangles, u, v) {
+    const before = new Array(3);
+    const after = new Array(3);
+    const positionV = positionIds[v];
+    const uTriangles = vertexTriangles[u];
+    const length = uTriangles.length;
+    for (let i = 0; i < length; ++i) {
+        const triangle = uTriangles[i];
+        if (removedTriangles[triangle]) {
+            continue;
+        }
+        const offset = triangle * 3;
+        const vertices = [triangles[offset], triangles[offset + 1], triangles[offset + 2]];
+        let sharesPosition = false;
+        for (let j = 0; j < 3; ++j) {
+            if (positionIds[vertices[j]] === positionV) {
+                // The triangles around u must all reference the same vertex at the position of v
+                if (vertices[j] !== v) {
+                    return false;
+                }
+                sharesPosition = true;
+            }
+        }
+        if (sharesPosition) {
+            continue;
+        }
+
+        // Reject collapses that flip a triangle
+        getTriangleNormal(positions, vertices[0], vertices[1], vertices[2], before);
+        const index = vertices.indexOf(u);
+        vertices[index] = v;
+        getTriangleNormal(positions, vertices[0], vertices[1], vertices[2], after);
+        if (before[0] * after[0] + before[1] * after[1] + before[2] * after[2] <= 0.0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getCollapses(mesh) {
+    const triangles = mesh.triangles;
+    const positionIds = mesh.positionIds;
+    const collapses = [];
+    const length = triangles.length;
+    for (let i = 0; i < length; ++i) {
+        const u = triangles[i];
+        if (mesh.locked[positionIds[u]]) {
+            continue;
+        }
+        const triangleStart = i - i % 3;
+        for (let j = 1; j < 3; ++j) {
+            const v = triangles[triangleStart + (i - triangleStart + j) % 3];
+            if (positionIds[u] !== positionIds[v]) {
+                collapses.push({
+                    u: u,
+                    v: v,
+                    error: getCollapseError(mesh.quadrics, positionIds[u], positionIds[v], mesh.positions, v)
+                });
+            }
+        }
+    }
+    collapses.sort(function(a, b) {
+        return a.error - b.error;
+    });
+    return collapses;
+}
+
+function collapseEdge(mesh, vertexTriangles, removedTriangles, u, v) {
+    const triangles = mesh.triangles;
+    const positionIds = mesh.positionIds;
+    const positionU = positionIds[u];
+    const positionV = positionIds[v];
+    vertexTriangles[u].forEach(function(triangle) {
+        if (removedTriangles[triangle]) {
+            return;
+        }
+        const offset = triangle * 3;
+        let degenerate = false;
+        for (let j = 0; j < 3; ++j) {
+            if (triangles[offset + j] === u) {
+                triangles[offset + j] = v;
+            } else if (positionIds[triangles[offset + j]] === positionV) {
+                degenerate = true;
+            }
+        }
+        if (degenerate) {
+            removedTriangles[triangle] = 1;
+            --mesh.triangleCount;
+        }
+    });
+
+    const quadrics = mesh.quadrics;
+    for (let k = 0; k < quadricLength; ++k) {
+        quadrics[positionV * quadricLength + k] += quadrics[positionU * quadricLength + k];
+    }
+}
+
+// Performs the collapses with the smallest errors, touching each position at most once per pass
+function simplifyPass(mesh) {
+    const collapses = getCollapses(mesh);
+    const triangles = mesh.triangles;
+    const positionIds = mesh.positionIds;
+    const vertexTriangles = getVertexTriangles(triangles, mesh.positions.length / 3);
+    const removedTriangles = new Uint8Array(triangles.length / 3);
+    const touched = new Uint8Array(mesh.locked.length);
+    let collapsed = false;
+
+    const length = collapses.length;
+    for (let i = 0; i < length; ++i) {
+        const collapse = collapses[i];
+        if (mesh.triangleCount <= mesh.targetTriangleCount || collapse.error > mesh.maximumError) {
+            break;
+        }
+        const u = collapse.u;
+        const v = collapse.v;
+        const positionU = positionIds[u];
+        const positionV = positionIds[v];
+        if (touched[positionU] || touched[positionV] || !isCollapseValid(mesh.positions, triangles, removedTriangles, positionIds, vertexTriangles, u, v)) {
+            continue;
+        }
+        collapseEdge(mesh, vertexTriangles, removedTriangles, u, v);
+        touched[positionU] = 1;
+        touched[positionV] = 1;
+        collapsed = true;
+    }
+
+    mesh.triangles = triangles.filter(function(vertex, i) {
+        return !removedTriangles[Math.floor(i / 3)];
+    });
+    return collapsed;
+}
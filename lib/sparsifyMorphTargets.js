@@ -0,0 +1,110 @@
+'use strict';
+const Cesium = require('cesium');
+const addBuffer = require('./addBuffer');
+const ForEach = require('./ForEach');
+const getAccessorByteStride = require('./getAccessorByteStride');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defined = Cesium.defined;
+
+module.exports = sparsifyMorphTargets;
+
+/**
+ * Stores morph target accessors as sparse accessors when most of their values are zero.
+ * <p>
+ * Morph targets often only move part of a mesh, so only the indices and values of the vertices that move are stored.
+ * An accessor is made sparse when its sparse indices and values take fewer bytes than its buffer view, and an accessor whose
+ * values are all zero loses its buffer view. Accessors that are already sparse or whose buffer views are compressed with meshopt
+ * are skipped.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} The glTF asset with sparse morph targets.
+ *
+ * @private
+ */
+function sparsifyMorphTargets(gltf) {
+    const accessorIds = {};
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            ForEach.meshPrimitiveTarget(primitive, function(target) {
+                ForEach.meshPrimitiveTargetAttribute(target, function(accessorId) {
+                    accessorIds[accessorId] = true;
+                });
+            });
+        });
+    });
+
+    let sparsified = false;
+    Object.keys(accessorIds).forEach(function(accessorId) {
+        const accessor = gltf.accessors[accessorId];
+        if (!defined(accessor.bufferView) || defined(accessor.sparse)) {
+            return;
+        }
+        const bufferView = gltf.bufferViews[accessor.bufferView];
+        if (defined(bufferView.extensions) && defined(bufferView.extensions.EXT_meshopt_compression)) {
+            return;
+        }
+        sparsified = sparsifyAccessor(gltf, accessor) || sparsified;
+    });
+
+    if (sparsified) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+function sparsifyAccessor(gltf, accessor) {
+    const values = readAccessorPacked(gltf, accessor);
+    const numberOfComponents = numberOfComponentsForType(accessor.type);
+    const count = accessor.count;
+    const indices = [];
+    for (let i = 0; i < count; ++i) {
+        for (let j = 0; j < numberOfComponents; ++j) {
+            if (values[i * numberOfComponents + j] !== 0) {
+                indices.push(i);
+                break;
+            }
+        }
+    }
+
+    const sparseCount = indices.length;
+    const indicesComponentType = getIndicesComponentType(count);
+    const elementByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType) * numberOfComponents;
+    const sparseByteLength = sparseCount * (ComponentDatatype.getSizeInBytes(indicesComponentType) + elementByteLength);
+    const denseByteLength = count * getAccessorByteStride(gltf, accessor);
+    if (sparseByteLength >= denseByteLength) {
+        return false;
+    }
+
+    delete accessor.bufferView;
+    delete accessor.byteOffset;
+    if (sparseCount === 0) {
+        // Accessors without a buffer view are initialized with zeros
+        return true;
+    }
+
+    const indicesArray = ComponentDatatype.createTypedArray(indicesComponentType, indices);
+    const valuesArray = ComponentDatatype.createTypedArray(accessor.componentType, sparseCount * numberOfComponents);
+    indices.forEach(function(index, i) {
+        for (let j = 0; j < numberOfComponents; ++j) {
+            valuesArray[i * numberOfComponents + j] = values[index * numberOfComponents + j];
+        }
+    });
+    accessor.sparse = {
+        count: sparseCount,
+        indices: {
+            bufferView: addBuffer(gltf, Buffer.from(indicesArray.buffer)),
+            componentType: indicesComponentType
+        },
+        values: {
+            bufferView: addBuffer(gltf, Buffer.from(valuesArray.buffer))
+        }
+    };
+    return true;
+}
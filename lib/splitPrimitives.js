@@ -171,6 +171,8 @@ function createNewAccessor(gltf, oldAccessor, dataArray) {
     accessor.bufferView = newBufferViewId;
     accessor.byteOffset = 0;
     accessor.count = count;
+    // The values of sparse accessors are already substituted into the data
+    delete accessor.sparse;
 
     const minMax = findAccessorMinMax(gltf, accessor);
     accessor.min = minMax.min;
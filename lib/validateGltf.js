@@ -0,0 +1,372 @@
+'use strict';
+const Cesium = require('cesium');
+const ForEach = require('./ForEach');
+const forEachTextureInMaterial = require('./forEachTextureInMaterial');
+const getAccessorByteStride = require('./getAccessorByteStride');
+const getTextureSlot = require('./getTextureSlot');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+
+module.exports = validateGltf;
+
+// Extensions that don't add properties to any object
+const extensionsWithoutProperties = ['KHR_mesh_quantization'];
+
+/**
+ * Validates the structure of a glTF 2.0 asset.
+ * <p>
+ * Checks that indices of referenced elements are in range, accessors fit in their buffer views, buffer views fit in their buffers,
+ * byte strides and offsets are aligned, mesh indices are in range of the vertex count, and extensions are consistent with
+ * <code>extensionsUsed</code> and <code>extensionsRequired</code>. Index ranges are only checked when the buffer data is
+ * available in <code>buffer.extras._pipeline.source</code>.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @returns {Object} An object containing <code>errors</code> and <code>warnings</code> arrays. Each issue has a <code>pointer</code> containing the JSON pointer of the invalid property and a <code>message</code>.
+ */
+function validateGltf(gltf) {
+    const results = {
+        errors: [],
+        warnings: []
+    };
+
+    function addError(pointer, message) {
+        results.errors.push({
+            pointer: pointer,
+            message: message
+        });
+    }
+
+    function addWarning(pointer, message) {
+        results.warnings.push({
+            pointer: pointer,
+            message: message
+        });
+    }
+
+    function isValidIndex(pointer, index, name, array) {
+        if (!defined(index)) {
+            return false;
+        }
+        const length = defined(array) ? array.length : 0;
+        if (!Number.isInteger(index) || index < 0 || index >= length) {
+            addError(pointer, 'Index ' + index + ' is out of range for ' + name + ' (length ' + length + ').');
+            return false;
+        }
+        return true;
+    }
+
+    validateReferences(gltf, isValidIndex);
+    validateBufferViews(gltf, addError);
+    validateAccessors(gltf, addError);
+    validateMeshes(gltf, addError);
+    validateExtensions(gltf, addError, addWarning);
+
+    return results;
+}
+
+function validateReferences(gltf, isValidIndex) {
+    if (defined(gltf.scene)) {
+        isValidIndex('/scene', gltf.scene, 'scenes', gltf.scenes);
+    }
+
+    ForEach.scene(gltf, function(scene, sceneId) {
+        ForEach.object(scene.nodes, function(nodeId, index) {
+            isValidIndex('/scenes/' + sceneId + '/nodes/' + index, nodeId, 'nodes', gltf.nodes);
+        });
+    });
+
+    ForEach.node(gltf, function(node, nodeId) {
+        const pointer = '/nodes/' + nodeId;
+        ForEach.object(node.children, function(childId, index) {
+            isValidIndex(pointer + '/children/' + index, childId, 'nodes', gltf.nodes);
+        });
+        isValidIndex(pointer + '/mesh', node.mesh, 'meshes', gltf.meshes);
+        isValidIndex(pointer + '/skin', node.skin, 'skins', gltf.skins);
+        isValidIndex(pointer + '/camera', node.camera, 'cameras', gltf.cameras);
+    });
+
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        ForEach.meshPrimitive(mesh, function(primitive, primitiveId) {
+            const pointer = '/meshes/' + meshId + '/primitives/' + primitiveId;
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId, semantic) {
+                isValidIndex(pointer + '/attributes/' + semantic, accessorId, 'accessors', gltf.accessors);
+            });
+            ForEach.meshPrimitiveTarget(primitive, function(target, targetId) {
+                ForEach.meshPrimitiveTargetAttribute(target, function(accessorId, semantic) {
+                    isValidIndex(pointer + '/targets/' + targetId + '/' + semantic, accessorId, 'accessors', gltf.accessors);
+                });
+            });
+            isValidIndex(pointer + '/indices', primitive.indices, 'accessors', gltf.accessors);
+            isValidIndex(pointer + '/material', primitive.material, 'materials', gltf.materials);
+            if (defined(primitive.extensions) && defined(primitive.extensions.KHR_draco_mesh_compression)) {
+                const bufferViewId = primitive.extensions.KHR_draco_mesh_compression.bufferView;
+                isValidIndex(pointer + '/extensions/KHR_draco_mesh_compression/bufferView', bufferViewId, 'bufferViews', gltf.bufferViews);
+            }
+        });
+    });
+
+    ForEach.material(gltf, function(material, materialId) {
+        forEachTextureInMaterial(material, function(textureId, textureInfo) {
+            isValidIndex('/materials/' + materialId + getTextureIndexPointer(material, textureInfo), textureId, 'textures', gltf.textures);
+        });
+    });
+
+    ForEach.texture(gltf, function(texture, textureId) {
+        const pointer = '/textures/' + textureId;
+        isValidIndex(pointer + '/source', texture.source, 'images', gltf.images);
+        isValidIndex(pointer + '/sampler', texture.sampler, 'samplers', gltf.samplers);
+        const extensions = defaultValue(texture.extensions, {});
+        Object.keys(extensions).forEach(function(extensionName) {
+            isValidIndex(pointer + '/extensions/' + extensionName + '/source', extensions[extensionName].source, 'images', gltf.images);
+        });
+    });
+
+    ForEach.image(gltf, function(image, imageId) {
+        isValidIndex('/images/' + imageId + '/bufferView', image.bufferView, 'bufferViews', gltf.bufferViews);
+    });
+
+    ForEach.accessor(gltf, function(accessor, accessorId) {
+        const pointer = '/accessors/' + accessorId;
+        isValidIndex(pointer + '/bufferView', accessor.bufferView, 'bufferViews', gltf.bufferViews);
+        const sparse = accessor.sparse;
+        if (defined(sparse)) {
+            isValidIndex(pointer + '/sparse/indices/bufferView', sparse.indices.bufferView, 'bufferViews', gltf.bufferViews);
+            isValidIndex(pointer + '/sparse/values/bufferView', sparse.values.bufferView, 'bufferViews', gltf.bufferViews);
+        }
+    });
+
+    ForEach.bufferView(gltf, function(bufferView, bufferViewId) {
+        isValidIndex('/bufferViews/' + bufferViewId + '/buffer', bufferView.buffer, 'buffers', gltf.buffers);
+    });
+
+    ForEach.skin(gltf, function(skin, skinId) {
+        const pointer = '/skins/' + skinId;
+        ForEach.skinJoint(skin, function(nodeId, index) {
+            isValidIndex(pointer + '/joints/' + index, nodeId, 'nodes', gltf.nodes);
+        });
+        isValidIndex(pointer + '/skeleton', skin.skeleton, 'nodes', gltf.nodes);
+        isValidIndex(pointer + '/inverseBindMatrices', skin.inverseBindMatrices, 'accessors', gltf.accessors);
+    });
+
+    ForEach.animation(gltf, function(animation, animationId) {
+        const pointer = '/animations/' + animationId;
+        ForEach.animationChannel(animation, function(channel, channelId) {
+            isValidIndex(pointer + '/channels/' + channelId + '/sampler', channel.sampler, 'samplers', animation.samplers);
+            isValidIndex(pointer + '/channels/' + channelId + '/target/node', channel.target.node, 'nodes', gltf.nodes);
+        });
+        ForEach.animationSampler(animation, function(sampler, samplerId) {
+            isValidIndex(pointer + '/samplers/' + samplerId + '/input', sampler.input, 'accessors', gltf.accessors);
+            isValidIndex(pointer + '/samplers/' + samplerId + '/output', sampler.output, 'accessors', gltf.accessors);
+        });
+    });
+}
+
+function validateBufferViews(gltf, addError) {
+    ForEach.bufferView(gltf, function(bufferView, bufferViewId) {
+        const pointer = '/bufferViews/' + bufferViewId;
+        const byteStride = bufferView.byteStride;
+        if (defined(byteStride) && (byteStride < 4 || byteStride > 252 || byteStride % 4 !== 0)) {
+            addError(pointer + '/byteStride', 'byteStride ' + byteStride + ' must be a multiple of 4 between 4 and 252.');
+        }
+
+        // Out of range buffers are already reported
+        const buffer = defined(gltf.buffers) ? gltf.buffers[bufferView.buffer] : undefined;
+        if (!defined(buffer)) {
+            return;
+        }
+        const byteEnd = defaultValue(bufferView.byteOffset, 0) + bufferView.byteLength;
+        if (byteEnd > buffer.byteLength) {
+            addError(pointer, 'Buffer view ends at byte ' + byteEnd + ' which exceeds the byte length ' + buffer.byteLength + ' of buffer ' + bufferView.buffer + '.');
+        }
+    });
+}
+
+function getVertexAttributeAccessors(gltf) {
+    const vertexAttributeAccessors = {};
+    ForEach.mesh(gltf, function(mesh) {
+        ForEach.meshPrimitive(mesh, function(primitive) {
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId) {
+                vertexAttributeAccessors[accessorId] = true;
+            });
+            ForEach.meshPrimitiveTarget(primitive, function(target) {
+                ForEach.meshPrimitiveTargetAttribute(target, function(accessorId) {
+                    vertexAttributeAccessors[accessorId] = true;
+                });
+            });
+        });
+    });
+    return vertexAttributeAccessors;
+}
+
+function validateAccessors(gltf, addError) {
+    const vertexAttributeAccessors = getVertexAttributeAccessors(gltf);
+
+    ForEach.accessor(gltf, function(accessor, accessorId) {
+        const pointer = '/accessors/' + accessorId;
+        const bufferView = defined(gltf.bufferViews) ? gltf.bufferViews[accessor.bufferView] : undefined;
+        if (!defined(bufferView)) {
+            return;
+        }
+
+        const componentByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType);
+        const elementByteLength = componentByteLength * numberOfComponentsForType(accessor.type);
+        const byteStride = getAccessorByteStride(gltf, accessor);
+        const totalByteOffset = defaultValue(bufferView.byteOffset, 0) + defaultValue(accessor.byteOffset, 0);
+
+        if (totalByteOffset % componentByteLength !== 0) {
+            addError(pointer + '/byteOffset', 'Accessor offset ' + totalByteOffset + ' must be a multiple of the component size ' + componentByteLength + '.');
+        }
+        if (vertexAttributeAccessors[accessorId] && totalByteOffset % 4 !== 0) {
+            addError(pointer + '/byteOffset', 'Vertex attribute offset ' + totalByteOffset + ' must be a multiple of 4.');
+        }
+        if (byteStride < elementByteLength) {
+            addError(pointer, 'byteStride ' + byteStride + ' is smaller than the element size ' + elementByteLength + '.');
+        }
+        const byteEnd = getAccessorByteEnd(gltf, accessor);
+        if (byteEnd > bufferView.byteLength) {
+            addError(pointer, 'Accessor ends at byte ' + byteEnd + ' which exceeds the byte length ' + bufferView.byteLength + ' of buffer view ' + accessor.bufferView + '.');
+        }
+    });
+}
+
+// Returns the end of the accessor data relative to the start of its buffer view
+function getAccessorByteEnd(gltf, accessor) {
+    if (accessor.count <= 0) {
+        return 0;
+    }
+    const elementByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType) * numberOfComponentsForType(accessor.type);
+    return defaultValue(accessor.byteOffset, 0) + getAccessorByteStride(gltf, accessor) * (accessor.count - 1) + elementByteLength;
+}
+
+// Accessors that exceed their buffer view or buffer are reported by validateAccessors and validateBufferViews and can't be read
+function hasAccessorData(gltf, accessor) {
+    const bufferView = gltf.bufferViews[accessor.bufferView];
+    const buffer = defined(bufferView) && defined(gltf.buffers) ? gltf.buffers[bufferView.buffer] : undefined;
+    if (!defined(buffer) || !defined(buffer.extras) || !defined(buffer.extras._pipeline) || !defined(buffer.extras._pipeline.source)) {
+        return false;
+    }
+    const bufferViewByteEnd = defaultValue(bufferView.byteOffset, 0) + bufferView.byteLength;
+    return getAccessorByteEnd(gltf, accessor) <= bufferView.byteLength && bufferViewByteEnd <= buffer.extras._pipeline.source.length;
+}
+
+function validateMeshes(gltf, addError) {
+    ForEach.mesh(gltf, function(mesh, meshId) {
+        ForEach.meshPrimitive(mesh, function(primitive, primitiveId) {
+            const pointer = '/meshes/' + meshId + '/primitives/' + primitiveId;
+            let vertexCount;
+            let validAttributes = true;
+            ForEach.meshPrimitiveAttribute(primitive, function(accessorId, semantic) {
+                const accessor = defined(gltf.accessors) ? gltf.accessors[accessorId] : undefined;
+                if (!defined(accessor)) {
+                    validAttributes = false;
+                    return;
+                }
+                if (!defined(vertexCount)) {
+                    vertexCount = accessor.count;
+                } else if (accessor.count !== vertexCount) {
+                    addError(pointer + '/attributes/' + semantic, 'Attribute count ' + accessor.count + ' does not match the vertex count ' + vertexCount + ' of the primitive.');
+                    validAttributes = false;
+                }
+            });
+
+            const indicesAccessor = defined(primitive.indices) ? gltf.accessors[primitive.indices] : undefined;
+            if (!validAttributes || !defined(vertexCount) || !defined(indicesAccessor) || !defined(indicesAccessor.bufferView) || defined(indicesAccessor.sparse)) {
+                return;
+            }
+            if (!hasAccessorData(gltf, indicesAccessor)) {
+                return;
+            }
+
+            const indices = readAccessorPacked(gltf, indicesAccessor);
+            const maximumIndex = indices.reduce(function(maximum, index) {
+                return Math.max(maximum, index);
+            }, 0);
+            if (maximumIndex >= vertexCount) {
+                addError(pointer + '/indices', 'Index ' + maximumIndex + ' is out of range for the vertex count ' + vertexCount + '.');
+            }
+        });
+    });
+}
+
+// Returns the JSON pointer of the texture index of a texture info relative to its material
+function getTextureIndexPointer(material, textureInfo) {
+    const slot = getTextureSlot(material, textureInfo);
+    if (!defined(slot)) {
+        return '';
+    }
+    const extensions = defaultValue(material.extensions, {});
+    const containers = {
+        '': material,
+        '/pbrMetallicRoughness': material.pbrMetallicRoughness,
+        '/extensions/KHR_materials_pbrSpecularGlossiness': extensions.KHR_materials_pbrSpecularGlossiness,
+        '/values': material.values,
+        '/extensions/KHR_materials_common/values': defined(extensions.KHR_materials_common) ? extensions.KHR_materials_common.values : undefined,
+        '/extensions/KHR_techniques_webgl/values': defined(extensions.KHR_techniques_webgl) ? extensions.KHR_techniques_webgl.values : undefined
+    };
+    for (const path in containers) {
+        if (Object.prototype.hasOwnProperty.call(containers, path)) {
+            const container = containers[path];
+            if (defined(container) && container[slot] === textureInfo) {
+                return path + '/' + slot + '/index';
+            }
+        }
+    }
+    return '';
+}
+
+function forEachExtensions(object, pointer, handler) {
+    if (Array.isArray(object)) {
+        object.forEach(function(value, index) {
+            forEachExtensions(value, pointer + '/' + index, handler);
+        });
+    } else if (defined(object) && typeof object === 'object' && !Buffer.isBuffer(object)) {
+        for (const key in object) {
+            if (Object.prototype.hasOwnProperty.call(object, key) && key !== 'extras') {
+                if (key === 'extensions') {
+                    handler(object.extensions, pointer + '/extensions');
+                }
+                forEachExtensions(object[key], pointer + '/' + key, handler);
+            }
+        }
+    }
+}
+
+function validateExtensions(gltf, addError, addWarning) {
+    const extensionsUsed = defaultValue(gltf.extensionsUsed, []);
+    const extensionsRequired = defaultValue(gltf.extensionsRequired, []);
+
+    extensionsUsed.forEach(function(extensionName, index) {
+        if (extensionsUsed.indexOf(extensionName) !== index) {
+            addWarning('/extensionsUsed/' + index, 'Extension ' + extensionName + ' is declared more than once.');
+        }
+    });
+
+    extensionsRequired.forEach(function(extensionName, index) {
+        if (extensionsUsed.indexOf(extensionName) === -1) {
+            addError('/extensionsRequired/' + index, 'Required extension ' + extensionName + ' is not in extensionsUsed.');
+        }
+    });
+
+    const foundExtensions = {};
+    forEachExtensions(gltf, '', function(extensions, pointer) {
+        Object.keys(extensions).forEach(function(extensionName) {
+            if (!defined(foundExtensions[extensionName])) {
+                foundExtensions[extensionName] = true;
+                if (extensionsUsed.indexOf(extensionName) === -1) {
+                    addError(pointer + '/' + extensionName, 'Extension ' + extensionName + ' is not in extensionsUsed.');
+                }
+            }
+        });
+    });
+
+    extensionsUsed.forEach(function(extensionName, index) {
+        if (!defined(foundExtensions[extensionName]) && extensionsWithoutProperties.indexOf(extensionName) === -1) {
+            addWarning('/extensionsUsed/' + index, 'Extension ' + extensionName + ' is declared but not used.');
+        }
+    });
+}
@@ -0,0 +1,134 @@
+'use strict';
+const Cesium = require('cesium');
+const addToArray = require('./addToArray');
+const getIndicesComponentType = require('./getIndicesComponentType');
+const getPrimitiveGroups = require('./getPrimitiveGroups');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+const readAccessorPacked = require('./readAccessorPacked');
+const removeUnusedElements = require('./removeUnusedElements');
+const reorderVertices = require('./reorderVertices');
+const writeAccessorPacked = require('./writeAccessorPacked');
+
+const Check = Cesium.Check;
+const defaultValue = Cesium.defaultValue;
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = weldVertices;
+
+/**
+ * Merges duplicate vertices of mesh primitives and rebuilds their indices.
+ * <p>
+ * Two vertices are merged when all of their attributes and morph target attributes are equal. When a tolerance is given,
+ * floating point values are snapped to a grid with the tolerance as the cell size before they are compared, while integer
+ * values such as joint indices must still match exactly. The values of the first vertex are kept.
+ * </p>
+ * <p>
+ * Primitives that share vertex attributes are welded together. Primitives that are compressed with Draco or meshopt, that use sparse
+ * accessors, or that share only some of their attributes with other primitives are not welded. The indices of welded primitives use the
+ * smallest component type that fits the number of vertices.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} options The same options object as {@link processGltf}
+ * @param {Object} options.weldOptions Options defining welding settings.
+ * @param {Number} [options.weldOptions.tolerance=0.0] The distance below which floating point values are considered equal. A value of 0 only merges exact duplicates.
+ * @returns {Object} The glTF asset with welded primitives.
+ *
+ * @private
+ */
+function weldVertices(gltf, options) {
+    options = defaultValue(options, {});
+    const weldOptions = defaultValue(options.weldOptions, {});
+    const tolerance = defaultValue(weldOptions.tolerance, weldVertices.defaults.tolerance);
+    Check.typeOf.number.greaterThanOrEquals('tolerance', tolerance, 0.0);
+
+    let welded = false;
+    getPrimitiveGroups(gltf).forEach(function(group) {
+        welded = weldPrimitives(gltf, group, tolerance) || welded;
+    });
+
+    if (welded) {
+        removeUnusedElements(gltf, ['accessor', 'bufferView', 'buffer']);
+    }
+
+    return gltf;
+}
+
+function getVertexKey(attributes, vertex, tolerance) {
+    const values = [];
+    attributes.forEach(function(attribute) {
+        const numberOfComponents = attribute.numberOfComponents;
+        const snap = tolerance > 0.0 && attribute.componentType === WebGLConstants.FLOAT;
+        for (let i = 0; i < numberOfComponents; ++i) {
+            const value = attribute.values[vertex * numberOfComponents + i];
+            values.push(snap ? Math.round(value / tolerance) : value);
+        }
+    });
+    return values.join(',');
+}
+
+function weldPrimitives(gltf, group, tolerance) {
+    const accessorIds = group.accessorIds;
+    const vertexCount = gltf.accessors[accessorIds[0]].count;
+
+    const attributes = accessorIds.map(function(accessorId) {
+        const accessor = gltf.accessors[accessorId];
+        return {
+            componentType: accessor.componentType,
+            numberOfComponents: numberOfComponentsForType(accessor.type),
+            values: readAccessorPacked(gltf, accessor)
+        };
+    });
+
+    const vertexMap = {};
+    const remap = new Array(vertexCount);
+    const uniqueVertices = [];
+    for (let i = 0; i < vertexCount; ++i) {
+        const key = getVertexKey(attributes, i, tolerance);
+        let index = vertexMap[key];
+        if (!defined(index)) {
+            index = vertexMap[key] = uniqueVertices.length;
+            uniqueVertices.push(i);
+        }
+        remap[i] = index;
+    }
+
+    const uniqueCount = uniqueVertices.length;
+    if (uniqueCount === vertexCount) {
+        return false;
+    }
+
+    reorderVertices(gltf, accessorIds, uniqueVertices);
+
+    const componentType = getIndicesComponentType(uniqueCount);
+    group.primitives.forEach(function(primitive) {
+        let indices;
+        if (defined(primitive.indices)) {
+            indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        } else {
+            indices = new Array(vertexCount);
+            for (let i = 0; i < vertexCount; ++i) {
+                indices[i] = i;
+            }
+        }
+        const indicesLength = indices.length;
+        for (let i = 0; i < indicesLength; ++i) {
+            indices[i] = remap[indices[i]];
+        }
+
+        // The indices accessor may be shared with primitives that are not welded
+        const indicesAccessor = {
+            componentType: componentType,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        primitive.indices = addToArray(gltf.accessors, indicesAccessor);
+    });
+
+    return true;
+}
+
+weldVertices.defaults = {
+    tolerance: 0.0
+};
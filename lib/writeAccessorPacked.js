@@ -0,0 +1,59 @@
+'use strict';
+const Cesium = require('cesium');
+const addBuffer = require('./addBuffer');
+const findAccessorMinMax = require('./findAccessorMinMax');
+const numberOfComponentsForType = require('./numberOfComponentsForType');
+
+const ComponentDatatype = Cesium.ComponentDatatype;
+const WebGLConstants = Cesium.WebGLConstants;
+
+module.exports = writeAccessorPacked;
+
+/**
+ * Writes values in a contiguous array to a new buffer view and points the accessor to it.
+ * The count, min, and max of the accessor are updated to match the values, and sparse values are removed.
+ * <p>
+ * Vertex attributes are padded to a multiple of 4 bytes per element as required by the glTF specification.
+ * </p>
+ *
+ * @param {Object} gltf A javascript object containing a glTF asset.
+ * @param {Object} accessor The accessor. Its componentType and type are used for writing the values.
+ * @param {Array|TypedArray} values The accessor values in a contiguous array.
+ * @param {Number} target The target of the buffer view, either WebGLConstants.ARRAY_BUFFER or WebGLConstants.ELEMENT_ARRAY_BUFFER.
+ *
+ * @private
+ */
+function writeAccessorPacked(gltf, accessor, values, target) {
+    const numberOfComponents = numberOfComponentsForType(accessor.type);
+    const componentByteLength = ComponentDatatype.getSizeInBytes(accessor.componentType);
+    const count = values.length / numberOfComponents;
+
+    let componentStride = numberOfComponents;
+    if (target === WebGLConstants.ARRAY_BUFFER) {
+        const byteStride = Math.ceil(numberOfComponents * componentByteLength / 4) * 4;
+        componentStride = byteStride / componentByteLength;
+    }
+
+    const typedArray = ComponentDatatype.createTypedArray(accessor.componentType, count * componentStride);
+    for (let i = 0; i < count; ++i) {
+        for (let j = 0; j < numberOfComponents; ++j) {
+            typedArray[i * componentStride + j] = values[i * numberOfComponents + j];
+        }
+    }
+
+    const bufferViewId = addBuffer(gltf, Buffer.from(typedArray.buffer));
+    const bufferView = gltf.bufferViews[bufferViewId];
+    bufferView.target = target;
+    if (target === WebGLConstants.ARRAY_BUFFER) {
+        bufferView.byteStride = componentStride * componentByteLength;
+    }
+
+    accessor.bufferView = bufferViewId;
+    accessor.byteOffset = 0;
+    accessor.count = count;
+    delete accessor.sparse;
+
+    const minMax = findAccessorMinMax(gltf, accessor);
+    accessor.min = minMax.min;
+    accessor.max = minMax.max;
+}
@@ -4,6 +4,7 @@ const mime = require('mime');
 const addBuffer = require('./addBuffer');
 const ForEach = require('./ForEach');
 const getImageExtension = require('./getImageExtension');
+const isMeshoptFallbackBuffer = require('./isMeshoptFallbackBuffer');
 const mergeBuffers = require('./mergeBuffers');
 const removeUnusedElements = require('./removeUnusedElements');
 
@@ -68,6 +69,11 @@ function writeResources(gltf, options) {
 }
 
 function writeBuffer(gltf, buffer, i, writtenResourceMap, options) {
+    if (isMeshoptFallbackBuffer(buffer)) {
+        // The fallback buffer of EXT_meshopt_compression is not written when its data is not needed
+        delete buffer.uri;
+        return;
+    }
     if (defined(options.bufferStorage) && !options.separateBuffers) {
         writeBufferStorage(buffer, options);
     } else {
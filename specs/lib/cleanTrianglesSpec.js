@@ -0,0 +1,206 @@
+'use strict';
+const Cesium = require('cesium');
+const cleanTriangles = require('../../lib/cleanTriangles');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const defined = Cesium.defined;
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+function createGltf(indices) {
+    const gltf = {
+        accessors: [],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                }
+            }]
+        }],
+        nodes: [{
+            mesh: 0
+        }],
+        scenes: [{
+            nodes: [0]
+        }],
+        scene: 0
+    };
+    const positionAccessor = {
+        componentType: WebGLConstants.FLOAT,
+        type: 'VEC3'
+    };
+    writeAccessorPacked(gltf, positionAccessor, [
+        0.0, 0.0, 0.0,
+        1.0, 0.0, 0.0,
+        0.0, 1.0, 0.0,
+        1.0, 1.0, 0.0,
+        0.0, 2.0, 0.0,
+        1.0, 0.001, 0.0
+    ], WebGLConstants.ARRAY_BUFFER);
+    gltf.accessors.push(positionAccessor);
+    if (defined(indices)) {
+        const indicesAccessor = {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        gltf.meshes[0].primitives[0].indices = gltf.accessors.push(indicesAccessor) - 1;
+    }
+    return gltf;
+}
+
+function getIndices(gltf) {
+    const primitive = gltf.meshes[0].primitives[0];
+    return readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+}
+
+describe('cleanTriangles', () => {
+    it('removes triangles with repeated indices and zero area', () => {
+        const gltf = createGltf([0, 1, 2, 1, 1, 3, 0, 2, 4, 1, 3, 2]);
+
+        cleanTriangles(gltf);
+
+        expect(getIndices(gltf)).toEqual([0, 1, 2, 1, 3, 2]);
+        expect(gltf.accessors.length).toBe(2);
+    });
+
+    it('removes triangles with an area at or below the tolerance', () => {
+        const gltf = createGltf([0, 1, 2, 0, 5, 1]);
+        cleanTriangles(gltf);
+        expect(getIndices(gltf)).toEqual([0, 1, 2, 0, 5, 1]);
+
+        cleanTriangles(gltf, {
+            cleanOptions: {
+                tolerance: 0.001
+            }
+        });
+        expect(getIndices(gltf)).toEqual([0, 1, 2]);
+    });
+
+    it('removes duplicate triangles and keeps triangles with the opposite winding order', () => {
+        const gltf = createGltf([0, 1, 2, 1, 2, 0, 2, 0, 1, 0, 2, 1, 0, 1, 2]);
+
+        cleanTriangles(gltf);
+
+        expect(getIndices(gltf)).toEqual([0, 1, 2, 0, 2, 1]);
+    });
+
+    it('stores indices with the smallest component type', () => {
+        const gltf = createGltf([0, 1, 2, 1, 3, 2]);
+
+        cleanTriangles(gltf);
+
+        const indicesAccessor = gltf.accessors[gltf.meshes[0].primitives[0].indices];
+        expect(indicesAccessor.componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(indicesAccessor.count).toBe(6);
+        expect(indicesAccessor.max).toEqual([3]);
+    });
+
+    it('adds indices to primitives without indices when triangles are removed', () => {
+        const gltf = createGltf();
+        gltf.accessors[0].count = 6;
+        cleanTriangles(gltf);
+        expect(gltf.meshes[0].primitives[0].indices).toBeUndefined();
+
+        gltf.accessors[0].count = 3;
+        cleanTriangles(gltf);
+        expect(gltf.meshes[0].primitives[0].indices).toBeUndefined();
+
+        // Vertices 3, 4, and 5 of the second triangle are made collinear
+        gltf.accessors[0].count = 6;
+        const positions = readAccessorPacked(gltf, gltf.accessors[0]);
+        positions[9] = 0.0;
+        positions[15] = 0.0;
+        writeAccessorPacked(gltf, gltf.accessors[0], positions, WebGLConstants.ARRAY_BUFFER);
+        cleanTriangles(gltf);
+
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(getIndices(gltf)).toEqual([0, 1, 2]);
+        expect(gltf.accessors[primitive.indices].componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+    });
+
+    it('removes primitives without triangles', () => {
+        const gltf = createGltf([0, 0, 1, 0, 2, 4]);
+
+        cleanTriangles(gltf);
+
+        expect(gltf.meshes).toEqual([]);
+        expect(gltf.nodes).toEqual([]);
+        expect(gltf.accessors).toEqual([]);
+    });
+
+    it('cleans primitives that share indices but not positions separately', () => {
+        const gltf = createGltf([0, 1, 2, 0, 2, 4]);
+        const positionAccessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        };
+        writeAccessorPacked(gltf, positionAccessor, [
+            0.0, 0.0, 0.0,
+            1.0, 0.0, 0.0,
+            0.0, 1.0, 0.0,
+            1.0, 1.0, 0.0,
+            1.0, 2.0, 0.0
+        ], WebGLConstants.ARRAY_BUFFER);
+        gltf.meshes.push({
+            primitives: [{
+                attributes: {
+                    POSITION: gltf.accessors.push(positionAccessor) - 1
+                },
+                indices: 1
+            }]
+        });
+        gltf.nodes.push({
+            mesh: 1
+        });
+        gltf.scenes[0].nodes.push(1);
+        const messages = [];
+
+        cleanTriangles(gltf, {
+            logger: function(message) {
+                messages.push(message);
+            }
+        });
+
+        const secondPrimitive = gltf.meshes[1].primitives[0];
+        expect(getIndices(gltf)).toEqual([0, 1, 2]);
+        expect(readAccessorPacked(gltf, gltf.accessors[secondPrimitive.indices])).toEqual([0, 1, 2, 0, 2, 4]);
+        expect(messages).toEqual(['Removed 1 degenerate triangles and 0 duplicate triangles.']);
+    });
+
+    it('skips primitives that are not triangles', () => {
+        const gltf = createGltf([0, 0, 1, 2]);
+        gltf.meshes[0].primitives[0].mode = WebGLConstants.LINES;
+
+        cleanTriangles(gltf);
+
+        expect(getIndices(gltf)).toEqual([0, 0, 1, 2]);
+    });
+
+    it('logs the number of removed triangles', () => {
+        const gltf = createGltf([0, 1, 2, 1, 1, 3, 0, 1, 2]);
+        const messages = [];
+
+        cleanTriangles(gltf, {
+            logger: function(message) {
+                messages.push(message);
+            }
+        });
+
+        expect(messages).toEqual(['Removed 1 degenerate triangles and 1 duplicate triangles.']);
+    });
+
+    it('throws with a negative tolerance', () => {
+        const gltf = createGltf([0, 1, 2]);
+        expect(function() {
+            cleanTriangles(gltf, {
+                cleanOptions: {
+                    tolerance: -1.0
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
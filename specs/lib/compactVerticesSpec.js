@@ -0,0 +1,43 @@
+'use strict';
+const Cesium = require('cesium');
+const compactVertices = require('../../lib/compactVertices');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+describe('compactVertices', () => {
+    it('orders vertices by their first reference and removes unreferenced vertices', () => {
+        const gltf = {
+            accessors: [{
+                componentType: WebGLConstants.FLOAT,
+                type: 'SCALAR'
+            }, {
+                componentType: WebGLConstants.UNSIGNED_BYTE,
+                type: 'SCALAR'
+            }],
+            buffers: [],
+            bufferViews: []
+        };
+        writeAccessorPacked(gltf, gltf.accessors[0], [10, 11, 12, 13, 14], WebGLConstants.ARRAY_BUFFER);
+        writeAccessorPacked(gltf, gltf.accessors[1], [0, 1, 2, 2, 3, 4], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        const primitive = {
+            attributes: {
+                POSITION: 0
+            },
+            indices: 1
+        };
+        const group = {
+            accessorIds: [0],
+            primitives: [primitive]
+        };
+
+        compactVertices(gltf, group, [[4, 2, 3, 3, 2, 4]]);
+
+        expect(readAccessorPacked(gltf, gltf.accessors[0])).toEqual([14, 12, 13]);
+        expect(primitive.indices).toBe(2);
+        const indicesAccessor = gltf.accessors[2];
+        expect(indicesAccessor.componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(readAccessorPacked(gltf, indicesAccessor)).toEqual([0, 1, 2, 2, 1, 0]);
+    });
+});
@@ -1,5 +1,5 @@
 'use strict';
-const { AxisAlignedBoundingBox, Cartesian3, clone, DeveloperError} = require('cesium');
+const { AxisAlignedBoundingBox, Cartesian3, clone, DeveloperError, WebGLConstants} = require('cesium');
 const fsExtra = require('fs-extra');
 const readResources = require('../../lib/readResources');
 const compressDracoMeshes = require('../../lib/compressDracoMeshes');
@@ -90,6 +90,25 @@ describe('compressDracoMeshes', () => {
         expect(positionAccessor.byteLength).toBeUndefined();
     });
 
+    it('compresses strips and fans when converting them to triangles', async () => {
+        const gltf = await readGltf(triangleWithoutIndicesPath);
+        const gltfOther = await readGltf(triangleWithoutIndicesPath);
+        gltf.meshes[0].primitives[0].mode = WebGLConstants.TRIANGLE_STRIP;
+        gltfOther.meshes[0].primitives[0].mode = WebGLConstants.TRIANGLE_STRIP;
+
+        compressDracoMeshes(gltf, {
+            dracoOptions: {
+                convertToTriangles: true
+            }
+        });
+        compressDracoMeshes(gltfOther);
+
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(primitive.mode).toBe(WebGLConstants.TRIANGLES);
+        expect(primitive.extensions.KHR_draco_mesh_compression).toBeDefined();
+        expect(gltfOther.meshes[0].primitives[0].extensions).toBeUndefined();
+    });
+
     it('throws if quantize bits is out of range', () => {
         expectOutOfRange(gltf, 'compressionLevel', -1);
         expectOutOfRange(gltf, 'compressionLevel', 11);
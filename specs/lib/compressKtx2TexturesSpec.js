@@ -0,0 +1,258 @@
+'use strict';
+const Cesium = require('cesium');
+const PNG = require('pngjs').PNG;
+const compressKtx2Textures = require('../../lib/compressKtx2Textures');
+const getImageExtension = require('../../lib/getImageExtension');
+
+const DeveloperError = Cesium.DeveloperError;
+
+// Values of the KTX2 header and data format descriptor
+const KTX2_SUPERCOMPRESSION_NONE = 0;
+const KTX2_SUPERCOMPRESSION_BASISLZ = 1;
+const KTX2_SUPERCOMPRESSION_ZSTD = 2;
+const KHR_DF_MODEL_ETC1S = 163;
+const KHR_DF_MODEL_UASTC = 166;
+const KHR_DF_TRANSFER_LINEAR = 1;
+const KHR_DF_TRANSFER_SRGB = 2;
+
+function createPng(value) {
+    return PNG.sync.write({
+        data: Buffer.alloc(16 * 16 * 4, value),
+        width: 16,
+        height: 16
+    });
+}
+
+function createImage(source) {
+    return {
+        mimeType: 'image/png',
+        extras: {
+            _pipeline: {
+                source: source
+            }
+        }
+    };
+}
+
+function createGltf() {
+    return {
+        images: [createImage(createPng(255)), createImage(createPng(128)), createImage(createPng(64))],
+        textures: [{
+            source: 0
+        }, {
+            source: 1
+        }, {
+            source: 2
+        }],
+        materials: [{
+            pbrMetallicRoughness: {
+                baseColorTexture: {
+                    index: 0
+                },
+                metallicRoughnessTexture: {
+                    index: 2
+                }
+            },
+            normalTexture: {
+                index: 1
+            }
+        }]
+    };
+}
+
+function getKtx2Image(gltf, textureId) {
+    const imageId = gltf.textures[textureId].extensions.KHR_texture_basisu.source;
+    return gltf.images[imageId];
+}
+
+function readKtx2Header(ktx2) {
+    const dfdByteOffset = ktx2.readUInt32LE(48);
+    return {
+        levelCount: ktx2.readUInt32LE(40),
+        supercompressionScheme: ktx2.readUInt32LE(44),
+        colorModel: ktx2.readUInt8(dfdByteOffset + 12),
+        transferFunction: ktx2.readUInt8(dfdByteOffset + 14)
+    };
+}
+
+function getKtx2Header(gltf, textureId) {
+    return readKtx2Header(getKtx2Image(gltf, textureId).extras._pipeline.source);
+}
+
+describe('compressKtx2Textures', () => {
+    it('compresses textures to KTX2', async () => {
+        const gltf = createGltf();
+
+        await compressKtx2Textures(gltf);
+
+        expect(gltf.images.length).toBe(6);
+        gltf.textures.forEach(function(texture, textureId) {
+            expect(texture.source).toBeUndefined();
+            const image = getKtx2Image(gltf, textureId);
+            expect(image.mimeType).toBe('image/ktx2');
+            expect(getImageExtension(image.extras._pipeline.source)).toBe('.ktx2');
+        });
+        expect(gltf.extensionsUsed).toEqual(['KHR_texture_basisu']);
+        expect(gltf.extensionsRequired).toEqual(['KHR_texture_basisu']);
+    });
+
+    it('compresses color textures with ETC1S and normal textures with UASTC by default', async () => {
+        const gltf = createGltf();
+
+        await compressKtx2Textures(gltf);
+
+        expect(getKtx2Header(gltf, 0)).toEqual({
+            levelCount: 5,
+            supercompressionScheme: KTX2_SUPERCOMPRESSION_BASISLZ,
+            colorModel: KHR_DF_MODEL_ETC1S,
+            transferFunction: KHR_DF_TRANSFER_SRGB
+        });
+        expect(getKtx2Header(gltf, 1)).toEqual({
+            levelCount: 5,
+            supercompressionScheme: KTX2_SUPERCOMPRESSION_ZSTD,
+            colorModel: KHR_DF_MODEL_UASTC,
+            transferFunction: KHR_DF_TRANSFER_LINEAR
+        });
+        expect(getKtx2Header(gltf, 2)).toEqual({
+            levelCount: 5,
+            supercompressionScheme: KTX2_SUPERCOMPRESSION_BASISLZ,
+            colorModel: KHR_DF_MODEL_ETC1S,
+            transferFunction: KHR_DF_TRANSFER_LINEAR
+        });
+    });
+
+    it('uses the modes of the options', async () => {
+        const gltf = createGltf();
+
+        await compressKtx2Textures(gltf, {
+            ktx2Options: {
+                colorMode: 'uastc',
+                normalMode: 'etc1s',
+                supercompression: false,
+                generateMipmaps: false
+            }
+        });
+
+        expect(getKtx2Header(gltf, 0)).toEqual({
+            levelCount: 1,
+            supercompressionScheme: KTX2_SUPERCOMPRESSION_NONE,
+            colorModel: KHR_DF_MODEL_UASTC,
+            transferFunction: KHR_DF_TRANSFER_SRGB
+        });
+        expect(getKtx2Header(gltf, 1).colorModel).toBe(KHR_DF_MODEL_ETC1S);
+    });
+
+    it('keeps the original images as a fallback', async () => {
+        const gltf = createGltf();
+
+        await compressKtx2Textures(gltf, {
+            ktx2Options: {
+                uncompressedFallback: true
+            }
+        });
+
+        expect(gltf.textures[0].source).toBe(0);
+        expect(gltf.textures[0].extensions.KHR_texture_basisu.source).toBe(3);
+        expect(gltf.extensionsUsed).toEqual(['KHR_texture_basisu']);
+        expect(gltf.extensionsRequired).toBeUndefined();
+    });
+
+    it('shares compressed images between textures with the same image and role', async () => {
+        const gltf = createGltf();
+        gltf.textures.push({
+            source: 0
+        }, {
+            source: 0
+        });
+        gltf.materials.push({
+            emissiveTexture: {
+                index: 3
+            },
+            normalTexture: {
+                index: 4
+            }
+        });
+
+        await compressKtx2Textures(gltf);
+
+        const basisuSources = gltf.textures.map(function(texture) {
+            return texture.extensions.KHR_texture_basisu.source;
+        });
+        expect(basisuSources[3]).toBe(basisuSources[0]);
+        expect(basisuSources[4]).not.toBe(basisuSources[0]);
+        expect(gltf.images.length).toBe(7);
+    });
+
+    it('encodes textures that are used in several roles as linear data', async () => {
+        const gltf = createGltf();
+        gltf.materials.push({
+            normalTexture: {
+                index: 0
+            }
+        });
+
+        await compressKtx2Textures(gltf);
+
+        expect(getKtx2Header(gltf, 0).colorModel).toBe(KHR_DF_MODEL_UASTC);
+        expect(getKtx2Header(gltf, 0).transferFunction).toBe(KHR_DF_TRANSFER_LINEAR);
+    });
+
+    it('does not compress textures that are not used by materials, are already compressed, or are not PNG or JPEG', async () => {
+        const gltf = createGltf();
+        gltf.images[2] = createImage(Buffer.from('RIFF0000WEBPVP8 '));
+        gltf.textures[1].extensions = {
+            KHR_texture_basisu: {
+                source: 1
+            }
+        };
+        gltf.textures.push({
+            source: 0
+        });
+
+        await compressKtx2Textures(gltf);
+
+        expect(gltf.images.length).toBe(4);
+        expect(gltf.textures[1].source).toBe(1);
+        expect(gltf.textures[2].source).toBe(2);
+        expect(gltf.textures[3].source).toBe(0);
+    });
+
+    it('does not print the output of the encoder', async () => {
+        const gltf = createGltf();
+        spyOn(process.stdout, 'write').and.callThrough();
+
+        await compressKtx2Textures(gltf);
+
+        expect(process.stdout.write).not.toHaveBeenCalled();
+    });
+
+    it('does not add extensions when no textures are compressed', async () => {
+        const gltf = {
+            images: [],
+            textures: [],
+            materials: []
+        };
+
+        await compressKtx2Textures(gltf);
+
+        expect(gltf.extensionsUsed).toBeUndefined();
+    });
+
+    it('throws with invalid options', () => {
+        const gltf = createGltf();
+        expect(function() {
+            compressKtx2Textures(gltf, {
+                ktx2Options: {
+                    colorMode: 'astc'
+                }
+            });
+        }).toThrowError(DeveloperError);
+        expect(function() {
+            compressKtx2Textures(gltf, {
+                ktx2Options: {
+                    quality: 256
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
@@ -0,0 +1,119 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const compressMeshoptBufferViews = require('../../lib/compressMeshoptBufferViews');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+function getMeshoptExtension(gltf, bufferViewId) {
+    const extensions = gltf.bufferViews[bufferViewId].extensions;
+    return extensions && extensions.EXT_meshopt_compression;
+}
+
+describe('compressMeshoptBufferViews', () => {
+    it('compresses vertex and index buffer views', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const positionBufferView = gltf.accessors[primitive.attributes.POSITION].bufferView;
+        const texcoordBufferView = gltf.accessors[primitive.attributes.TEXCOORD_0].bufferView;
+        const indicesBufferView = gltf.accessors[primitive.indices].bufferView;
+        const imageBufferView = gltf.images[0].bufferView;
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {}
+        });
+
+        expect(gltf.extensionsUsed).toEqual(['EXT_meshopt_compression']);
+        expect(gltf.extensionsRequired).toEqual(['EXT_meshopt_compression']);
+
+        const positionExtension = getMeshoptExtension(gltf, positionBufferView);
+        expect(positionExtension.mode).toBe('ATTRIBUTES');
+        expect(positionExtension.byteStride).toBe(12);
+        expect(positionExtension.count).toBe(48); // Positions and normals
+        expect(positionExtension.byteLength).toBe(gltf.buffers[positionExtension.buffer].byteLength);
+
+        const texcoordExtension = getMeshoptExtension(gltf, texcoordBufferView);
+        expect(texcoordExtension.mode).toBe('ATTRIBUTES');
+        expect(texcoordExtension.byteStride).toBe(8);
+        expect(texcoordExtension.count).toBe(24);
+
+        const indicesExtension = getMeshoptExtension(gltf, indicesBufferView);
+        expect(indicesExtension.mode).toBe('TRIANGLES');
+        expect(indicesExtension.byteStride).toBe(2);
+        expect(indicesExtension.count).toBe(36);
+
+        // The image is not compressed
+        expect(getMeshoptExtension(gltf, imageBufferView)).toBeUndefined();
+
+        const fallbackBuffer = gltf.buffers[gltf.bufferViews[positionBufferView].buffer];
+        expect(fallbackBuffer.extensions.EXT_meshopt_compression.fallback).toBe(true);
+        expect(fallbackBuffer.extras._pipeline.mergedBufferName).toBe('fallback');
+    });
+
+    it('compresses animation buffer views', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const sampler = gltf.animations[0].samplers[0];
+        const inputBufferView = gltf.accessors[sampler.input].bufferView;
+        const outputBufferView = gltf.accessors[sampler.output].bufferView;
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {}
+        });
+
+        expect(getMeshoptExtension(gltf, inputBufferView).mode).toBe('ATTRIBUTES');
+        expect(getMeshoptExtension(gltf, outputBufferView).mode).toBe('ATTRIBUTES');
+    });
+
+    it('keeps uncompressed fallback', async () => {
+        const gltf = await readGltf(boxPath);
+        const bufferViewId = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION].bufferView;
+        const bufferView = gltf.bufferViews[bufferViewId];
+        const source = gltf.buffers[bufferView.buffer].extras._pipeline.source;
+        const expectedData = source.slice(bufferView.byteOffset, bufferView.byteOffset + bufferView.byteLength);
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {
+                uncompressedFallback: true
+            }
+        });
+
+        expect(gltf.extensionsUsed).toEqual(['EXT_meshopt_compression']);
+        expect(gltf.extensionsRequired).toBeUndefined();
+        const fallbackBuffer = gltf.buffers[bufferView.buffer];
+        expect(fallbackBuffer.extensions).toBeUndefined();
+        expect(fallbackBuffer.extras._pipeline.source).toEqual(expectedData);
+    });
+
+    it('does not compress buffer views with unsupported strides', async () => {
+        const gltf = await readGltf(boxPath);
+        const indicesAccessor = gltf.accessors[gltf.meshes[0].primitives[0].indices];
+        const bufferViewId = indicesAccessor.bufferView;
+        indicesAccessor.componentType = 5121; // UNSIGNED_BYTE
+        indicesAccessor.count = 72;
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {}
+        });
+
+        expect(getMeshoptExtension(gltf, bufferViewId)).toBeUndefined();
+    });
+
+    it('uses INDICES mode for indices that are not triangle lists', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        primitive.mode = 1; // LINES
+        const bufferViewId = gltf.accessors[primitive.indices].bufferView;
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {}
+        });
+
+        expect(getMeshoptExtension(gltf, bufferViewId).mode).toBe('INDICES');
+    });
+});
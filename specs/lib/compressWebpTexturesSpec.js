@@ -0,0 +1,200 @@
+'use strict';
+const Cesium = require('cesium');
+const jpeg = require('jpeg-js');
+const PNG = require('pngjs').PNG;
+const webp = require('webp-wasm');
+const compressWebpTextures = require('../../lib/compressWebpTextures');
+const getImageExtension = require('../../lib/getImageExtension');
+
+const DeveloperError = Cesium.DeveloperError;
+
+function createPixels() {
+    const data = Buffer.alloc(16 * 16 * 4);
+    for (let i = 0; i < data.length; ++i) {
+        data[i] = (i * 37) % 256;
+    }
+    return {
+        data: data,
+        width: 16,
+        height: 16
+    };
+}
+
+function createImage(source, mimeType) {
+    return {
+        mimeType: mimeType,
+        name: 'Image',
+        extras: {
+            _pipeline: {
+                source: source
+            }
+        }
+    };
+}
+
+function createGltf() {
+    return {
+        images: [createImage(PNG.sync.write(createPixels()), 'image/png'), createImage(jpeg.encode(createPixels(), 90).data, 'image/jpeg')],
+        textures: [{
+            source: 0
+        }, {
+            source: 1
+        }],
+        materials: [{
+            pbrMetallicRoughness: {
+                baseColorTexture: {
+                    index: 0
+                }
+            },
+            emissiveTexture: {
+                index: 1
+            }
+        }]
+    };
+}
+
+function getWebpImage(gltf, textureId) {
+    const imageId = gltf.textures[textureId].extensions.EXT_texture_webp.source;
+    return gltf.images[imageId];
+}
+
+describe('compressWebpTextures', () => {
+    it('compresses textures to WebP', async () => {
+        const gltf = createGltf();
+
+        await compressWebpTextures(gltf);
+
+        expect(gltf.images.length).toBe(4);
+        gltf.textures.forEach(function(texture, textureId) {
+            expect(texture.source).toBeUndefined();
+            const image = getWebpImage(gltf, textureId);
+            expect(image.mimeType).toBe('image/webp');
+            expect(image.name).toBe('Image');
+            expect(getImageExtension(image.extras._pipeline.source)).toBe('.webp');
+        });
+        expect(gltf.extensionsUsed).toEqual(['EXT_texture_webp']);
+        expect(gltf.extensionsRequired).toEqual(['EXT_texture_webp']);
+    });
+
+    it('compresses lossless textures', async () => {
+        const gltf = createGltf();
+
+        await compressWebpTextures(gltf, {
+            webpOptions: {
+                lossless: true
+            }
+        });
+
+        const decoded = await webp.decode(getWebpImage(gltf, 0).extras._pipeline.source);
+        expect(Buffer.from(decoded.data)).toEqual(createPixels().data);
+    });
+
+    it('uses the quality of the options', async () => {
+        const lowQuality = createGltf();
+        const highQuality = createGltf();
+
+        await compressWebpTextures(lowQuality, {
+            webpOptions: {
+                quality: 10
+            }
+        });
+        await compressWebpTextures(highQuality, {
+            webpOptions: {
+                quality: 100
+            }
+        });
+
+        const lowQualityLength = getWebpImage(lowQuality, 0).extras._pipeline.source.length;
+        const highQualityLength = getWebpImage(highQuality, 0).extras._pipeline.source.length;
+        expect(lowQualityLength).toBeLessThan(highQualityLength);
+    });
+
+    it('keeps the original images as a fallback', async () => {
+        const gltf = createGltf();
+
+        await compressWebpTextures(gltf, {
+            webpOptions: {
+                uncompressedFallback: true
+            }
+        });
+
+        expect(gltf.textures[0].source).toBe(0);
+        expect(gltf.textures[0].extensions.EXT_texture_webp.source).toBe(2);
+        expect(gltf.extensionsUsed).toEqual(['EXT_texture_webp']);
+        expect(gltf.extensionsRequired).toBeUndefined();
+    });
+
+    it('shares compressed images between textures with the same image', async () => {
+        const gltf = createGltf();
+        gltf.textures.push({
+            source: 0
+        });
+
+        await compressWebpTextures(gltf);
+
+        expect(gltf.images.length).toBe(4);
+        expect(gltf.textures[2].extensions.EXT_texture_webp.source).toBe(gltf.textures[0].extensions.EXT_texture_webp.source);
+    });
+
+    it('logs the bytes saved by each image', async () => {
+        const gltf = createGltf();
+        const messages = [];
+        const pngLength = gltf.images[0].extras._pipeline.source.length;
+
+        await compressWebpTextures(gltf, {
+            logger: function(message) {
+                messages.push(message);
+            }
+        });
+
+        const webpLength = getWebpImage(gltf, 0).extras._pipeline.source.length;
+        expect(messages.length).toBe(2);
+        expect(messages[0]).toBe('Image 0: ' + pngLength + ' bytes as PNG, ' + webpLength + ' bytes as WebP (saved ' + (pngLength - webpLength) + ' bytes).');
+        expect(messages[1]).toContain('Image 1: ');
+        expect(messages[1]).toContain('bytes as JPEG');
+    });
+
+    it('does not compress textures that are already compressed or are not PNG or JPEG', async () => {
+        const gltf = createGltf();
+        gltf.images.push(createImage(Buffer.from('RIFF0000WEBPVP8 '), 'image/webp'));
+        gltf.textures[1].extensions = {
+            EXT_texture_webp: {
+                source: 2
+            }
+        };
+        gltf.textures.push({
+            source: 2
+        });
+
+        await compressWebpTextures(gltf);
+
+        expect(gltf.images.length).toBe(4);
+        expect(gltf.textures[1].source).toBe(1);
+        expect(gltf.textures[1].extensions.EXT_texture_webp.source).toBe(2);
+        expect(gltf.textures[2].source).toBe(2);
+        expect(gltf.textures[2].extensions).toBeUndefined();
+    });
+
+    it('does not add extensions when no textures are compressed', async () => {
+        const gltf = {
+            images: [],
+            textures: [],
+            materials: []
+        };
+
+        await compressWebpTextures(gltf);
+
+        expect(gltf.extensionsUsed).toBeUndefined();
+    });
+
+    it('throws with invalid options', () => {
+        const gltf = createGltf();
+        expect(function() {
+            compressWebpTextures(gltf, {
+                webpOptions: {
+                    quality: 101
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
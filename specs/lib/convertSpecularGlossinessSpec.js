@@ -0,0 +1,250 @@
+'use strict';
+const PNG = require('pngjs').PNG;
+const convertSpecularGlossiness = require('../../lib/convertSpecularGlossiness');
+
+function createPng(width, height, pixels) {
+    const data = Buffer.alloc(width * height * 4);
+    for (let i = 0; i < width * height; ++i) {
+        const pixel = pixels[i % pixels.length];
+        for (let j = 0; j < 4; ++j) {
+            data[i * 4 + j] = pixel[j];
+        }
+    }
+    return PNG.sync.write({
+        data: data,
+        width: width,
+        height: height
+    });
+}
+
+function createImage(source) {
+    return {
+        mimeType: 'image/png',
+        extras: {
+            _pipeline: {
+                source: source
+            }
+        }
+    };
+}
+
+function createGltf(specularGlossiness) {
+    return {
+        extensionsUsed: ['KHR_materials_pbrSpecularGlossiness'],
+        extensionsRequired: ['KHR_materials_pbrSpecularGlossiness'],
+        materials: [{
+            extensions: {
+                KHR_materials_pbrSpecularGlossiness: specularGlossiness
+            }
+        }]
+    };
+}
+
+function createTexturedGltf(diffuseSize, specularGlossinessSize) {
+    const gltf = createGltf({
+        diffuseTexture: {
+            index: 0
+        },
+        specularGlossinessTexture: {
+            index: 1
+        }
+    });
+    // The first pixel is a metal and the second pixel is a dielectric
+    gltf.images = [
+        createImage(createPng(diffuseSize, diffuseSize, [[0, 0, 0, 255], [128, 128, 128, 200]])),
+        createImage(createPng(specularGlossinessSize, specularGlossinessSize, [[255, 255, 255, 128], [0, 0, 0, 64]]))
+    ];
+    gltf.samplers = [{}];
+    gltf.textures = [{
+        sampler: 0,
+        source: 0
+    }, {
+        sampler: 0,
+        source: 1
+    }];
+    return gltf;
+}
+
+function readTexture(gltf, textureInfo) {
+    const texture = gltf.textures[textureInfo.index];
+    return PNG.sync.read(gltf.images[texture.source].extras._pipeline.source);
+}
+
+function expectCloseTo(actual, expected) {
+    expect(actual.length).toBe(expected.length);
+    for (let i = 0; i < expected.length; ++i) {
+        expect(actual[i]).toBeCloseTo(expected[i], 6);
+    }
+}
+
+describe('convertSpecularGlossiness', () => {
+    it('converts the factors of dielectrics', () => {
+        const gltf = createGltf({
+            diffuseFactor: [0.5, 0.25, 0.125, 0.5],
+            specularFactor: [0.04, 0.04, 0.04],
+            glossinessFactor: 0.75
+        });
+
+        convertSpecularGlossiness(gltf);
+
+        const material = gltf.materials[0];
+        expectCloseTo(material.pbrMetallicRoughness.baseColorFactor, [0.5, 0.25, 0.125, 0.5]);
+        expect(material.pbrMetallicRoughness.metallicFactor).toBe(0.0);
+        expect(material.pbrMetallicRoughness.roughnessFactor).toBeCloseTo(0.25, 6);
+        expect(material.extensions).toBeUndefined();
+        expect(gltf.extensionsUsed).toBeUndefined();
+        expect(gltf.extensionsRequired).toBeUndefined();
+    });
+
+    it('converts the factors of metals', () => {
+        const gltf = createGltf({
+            diffuseFactor: [0.0, 0.0, 0.0, 1.0],
+            specularFactor: [1.0, 0.8, 0.6]
+        });
+
+        convertSpecularGlossiness(gltf);
+
+        const pbrMetallicRoughness = gltf.materials[0].pbrMetallicRoughness;
+        expectCloseTo(pbrMetallicRoughness.baseColorFactor, [1.0, 0.8, 0.6, 1.0]);
+        expect(pbrMetallicRoughness.metallicFactor).toBeCloseTo(1.0, 6);
+        expect(pbrMetallicRoughness.roughnessFactor).toBe(0.0);
+    });
+
+    it('keeps grey specular colors of dielectrics with KHR_materials_ior', () => {
+        const gltf = createGltf({
+            diffuseFactor: [0.5, 0.5, 0.5, 1.0],
+            specularFactor: [0.02, 0.02, 0.02]
+        });
+
+        convertSpecularGlossiness(gltf);
+
+        const material = gltf.materials[0];
+        const root = Math.sqrt(0.02);
+        expect(material.pbrMetallicRoughness.baseColorFactor).toEqual([0.5, 0.5, 0.5, 1.0]);
+        expect(material.pbrMetallicRoughness.metallicFactor).toBe(0.0);
+        expect(material.extensions.KHR_materials_ior.ior).toBeCloseTo((1.0 + root) / (1.0 - root), 6);
+        expect(material.extensions.KHR_materials_pbrSpecularGlossiness).toBeUndefined();
+        expect(gltf.extensionsUsed).toEqual(['KHR_materials_ior']);
+    });
+
+    it('keeps colored specular colors of dielectrics with KHR_materials_specular', () => {
+        const gltf = createGltf({
+            diffuseFactor: [0.8, 0.8, 0.8, 1.0],
+            specularFactor: [0.06, 0.04, 0.02]
+        });
+
+        convertSpecularGlossiness(gltf);
+
+        const material = gltf.materials[0];
+        expect(material.pbrMetallicRoughness.baseColorFactor).toEqual([0.8, 0.8, 0.8, 1.0]);
+        expect(material.pbrMetallicRoughness.metallicFactor).toBe(0.0);
+        expectCloseTo(material.extensions.KHR_materials_specular.specularColorFactor, [1.5, 1.0, 0.5]);
+        expect(gltf.extensionsUsed).toEqual(['KHR_materials_specular']);
+    });
+
+    it('bakes textures pixel-wise', () => {
+        const gltf = createTexturedGltf(2, 2);
+
+        convertSpecularGlossiness(gltf);
+
+        const pbrMetallicRoughness = gltf.materials[0].pbrMetallicRoughness;
+        expect(pbrMetallicRoughness.baseColorTexture.index).toBe(2);
+        expect(pbrMetallicRoughness.metallicRoughnessTexture.index).toBe(3);
+        expect(gltf.textures[2].sampler).toBe(0);
+
+        const baseColor = readTexture(gltf, pbrMetallicRoughness.baseColorTexture);
+        const metallicRoughness = readTexture(gltf, pbrMetallicRoughness.metallicRoughnessTexture);
+        expect(baseColor.width).toBe(2);
+        expect(Array.from(baseColor.data.slice(0, 4))).toEqual([255, 255, 255, 255]);
+        expect(Array.from(metallicRoughness.data.slice(1, 3))).toEqual([127, 255]);
+
+        // Without specular reflection, the diffuse color is brightened to account for the specular reflection of dielectrics
+        expect(baseColor.data[4]).toBeGreaterThan(128);
+        expect(baseColor.data[4]).toBeLessThan(133);
+        expect(baseColor.data[7]).toBe(200);
+        expect(Array.from(metallicRoughness.data.slice(5, 7))).toEqual([191, 0]);
+    });
+
+    it('resamples the smaller texture to the size of the larger texture', () => {
+        const gltf = createTexturedGltf(2, 4);
+
+        convertSpecularGlossiness(gltf);
+
+        const pbrMetallicRoughness = gltf.materials[0].pbrMetallicRoughness;
+        expect(readTexture(gltf, pbrMetallicRoughness.baseColorTexture).width).toBe(4);
+        expect(readTexture(gltf, pbrMetallicRoughness.metallicRoughnessTexture).height).toBe(4);
+    });
+
+    it('shares baked textures between materials with the same textures and factors', () => {
+        const gltf = createTexturedGltf(2, 2);
+        gltf.materials.push({
+            extensions: {
+                KHR_materials_pbrSpecularGlossiness: {
+                    diffuseTexture: {
+                        index: 0,
+                        texCoord: 1
+                    },
+                    specularGlossinessTexture: {
+                        index: 1,
+                        texCoord: 1
+                    }
+                }
+            }
+        });
+
+        convertSpecularGlossiness(gltf);
+
+        expect(gltf.textures.length).toBe(4);
+        const pbrMetallicRoughness = gltf.materials[1].pbrMetallicRoughness;
+        expect(pbrMetallicRoughness.baseColorTexture).toEqual({
+            index: 2,
+            texCoord: 1
+        });
+        expect(pbrMetallicRoughness.metallicRoughnessTexture).toEqual({
+            index: 3,
+            texCoord: 1
+        });
+    });
+
+    it('converts only factors and the diffuse texture when textures can not be baked', () => {
+        const gltf = createTexturedGltf(2, 2);
+        const specularGlossiness = gltf.materials[0].extensions.KHR_materials_pbrSpecularGlossiness;
+        specularGlossiness.specularGlossinessTexture.texCoord = 1;
+        specularGlossiness.specularFactor = [0.04, 0.04, 0.04];
+        const messages = [];
+
+        convertSpecularGlossiness(gltf, {
+            logger: function(message) {
+                messages.push(message);
+            }
+        });
+
+        const pbrMetallicRoughness = gltf.materials[0].pbrMetallicRoughness;
+        expect(pbrMetallicRoughness.baseColorTexture).toEqual({
+            index: 0
+        });
+        expect(pbrMetallicRoughness.metallicRoughnessTexture).toBeUndefined();
+        expect(pbrMetallicRoughness.metallicFactor).toBe(0.0);
+        expect(gltf.textures.length).toBe(2);
+        expect(messages).toEqual(['The textures of material 0 could not be baked. Only its factors and diffuse texture are converted.']);
+    });
+
+    it('does not change metallic-roughness materials', () => {
+        const material = {
+            pbrMetallicRoughness: {
+                metallicFactor: 0.5
+            }
+        };
+        const gltf = {
+            materials: [material]
+        };
+
+        convertSpecularGlossiness(gltf);
+
+        expect(gltf.materials[0]).toEqual({
+            pbrMetallicRoughness: {
+                metallicFactor: 0.5
+            }
+        });
+    });
+});
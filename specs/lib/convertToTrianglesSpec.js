@@ -0,0 +1,93 @@
+'use strict';
+const Cesium = require('cesium');
+const convertToTriangles = require('../../lib/convertToTriangles');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const defined = Cesium.defined;
+const WebGLConstants = Cesium.WebGLConstants;
+
+function createGltf(mode, indices) {
+    const gltf = {
+        accessors: [],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                },
+                mode: mode
+            }]
+        }]
+    };
+    const positionAccessor = {
+        componentType: WebGLConstants.FLOAT,
+        type: 'VEC3'
+    };
+    writeAccessorPacked(gltf, positionAccessor, [
+        0.0, 0.0, 0.0,
+        1.0, 0.0, 0.0,
+        0.0, 1.0, 0.0,
+        1.0, 1.0, 0.0,
+        0.0, 2.0, 0.0
+    ], WebGLConstants.ARRAY_BUFFER);
+    gltf.accessors.push(positionAccessor);
+    if (defined(indices)) {
+        const indicesAccessor = {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, indicesAccessor, indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        gltf.meshes[0].primitives[0].indices = gltf.accessors.push(indicesAccessor) - 1;
+    }
+    return gltf;
+}
+
+function getIndices(gltf) {
+    const primitive = gltf.meshes[0].primitives[0];
+    return readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+}
+
+describe('convertToTriangles', () => {
+    it('converts triangle strips without indices', () => {
+        const gltf = createGltf(WebGLConstants.TRIANGLE_STRIP);
+
+        convertToTriangles(gltf);
+
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(primitive.mode).toBe(WebGLConstants.TRIANGLES);
+        expect(getIndices(gltf)).toEqual([0, 1, 2, 1, 3, 2, 2, 3, 4]);
+        expect(gltf.accessors[primitive.indices].componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+    });
+
+    it('converts indexed triangle strips and drops degenerate triangles', () => {
+        const gltf = createGltf(WebGLConstants.TRIANGLE_STRIP, [0, 1, 2, 2, 2, 3, 4]);
+
+        convertToTriangles(gltf);
+
+        expect(getIndices(gltf)).toEqual([0, 1, 2, 2, 3, 4]);
+        expect(gltf.accessors[gltf.meshes[0].primitives[0].indices].componentType).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(gltf.accessors.length).toBe(2);
+    });
+
+    it('converts triangle fans', () => {
+        const gltf = createGltf(WebGLConstants.TRIANGLE_FAN, [0, 1, 3, 4]);
+
+        convertToTriangles(gltf);
+
+        expect(gltf.meshes[0].primitives[0].mode).toBe(WebGLConstants.TRIANGLES);
+        expect(getIndices(gltf)).toEqual([1, 3, 0, 3, 4, 0]);
+    });
+
+    it('does not modify other primitives', () => {
+        const gltf = createGltf(WebGLConstants.LINE_STRIP, [0, 1, 2]);
+        const primitive = gltf.meshes[0].primitives[0];
+
+        convertToTriangles(gltf);
+
+        expect(primitive.mode).toBe(WebGLConstants.LINE_STRIP);
+        expect(primitive.indices).toBe(1);
+        expect(getIndices(gltf)).toEqual([0, 1, 2]);
+    });
+});
@@ -0,0 +1,34 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const jpeg = require('jpeg-js');
+const decodeImage = require('../../lib/decodeImage');
+
+const pngPath = 'specs/data/2.0/box-textured-separate/cesium logo.png';
+
+describe('decodeImage', () => {
+    it('decodes PNG images', () => {
+        const decoded = decodeImage(fsExtra.readFileSync(pngPath));
+        expect(decoded.width).toBe(128);
+        expect(decoded.height).toBe(128);
+        expect(decoded.data.length).toBe(128 * 128 * 4);
+        expect(decoded.colorType).toBe(2);
+    });
+
+    it('decodes JPEG images', () => {
+        const source = jpeg.encode({
+            data: Buffer.alloc(8 * 4 * 4, 255),
+            width: 8,
+            height: 4
+        }, 90).data;
+        const decoded = decodeImage(source);
+        expect(decoded.width).toBe(8);
+        expect(decoded.height).toBe(4);
+        expect(decoded.data.length).toBe(8 * 4 * 4);
+        expect(decoded.data[0]).toBe(255);
+    });
+
+    it('returns undefined for other images', () => {
+        expect(decodeImage(Buffer.from('RIFF0000WEBPVP8 '))).toBeUndefined();
+        expect(decodeImage(Buffer.from('not an image'))).toBeUndefined();
+    });
+});
@@ -0,0 +1,135 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const compressDracoMeshes = require('../../lib/compressDracoMeshes');
+const decompressDracoMeshes = require('../../lib/decompressDracoMeshes');
+const hasExtension = require('../../lib/hasExtension');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const triangleWithoutIndicesPath = 'specs/data/2.0/triangle-without-indices/triangle-without-indices.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+function expectValuesToEqualEpsilon(actual, expected, epsilon) {
+    expect(actual.length).toBe(expected.length);
+    const length = actual.length;
+    for (let i = 0; i < length; ++i) {
+        expect(Math.abs(actual[i] - expected[i])).toBeLessThan(epsilon);
+    }
+}
+
+describe('decompressDracoMeshes', () => {
+    it('decompresses meshes', async () => {
+        const gltf = await readGltf(boxPath);
+        compressDracoMeshes(gltf, {
+            dracoOptions: {
+                compressionLevel: 0,
+                quantizePositionBits: 0
+            }
+        });
+        expect(gltf.bufferViews.length).toBe(2); // draco + image
+
+        decompressDracoMeshes(gltf);
+
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(primitive.extensions).toBeUndefined();
+        expect(hasExtension(gltf, 'KHR_draco_mesh_compression')).toBe(false);
+        expect(gltf.extensionsUsed).toBeUndefined();
+        expect(gltf.extensionsRequired).toBeUndefined();
+        expect(gltf.accessors.length).toBe(4); // 3 attributes + indices
+        expect(gltf.bufferViews.length).toBe(5); // position + normal + texcoord + indices + image
+
+        const indicesAccessor = gltf.accessors[primitive.indices];
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        expect(indicesAccessor.bufferView).toBeDefined();
+        expect(indicesAccessor.count).toBe(36);
+        expect(positionAccessor.bufferView).toBeDefined();
+        expect(positionAccessor.count).toBe(24);
+
+        // Sequential encoding without quantization preserves the vertex data
+        const original = await readGltf(boxPath);
+        const originalPrimitive = original.meshes[0].primitives[0];
+        const expectedPositions = readAccessorPacked(original, original.accessors[originalPrimitive.attributes.POSITION]);
+        const expectedIndices = readAccessorPacked(original, original.accessors[originalPrimitive.indices]);
+        expectValuesToEqualEpsilon(readAccessorPacked(gltf, positionAccessor), expectedPositions, 1e-7);
+        expect(readAccessorPacked(gltf, indicesAccessor)).toEqual(expectedIndices);
+        expect(positionAccessor.min).toEqual(original.accessors[originalPrimitive.attributes.POSITION].min);
+        expect(positionAccessor.max).toEqual(original.accessors[originalPrimitive.attributes.POSITION].max);
+    });
+
+    it('decompresses meshes with uncompressed fallback', async () => {
+        const gltf = await readGltf(boxPath);
+        compressDracoMeshes(gltf, {
+            dracoOptions: {
+                uncompressedFallback: true
+            }
+        });
+        expect(hasExtension(gltf, 'KHR_draco_mesh_compression')).toBe(true);
+
+        decompressDracoMeshes(gltf);
+
+        expect(gltf.meshes[0].primitives[0].extensions).toBeUndefined();
+        expect(hasExtension(gltf, 'KHR_draco_mesh_compression')).toBe(false);
+        expect(gltf.bufferViews.length).toBe(5); // position + normal + texcoord + indices + image
+    });
+
+    it('decompresses shared compressed primitives once', async () => {
+        const gltf = await readGltf(boxPath);
+        gltf.meshes[0].primitives.push(JSON.parse(JSON.stringify(gltf.meshes[0].primitives[0])));
+        compressDracoMeshes(gltf);
+
+        decompressDracoMeshes(gltf);
+
+        const primitives = gltf.meshes[0].primitives;
+        expect(primitives[0].indices).toBe(primitives[1].indices);
+        expect(primitives[0].attributes.POSITION).toBe(primitives[1].attributes.POSITION);
+        expect(gltf.bufferViews.length).toBe(5); // position + normal + texcoord + indices + image
+    });
+
+    it('decompresses shared compressed data into the accessors of each primitive', async () => {
+        const gltf = await readGltf(boxPath);
+        gltf.meshes[0].primitives.push(JSON.parse(JSON.stringify(gltf.meshes[0].primitives[0])));
+        compressDracoMeshes(gltf);
+        const attributes = gltf.meshes[0].primitives[1].attributes;
+        Object.keys(attributes).forEach(function(semantic) {
+            gltf.accessors.push(JSON.parse(JSON.stringify(gltf.accessors[attributes[semantic]])));
+            attributes[semantic] = gltf.accessors.length - 1;
+        });
+
+        decompressDracoMeshes(gltf);
+
+        const primitives = gltf.meshes[0].primitives;
+        expect(primitives[0].indices).toBe(primitives[1].indices);
+        expect(primitives[0].attributes.POSITION).not.toBe(primitives[1].attributes.POSITION);
+        Object.keys(primitives[0].attributes).forEach(function(semantic) {
+            const accessor = gltf.accessors[primitives[0].attributes[semantic]];
+            const sharedAccessor = gltf.accessors[primitives[1].attributes[semantic]];
+            expect(sharedAccessor.bufferView).toBeDefined();
+            expect(readAccessorPacked(gltf, sharedAccessor)).toEqual(readAccessorPacked(gltf, accessor));
+        });
+    });
+
+    it('adds indices to compressed primitives without indices', async () => {
+        const gltf = await readGltf(triangleWithoutIndicesPath);
+        compressDracoMeshes(gltf);
+        const primitive = gltf.meshes[0].primitives[0];
+        delete primitive.indices;
+
+        decompressDracoMeshes(gltf);
+
+        const indicesAccessor = gltf.accessors[primitive.indices];
+        expect(indicesAccessor.count).toBe(3);
+        expect(readAccessorPacked(gltf, indicesAccessor).sort()).toEqual([0, 1, 2]);
+    });
+
+    it('does nothing when the asset does not use Draco', async () => {
+        const gltf = await readGltf(boxPath);
+        const bufferViewsLength = gltf.bufferViews.length;
+        decompressDracoMeshes(gltf);
+        expect(gltf.bufferViews.length).toBe(bufferViewsLength);
+    });
+});
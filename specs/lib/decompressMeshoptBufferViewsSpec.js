@@ -0,0 +1,80 @@
+'use strict';
+const { defined } = require('cesium');
+const fsExtra = require('fs-extra');
+const compressMeshoptBufferViews = require('../../lib/compressMeshoptBufferViews');
+const decompressMeshoptBufferViews = require('../../lib/decompressMeshoptBufferViews');
+const hasExtension = require('../../lib/hasExtension');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+function readAccessors(gltf) {
+    const indices = gltf.meshes[0].primitives[0].indices;
+    return gltf.accessors.map(function(accessor, accessorId) {
+        const values = readAccessorPacked(gltf, accessor);
+        return (accessorId === indices) ? getRotatedTriangles(values) : values;
+    });
+}
+
+function getRotatedTriangles(indices) {
+    // The triangle encoding may rotate the vertices of a triangle while preserving the winding order
+    const length = indices.length;
+    const rotated = new Array(length);
+    for (let i = 0; i < length; i += 3) {
+        let first = i;
+        if (indices[i + 1] < indices[first]) {
+            first = i + 1;
+        }
+        if (indices[i + 2] < indices[first]) {
+            first = i + 2;
+        }
+        for (let j = 0; j < 3; ++j) {
+            rotated[i + j] = indices[i + (first - i + j) % 3];
+        }
+    }
+    return rotated;
+}
+
+describe('decompressMeshoptBufferViews', () => {
+    it('decompresses buffer views', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const expectedValues = readAccessors(gltf);
+
+        await compressMeshoptBufferViews(gltf, {
+            meshoptOptions: {}
+        });
+
+        // Clear the fallback data to make sure the values are decoded
+        gltf.buffers.forEach(function(buffer) {
+            if (defined(buffer.extensions)) {
+                buffer.extras._pipeline.source.fill(0);
+            }
+        });
+
+        await decompressMeshoptBufferViews(gltf);
+
+        expect(hasExtension(gltf, 'EXT_meshopt_compression')).toBe(false);
+        expect(gltf.extensionsUsed).toBeUndefined();
+        expect(gltf.extensionsRequired).toBeUndefined();
+        gltf.bufferViews.forEach(function(bufferView) {
+            expect(bufferView.extensions).toBeUndefined();
+        });
+        gltf.buffers.forEach(function(buffer) {
+            expect(buffer.extensions).toBeUndefined();
+        });
+        expect(readAccessors(gltf)).toEqual(expectedValues);
+    });
+
+    it('does nothing when the asset does not use meshopt', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const buffersLength = gltf.buffers.length;
+        await decompressMeshoptBufferViews(gltf);
+        expect(gltf.buffers.length).toBe(buffersLength);
+    });
+});
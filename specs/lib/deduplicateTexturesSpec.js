@@ -0,0 +1,143 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const deduplicateTextures = require('../../lib/deduplicateTextures');
+const readResources = require('../../lib/readResources');
+
+const sharedImagesPath = 'specs/data/2.0/box-shared-image-references/box-shared-image-references.gltf';
+
+function createImage(source) {
+    return {
+        extras: {
+            _pipeline: {
+                source: Buffer.from(source)
+            }
+        }
+    };
+}
+
+function createGltf() {
+    return {
+        images: [createImage([1, 2, 3]), createImage([4, 5, 6]), createImage([1, 2, 3])],
+        samplers: [{
+            magFilter: 9729,
+            name: 'first'
+        }, {
+            magFilter: 9728
+        }, {
+            magFilter: 9729,
+            name: 'second'
+        }],
+        textures: [{
+            source: 0,
+            sampler: 0
+        }, {
+            source: 1,
+            sampler: 1
+        }, {
+            source: 2,
+            sampler: 2
+        }, {
+            source: 2,
+            sampler: 1
+        }, {
+            source: 1,
+            extensions: {
+                EXT_texture_webp: {
+                    source: 2
+                }
+            }
+        }],
+        materials: [{
+            pbrMetallicRoughness: {
+                baseColorTexture: {
+                    index: 2
+                },
+                metallicRoughnessTexture: {
+                    index: 4
+                }
+            },
+            normalTexture: {
+                index: 3
+            },
+            occlusionTexture: {
+                index: 1
+            }
+        }]
+    };
+}
+
+describe('deduplicateTextures', () => {
+    it('merges identical images, samplers, and textures', () => {
+        const gltf = createGltf();
+
+        deduplicateTextures(gltf);
+
+        expect(gltf.images.length).toBe(2);
+        expect(gltf.samplers).toEqual([{
+            magFilter: 9729,
+            name: 'first'
+        }, {
+            magFilter: 9728
+        }]);
+        expect(gltf.textures).toEqual([{
+            source: 0,
+            sampler: 0
+        }, {
+            source: 1,
+            sampler: 1
+        }, {
+            source: 0,
+            sampler: 1
+        }, {
+            source: 1,
+            extensions: {
+                EXT_texture_webp: {
+                    source: 0
+                }
+            }
+        }]);
+        const material = gltf.materials[0];
+        expect(material.pbrMetallicRoughness.baseColorTexture.index).toBe(0);
+        expect(material.pbrMetallicRoughness.metallicRoughnessTexture.index).toBe(3);
+        expect(material.normalTexture.index).toBe(2);
+        expect(material.occlusionTexture.index).toBe(1);
+    });
+
+    it('merges images that were read from the same buffer view', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(sharedImagesPath));
+
+        deduplicateTextures(gltf);
+
+        expect(gltf.images.length).toBe(1);
+        expect(gltf.images[0].name).toBe('Image0001');
+        expect(gltf.textures.length).toBe(1);
+        expect(gltf.materials[0].extensions.KHR_techniques_webgl.values.u_diffuse.index).toBe(0);
+    });
+
+    it('does not change assets without duplicates', () => {
+        const gltf = createGltf();
+        gltf.images[2] = createImage([7, 8, 9]);
+        gltf.samplers[2].magFilter = 9987;
+        const expected = createGltf();
+        expected.images[2] = createImage([7, 8, 9]);
+        expected.samplers[2].magFilter = 9987;
+
+        deduplicateTextures(gltf);
+
+        expect(gltf).toEqual(expected);
+    });
+
+    it('does not merge images without sources', () => {
+        const gltf = {
+            images: [{
+                uri: 'image.png'
+            }, {
+                uri: 'image.png'
+            }]
+        };
+
+        deduplicateTextures(gltf);
+
+        expect(gltf.images.length).toBe(2);
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const deinterleaveVertices = require('../../lib/deinterleaveVertices');
+const getAccessorByteStride = require('../../lib/getAccessorByteStride');
+const interleaveVertices = require('../../lib/interleaveVertices');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+function readValues(gltf) {
+    return gltf.accessors.map(function(accessor) {
+        return readAccessorPacked(gltf, accessor);
+    });
+}
+
+describe('deinterleaveVertices', () => {
+    it('moves vertex attributes that share a buffer view into separate buffer views', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const expectedValues = readValues(gltf);
+        const texcoordBufferView = gltf.bufferViews[2];
+
+        deinterleaveVertices(gltf);
+
+        const attributes = gltf.meshes[0].primitives[0].attributes;
+        const normalAccessor = gltf.accessors[attributes.NORMAL];
+        const positionAccessor = gltf.accessors[attributes.POSITION];
+        const texcoordAccessor = gltf.accessors[attributes.TEXCOORD_0];
+        expect(positionAccessor.bufferView).not.toBe(normalAccessor.bufferView);
+        expect(positionAccessor.byteOffset).toBe(0);
+        expect(normalAccessor.byteOffset).toBe(0);
+        expect(getAccessorByteStride(gltf, positionAccessor)).toBe(12);
+        expect(gltf.bufferViews[positionAccessor.bufferView].byteLength).toBe(24 * 12);
+
+        // Accessors that are already tightly packed are kept
+        expect(gltf.bufferViews[texcoordAccessor.bufferView]).toBe(texcoordBufferView);
+        expect(readValues(gltf)).toEqual(expectedValues);
+    });
+
+    it('de-interleaves interleaved vertex attributes', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const expectedValues = readValues(gltf);
+
+        interleaveVertices(gltf);
+        deinterleaveVertices(gltf);
+
+        // Each accessor has its own buffer view, and the image keeps its buffer view
+        const bufferViewIds = gltf.accessors.map(function(accessor) {
+            return accessor.bufferView;
+        });
+        expect(new Set(bufferViewIds).size).toBe(4);
+        expect(gltf.bufferViews.length).toBe(5);
+        gltf.accessors.forEach(function(accessor) {
+            expect(accessor.byteOffset).toBe(0);
+        });
+        expect(readValues(gltf)).toEqual(expectedValues);
+    });
+});
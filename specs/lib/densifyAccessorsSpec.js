@@ -0,0 +1,86 @@
+'use strict';
+const Cesium = require('cesium');
+const addBuffer = require('../../lib/addBuffer');
+const densifyAccessors = require('../../lib/densifyAccessors');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+function createSparseAccessor(gltf) {
+    return {
+        componentType: WebGLConstants.FLOAT,
+        count: 4,
+        type: 'VEC3',
+        min: [0.0, 0.0, 0.0],
+        max: [1.0, 2.0, 3.0],
+        sparse: {
+            count: 1,
+            indices: {
+                bufferView: addBuffer(gltf, Buffer.from(new Uint8Array([2]).buffer)),
+                componentType: WebGLConstants.UNSIGNED_BYTE
+            },
+            values: {
+                bufferView: addBuffer(gltf, Buffer.from(new Float32Array([1.0, 2.0, 3.0]).buffer))
+            }
+        }
+    };
+}
+
+describe('densifyAccessors', () => {
+    it('replaces sparse accessors with dense accessors', () => {
+        const gltf = {
+            accessors: [],
+            buffers: [],
+            bufferViews: [],
+            meshes: [{
+                primitives: [{
+                    attributes: {
+                        POSITION: 0
+                    },
+                    targets: [{
+                        POSITION: 1
+                    }]
+                }]
+            }]
+        };
+        gltf.accessors.push({
+            componentType: WebGLConstants.FLOAT,
+            count: 4,
+            type: 'VEC3'
+        });
+        gltf.accessors.push(createSparseAccessor(gltf));
+
+        densifyAccessors(gltf);
+
+        const accessor = gltf.accessors[1];
+        expect(accessor.sparse).toBeUndefined();
+        expect(readAccessorPacked(gltf, accessor)).toEqual([
+            0.0, 0.0, 0.0,
+            0.0, 0.0, 0.0,
+            1.0, 2.0, 3.0,
+            0.0, 0.0, 0.0
+        ]);
+        expect(accessor.min).toEqual([0.0, 0.0, 0.0]);
+        expect(accessor.max).toEqual([1.0, 2.0, 3.0]);
+        expect(gltf.bufferViews.length).toBe(1);
+        expect(gltf.bufferViews[accessor.bufferView].target).toBe(WebGLConstants.ARRAY_BUFFER);
+    });
+
+    it('skips accessors that are compressed with meshopt', () => {
+        const gltf = {
+            accessors: [],
+            buffers: [],
+            bufferViews: []
+        };
+        const accessor = createSparseAccessor(gltf);
+        gltf.accessors.push(accessor);
+        gltf.bufferViews[1].extensions = {
+            EXT_meshopt_compression: {}
+        };
+
+        densifyAccessors(gltf);
+
+        expect(accessor.sparse).toBeDefined();
+        expect(accessor.bufferView).toBeUndefined();
+    });
+});
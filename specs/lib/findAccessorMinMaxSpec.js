@@ -1,4 +1,5 @@
 'use strict';
+const addBuffer = require('../../lib/addBuffer');
 const findAccessorMinMax = require('../../lib/findAccessorMinMax');
 const readResources = require('../../lib/readResources');
 
@@ -74,4 +75,22 @@ describe('findAccessorMinMax', () => {
         expect(minMax.min).toEqual(expectedMin);
         expect(minMax.max).toEqual(expectedMax);
     });
+
+    it('finds the min and max of a sparse accessor', async () => {
+        const gltf = await createGltf(contiguousData, 12);
+        const accessor = gltf.accessors[0];
+        accessor.sparse = {
+            count: 1,
+            indices: {
+                bufferView: addBuffer(gltf, Buffer.from(new Uint16Array([0]).buffer)),
+                componentType: 5123
+            },
+            values: {
+                bufferView: addBuffer(gltf, Buffer.from(new Float32Array([-4.0, 4.0, 0.0]).buffer))
+            }
+        };
+        const minMax = findAccessorMinMax(gltf, accessor);
+        expect(minMax.min).toEqual([-4.0, -0.5, 0.0]);
+        expect(minMax.max).toEqual([3.0, 4.0, 1.0]);
+    });
 });
@@ -0,0 +1,213 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const flattenNodes = require('../../lib/flattenNodes');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+// Creates a triangle mesh used by the given nodes
+function createGltf(nodes, sceneNodes) {
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0,
+                    NORMAL: 1
+                },
+                indices: 2
+            }]
+        }],
+        nodes: nodes,
+        scenes: [{
+            nodes: sceneNodes
+        }]
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], [0, 0, 0, 1, 0, 0, 0, 1, 0], WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], [0, 0, 1, 0, 0, 1, 0, 0, 1], WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[2], [0, 1, 2], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return gltf;
+}
+
+function readAttribute(gltf, meshId, semantic) {
+    const primitive = gltf.meshes[meshId].primitives[0];
+    return readAccessorPacked(gltf, gltf.accessors[primitive.attributes[semantic]]);
+}
+
+describe('flattenNodes', () => {
+    it('bakes world transforms into meshes', () => {
+        const gltf = createGltf([{
+            name: 'parent',
+            translation: [1.0, 2.0, 3.0],
+            children: [1]
+        }, {
+            name: 'child',
+            mesh: 0,
+            scale: [2.0, 2.0, 2.0]
+        }], [0]);
+
+        flattenNodes(gltf);
+
+        expect(gltf.nodes).toEqual([{
+            name: 'child',
+            mesh: 0
+        }]);
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+        expect(gltf.meshes.length).toBe(1);
+        expect(readAttribute(gltf, 0, 'POSITION')).toEqual([1, 2, 3, 3, 2, 3, 1, 4, 3]);
+        expect(readAttribute(gltf, 0, 'NORMAL')).toEqual([0, 0, 1, 0, 0, 1, 0, 0, 1]);
+        const positionAccessor = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION];
+        expect(positionAccessor.min).toEqual([1, 2, 3]);
+        expect(positionAccessor.max).toEqual([3, 4, 3]);
+    });
+
+    it('keeps unused nodes and meshes that are not part of the hierarchy', () => {
+        const gltf = createGltf([{
+            translation: [1.0, 0.0, 0.0],
+            children: [1]
+        }, {
+            mesh: 0
+        }, {
+            name: 'unused'
+        }], [0]);
+        gltf.meshes.push({
+            primitives: []
+        });
+
+        flattenNodes(gltf);
+
+        expect(gltf.nodes).toEqual([{
+            mesh: 0
+        }, {
+            name: 'unused'
+        }]);
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+        expect(gltf.meshes.length).toBe(2);
+    });
+
+    it('duplicates meshes used with different world transforms', () => {
+        const gltf = createGltf([{
+            mesh: 0,
+            translation: [1.0, 0.0, 0.0]
+        }, {
+            mesh: 0,
+            translation: [1.0, 0.0, 0.0]
+        }, {
+            mesh: 0
+        }], [0, 1, 2]);
+
+        flattenNodes(gltf);
+
+        // The nodes with the same world transform share a transformed mesh
+        expect(gltf.meshes.length).toBe(2);
+        expect(gltf.nodes[0].mesh).toBe(gltf.nodes[1].mesh);
+        expect(gltf.nodes[0].translation).toBeUndefined();
+        expect(readAttribute(gltf, gltf.nodes[0].mesh, 'POSITION')).toEqual([1, 0, 0, 2, 0, 0, 1, 1, 0]);
+        expect(readAttribute(gltf, gltf.nodes[2].mesh, 'POSITION')).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    });
+
+    it('reverses the winding order of mirrored triangles', () => {
+        const gltf = createGltf([{
+            mesh: 0,
+            scale: [1.0, 1.0, -1.0]
+        }], [0]);
+
+        flattenNodes(gltf);
+
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(readAccessorPacked(gltf, gltf.accessors[primitive.indices])).toEqual([0, 2, 1]);
+        expect(readAttribute(gltf, 0, 'NORMAL')).toEqual([0, 0, -1, 0, 0, -1, 0, 0, -1]);
+    });
+
+    it('keeps animated nodes and their descendants', () => {
+        const gltf = createGltf([{
+            translation: [0.0, 0.0, 5.0],
+            children: [1]
+        }, {
+            name: 'animated',
+            translation: [0.0, 0.0, 0.0],
+            children: [2]
+        }, {
+            mesh: 0,
+            translation: [1.0, 0.0, 0.0]
+        }], [0]);
+        gltf.animations = [{
+            channels: [{
+                sampler: 0,
+                target: {
+                    node: 1,
+                    path: 'translation'
+                }
+            }],
+            samplers: [{
+                input: 0,
+                output: 0
+            }]
+        }];
+
+        flattenNodes(gltf);
+
+        // The transform of the removed parent is kept in a new node
+        expect(gltf.nodes.length).toBe(3);
+        const rootId = gltf.scenes[0].nodes[0];
+        expect(gltf.nodes[rootId].matrix).toEqual([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 5, 1]);
+        const animated = gltf.nodes[gltf.nodes[rootId].children[0]];
+        expect(animated.name).toBe('animated');
+        expect(gltf.animations[0].channels[0].target.node).toBe(gltf.nodes[rootId].children[0]);
+        expect(gltf.nodes[animated.children[0]].translation).toEqual([1.0, 0.0, 0.0]);
+        expect(readAttribute(gltf, 0, 'POSITION')).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    });
+
+    it('moves nodes with cameras to the scene roots with their world transform', () => {
+        const gltf = createGltf([{
+            translation: [0.0, 0.0, 5.0],
+            children: [1]
+        }, {
+            camera: 0,
+            translation: [0.0, 1.0, 0.0]
+        }], [0]);
+
+        flattenNodes(gltf);
+
+        expect(gltf.nodes).toEqual([{
+            camera: 0,
+            matrix: [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 1, 5, 1]
+        }]);
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+    });
+
+    it('flattens the box', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const normals = readAttribute(gltf, 0, 'NORMAL');
+
+        flattenNodes(gltf);
+
+        expect(gltf.nodes.length).toBe(1);
+        expect(gltf.nodes[0].matrix).toBeUndefined();
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+
+        // The node rotates y to -z and z to y
+        const flattenedNormals = readAttribute(gltf, 0, 'NORMAL');
+        for (let i = 0; i < normals.length; i += 3) {
+            expect(flattenedNormals[i]).toBeCloseTo(normals[i], 6);
+            expect(flattenedNormals[i + 1]).toBeCloseTo(normals[i + 2], 6);
+            expect(flattenedNormals[i + 2]).toBeCloseTo(-normals[i + 1], 6);
+        }
+    });
+});
@@ -0,0 +1,181 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const generateLods = require('../../lib/generateLods');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+// Creates a flat grid of size x size quads referenced by two nodes
+function createGrid(size) {
+    const positions = [];
+    for (let y = 0; y <= size; ++y) {
+        for (let x = 0; x <= size; ++x) {
+            positions.push(x, y, 0.0);
+        }
+    }
+    const indices = [];
+    for (let y = 0; y < size; ++y) {
+        for (let x = 0; x < size; ++x) {
+            const a = y * (size + 1) + x;
+            indices.push(a, a + 1, a + size + 2, a, a + size + 2, a + size + 1);
+        }
+    }
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            name: 'grid',
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                },
+                indices: 1
+            }]
+        }],
+        nodes: [{
+            name: 'first',
+            mesh: 0,
+            translation: [1.0, 2.0, 3.0]
+        }, {
+            name: 'second',
+            mesh: 0
+        }],
+        scenes: [{
+            nodes: [0, 1]
+        }]
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], positions, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return gltf;
+}
+
+describe('generateLods', () => {
+    it('generates levels of detail', () => {
+        const gltf = createGrid(8);
+
+        generateLods(gltf, {
+            lodOptions: {}
+        });
+
+        expect(gltf.extensionsUsed).toEqual(['MSFT_lod']);
+        expect(gltf.extensionsRequired).toBeUndefined();
+
+        // The meshes of the levels are shared by both nodes
+        expect(gltf.meshes.length).toBe(3);
+        expect(gltf.meshes[1].name).toBe('grid_LOD1');
+        expect(gltf.meshes[2].name).toBe('grid_LOD2');
+        const counts = gltf.meshes.map(function(mesh) {
+            const primitive = mesh.primitives[0];
+            expect(primitive.attributes.POSITION).toBe(0);
+            return gltf.accessors[primitive.indices].count;
+        });
+        expect(counts[0]).toBe(384);
+        expect(counts[1]).toBeLessThanOrEqual(192);
+        expect(counts[2]).toBeLessThanOrEqual(96);
+
+        const first = gltf.nodes[0];
+        expect(first.extensions.MSFT_lod.ids).toEqual([2, 3]);
+        expect(first.extras.MSFT_screencoverage).toEqual([0.5, 0.25, 0.0]);
+        expect(gltf.nodes[2]).toEqual({
+            mesh: 1,
+            name: 'first_LOD1',
+            translation: [1.0, 2.0, 3.0]
+        });
+        expect(gltf.nodes[3].mesh).toBe(2);
+
+        const second = gltf.nodes[1];
+        expect(second.extensions.MSFT_lod.ids).toEqual([4, 5]);
+        expect(gltf.nodes[4].mesh).toBe(1);
+        expect(gltf.nodes[5].mesh).toBe(2);
+
+        // The levels are not part of the scene
+        expect(gltf.scenes[0].nodes).toEqual([0, 1]);
+    });
+
+    it('stops generating levels once meshes can not be simplified further', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const meshesLength = gltf.meshes.length;
+
+        generateLods(gltf, {
+            lodOptions: {}
+        });
+
+        expect(gltf.meshes.length).toBe(meshesLength);
+        expect(gltf.extensionsUsed).toBeUndefined();
+    });
+
+    it('skips animated nodes', () => {
+        const gltf = createGrid(8);
+        gltf.animations = [{
+            channels: [{
+                sampler: 0,
+                target: {
+                    node: 0,
+                    path: 'translation'
+                }
+            }],
+            samplers: [{
+                input: 0,
+                output: 0
+            }]
+        }];
+
+        generateLods(gltf, {
+            lodOptions: {
+                levels: 1
+            }
+        });
+
+        expect(gltf.nodes[0].extensions).toBeUndefined();
+        expect(gltf.nodes[1].extensions.MSFT_lod.ids).toEqual([2]);
+    });
+
+    it('skips nodes with children', () => {
+        const gltf = createGrid(8);
+        gltf.nodes[0].children = [1];
+        gltf.scenes[0].nodes = [0];
+
+        generateLods(gltf, {
+            lodOptions: {
+                levels: 1
+            }
+        });
+
+        expect(gltf.nodes[0].extensions).toBeUndefined();
+        expect(gltf.nodes[1].extensions.MSFT_lod.ids).toEqual([2]);
+    });
+
+    it('throws if the number of levels is not an integer', () => {
+        const gltf = createGrid(2);
+        expect(() => {
+            generateLods(gltf, {
+                lodOptions: {
+                    levels: 1.5
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+
+    it('throws if the coverage is out of range', () => {
+        const gltf = createGrid(2);
+        expect(() => {
+            generateLods(gltf, {
+                lodOptions: {
+                    coverage: 1.0
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const generateNormals = require('../../lib/generateNormals');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const Cartesian3 = Cesium.Cartesian3;
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+async function readBoxWithoutNormals() {
+    const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+    const primitive = gltf.meshes[0].primitives[0];
+    const normals = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.NORMAL]);
+    delete primitive.attributes.NORMAL;
+    return {
+        gltf: gltf,
+        primitive: primitive,
+        normals: normals
+    };
+}
+
+// Creates a cube with 8 vertices shared by all of its faces
+function createCube() {
+    const positions = [
+        -1, -1, -1, 1, -1, -1, 1, 1, -1, -1, 1, -1,
+        -1, -1, 1, 1, -1, 1, 1, 1, 1, -1, 1, 1
+    ];
+    const indices = [
+        0, 2, 1, 0, 3, 2,
+        4, 5, 6, 4, 6, 7,
+        0, 1, 5, 0, 5, 4,
+        2, 3, 7, 2, 7, 6,
+        1, 2, 6, 1, 6, 5,
+        3, 0, 4, 3, 4, 7
+    ];
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_BYTE,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                },
+                indices: 1
+            }]
+        }]
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], positions, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return gltf;
+}
+
+function getVertices(gltf, primitive) {
+    const positions = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.POSITION]);
+    const normals = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.NORMAL]);
+    const vertices = [];
+    for (let i = 0; i < positions.length / 3; ++i) {
+        vertices.push({
+            position: Cartesian3.unpack(positions, i * 3),
+            normal: Cartesian3.unpack(normals, i * 3)
+        });
+    }
+    return vertices;
+}
+
+function expectFlatNormals(vertices) {
+    vertices.forEach(function(vertex) {
+        // Each normal of the box points along an axis
+        const normal = vertex.normal;
+        expect(Cartesian3.magnitude(normal)).toBeCloseTo(1.0, 6);
+        expect(Cartesian3.maximumComponent(Cartesian3.abs(normal, new Cartesian3()))).toBeCloseTo(1.0, 6);
+    });
+}
+
+describe('generateNormals', () => {
+    it('generates smooth normals', async () => {
+        const box = await readBoxWithoutNormals();
+        const gltf = box.gltf;
+        const primitive = box.primitive;
+
+        generateNormals(gltf, {
+            normalsOptions: {}
+        });
+
+        const accessor = gltf.accessors[primitive.attributes.NORMAL];
+        expect(accessor.componentType).toBe(WebGLConstants.FLOAT);
+        expect(accessor.type).toBe('VEC3');
+        expect(accessor.min).toBeDefined();
+        expect(accessor.max).toBeDefined();
+
+        // The vertices are not split, and the normals of the corners point away from the center of the box
+        const vertices = getVertices(gltf, primitive);
+        expect(vertices.length).toBe(24);
+        expect(gltf.accessors[primitive.indices].count).toBe(36);
+        vertices.forEach(function(vertex) {
+            expect(Cartesian3.magnitude(vertex.normal)).toBeCloseTo(1.0, 6);
+            expect(Cartesian3.dot(vertex.normal, vertex.position)).toBeGreaterThan(0.0);
+            expect(Math.abs(vertex.normal.x)).toBeLessThan(1.0);
+        });
+    });
+
+    it('generates flat normals', async () => {
+        const box = await readBoxWithoutNormals();
+        const gltf = box.gltf;
+        const primitive = box.primitive;
+
+        generateNormals(gltf, {
+            normalsOptions: {
+                flat: true
+            }
+        });
+
+        const normals = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.NORMAL]);
+        expect(normals.length).toBe(box.normals.length);
+        for (let i = 0; i < normals.length; ++i) {
+            expect(normals[i]).toBeCloseTo(box.normals[i], 6);
+        }
+    });
+
+    it('splits vertices on creases', () => {
+        const gltf = createCube();
+        const primitive = gltf.meshes[0].primitives[0];
+
+        generateNormals(gltf, {
+            normalsOptions: {
+                creaseAngle: 45.0
+            }
+        });
+
+        // Each corner of the cube is split into a vertex for each of its three faces
+        const vertices = getVertices(gltf, primitive);
+        expect(vertices.length).toBe(24);
+        expect(gltf.accessors[primitive.indices].count).toBe(36);
+        expectFlatNormals(vertices);
+        vertices.forEach(function(vertex) {
+            const positionOnAxis = Cartesian3.dot(vertex.position, vertex.normal);
+            expect(positionOnAxis).toBeCloseTo(1.0, 6);
+        });
+    });
+
+    it('smooths triangles at the crease angle', () => {
+        const gltf = createCube();
+        const primitive = gltf.meshes[0].primitives[0];
+
+        generateNormals(gltf, {
+            normalsOptions: {
+                creaseAngle: 90.0
+            }
+        });
+
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(8);
+    });
+
+    it('does not replace existing normals unless forced', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const primitive = gltf.meshes[0].primitives[0];
+        const normalAccessorId = primitive.attributes.NORMAL;
+
+        generateNormals(gltf, {
+            normalsOptions: {}
+        });
+        expect(primitive.attributes.NORMAL).toBe(normalAccessorId);
+
+        generateNormals(gltf, {
+            normalsOptions: {
+                flat: true,
+                force: true
+            }
+        });
+        expect(gltf.accessors.length).toBe(4);
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(24);
+        expectFlatNormals(getVertices(gltf, primitive));
+    });
+
+    it('throws if the crease angle is out of range', () => {
+        const gltf = createCube();
+        expect(() => {
+            generateNormals(gltf, {
+                normalsOptions: {
+                    creaseAngle: 270.0
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
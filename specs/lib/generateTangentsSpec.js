@@ -0,0 +1,194 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const mikktspace = require('mikktspace');
+const generateTangents = require('../../lib/generateTangents');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+// Creates two quads next to each other in the xy plane, with the texture up along +y. When mirrored is set,
+// the texture coordinates of the second quad are mirrored along u around the shared edge.
+function createQuads(mirrored) {
+    const positions = [];
+    const normals = [];
+    const texcoords = [];
+    for (let y = 0; y <= 1; ++y) {
+        for (let x = 0; x <= 2; ++x) {
+            positions.push(x, y, 0.0);
+            normals.push(0.0, 0.0, 1.0);
+            texcoords.push(mirrored && x === 2 ? 0.0 : x, 1.0 - y);
+        }
+    }
+    const indices = [0, 1, 4, 0, 4, 3, 1, 2, 5, 1, 5, 4];
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC2'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: [],
+        materials: [{
+            normalTexture: {
+                index: 0
+            }
+        }],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0,
+                    NORMAL: 1,
+                    TEXCOORD_0: 2
+                },
+                indices: 3,
+                material: 0
+            }]
+        }]
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], positions, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], normals, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[2], texcoords, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[3], indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return gltf;
+}
+
+function getTangents(gltf) {
+    const primitive = gltf.meshes[0].primitives[0];
+    return readAccessorPacked(gltf, gltf.accessors[primitive.attributes.TANGENT]);
+}
+
+describe('generateTangents', () => {
+    it('generates tangents along the u texture coordinate', () => {
+        const gltf = createQuads(false);
+
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+
+        const primitive = gltf.meshes[0].primitives[0];
+        const accessor = gltf.accessors[primitive.attributes.TANGENT];
+        expect(accessor.componentType).toBe(WebGLConstants.FLOAT);
+        expect(accessor.type).toBe('VEC4');
+        expect(accessor.count).toBe(6);
+        expect(primitive.indices).toBe(3);
+
+        // The bitangent is the cross product of the normal and tangent scaled by w, which points up the texture
+        const tangents = getTangents(gltf);
+        for (let i = 0; i < 6; ++i) {
+            expect(tangents.slice(i * 4, i * 4 + 4)).toEqual([1.0, 0.0, 0.0, 1.0]);
+        }
+    });
+
+    it('splits vertices with mirrored texture coordinates', () => {
+        const gltf = createQuads(true);
+
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+
+        // The vertices of the shared edge are split
+        const primitive = gltf.meshes[0].primitives[0];
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(8);
+        expect(gltf.accessors[primitive.attributes.TEXCOORD_0].count).toBe(8);
+        expect(gltf.accessors[primitive.indices].count).toBe(12);
+
+        const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        const tangents = getTangents(gltf);
+        indices.forEach(function(index, i) {
+            const tangent = tangents.slice(index * 4, index * 4 + 4);
+            // The first two triangles are the first quad
+            const expected = i < 6 ? [1.0, 0.0, 0.0, 1.0] : [-1.0, 0.0, 0.0, -1.0];
+            expect(tangent).toEqual(expected);
+        });
+    });
+
+    it('matches the tangents of the reference MikkTSpace implementation', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        gltf.materials[0].normalTexture = {
+            index: 0
+        };
+        const primitive = gltf.meshes[0].primitives[0];
+        const semantics = ['POSITION', 'NORMAL', 'TEXCOORD_0'];
+        const originalIndices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        const unindexed = semantics.map(function(semantic) {
+            const accessor = gltf.accessors[primitive.attributes[semantic]];
+            const numberOfComponents = semantic === 'TEXCOORD_0' ? 2 : 3;
+            const values = readAccessorPacked(gltf, accessor);
+            const cornerValues = [];
+            originalIndices.forEach(function(index) {
+                cornerValues.push.apply(cornerValues, values.slice(index * numberOfComponents, (index + 1) * numberOfComponents));
+            });
+            return new Float32Array(cornerValues);
+        });
+        const expected = mikktspace.generateTangents(unindexed[0], unindexed[1], unindexed[2]);
+
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+
+        const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        const tangents = getTangents(gltf);
+        indices.forEach(function(index, i) {
+            const tangent = tangents.slice(index * 4, index * 4 + 4);
+            expect(tangent[0]).toBeCloseTo(expected[i * 4], 6);
+            expect(tangent[1]).toBeCloseTo(expected[i * 4 + 1], 6);
+            expect(tangent[2]).toBeCloseTo(expected[i * 4 + 2], 6);
+            // The handedness is flipped for the glTF texture coordinate convention
+            expect(tangent[3]).toBe(-expected[i * 4 + 3]);
+        });
+    });
+
+    it('skips primitives without normal textures or normals', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const primitive = gltf.meshes[0].primitives[0];
+
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+        expect(primitive.attributes.TANGENT).toBeUndefined();
+
+        gltf.materials[0].normalTexture = {
+            index: 0
+        };
+        delete primitive.attributes.NORMAL;
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+        expect(primitive.attributes.TANGENT).toBeUndefined();
+    });
+
+    it('does not replace existing tangents unless forced', () => {
+        const gltf = createQuads(false);
+        const primitive = gltf.meshes[0].primitives[0];
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+        const tangentAccessorId = primitive.attributes.TANGENT;
+
+        generateTangents(gltf, {
+            tangentsOptions: {}
+        });
+        expect(primitive.attributes.TANGENT).toBe(tangentAccessorId);
+
+        writeAccessorPacked(gltf, gltf.accessors[tangentAccessorId], new Array(24).fill(0.0), WebGLConstants.ARRAY_BUFFER);
+        generateTangents(gltf, {
+            tangentsOptions: {
+                force: true
+            }
+        });
+        expect(getTangents(gltf).slice(0, 4)).toEqual([1.0, 0.0, 0.0, 1.0]);
+    });
+});
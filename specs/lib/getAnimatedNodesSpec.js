@@ -0,0 +1,34 @@
+'use strict';
+const getAnimatedNodes = require('../../lib/getAnimatedNodes');
+
+describe('getAnimatedNodes', () => {
+    it('gets nodes with animated transforms', () => {
+        const gltf = {
+            animations: [{
+                channels: [{
+                    sampler: 0,
+                    target: {
+                        node: 1,
+                        path: 'rotation'
+                    }
+                }, {
+                    sampler: 0,
+                    target: {
+                        node: 2,
+                        path: 'weights'
+                    }
+                }, {
+                    sampler: 0,
+                    target: {
+                        node: 3,
+                        path: 'scale'
+                    }
+                }]
+            }]
+        };
+        expect(getAnimatedNodes(gltf)).toEqual({
+            1: true,
+            3: true
+        });
+    });
+});
@@ -0,0 +1,91 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const path = require('path');
+const getAssetInfo = require('../../lib/getAssetInfo');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+const boxWebpPath = 'specs/data/2.0/extensions/EXT_texture_webp/box-textured-separate/box-textured-with-fallback.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf, {
+        resourceDirectory: path.dirname(gltfPath)
+    });
+}
+
+describe('getAssetInfo', () => {
+    it('returns info for a glTF', async () => {
+        const gltf = await readGltf(boxPath);
+        const info = getAssetInfo(gltf);
+        expect(info.version).toBe('2.0');
+        expect(info.generator).toBe('COLLADA2GLTF');
+        expect(info.extensionsUsed).toEqual([]);
+        expect(info.scenes).toEqual([{
+            scene: 0,
+            name: undefined,
+            nodes: [{
+                node: 0,
+                name: undefined,
+                mesh: undefined,
+                children: [{
+                    node: 1,
+                    name: undefined,
+                    mesh: 0,
+                    children: []
+                }]
+            }]
+        }]);
+
+        const primitive = info.meshes[0].primitives[0];
+        expect(primitive.mode).toBe('TRIANGLES');
+        expect(primitive.attributes.map(function(attribute) {
+            return attribute.semantic;
+        })).toEqual(['NORMAL', 'POSITION', 'TEXCOORD_0']);
+        expect(primitive.attributes[1]).toEqual({
+            semantic: 'POSITION',
+            type: 'VEC3',
+            componentType: 'FLOAT',
+            normalized: false,
+            count: 24
+        });
+        expect(primitive.indices.componentType).toBe('UNSIGNED_SHORT');
+
+        expect(info.materials[0].type).toBe('pbrMetallicRoughness');
+        expect(info.materials[0].textures).toEqual([0]);
+        expect(info.textures[0].images).toEqual([{
+            image: 0,
+            name: undefined,
+            format: 'png',
+            width: 128,
+            height: 128
+        }]);
+        expect(info.animations).toEqual([]);
+
+        const string = info.toString();
+        expect(string).toContain('Node 1 (mesh 0)');
+        expect(string).toContain('POSITION: VEC3 FLOAT (24)');
+        expect(string).toContain('image 0 png 128x128');
+    });
+
+    it('returns animation durations', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const info = getAssetInfo(gltf);
+        const animation = info.animations[0];
+        expect(animation.name).toBe('Square');
+        expect(animation.channels).toBe(1);
+        expect(animation.duration).toBeCloseTo(4.2, 5);
+        expect(info.meshes[0].primitives[0].targets).toBe(2);
+    });
+
+    it('returns images of texture extensions', async () => {
+        const gltf = await readGltf(boxWebpPath);
+        const info = getAssetInfo(gltf);
+        expect(info.extensionsUsed).toEqual(['EXT_texture_webp']);
+        const formats = info.textures[0].images.map(function(image) {
+            return image.format;
+        });
+        expect(formats).toEqual(['png', 'webp']);
+    });
+});
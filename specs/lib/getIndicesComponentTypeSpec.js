@@ -0,0 +1,14 @@
+'use strict';
+const Cesium = require('cesium');
+const getIndicesComponentType = require('../../lib/getIndicesComponentType');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+describe('getIndicesComponentType', () => {
+    it('returns the smallest component type that leaves room for primitive restart', () => {
+        expect(getIndicesComponentType(255)).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(getIndicesComponentType(256)).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(getIndicesComponentType(65535)).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(getIndicesComponentType(65536)).toBe(WebGLConstants.UNSIGNED_INT);
+    });
+});
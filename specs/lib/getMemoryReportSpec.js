@@ -0,0 +1,93 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const getMemoryReport = require('../../lib/getMemoryReport');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+function getBufferViewsByteLength(gltf) {
+    let byteLength = 0;
+    gltf.bufferViews.forEach(function(bufferView) {
+        byteLength += bufferView.byteLength;
+    });
+    return byteLength;
+}
+
+function getEntry(report, path) {
+    return report.entries.find(function(entry) {
+        return entry.path === path;
+    });
+}
+
+describe('getMemoryReport', () => {
+    it('attributes buffer views to mesh attributes, indices, and images', async () => {
+        const gltf = await readGltf(boxPath);
+        const report = getMemoryReport(gltf);
+
+        expect(report.byteLength).toBe(getBufferViewsByteLength(gltf));
+        expect(getEntry(report, '/meshes/0/primitives/0/attributes/POSITION').byteLength).toBe(288);
+        expect(getEntry(report, '/meshes/0/primitives/0/attributes/TEXCOORD_0').byteLength).toBe(192);
+        expect(getEntry(report, '/meshes/0/primitives/0/indices').byteLength).toBe(72);
+
+        const imageEntry = getEntry(report, '/images/0');
+        expect(imageEntry.type).toBe('image');
+        expect(imageEntry.byteLength).toBe(gltf.bufferViews[gltf.images[0].bufferView].byteLength);
+        // 128x128 RGBA8 with mipmaps
+        expect(imageEntry.gpuByteLength).toBe(Math.ceil(128 * 128 * 4 * 4 / 3));
+        expect(report.gpuByteLength).toBe(imageEntry.gpuByteLength);
+
+        // Entries are sorted by byte length
+        const entries = report.entries;
+        for (let i = 1; i < entries.length; ++i) {
+            expect(entries[i - 1].byteLength).toBeGreaterThanOrEqual(entries[i].byteLength);
+        }
+        expect(report.toString()).toContain('/images/0');
+    });
+
+    it('attributes buffer views to morph targets and animations', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const report = getMemoryReport(gltf);
+
+        expect(report.byteLength).toBe(getBufferViewsByteLength(gltf));
+        expect(getEntry(report, '/meshes/0/primitives/0/targets/1/POSITION').type).toBe('morphTarget');
+        expect(getEntry(report, '/animations/0/samplers/0/input').type).toBe('animation');
+        expect(getEntry(report, '/animations/0/samplers/0/output').type).toBe('animation');
+    });
+
+    it('reports unused buffer views', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const bufferViewId = gltf.accessors[primitive.indices].bufferView;
+        delete primitive.indices;
+        gltf.accessors.forEach(function(accessor) {
+            if (accessor.bufferView === bufferViewId) {
+                delete accessor.bufferView;
+            }
+        });
+
+        const report = getMemoryReport(gltf);
+        const entry = getEntry(report, '/bufferViews/' + bufferViewId);
+        expect(entry.type).toBe('unused');
+        expect(entry.byteLength).toBe(gltf.bufferViews[bufferViewId].byteLength);
+        expect(report.byteLength).toBe(getBufferViewsByteLength(gltf));
+    });
+
+    it('reports unused accessors', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const accessorId = primitive.attributes.TEXCOORD_0;
+        delete primitive.attributes.TEXCOORD_0;
+
+        const report = getMemoryReport(gltf);
+        const entry = getEntry(report, '/accessors/' + accessorId);
+        expect(entry.type).toBe('accessor');
+        expect(entry.byteLength).toBe(192);
+        expect(report.byteLength).toBe(getBufferViewsByteLength(gltf));
+    });
+});
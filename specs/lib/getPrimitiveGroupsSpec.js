@@ -0,0 +1,82 @@
+'use strict';
+const getPrimitiveGroups = require('../../lib/getPrimitiveGroups');
+
+function createGltf(primitives) {
+    return {
+        accessors: [{}, {}, {}, {}],
+        bufferViews: [],
+        meshes: [{
+            primitives: primitives
+        }]
+    };
+}
+
+describe('getPrimitiveGroups', () => {
+    it('groups primitives that reference the same vertex accessors', () => {
+        const gltf = createGltf([{
+            attributes: {
+                POSITION: 0,
+                NORMAL: 1
+            },
+            targets: [{
+                POSITION: 2
+            }]
+        }, {
+            attributes: {
+                NORMAL: 1,
+                POSITION: 0
+            },
+            targets: [{
+                POSITION: 2
+            }]
+        }, {
+            attributes: {
+                POSITION: 3
+            }
+        }]);
+        const primitives = gltf.meshes[0].primitives;
+        const groups = getPrimitiveGroups(gltf);
+        expect(groups.length).toBe(2);
+        expect(groups[0].accessorIds).toEqual([0, 1, 2]);
+        expect(groups[0].primitives).toEqual([primitives[0], primitives[1]]);
+        expect(groups[1].accessorIds).toEqual([3]);
+        expect(groups[1].primitives).toEqual([primitives[2]]);
+    });
+
+    it('excludes primitives that share some of their accessors', () => {
+        const gltf = createGltf([{
+            attributes: {
+                POSITION: 0,
+                NORMAL: 1
+            }
+        }, {
+            attributes: {
+                POSITION: 0
+            }
+        }, {
+            attributes: {
+                POSITION: 3
+            }
+        }]);
+        const groups = getPrimitiveGroups(gltf);
+        expect(groups.length).toBe(1);
+        expect(groups[0].accessorIds).toEqual([3]);
+    });
+
+    it('excludes Draco compressed primitives and sparse accessors', () => {
+        const gltf = createGltf([{
+            attributes: {
+                POSITION: 0
+            },
+            extensions: {
+                KHR_draco_mesh_compression: {}
+            }
+        }, {
+            attributes: {
+                POSITION: 1
+            }
+        }]);
+        gltf.accessors[1].sparse = {};
+        expect(getPrimitiveGroups(gltf)).toEqual([]);
+    });
+});
@@ -1,5 +1,10 @@
 'use strict';
+const fsExtra = require('fs-extra');
+const compressDracoMeshes = require('../../lib/compressDracoMeshes');
 const getStatistics = require('../../lib/getStatistics');
+const readResources = require('../../lib/readResources');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
 
 describe('getStatistics', () => {
     const gltf = {
@@ -99,9 +104,103 @@ describe('getStatistics', () => {
         expect(statistics.numberOfAnimations).toEqual(3);
     });
 
+    it('converts statistics to JSON', () => {
+        const statistics = getStatistics(gltf);
+        const json = JSON.parse(JSON.stringify(statistics));
+        expect(json).toEqual({
+            buffersByteLength: 260,
+            numberOfImages: 3,
+            numberOfDrawCalls: 4,
+            numberOfRenderedPrimitives: 6,
+            numberOfNodes: 1,
+            numberOfMeshes: 2,
+            numberOfMaterials: 2,
+            numberOfAnimations: 3,
+            numberOfExternalRequests: 3,
+            dracoPrimitives: [],
+            undecodableDracoPrimitives: [],
+            dracoCompressedByteLength: 0,
+            dracoUncompressedByteLength: 0,
+            dracoCompressionRatio: 0
+        });
+    });
+
     it('returns draw call statistics for a gltf node', () => {
         const statistics = getStatistics(gltf, 0);
         expect(statistics.numberOfDrawCalls).toEqual(3);
         expect(statistics.numberOfRenderedPrimitives).toEqual(4);
     });
+
+    it('returns statistics for draco compressed primitives', async () => {
+        const boxGltf = await readResources(fsExtra.readJsonSync(boxPath));
+        compressDracoMeshes(boxGltf, {
+            dracoOptions: {}
+        });
+
+        // Placeholder accessor counts are ignored in favor of the decoded counts
+        const primitive = boxGltf.meshes[0].primitives[0];
+        boxGltf.accessors[primitive.indices].count = 0;
+
+        const statistics = getStatistics(boxGltf);
+        expect(statistics.numberOfRenderedPrimitives).toEqual(12);
+        expect(statistics.dracoPrimitives.length).toEqual(1);
+
+        const dracoPrimitive = statistics.dracoPrimitives[0];
+        const compressedByteLength = boxGltf.bufferViews[primitive.extensions.KHR_draco_mesh_compression.bufferView].byteLength;
+        const numberOfVertices = boxGltf.accessors[primitive.attributes.POSITION].count;
+        const vertexByteLength = (3 + 3 + 2) * 4; // POSITION, NORMAL, and TEXCOORD_0 as floats
+        const uncompressedByteLength = numberOfVertices * vertexByteLength + 36 * 2;
+        expect(dracoPrimitive.mesh).toEqual(0);
+        expect(dracoPrimitive.primitive).toEqual(0);
+        expect(dracoPrimitive.numberOfVertices).toEqual(numberOfVertices);
+        expect(dracoPrimitive.numberOfTriangles).toEqual(12);
+        expect(dracoPrimitive.compressedByteLength).toEqual(compressedByteLength);
+        expect(dracoPrimitive.uncompressedByteLength).toEqual(uncompressedByteLength);
+        expect(dracoPrimitive.compressionRatio).toEqual(uncompressedByteLength / compressedByteLength);
+        expect(statistics.dracoCompressedByteLength).toEqual(compressedByteLength);
+        expect(statistics.dracoUncompressedByteLength).toEqual(uncompressedByteLength);
+        expect(statistics.dracoCompressionRatio).toEqual(uncompressedByteLength / compressedByteLength);
+        expect(statistics.toString()).toContain('Draco compression ratio');
+
+        const nodeStatistics = getStatistics(boxGltf, 0);
+        expect(nodeStatistics.numberOfRenderedPrimitives).toEqual(12);
+    });
+
+    it('uses accessor counts for draco compressed primitives without data', async () => {
+        const boxGltf = await readResources(fsExtra.readJsonSync(boxPath));
+        compressDracoMeshes(boxGltf, {
+            dracoOptions: {}
+        });
+        const primitive = boxGltf.meshes[0].primitives[0];
+        const bufferView = boxGltf.bufferViews[primitive.extensions.KHR_draco_mesh_compression.bufferView];
+        delete boxGltf.buffers[bufferView.buffer].extras;
+
+        const statistics = getStatistics(boxGltf);
+        expect(statistics.numberOfRenderedPrimitives).toEqual(12);
+        expect(statistics.dracoPrimitives.length).toEqual(0);
+        expect(statistics.dracoCompressionRatio).toEqual(0);
+    });
+
+    it('reports draco compressed primitives that can not be decoded', async () => {
+        const boxGltf = await readResources(fsExtra.readJsonSync(boxPath));
+        compressDracoMeshes(boxGltf, {
+            dracoOptions: {}
+        });
+        const primitive = boxGltf.meshes[0].primitives[0];
+        const bufferView = boxGltf.bufferViews[primitive.extensions.KHR_draco_mesh_compression.bufferView];
+        const source = boxGltf.buffers[bufferView.buffer].extras._pipeline.source;
+        source.fill(0, bufferView.byteOffset, bufferView.byteOffset + bufferView.byteLength);
+
+        const statistics = getStatistics(boxGltf);
+        expect(statistics.numberOfRenderedPrimitives).toEqual(12);
+        expect(statistics.dracoPrimitives.length).toEqual(0);
+        expect(statistics.dracoCompressionRatio).toEqual(0);
+        expect(statistics.undecodableDracoPrimitives.length).toEqual(1);
+        expect(statistics.undecodableDracoPrimitives[0].mesh).toEqual(0);
+        expect(statistics.undecodableDracoPrimitives[0].primitive).toEqual(0);
+        expect(statistics.toString()).toContain('Draco compressed mesh 0 primitive 0 could not be decoded');
+
+        const nodeStatistics = getStatistics(boxGltf, 0);
+        expect(nodeStatistics.numberOfRenderedPrimitives).toEqual(12);
+    });
 });
@@ -0,0 +1,47 @@
+'use strict';
+const getTextureSlot = require('../../lib/getTextureSlot');
+
+describe('getTextureSlot', () => {
+    it('gets the slots of metallic roughness materials', () => {
+        const material = {
+            pbrMetallicRoughness: {
+                baseColorTexture: {
+                    index: 0
+                }
+            },
+            normalTexture: {
+                index: 1
+            }
+        };
+        expect(getTextureSlot(material, material.pbrMetallicRoughness.baseColorTexture)).toBe('baseColorTexture');
+        expect(getTextureSlot(material, material.normalTexture)).toBe('normalTexture');
+    });
+
+    it('gets the slots of material extensions', () => {
+        const material = {
+            extensions: {
+                KHR_materials_pbrSpecularGlossiness: {
+                    diffuseTexture: {
+                        index: 0
+                    }
+                },
+                KHR_techniques_webgl: {
+                    values: {
+                        u_diffuse: {
+                            index: 1
+                        }
+                    }
+                }
+            }
+        };
+        const extensions = material.extensions;
+        expect(getTextureSlot(material, extensions.KHR_materials_pbrSpecularGlossiness.diffuseTexture)).toBe('diffuseTexture');
+        expect(getTextureSlot(material, extensions.KHR_techniques_webgl.values.u_diffuse)).toBe('u_diffuse');
+    });
+
+    it('returns undefined for texture infos of other materials', () => {
+        expect(getTextureSlot({}, {
+            index: 0
+        })).toBeUndefined();
+    });
+});
@@ -0,0 +1,184 @@
+'use strict';
+const Cesium = require('cesium');
+const instanceMeshes = require('../../lib/instanceMeshes');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+
+const DeveloperError = Cesium.DeveloperError;
+
+function createGltf(nodes) {
+    return {
+        accessors: [],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: []
+        }, {
+            primitives: []
+        }],
+        nodes: nodes,
+        scenes: [{
+            nodes: nodes.map(function(node, i) {
+                return i;
+            })
+        }]
+    };
+}
+
+describe('instanceMeshes', () => {
+    it('replaces nodes that reference the same mesh with an instanced node', () => {
+        const gltf = createGltf([{
+            mesh: 0,
+            translation: [1.0, 2.0, 3.0]
+        }, {
+            mesh: 1
+        }, {
+            mesh: 0,
+            scale: [2.0, 2.0, 2.0]
+        }, {
+            mesh: 0,
+            translation: [-1.0, 0.0, 0.0]
+        }]);
+
+        instanceMeshes(gltf);
+
+        expect(gltf.extensionsUsed).toEqual(['EXT_mesh_gpu_instancing']);
+        expect(gltf.nodes.length).toBe(2);
+        expect(gltf.scenes[0].nodes).toEqual([0, 1]);
+        expect(gltf.nodes[1]).toEqual({
+            mesh: 1
+        });
+
+        const attributes = gltf.nodes[0].extensions.EXT_mesh_gpu_instancing.attributes;
+        expect(gltf.nodes[0].mesh).toBe(0);
+        expect(gltf.nodes[0].translation).toBeUndefined();
+        expect(attributes.ROTATION).toBeUndefined();
+        expect(readAccessorPacked(gltf, gltf.accessors[attributes.TRANSLATION])).toEqual([1.0, 2.0, 3.0, 0.0, 0.0, 0.0, -1.0, 0.0, 0.0]);
+        expect(readAccessorPacked(gltf, gltf.accessors[attributes.SCALE])).toEqual([1.0, 1.0, 1.0, 2.0, 2.0, 2.0, 1.0, 1.0, 1.0]);
+    });
+
+    it('decomposes node matrices', () => {
+        // A rotation of 90 degrees around z, a scale of 2, and a translation of (1, 2, 3)
+        const matrix = [
+            0.0, 2.0, 0.0, 0.0,
+            -2.0, 0.0, 0.0, 0.0,
+            0.0, 0.0, 2.0, 0.0,
+            1.0, 2.0, 3.0, 1.0
+        ];
+        // A shear, which isn't instanced
+        const shear = [
+            1.0, 0.0, 0.0, 0.0,
+            1.0, 1.0, 0.0, 0.0,
+            0.0, 0.0, 1.0, 0.0,
+            0.0, 0.0, 0.0, 1.0
+        ];
+        const gltf = createGltf([{
+            mesh: 0
+        }, {
+            mesh: 0,
+            matrix: matrix
+        }, {
+            mesh: 0,
+            matrix: shear
+        }]);
+
+        instanceMeshes(gltf);
+
+        expect(gltf.nodes.length).toBe(2);
+        expect(gltf.nodes[1].matrix).toEqual(shear);
+        const attributes = gltf.nodes[0].extensions.EXT_mesh_gpu_instancing.attributes;
+        expect(readAccessorPacked(gltf, gltf.accessors[attributes.TRANSLATION])).toEqual([0.0, 0.0, 0.0, 1.0, 2.0, 3.0]);
+        expect(readAccessorPacked(gltf, gltf.accessors[attributes.SCALE])).toEqual([1.0, 1.0, 1.0, 2.0, 2.0, 2.0]);
+        const rotations = readAccessorPacked(gltf, gltf.accessors[attributes.ROTATION]);
+        const expectedRotations = [0.0, 0.0, 0.0, 1.0, 0.0, 0.0, Math.SQRT1_2, Math.SQRT1_2];
+        rotations.forEach(function(value, i) {
+            expect(value).toBeCloseTo(expectedRotations[i], 6);
+        });
+    });
+
+    it('only instances siblings that are static leaves', () => {
+        const gltf = createGltf([{
+            children: [1, 2, 3, 4]
+        }, {
+            mesh: 0
+        }, {
+            mesh: 0,
+            translation: [1.0, 0.0, 0.0]
+        }, {
+            mesh: 0,
+            children: [5]
+        }, {
+            mesh: 0
+        }, {
+            mesh: 0
+        }, {
+            mesh: 0,
+            extras: {
+                id: 6
+            }
+        }]);
+        gltf.scenes[0].nodes = [0, 6];
+        gltf.animations = [{
+            channels: [{
+                sampler: 0,
+                target: {
+                    node: 4,
+                    path: 'translation'
+                }
+            }],
+            samplers: [{
+                input: 0,
+                output: 0
+            }]
+        }];
+
+        instanceMeshes(gltf);
+
+        expect(gltf.nodes.length).toBe(6);
+        expect(gltf.nodes[0].children).toEqual([1, 2, 3]);
+        expect(gltf.nodes[1].extensions.EXT_mesh_gpu_instancing).toBeDefined();
+        expect(gltf.scenes[0].nodes).toEqual([0, 5]);
+    });
+
+    it('respects the minimum number of instances', () => {
+        const gltf = createGltf([{
+            mesh: 0
+        }, {
+            mesh: 0,
+            translation: [1.0, 0.0, 0.0]
+        }]);
+
+        instanceMeshes(gltf, {
+            instancingOptions: {
+                minimumInstances: 3
+            }
+        });
+
+        expect(gltf.nodes.length).toBe(2);
+        expect(gltf.extensionsUsed).toBeUndefined();
+        expect(gltf.accessors.length).toBe(0);
+    });
+
+    it('adds a translation for instances with identical transforms', () => {
+        const gltf = createGltf([{
+            mesh: 0
+        }, {
+            mesh: 0
+        }]);
+
+        instanceMeshes(gltf);
+
+        const attributes = gltf.nodes[0].extensions.EXT_mesh_gpu_instancing.attributes;
+        expect(Object.keys(attributes)).toEqual(['TRANSLATION']);
+        expect(gltf.accessors[attributes.TRANSLATION].count).toBe(2);
+    });
+
+    it('throws if the minimum number of instances is less than 2', () => {
+        expect(function() {
+            instanceMeshes(createGltf([]), {
+                instancingOptions: {
+                    minimumInstances: 1
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
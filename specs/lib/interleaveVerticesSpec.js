@@ -0,0 +1,81 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const getAccessorByteStride = require('../../lib/getAccessorByteStride');
+const interleaveVertices = require('../../lib/interleaveVertices');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+function readValues(gltf) {
+    return gltf.accessors.map(function(accessor) {
+        return readAccessorPacked(gltf, accessor);
+    });
+}
+
+describe('interleaveVertices', () => {
+    it('interleaves the vertex attributes of primitives', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const expectedValues = readValues(gltf);
+
+        interleaveVertices(gltf);
+
+        const attributes = gltf.meshes[0].primitives[0].attributes;
+        const normalAccessor = gltf.accessors[attributes.NORMAL];
+        const positionAccessor = gltf.accessors[attributes.POSITION];
+        const texcoordAccessor = gltf.accessors[attributes.TEXCOORD_0];
+        expect(positionAccessor.bufferView).toBe(normalAccessor.bufferView);
+        expect(texcoordAccessor.bufferView).toBe(normalAccessor.bufferView);
+        expect(normalAccessor.byteOffset).toBe(0);
+        expect(positionAccessor.byteOffset).toBe(12);
+        expect(texcoordAccessor.byteOffset).toBe(24);
+        expect(getAccessorByteStride(gltf, positionAccessor)).toBe(32);
+
+        const bufferView = gltf.bufferViews[positionAccessor.bufferView];
+        expect(bufferView.byteLength).toBe(24 * 32);
+        expect(bufferView.target).toBe(WebGLConstants.ARRAY_BUFFER);
+        // The buffer views of the image and indices are kept
+        expect(gltf.bufferViews.length).toBe(3);
+        expect(readValues(gltf)).toEqual(expectedValues);
+    });
+
+    it('aligns attributes to 4 bytes', () => {
+        const gltf = {
+            accessors: [],
+            buffers: [],
+            bufferViews: [],
+            meshes: [{
+                primitives: [{
+                    attributes: {
+                        COLOR_0: 0,
+                        POSITION: 1
+                    }
+                }]
+            }]
+        };
+        const colorAccessor = {
+            componentType: WebGLConstants.UNSIGNED_BYTE,
+            normalized: true,
+            type: 'VEC3'
+        };
+        const positionAccessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        };
+        writeAccessorPacked(gltf, colorAccessor, [255, 0, 0, 0, 255, 0], WebGLConstants.ARRAY_BUFFER);
+        writeAccessorPacked(gltf, positionAccessor, [0.0, 1.0, 2.0, 3.0, 4.0, 5.0], WebGLConstants.ARRAY_BUFFER);
+        gltf.accessors.push(colorAccessor, positionAccessor);
+
+        interleaveVertices(gltf);
+
+        expect(colorAccessor.byteOffset).toBe(0);
+        expect(positionAccessor.byteOffset).toBe(4);
+        expect(gltf.bufferViews[colorAccessor.bufferView].byteStride).toBe(16);
+        expect(readAccessorPacked(gltf, colorAccessor)).toEqual([255, 0, 0, 0, 255, 0]);
+        expect(readAccessorPacked(gltf, positionAccessor)).toEqual([0.0, 1.0, 2.0, 3.0, 4.0, 5.0]);
+    });
+});
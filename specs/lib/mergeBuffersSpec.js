@@ -276,4 +276,83 @@ describe('mergeBuffers', () => {
         expect(gltf.buffers[6].extras._pipeline.source).toEqual(expectedBuffer6);
         expect(gltf.buffers[6].name).toBe('buffer-2');
     });
+
+    it('merges EXT_meshopt_compression data and moves fallback buffers last', async () => {
+        const fallbackBuffer = Buffer.from((new Uint8Array([1, 1, 1, 1, 1, 1])));
+        const compressedBuffer = Buffer.from((new Uint8Array([2, 2, 2])));
+        const otherBuffer = Buffer.from((new Uint8Array([3, 3])));
+
+        const expectedBuffer0 = Buffer.from((new Uint8Array([2, 2, 2, 0, 3, 3, 0, 0])));
+
+        const gltf = {
+            bufferViews: [
+                {
+                    buffer: 0,
+                    byteOffset: 0,
+                    byteLength: 6,
+                    extensions: {
+                        EXT_meshopt_compression: {
+                            buffer: 1,
+                            byteOffset: 0,
+                            byteLength: 3
+                        }
+                    }
+                },
+                {
+                    buffer: 2,
+                    byteOffset: 0,
+                    byteLength: 2
+                }
+            ],
+            buffers: [
+                {
+                    byteLength: fallbackBuffer.length,
+                    extensions: {
+                        EXT_meshopt_compression: {
+                            fallback: true
+                        }
+                    },
+                    extras: {
+                        _pipeline: {
+                            source: fallbackBuffer,
+                            mergedBufferName: 'fallback'
+                        }
+                    }
+                },
+                {
+                    byteLength: compressedBuffer.length,
+                    extras: {
+                        _pipeline: {
+                            source: compressedBuffer
+                        }
+                    }
+                },
+                {
+                    byteLength: otherBuffer.length,
+                    extras: {
+                        _pipeline: {
+                            source: otherBuffer
+                        }
+                    }
+                }
+            ]
+        };
+
+        mergeBuffers(gltf);
+        expect(gltf.buffers.length).toBe(2);
+        expect(gltf.buffers[0].name).toBe('buffer');
+        expect(gltf.buffers[0].extras._pipeline.source).toEqual(expectedBuffer0);
+        expect(gltf.buffers[0].extensions).toBeUndefined();
+        expect(gltf.buffers[1].name).toBe('buffer-fallback');
+        expect(gltf.buffers[1].byteLength).toBe(8);
+        expect(gltf.buffers[1].extensions.EXT_meshopt_compression.fallback).toBe(true);
+
+        const meshoptExtension = gltf.bufferViews[0].extensions.EXT_meshopt_compression;
+        expect(gltf.bufferViews[0].buffer).toBe(1);
+        expect(gltf.bufferViews[0].byteOffset).toBe(0);
+        expect(meshoptExtension.buffer).toBe(0);
+        expect(meshoptExtension.byteOffset).toBe(0);
+        expect(gltf.bufferViews[1].buffer).toBe(0);
+        expect(gltf.bufferViews[1].byteOffset).toBe(4);
+    });
 });
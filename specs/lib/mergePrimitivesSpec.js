@@ -0,0 +1,163 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const mergePrimitives = require('../../lib/mergePrimitives');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const multipleBoxesPath = 'specs/data/2.0/multiple-boxes/multiple-boxes.gltf';
+
+// Creates a triangle for each node, with the given materials and modes
+function createGltf(primitives) {
+    const gltf = {
+        accessors: [],
+        buffers: [],
+        bufferViews: [],
+        materials: [{}, {}],
+        meshes: [],
+        nodes: [],
+        scenes: [{
+            nodes: []
+        }]
+    };
+    primitives.forEach(function(primitive, i) {
+        const positionAccessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        };
+        writeAccessorPacked(gltf, positionAccessor, [i, 0, 0, i + 1, 0, 0, i, 1, 0], WebGLConstants.ARRAY_BUFFER);
+        gltf.accessors.push(positionAccessor);
+        gltf.meshes.push({
+            primitives: [{
+                attributes: {
+                    POSITION: i
+                },
+                material: primitive.material,
+                mode: primitive.mode
+            }]
+        });
+        gltf.nodes.push({
+            mesh: i,
+            translation: [0.0, 0.0, primitive.z]
+        });
+        gltf.scenes[0].nodes.push(i);
+    });
+    return gltf;
+}
+
+describe('mergePrimitives', () => {
+    it('merges primitives with the same material', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(multipleBoxesPath));
+
+        mergePrimitives(gltf);
+
+        expect(gltf.nodes).toEqual([{
+            mesh: 0
+        }]);
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+        expect(gltf.meshes.length).toBe(1);
+        const primitives = gltf.meshes[0].primitives;
+        expect(primitives.length).toBe(1);
+        const primitive = primitives[0];
+        expect(primitive.material).toBe(0);
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(96);
+        expect(gltf.accessors[primitive.attributes.NORMAL].count).toBe(96);
+        const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+        expect(indices.length).toBe(144);
+        expect(Math.max.apply(null, indices)).toBe(95);
+        expect(gltf.accessors.length).toBe(3);
+    });
+
+    it('bakes node transforms and creates one primitive per material', () => {
+        const gltf = createGltf([{
+            material: 0,
+            z: 1.0
+        }, {
+            material: 1,
+            z: 2.0
+        }, {
+            material: 0,
+            z: 3.0
+        }]);
+
+        mergePrimitives(gltf);
+
+        expect(gltf.nodes.length).toBe(1);
+        const primitives = gltf.meshes[gltf.nodes[0].mesh].primitives;
+        expect(primitives.length).toBe(2);
+        expect(primitives[0].material).toBe(0);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitives[0].attributes.POSITION])).toEqual([
+            0, 0, 1, 1, 0, 1, 0, 1, 1,
+            2, 0, 3, 3, 0, 3, 2, 1, 3
+        ]);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitives[0].indices])).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(gltf.accessors[primitives[0].indices].componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+
+        // Primitives that aren't merged with others keep their accessors
+        expect(primitives[1].material).toBe(1);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitives[1].attributes.POSITION])).toEqual([1, 0, 2, 2, 0, 2, 1, 1, 2]);
+        expect(primitives[1].indices).toBeUndefined();
+    });
+
+    it('does not merge strips or animated nodes', () => {
+        const gltf = createGltf([{
+            material: 0,
+            z: 0.0
+        }, {
+            material: 0,
+            z: 0.0,
+            mode: WebGLConstants.TRIANGLE_STRIP
+        }, {
+            material: 0,
+            z: 0.0
+        }, {
+            material: 0,
+            z: 0.0
+        }]);
+        gltf.animations = [{
+            channels: [{
+                sampler: 0,
+                target: {
+                    node: 3,
+                    path: 'translation'
+                }
+            }],
+            samplers: [{
+                input: 0,
+                output: 0
+            }]
+        }];
+
+        mergePrimitives(gltf);
+
+        expect(gltf.nodes.length).toBe(3);
+        expect(gltf.scenes[0].nodes.length).toBe(3);
+        const meshes = gltf.scenes[0].nodes.map(function(nodeId) {
+            return gltf.meshes[gltf.nodes[nodeId].mesh];
+        });
+        const counts = meshes.map(function(mesh) {
+            return gltf.accessors[mesh.primitives[0].attributes.POSITION].count;
+        }).sort();
+        expect(counts).toEqual([3, 3, 6]);
+    });
+
+    it('logs the number of draw calls before and after merging', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(multipleBoxesPath));
+        const messages = [];
+
+        mergePrimitives(gltf, {
+            stats: true,
+            logger: function(message) {
+                messages.push(message);
+            }
+        });
+
+        expect(messages).toEqual([
+            'Draw calls before merging primitives: 4',
+            'Draw calls after merging primitives: 1'
+        ]);
+    });
+});
@@ -0,0 +1,30 @@
+'use strict';
+const optimizeOverdraw = require('../../lib/optimizeOverdraw');
+
+// Two parallel quads facing +z, the first of which is behind the center of the mesh and faces towards it
+const positions = [
+    0.0, 0.0, -1.0,
+    1.0, 0.0, -1.0,
+    1.0, 1.0, -1.0,
+    0.0, 1.0, -1.0,
+    0.0, 0.0, 1.0,
+    1.0, 0.0, 1.0,
+    1.0, 1.0, 1.0,
+    0.0, 1.0, 1.0
+];
+const innerTriangles = [0, 1, 2, 0, 2, 3];
+const outerTriangles = [4, 5, 6, 4, 6, 7];
+
+describe('optimizeOverdraw', () => {
+    it('draws the triangles that face outwards first', () => {
+        const indices = new Uint32Array(innerTriangles.concat(outerTriangles));
+        optimizeOverdraw(indices, positions, 1.05);
+        expect(Array.from(indices)).toEqual(outerTriangles.concat(innerTriangles));
+    });
+
+    it('keeps the order of triangles that already face outwards first', () => {
+        const indices = new Uint32Array(outerTriangles.concat(innerTriangles));
+        optimizeOverdraw(indices, positions, 1.05);
+        expect(Array.from(indices)).toEqual(outerTriangles.concat(innerTriangles));
+    });
+});
@@ -0,0 +1,140 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const Cesium = require('cesium');
+const ForEach = require('../../lib/ForEach');
+const optimizeVertexCache = require('../../lib/optimizeVertexCache');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+// Returns the attribute values of each triangle so that primitives can be compared independently of their triangle and vertex order
+function getTriangles(gltf, primitive) {
+    const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+    const attributes = [];
+    function addAttribute(accessorId) {
+        const accessor = gltf.accessors[accessorId];
+        const values = readAccessorPacked(gltf, accessor);
+        attributes.push({
+            values: values,
+            numberOfComponents: values.length / accessor.count
+        });
+    }
+    ForEach.meshPrimitiveAttribute(primitive, addAttribute);
+    ForEach.meshPrimitiveTarget(primitive, function(target) {
+        ForEach.meshPrimitiveTargetAttribute(target, addAttribute);
+    });
+
+    const triangles = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        const triangle = [];
+        for (let j = 0; j < 3; ++j) {
+            const index = indices[i + j];
+            attributes.forEach(function(attribute) {
+                const numberOfComponents = attribute.numberOfComponents;
+                triangle.push(attribute.values.slice(index * numberOfComponents, (index + 1) * numberOfComponents).join(','));
+            });
+        }
+        triangles.push(triangle.join(';'));
+    }
+    return triangles.sort();
+}
+
+function expectVerticesInFirstReferenceOrder(gltf, primitive) {
+    const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+    let next = 0;
+    indices.forEach(function(index) {
+        expect(index).toBeLessThanOrEqual(next);
+        if (index === next) {
+            ++next;
+        }
+    });
+}
+
+describe('optimizeVertexCache', () => {
+    it('reorders triangles and vertices', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const expected = getTriangles(gltf, primitive);
+        const componentType = gltf.accessors[primitive.indices].componentType;
+
+        await optimizeVertexCache(gltf);
+
+        expect(gltf.accessors[primitive.indices].componentType).toBe(componentType);
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(24);
+        expect(getTriangles(gltf, primitive)).toEqual(expected);
+        expectVerticesInFirstReferenceOrder(gltf, primitive);
+    });
+
+    it('reorders morph targets', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const expected = getTriangles(gltf, primitive);
+
+        await optimizeVertexCache(gltf);
+
+        expect(getTriangles(gltf, primitive)).toEqual(expected);
+        expectVerticesInFirstReferenceOrder(gltf, primitive);
+    });
+
+    it('keeps the triangles of primitives that share vertices separate', async () => {
+        const gltf = await readGltf(boxPath);
+        const mesh = gltf.meshes[0];
+        const primitive = mesh.primitives[0];
+        const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+
+        // Split the box into two primitives with the second half of the vertices first
+        const firstAccessor = {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        };
+        const secondAccessor = {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        };
+        writeAccessorPacked(gltf, firstAccessor, indices.slice(18), WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        writeAccessorPacked(gltf, secondAccessor, indices.slice(0, 18), WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        primitive.indices = gltf.accessors.push(firstAccessor) - 1;
+        const secondPrimitive = {
+            attributes: Object.assign({}, primitive.attributes),
+            indices: gltf.accessors.push(secondAccessor) - 1
+        };
+        mesh.primitives.push(secondPrimitive);
+        const expectedFirst = getTriangles(gltf, primitive);
+        const expectedSecond = getTriangles(gltf, secondPrimitive);
+
+        await optimizeVertexCache(gltf);
+
+        expect(getTriangles(gltf, primitive)).toEqual(expectedFirst);
+        expect(getTriangles(gltf, secondPrimitive)).toEqual(expectedSecond);
+        expect(secondPrimitive.attributes).toEqual(primitive.attributes);
+        expectVerticesInFirstReferenceOrder(gltf, primitive);
+    });
+
+    it('does not reorder Draco compressed primitives', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        primitive.extensions = {
+            KHR_draco_mesh_compression: {
+                bufferView: 0,
+                attributes: {}
+            }
+        };
+        const indices = primitive.indices;
+        const accessors = gltf.accessors.slice();
+
+        await optimizeVertexCache(gltf);
+
+        expect(primitive.indices).toBe(indices);
+        expect(gltf.accessors).toEqual(accessors);
+    });
+});
@@ -17,4 +17,17 @@ describe('processGlb', () => {
         expect(results.separateResources).toBeDefined();
         expect(console.log).toHaveBeenCalled();
     });
+
+    it('processGlb with meshopt compression', async () => {
+        const glb = fsExtra.readFileSync(glbPath);
+        const compressed = await processGlb(glb, {
+            meshoptOptions: {}
+        });
+        const results = await processGlb(compressed.glb, {
+            meshoptOptions: {
+                decompress: true
+            }
+        });
+        expect(Buffer.isBuffer(results.glb)).toBe(true);
+    });
 });
@@ -1,8 +1,15 @@
 'use strict';
+const Cesium = require('cesium');
 const fsExtra = require('fs-extra');
 const path = require('path');
+const getImageDimensions = require('../../lib/getImageDimensions');
 const hasExtension = require('../../lib/hasExtension');
 const processGltf = require('../../lib/processGltf');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+
+const RuntimeError = Cesium.RuntimeError;
+const WebGLConstants = Cesium.WebGLConstants;
 
 const gltfPath = 'specs/data/2.0/box-techniques-embedded/box-techniques-embedded.gltf';
 const gltfSeparatePath = 'specs/data/2.0/box-techniques-separate/box-techniques-separate.gltf';
@@ -77,8 +84,64 @@ describe('processGltf', () => {
         const options = {
             stats: true
         };
-        await processGltf(gltf, options);
+        const results = await processGltf(gltf, options);
         expect(console.log).toHaveBeenCalled();
+
+        // Only the statistics of the output glTF are printed, so the statistics of the input glTF are not computed
+        expect(results.statistics.before).toBeUndefined();
+        expect(results.statistics.after).toBeDefined();
+    });
+
+    it('collects stats', async () => {
+        spyOn(console, 'log');
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            collectStats: true,
+            dracoOptions: {}
+        };
+        const results = await processGltf(gltf, options);
+        expect(console.log).not.toHaveBeenCalled();
+
+        const statistics = results.statistics;
+        expect(statistics.before.numberOfDrawCalls).toBe(1);
+        expect(statistics.before.dracoPrimitives.length).toBe(0);
+        expect(statistics.after.numberOfDrawCalls).toBe(1);
+        expect(statistics.after.dracoPrimitives.length).toBe(1);
+        expect(statistics.after.buffersByteLength).toBeLessThan(statistics.before.buffersByteLength);
+    });
+
+    it('prints memory report', async () => {
+        const messages = [];
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            report: true,
+            logger: (message) => {
+                messages.push(message);
+            }
+        };
+        await processGltf(gltf, options);
+        expect(messages[0]).toBe('Memory report:');
+        expect(messages[1]).toContain('/meshes/0/primitives/0/attributes/POSITION');
+    });
+
+    it('validates gltf', async () => {
+        const messages = [];
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        gltf.meshes[0].primitives[0].material = 10;
+        const options = {
+            validate: true,
+            logger: (message) => {
+                messages.push(message);
+            }
+        };
+        let thrownError;
+        try {
+            await processGltf(gltf, options);
+        } catch (e) {
+            thrownError = e;
+        }
+        expect(thrownError).toBeInstanceOf(RuntimeError);
+        expect(messages).toEqual(['Error: /meshes/0/primitives/0/material: Index 10 is out of range for materials (length 1).']);
     });
 
     it('uses draco compression', async () => {
@@ -92,6 +155,362 @@ describe('processGltf', () => {
         expect(hasExtension(results.gltf, 'KHR_draco_mesh_compression')).toBe(true);
     });
 
+    it('decompresses draco meshes', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const compressed = await processGltf(gltf, {
+            dracoOptions: {}
+        });
+        const results = await processGltf(compressed.gltf, {
+            dracoOptions: {
+                decompress: true
+            }
+        });
+        expect(hasExtension(results.gltf, 'KHR_draco_mesh_compression')).toBe(false);
+        expect(results.gltf.meshes[0].primitives[0].extensions).toBeUndefined();
+    });
+
+    it('sparsifies morph targets and densifies them again', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/box-morph/box-morph.gltf');
+        const sparseResults = await processGltf(gltf, {
+            sparsifyMorphTargets: true
+        });
+        const sparseGltf = sparseResults.gltf;
+        const sparseAccessors = sparseGltf.accessors.filter(function(accessor) {
+            return Cesium.defined(accessor.sparse);
+        });
+        expect(sparseAccessors.length).toBeGreaterThan(0);
+
+        const denseResults = await processGltf(sparseGltf, {
+            densifyAccessors: true
+        });
+        denseResults.gltf.accessors.forEach(function(accessor) {
+            expect(accessor.sparse).toBeUndefined();
+        });
+    });
+
+    it('interleaves vertices', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            interleaveVertices: true
+        };
+        const results = await processGltf(gltf, options);
+        const attributes = results.gltf.meshes[0].primitives[0].attributes;
+        const bufferViewId = results.gltf.accessors[attributes.POSITION].bufferView;
+        expect(results.gltf.accessors[attributes.NORMAL].bufferView).toBe(bufferViewId);
+        expect(results.gltf.bufferViews[bufferViewId].byteStride).toBe(32);
+    });
+
+    it('deduplicates textures', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/box-shared-image-references/box-shared-image-references.gltf');
+        const options = {
+            deduplicateTextures: true,
+            keepUnusedElements: true
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.images.length).toBe(1);
+        expect(results.gltf.textures.length).toBe(1);
+    });
+
+    it('resizes textures', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            separateTextures: true,
+            resizeOptions: {
+                maximumSize: 64
+            }
+        };
+        const results = await processGltf(gltf, options);
+        expect(getImageDimensions(results.separateResources['Image0001.png'])).toEqual({
+            width: 64,
+            height: 64
+        });
+    });
+
+    it('converts specular-glossiness materials', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf');
+        gltf.materials[0] = {
+            extensions: {
+                KHR_materials_pbrSpecularGlossiness: {
+                    diffuseTexture: {
+                        index: 0
+                    },
+                    specularFactor: [0.04, 0.04, 0.04],
+                    glossinessFactor: 0.5
+                }
+            }
+        };
+        gltf.extensionsUsed = ['KHR_materials_pbrSpecularGlossiness'];
+        const options = {
+            convertSpecularGlossiness: true
+        };
+        const results = await processGltf(gltf, options);
+        const pbrMetallicRoughness = results.gltf.materials[0].pbrMetallicRoughness;
+        expect(pbrMetallicRoughness.baseColorTexture.index).toBe(0);
+        expect(pbrMetallicRoughness.metallicRoughnessTexture.index).toBe(1);
+        expect(results.gltf.images.length).toBe(2);
+        expect(results.gltf.extensionsUsed).toBeUndefined();
+    });
+
+    it('compresses textures to KTX2', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            separateTextures: true,
+            ktx2Options: {}
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.extensionsRequired).toContain('KHR_texture_basisu');
+        expect(results.gltf.images.length).toBe(1);
+        expect(results.gltf.images[0].uri).toBe('Image0001.ktx2');
+        expect(results.separateResources['Image0001.ktx2']).toBeDefined();
+    });
+
+    it('compresses textures to WebP', async () => {
+        const messages = [];
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            separateTextures: true,
+            webpOptions: {},
+            logger: (message) => {
+                messages.push(message);
+            }
+        };
+        const results = await processGltf(gltf, options);
+        expect(messages[0]).toContain('bytes as WebP');
+        expect(results.gltf.extensionsRequired).toContain('EXT_texture_webp');
+        expect(results.gltf.images.length).toBe(1);
+        expect(results.gltf.images[0].uri).toBe('Image0001.webp');
+        expect(results.separateResources['Image0001.webp']).toBeDefined();
+    });
+
+    it('compresses textures to KTX2 and WebP with uncompressed fallbacks', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf');
+        const options = {
+            ktx2Options: {
+                uncompressedFallback: true
+            },
+            webpOptions: {
+                uncompressedFallback: true
+            },
+            logger: () => {}
+        };
+        const results = await processGltf(gltf, options);
+        const texture = results.gltf.textures[0];
+        const mimeTypes = results.gltf.images.map(function(image) {
+            return image.mimeType;
+        });
+        expect(mimeTypes).toEqual(['image/png', 'image/ktx2', 'image/webp']);
+        expect(texture.source).toBe(0);
+        expect(texture.extensions.KHR_texture_basisu.source).toBe(1);
+        expect(texture.extensions.EXT_texture_webp.source).toBe(2);
+    });
+
+    it('converts strips and fans to triangles', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/triangle-without-indices/triangle-without-indices.gltf');
+        gltf.meshes[0].primitives[0].mode = WebGLConstants.TRIANGLE_FAN;
+        const options = {
+            convertToTriangles: true
+        };
+        const results = await processGltf(gltf, options);
+        const primitive = results.gltf.meshes[0].primitives[0];
+        expect(primitive.mode).toBe(WebGLConstants.TRIANGLES);
+        expect(results.gltf.accessors[primitive.indices].count).toBe(3);
+    });
+
+    it('instances meshes', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        gltf.nodes.push({
+            mesh: 0,
+            translation: [2.0, 0.0, 0.0]
+        });
+        gltf.scenes[0].nodes.push(1);
+        const options = {
+            instancingOptions: {}
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.nodes.length).toBe(1);
+        expect(results.gltf.nodes[0].extensions.EXT_mesh_gpu_instancing).toBeDefined();
+        expect(results.gltf.extensionsUsed).toContain('EXT_mesh_gpu_instancing');
+    });
+
+    it('flattens nodes', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            flattenNodes: true
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.nodes.length).toBe(1);
+        expect(results.gltf.nodes[0].mesh).toBe(0);
+        expect(results.gltf.scenes[0].nodes).toEqual([0]);
+    });
+
+    it('merges primitives', async () => {
+        const gltf = fsExtra.readJsonSync('specs/data/2.0/multiple-boxes/multiple-boxes.gltf');
+        const options = {
+            mergePrimitives: true
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.nodes.length).toBe(1);
+        expect(results.gltf.meshes.length).toBe(1);
+        expect(results.gltf.meshes[0].primitives.length).toBe(1);
+    });
+
+    it('generates normals and tangents', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            normalsOptions: {
+                flat: true
+            },
+            tangentsOptions: {},
+            customStages: [
+                function(gltf) {
+                    delete gltf.meshes[0].primitives[0].attributes.NORMAL;
+                    gltf.materials[0].normalTexture = {
+                        index: 0
+                    };
+                }
+            ]
+        };
+        const results = await processGltf(gltf, options);
+        const attributes = results.gltf.meshes[0].primitives[0].attributes;
+        expect(results.gltf.accessors[attributes.NORMAL].count).toBe(24);
+        expect(results.gltf.accessors[attributes.TANGENT].type).toBe('VEC4');
+    });
+
+    it('welds vertices', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            weldOptions: {},
+            customStages: [
+                function(gltf) {
+                    const attributes = gltf.meshes[0].primitives[0].attributes;
+                    delete attributes.NORMAL;
+                    delete attributes.TEXCOORD_0;
+                }
+            ]
+        };
+        const results = await processGltf(gltf, options);
+        const primitive = results.gltf.meshes[0].primitives[0];
+        expect(results.gltf.accessors[primitive.attributes.POSITION].count).toBe(8);
+    });
+
+    it('cleans triangles', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const messages = [];
+        const options = {
+            cleanOptions: {},
+            logger: function(message) {
+                messages.push(message);
+            }
+        };
+        const results = await processGltf(gltf, options);
+        const indicesAccessor = results.gltf.accessors[results.gltf.meshes[0].primitives[0].indices];
+        expect(indicesAccessor.count).toBe(36);
+        expect(indicesAccessor.componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(messages).toContain('Removed 0 degenerate triangles and 0 duplicate triangles.');
+    });
+
+    it('simplifies meshes before Draco compression', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            simplifyOptions: {},
+            dracoOptions: {}
+        };
+        const results = await processGltf(gltf, options);
+        const primitive = results.gltf.meshes[0].primitives[0];
+        expect(primitive.extensions.KHR_draco_mesh_compression).toBeDefined();
+        // The corners of the box are on normal creases, so no vertices are removed
+        expect(results.gltf.accessors[primitive.attributes.POSITION].count).toBe(24);
+    });
+
+    it('generates levels of detail', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            weldOptions: {},
+            lodOptions: {
+                levels: 1,
+                error: 1.0
+            },
+            customStages: [
+                function(gltf) {
+                    const attributes = gltf.meshes[0].primitives[0].attributes;
+                    delete attributes.NORMAL;
+                    delete attributes.TEXCOORD_0;
+                }
+            ]
+        };
+        const results = await processGltf(gltf, options);
+        const processedGltf = results.gltf;
+        expect(processedGltf.extensionsUsed).toContain('MSFT_lod');
+        const node = processedGltf.nodes.find(function(node) {
+            return node.mesh === 0;
+        });
+        const lodNode = processedGltf.nodes[node.extensions.MSFT_lod.ids[0]];
+        expect(node.extras.MSFT_screencoverage).toEqual([0.5, 0.0]);
+        expect(lodNode.mesh).toBe(1);
+        const primitive = processedGltf.meshes[0].primitives[0];
+        const lodPrimitive = processedGltf.meshes[1].primitives[0];
+        expect(lodPrimitive.attributes.POSITION).toBe(primitive.attributes.POSITION);
+        expect(processedGltf.accessors[lodPrimitive.indices].count).toBeLessThan(processedGltf.accessors[primitive.indices].count);
+    });
+
+    it('optimizes the vertex cache', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            optimizeVertexCache: true
+        };
+        const results = await processGltf(gltf, options);
+        const processedGltf = await readResources(results.gltf);
+        const primitive = processedGltf.meshes[0].primitives[0];
+        const indices = readAccessorPacked(processedGltf, processedGltf.accessors[primitive.indices]);
+        expect(indices.slice(0, 3)).toEqual([0, 1, 2]);
+    });
+
+    it('quantizes meshes', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            quantizationOptions: {}
+        };
+        const results = await processGltf(gltf, options);
+        expect(results.gltf.extensionsRequired).toContain('KHR_mesh_quantization');
+        const accessors = results.gltf.accessors;
+        const primitive = results.gltf.meshes[0].primitives[0];
+        expect(accessors[primitive.attributes.POSITION].componentType).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(accessors[primitive.attributes.NORMAL].componentType).toBe(WebGLConstants.BYTE);
+    });
+
+    it('uses meshopt compression', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const options = {
+            separate: true,
+            meshoptOptions: {}
+        };
+        const results = await processGltf(gltf, options);
+        expect(hasExtension(results.gltf, 'EXT_meshopt_compression')).toBe(true);
+        expect(results.gltf.extensionsRequired).toContain('EXT_meshopt_compression');
+
+        // The fallback buffer is last and is not written
+        const buffers = results.gltf.buffers;
+        const fallbackBuffer = buffers[buffers.length - 1];
+        expect(fallbackBuffer.extensions.EXT_meshopt_compression.fallback).toBe(true);
+        expect(fallbackBuffer.uri).toBeUndefined();
+        expect(results.separateResources[fallbackBuffer.name + '.bin']).toBeUndefined();
+        expect(buffers[0].uri).toBeDefined();
+    });
+
+    it('decompresses meshopt buffer views', async () => {
+        const gltf = fsExtra.readJsonSync(gltfPath);
+        const compressed = await processGltf(gltf, {
+            meshoptOptions: {}
+        });
+        const results = await processGltf(compressed.gltf, {
+            meshoptOptions: {
+                decompress: true
+            }
+        });
+        expect(hasExtension(results.gltf, 'EXT_meshopt_compression')).toBe(false);
+        expect(results.gltf.buffers.length).toBe(1);
+    });
+
     it('runs custom stages', async () => {
         spyOn(console, 'log');
         const gltf = fsExtra.readJsonSync(gltfPath);
@@ -0,0 +1,193 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const findAccessorMinMax = require('../../lib/findAccessorMinMax');
+const quantizeMeshes = require('../../lib/quantizeMeshes');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+describe('quantizeMeshes', () => {
+    it('quantizes positions, normals, and texture coordinates', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const originalPositions = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.POSITION]);
+        const originalMinMax = findAccessorMinMax(gltf, gltf.accessors[primitive.attributes.POSITION]);
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {}
+        });
+
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        const normalAccessor = gltf.accessors[primitive.attributes.NORMAL];
+        const texcoordAccessor = gltf.accessors[primitive.attributes.TEXCOORD_0];
+        expect(positionAccessor.componentType).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(positionAccessor.normalized).toBe(false);
+        expect(normalAccessor.componentType).toBe(WebGLConstants.BYTE);
+        expect(normalAccessor.normalized).toBe(true);
+        expect(texcoordAccessor.componentType).toBe(WebGLConstants.UNSIGNED_SHORT);
+        expect(texcoordAccessor.normalized).toBe(true);
+        expect(gltf.bufferViews[positionAccessor.bufferView].byteStride).toBe(8);
+        expect(gltf.bufferViews[normalAccessor.bufferView].byteStride).toBe(4);
+        expect(gltf.extensionsRequired).toContain('KHR_mesh_quantization');
+        expect(gltf.extensionsUsed).toContain('KHR_mesh_quantization');
+
+        // The mesh is moved to a child node that dequantizes the positions
+        const node = gltf.nodes[1];
+        expect(node.mesh).toBeUndefined();
+        expect(node.children).toEqual([2]);
+        const dequantizationNode = gltf.nodes[2];
+        expect(dequantizationNode.mesh).toBe(0);
+        expect(dequantizationNode.translation).toEqual(originalMinMax.min);
+
+        const scale = dequantizationNode.scale[0];
+        const quantizedPositions = readAccessorPacked(gltf, positionAccessor);
+        const length = quantizedPositions.length;
+        for (let i = 0; i < length; ++i) {
+            const dequantized = quantizedPositions[i] * scale + dequantizationNode.translation[i % 3];
+            expect(Math.abs(dequantized - originalPositions[i])).toBeLessThan(scale);
+        }
+    });
+
+    it('adds texture transforms for texture coordinates outside of the unit range', async () => {
+        // The texture coordinates of the box are in the range [0, 6] x [0, 1]
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const texcoordAccessor = gltf.accessors[primitive.attributes.TEXCOORD_0];
+        const texcoords = readAccessorPacked(gltf, texcoordAccessor);
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {
+                quantizePositionBits: 0,
+                quantizeNormalBits: 0
+            }
+        });
+
+        const textureTransform = gltf.materials[0].pbrMetallicRoughness.baseColorTexture.extensions.KHR_texture_transform;
+        expect(textureTransform.offset).toEqual([0.0, 0.0]);
+        expect(textureTransform.scale).toEqual([6.0, 1.0]);
+        expect(gltf.extensionsRequired).toEqual(['KHR_texture_transform', 'KHR_mesh_quantization']);
+        expect(gltf.nodes.length).toBe(2);
+
+        const quantized = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.TEXCOORD_0]);
+        const maxValue = 4095;
+        const length = quantized.length;
+        for (let i = 0; i < length; ++i) {
+            const component = i % 2;
+            const dequantized = quantized[i] / maxValue * textureTransform.scale[component] + textureTransform.offset[component];
+            expect(Math.abs(dequantized - texcoords[i])).toBeLessThan(0.001);
+        }
+    });
+
+    it('does not add texture transforms to materials of primitives whose texture coordinates are not quantized', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const texcoordAccessor = gltf.accessors[primitive.attributes.TEXCOORD_0];
+        // Accessors without a buffer view are not quantized
+        gltf.accessors.push({
+            componentType: WebGLConstants.FLOAT,
+            count: texcoordAccessor.count,
+            type: 'VEC2'
+        });
+        gltf.meshes[0].primitives.push({
+            attributes: {
+                POSITION: primitive.attributes.POSITION,
+                TEXCOORD_0: gltf.accessors.length - 1
+            },
+            indices: primitive.indices,
+            material: primitive.material
+        });
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {
+                quantizePositionBits: 0,
+                quantizeNormalBits: 0
+            }
+        });
+
+        expect(gltf.materials[0].pbrMetallicRoughness.baseColorTexture.extensions).toBeUndefined();
+        expect(gltf.accessors[primitive.attributes.TEXCOORD_0].componentType).toBe(WebGLConstants.FLOAT);
+        expect(gltf.extensionsRequired).toBeUndefined();
+    });
+
+    it('does not quantize texture coordinates outside of the unit range that no texture uses', async () => {
+        // The texture coordinates of the box are in the range [0, 6] x [0, 1]
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        primitive.attributes.TEXCOORD_1 = primitive.attributes.TEXCOORD_0;
+        delete primitive.attributes.TEXCOORD_0;
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {
+                quantizePositionBits: 0,
+                quantizeNormalBits: 0
+            }
+        });
+
+        expect(gltf.materials[0].pbrMetallicRoughness.baseColorTexture.extensions).toBeUndefined();
+        expect(gltf.accessors[primitive.attributes.TEXCOORD_1].componentType).toBe(WebGLConstants.FLOAT);
+        expect(gltf.extensionsRequired).toBeUndefined();
+    });
+
+    it('scales morph targets and retargets weight animations', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const targetAccessor = gltf.accessors[primitive.targets[0].POSITION];
+        const originalTarget = readAccessorPacked(gltf, targetAccessor);
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {
+                quantizePositionBits: 8
+            }
+        });
+
+        expect(gltf.accessors[primitive.attributes.POSITION].componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(targetAccessor.componentType).toBe(WebGLConstants.FLOAT);
+
+        const dequantizationNode = gltf.nodes[1];
+        expect(dequantizationNode.mesh).toBe(0);
+        expect(gltf.animations[0].channels[0].target.node).toBe(1);
+
+        const scale = dequantizationNode.scale[0];
+        const scaledTarget = readAccessorPacked(gltf, targetAccessor);
+        const length = scaledTarget.length;
+        for (let i = 0; i < length; ++i) {
+            expect(scaledTarget[i] * scale).toBeCloseTo(originalTarget[i], 5);
+        }
+    });
+
+    it('does not quantize skinned meshes', async () => {
+        const gltf = await readGltf(boxPath);
+        gltf.nodes[1].skin = 0;
+        const primitive = gltf.meshes[0].primitives[0];
+
+        quantizeMeshes(gltf, {
+            quantizationOptions: {}
+        });
+
+        expect(gltf.accessors[primitive.attributes.POSITION].componentType).toBe(WebGLConstants.FLOAT);
+        expect(gltf.accessors[primitive.attributes.NORMAL].componentType).toBe(WebGLConstants.BYTE);
+        expect(gltf.nodes.length).toBe(2);
+    });
+
+    it('throws if quantization bits are out of range', async () => {
+        const gltf = await readGltf(boxPath);
+        expect(() => {
+            quantizeMeshes(gltf, {
+                quantizationOptions: {
+                    quantizePositionBits: 17
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
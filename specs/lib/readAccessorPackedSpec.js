@@ -1,5 +1,6 @@
 'use strict';
 const Cesium = require('cesium');
+const addBuffer = require('../../lib/addBuffer');
 const readAccessorPacked = require('../../lib/readAccessorPacked');
 const readResources = require('../../lib/readResources');
 
@@ -80,4 +81,35 @@ describe('readAccessorPacked', () => {
         const expected = arrayFill(new Array(12), 0); // All zeroes
         expect(readAccessorPacked(gltf, gltf.accessors[0])).toEqual(expected);
     });
+
+    it('reads sparse accessor', async () => {
+        const gltf = await createGltf(contiguousData, 12);
+        const accessor = gltf.accessors[0];
+        accessor.sparse = {
+            count: 2,
+            indices: {
+                bufferView: addBuffer(gltf, Buffer.from(new Uint8Array([1, 3]).buffer)),
+                componentType: 5121
+            },
+            values: {
+                bufferView: addBuffer(gltf, Buffer.from(new Float32Array([4.0, 5.0, 6.0, 7.0, 8.0, 9.0]).buffer))
+            }
+        };
+        expect(readAccessorPacked(gltf, accessor)).toEqual([
+            -1.0, 1.0, -1.0,
+            4.0, 5.0, 6.0,
+            3.0, 2.0, 1.0,
+            7.0, 8.0, 9.0
+        ]);
+
+        // Sparse accessors without a buffer view substitute the values into zeros
+        delete accessor.bufferView;
+        delete accessor.byteOffset;
+        expect(readAccessorPacked(gltf, accessor)).toEqual([
+            0.0, 0.0, 0.0,
+            4.0, 5.0, 6.0,
+            0.0, 0.0, 0.0,
+            7.0, 8.0, 9.0
+        ]);
+    });
 });
@@ -0,0 +1,37 @@
+'use strict';
+const Cesium = require('cesium');
+const readPrimitiveIndices = require('../../lib/readPrimitiveIndices');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+describe('readPrimitiveIndices', () => {
+    it('reads the indices of primitives', () => {
+        const gltf = {
+            accessors: [{
+                componentType: WebGLConstants.FLOAT,
+                type: 'VEC3',
+                count: 4
+            }, {
+                componentType: WebGLConstants.UNSIGNED_SHORT,
+                type: 'SCALAR'
+            }],
+            buffers: [],
+            bufferViews: []
+        };
+        writeAccessorPacked(gltf, gltf.accessors[1], [2, 1, 0], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+
+        expect(readPrimitiveIndices(gltf, {
+            attributes: {
+                POSITION: 0
+            },
+            indices: 1
+        })).toEqual([2, 1, 0]);
+
+        expect(readPrimitiveIndices(gltf, {
+            attributes: {
+                POSITION: 0
+            }
+        })).toEqual([0, 1, 2, 3]);
+    });
+});
@@ -920,4 +920,122 @@ describe('removes unused materials, textures, images, samplers', () => {
         expect(gltf.accessors[1].name).toEqual('R');
         expect(gltf.accessors[2].name).toEqual('S');
     });
+
+    it('keeps the buffer views of sparse accessors and updates their ids', () => {
+        const gltf = {
+            accessors: [
+                {
+                    count: 4,
+                    sparse: {
+                        count: 1,
+                        indices: {
+                            bufferView: 2
+                        },
+                        values: {
+                            bufferView: 3
+                        }
+                    }
+                }
+            ],
+            bufferViews: [
+                {
+                    name: 'unused'
+                },
+                {
+                    name: 'unused'
+                },
+                {
+                    name: 'indices'
+                },
+                {
+                    name: 'values'
+                }
+            ]
+        };
+
+        removeUnusedElements(gltf, ['bufferView']);
+
+        expect(gltf.bufferViews.length).toEqual(2);
+        expect(gltf.bufferViews[0].name).toEqual('indices');
+        expect(gltf.bufferViews[1].name).toEqual('values');
+        expect(gltf.accessors[0].sparse.indices.bufferView).toEqual(0);
+        expect(gltf.accessors[0].sparse.values.bufferView).toEqual(1);
+    });
+
+    it('keeps MSFT_lod nodes and updates their ids', () => {
+        const gltf = {
+            nodes: [
+                {
+                    name: 'unused'
+                },
+                {
+                    name: 'lod0',
+                    mesh: 0,
+                    extensions: {
+                        MSFT_lod: {
+                            ids: [2, 3]
+                        }
+                    },
+                    extras: {
+                        MSFT_screencoverage: [0.5, 0.25, 0.0]
+                    }
+                },
+                {
+                    name: 'lod1',
+                    mesh: 1
+                },
+                {
+                    name: 'lod2'
+                }
+            ],
+            scenes: [
+                {
+                    nodes: [0, 1]
+                }
+            ],
+            extensionsUsed: [ 'MSFT_lod' ]
+        };
+
+        removeUnusedElements(gltf, ['node']);
+
+        expect(gltf.nodes.length).toEqual(3);
+        expect(gltf.nodes[0].name).toEqual('lod0');
+        expect(gltf.nodes[0].extensions.MSFT_lod.ids).toEqual([1, 2]);
+        expect(gltf.nodes[0].extras.MSFT_screencoverage).toEqual([0.5, 0.25, 0.0]);
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+    });
+
+    it('removes the MSFT_lod nodes of unused nodes', () => {
+        const gltf = {
+            nodes: [
+                {
+                    name: 'lod0',
+                    extensions: {
+                        MSFT_lod: {
+                            ids: [1]
+                        }
+                    }
+                },
+                {
+                    name: 'lod1'
+                },
+                {
+                    name: 'used',
+                    mesh: 0
+                }
+            ],
+            scenes: [
+                {
+                    nodes: [0, 2]
+                }
+            ],
+            extensionsUsed: [ 'MSFT_lod' ]
+        };
+
+        removeUnusedElements(gltf, ['node']);
+
+        expect(gltf.nodes.length).toEqual(1);
+        expect(gltf.nodes[0].name).toEqual('used');
+        expect(gltf.scenes[0].nodes).toEqual([0]);
+    });
 });
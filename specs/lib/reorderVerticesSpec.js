@@ -0,0 +1,36 @@
+'use strict';
+const Cesium = require('cesium');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const reorderVertices = require('../../lib/reorderVertices');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+describe('reorderVertices', () => {
+    it('rewrites accessors with the given vertices', () => {
+        const gltf = {
+            accessors: [{
+                componentType: WebGLConstants.FLOAT,
+                type: 'VEC2'
+            }, {
+                componentType: WebGLConstants.FLOAT,
+                type: 'VEC3',
+                count: 3
+            }],
+            buffers: [],
+            bufferViews: []
+        };
+        writeAccessorPacked(gltf, gltf.accessors[0], [0, 1, 2, 3, 4, 5], WebGLConstants.ARRAY_BUFFER);
+
+        reorderVertices(gltf, [0, 1], [2, 0]);
+
+        expect(readAccessorPacked(gltf, gltf.accessors[0])).toEqual([4, 5, 0, 1]);
+        expect(gltf.accessors[0].count).toBe(2);
+        expect(gltf.accessors[0].min).toEqual([0, 1]);
+        expect(gltf.accessors[0].max).toEqual([4, 5]);
+
+        // Accessors without a buffer view only change their count
+        expect(gltf.accessors[1].bufferView).toBeUndefined();
+        expect(gltf.accessors[1].count).toBe(2);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+const Cesium = require('cesium');
+const resizeImage = require('../../lib/resizeImage');
+
+const DeveloperError = Cesium.DeveloperError;
+
+// A 2x2 image with a black, white, red, and transparent pixel
+const data = new Uint8Array([
+    0, 0, 0, 255, 255, 255, 255, 255,
+    255, 0, 0, 255, 0, 0, 0, 0
+]);
+
+describe('resizeImage', () => {
+    it('averages pixels with the box filter', () => {
+        const resized = resizeImage(data, 2, 2, 1, 1, 'box');
+        expect(Array.from(resized)).toEqual([128, 64, 64, 191]);
+    });
+
+    it('uses the box filter by default', () => {
+        expect(resizeImage(data, 2, 2, 1, 1)).toEqual(resizeImage(data, 2, 2, 1, 1, 'box'));
+    });
+
+    it('copies the closest pixel with the nearest filter', () => {
+        const resized = resizeImage(data, 2, 2, 4, 4, 'nearest');
+        expect(resized.length).toBe(64);
+        expect(Array.from(resized.slice(0, 16))).toEqual([
+            0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255, 255, 255, 255, 255, 255
+        ]);
+        expect(Array.from(resized.slice(48, 64))).toEqual([
+            255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 0, 0, 0, 0, 0, 0
+        ]);
+    });
+
+    it('interpolates pixels with the bilinear filter', () => {
+        const resized = resizeImage(data, 2, 1, 3, 1, 'bilinear');
+        expect(Array.from(resized)).toEqual([
+            0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255
+        ]);
+    });
+
+    it('throws with an unknown filter', () => {
+        expect(function() {
+            resizeImage(data, 2, 2, 1, 1, 'lanczos');
+        }).toThrowError(DeveloperError);
+    });
+});
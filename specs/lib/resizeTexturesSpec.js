@@ -0,0 +1,213 @@
+'use strict';
+const Cesium = require('cesium');
+const jpeg = require('jpeg-js');
+const PNG = require('pngjs').PNG;
+const getImageDimensions = require('../../lib/getImageDimensions');
+const getImageExtension = require('../../lib/getImageExtension');
+const resizeTextures = require('../../lib/resizeTextures');
+
+const DeveloperError = Cesium.DeveloperError;
+
+function createPng(width, height, colorType) {
+    return PNG.sync.write({
+        data: Buffer.alloc(width * height * 4, 255),
+        width: width,
+        height: height
+    }, {
+        colorType: colorType
+    });
+}
+
+function createJpeg(width, height) {
+    return jpeg.encode({
+        data: Buffer.alloc(width * height * 4, 255),
+        width: width,
+        height: height
+    }, 90).data;
+}
+
+function createImage(source) {
+    return {
+        extras: {
+            _pipeline: {
+                source: source
+            }
+        }
+    };
+}
+
+function createGltf(sources) {
+    return {
+        images: sources.map(createImage),
+        textures: sources.map(function(source, i) {
+            return {
+                source: i
+            };
+        }),
+        materials: [{
+            pbrMetallicRoughness: {
+                baseColorTexture: {
+                    index: 0
+                }
+            },
+            normalTexture: {
+                index: 1
+            }
+        }]
+    };
+}
+
+function getDimensions(gltf, imageId) {
+    return getImageDimensions(gltf.images[imageId].extras._pipeline.source);
+}
+
+describe('resizeTextures', () => {
+    it('scales images down to the maximum size and keeps their aspect ratio', () => {
+        const gltf = createGltf([createPng(200, 100, 2), createJpeg(50, 100)]);
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 64
+            }
+        });
+
+        expect(getDimensions(gltf, 0)).toEqual({
+            width: 64,
+            height: 32
+        });
+        expect(getDimensions(gltf, 1)).toEqual({
+            width: 32,
+            height: 64
+        });
+        const png = PNG.sync.read(gltf.images[0].extras._pipeline.source);
+        expect(png.colorType).toBe(2);
+        expect(getImageExtension(gltf.images[1].extras._pipeline.source)).toBe('.jpg');
+    });
+
+    it('does not change images that fit the maximum size', () => {
+        const source = createPng(32, 16, 6);
+        const gltf = createGltf([source, createPng(16, 16, 6)]);
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 32
+            }
+        });
+
+        expect(gltf.images[0].extras._pipeline.source).toBe(source);
+    });
+
+    it('resizes images to the nearest power of two', () => {
+        const gltf = createGltf([createPng(100, 60, 6), createPng(300, 20, 6)]);
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 200,
+                powerOfTwo: true
+            }
+        });
+
+        expect(getDimensions(gltf, 0)).toEqual({
+            width: 128,
+            height: 64
+        });
+        // The width is scaled to 200, which is rounded down to stay within the maximum size
+        expect(getDimensions(gltf, 1)).toEqual({
+            width: 128,
+            height: 16
+        });
+    });
+
+    it('uses the maximum size of the texture slot', () => {
+        const gltf = createGltf([createPng(128, 128, 6), createPng(128, 128, 6)]);
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 32,
+                maximumSizes: {
+                    normalTexture: 64
+                }
+            }
+        });
+
+        expect(getDimensions(gltf, 0).width).toBe(32);
+        expect(getDimensions(gltf, 1).width).toBe(64);
+    });
+
+    it('uses the largest maximum size of images that are used in several slots', () => {
+        const gltf = createGltf([createPng(128, 128, 6), createPng(128, 128, 6)]);
+        gltf.materials.push({
+            emissiveTexture: {
+                index: 1
+            }
+        });
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSizes: {
+                    baseColorTexture: 16,
+                    normalTexture: 32,
+                    emissiveTexture: 64
+                }
+            }
+        });
+
+        expect(getDimensions(gltf, 0).width).toBe(16);
+        expect(getDimensions(gltf, 1).width).toBe(64);
+    });
+
+    it('gives images that share a resource a new resource id', () => {
+        const gltf = createGltf([createPng(64, 64, 6), createPng(64, 64, 6)]);
+        gltf.images[0].extras._pipeline.resourceId = 3;
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 16
+            }
+        });
+
+        expect(gltf.images[0].extras._pipeline.resourceId).toBe('3#16x16');
+    });
+
+    it('does not change images that are not used by materials or are not PNG or JPEG', () => {
+        const source = createPng(64, 64, 6);
+        const webp = Buffer.from('RIFF0000WEBPVP8 ');
+        const gltf = createGltf([webp, createPng(64, 64, 6)]);
+        gltf.images.push(createImage(source));
+
+        resizeTextures(gltf, {
+            resizeOptions: {
+                maximumSize: 16
+            }
+        });
+
+        expect(gltf.images[0].extras._pipeline.source).toBe(webp);
+        expect(getDimensions(gltf, 1).width).toBe(16);
+        expect(gltf.images[2].extras._pipeline.source).toBe(source);
+    });
+
+    it('throws with invalid options', () => {
+        const gltf = createGltf([createPng(8, 8, 6), createPng(8, 8, 6)]);
+        expect(function() {
+            resizeTextures(gltf, {
+                resizeOptions: {
+                    filter: 'lanczos'
+                }
+            });
+        }).toThrowError(DeveloperError);
+        expect(function() {
+            resizeTextures(gltf, {
+                resizeOptions: {
+                    maximumSize: 0
+                }
+            });
+        }).toThrowError(DeveloperError);
+        expect(function() {
+            resizeTextures(gltf, {
+                resizeOptions: {
+                    jpegQuality: 101
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
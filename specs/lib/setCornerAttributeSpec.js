@@ -0,0 +1,68 @@
+'use strict';
+const Cesium = require('cesium');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const setCornerAttribute = require('../../lib/setCornerAttribute');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+function createGltf() {
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'SCALAR'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: []
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], [10, 11, 12, 13], WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], [0, 1, 2, 0, 2, 3], WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    const primitive = {
+        attributes: {
+            POSITION: 0
+        },
+        indices: 1
+    };
+    return {
+        gltf: gltf,
+        primitive: primitive,
+        group: {
+            accessorIds: [0],
+            primitives: [primitive]
+        }
+    };
+}
+
+describe('setCornerAttribute', () => {
+    it('keeps the vertices when each vertex has a single value', () => {
+        const test = createGltf();
+        const gltf = test.gltf;
+        const primitive = test.primitive;
+
+        setCornerAttribute(gltf, test.group, [[0, 1, 2, 0, 2, 3]], 'TEXCOORD_0', 'SCALAR', [[0, 1, 2, 0, 2, 3]]);
+
+        expect(primitive.indices).toBe(1);
+        expect(primitive.attributes.TEXCOORD_0).toBe(2);
+        const accessor = gltf.accessors[2];
+        expect(accessor.componentType).toBe(WebGLConstants.FLOAT);
+        expect(readAccessorPacked(gltf, accessor)).toEqual([0, 1, 2, 3]);
+        expect(accessor.min).toEqual([0]);
+        expect(accessor.max).toEqual([3]);
+    });
+
+    it('splits vertices with different values', () => {
+        const test = createGltf();
+        const gltf = test.gltf;
+        const primitive = test.primitive;
+
+        setCornerAttribute(gltf, test.group, [[0, 1, 2, 0, 2, 3]], 'TEXCOORD_0', 'SCALAR', [[5, 5, 5, 6, 6, 6]]);
+
+        expect(readAccessorPacked(gltf, gltf.accessors[0])).toEqual([10, 11, 12, 10, 12, 13]);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitive.attributes.TEXCOORD_0])).toEqual([5, 5, 5, 6, 6, 6]);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitive.indices])).toEqual([0, 1, 2, 3, 4, 5]);
+        expect(gltf.accessors[primitive.indices].componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+    });
+});
@@ -0,0 +1,211 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const simplifyMeshes = require('../../lib/simplifyMeshes');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+// Creates a grid of size x size quads in the xy plane. The height function displaces the vertices along z.
+// When seam is set, the vertices of the middle column are duplicated with different texture coordinates.
+function createGrid(size, height, seam) {
+    const positions = [];
+    const texcoords = [];
+    const vertexIds = [];
+    for (let y = 0; y <= size; ++y) {
+        vertexIds.push([]);
+        for (let x = 0; x <= size; ++x) {
+            vertexIds[y].push(positions.length / 3);
+            positions.push(x, y, height(x, y));
+            texcoords.push(x / size, y / size);
+        }
+    }
+
+    const seamIds = [];
+    const seamColumn = size / 2;
+    if (seam) {
+        for (let y = 0; y <= size; ++y) {
+            seamIds.push(positions.length / 3);
+            positions.push(seamColumn, y, height(seamColumn, y));
+            texcoords.push(1.0, y / size);
+        }
+    }
+
+    const indices = [];
+    for (let y = 0; y < size; ++y) {
+        for (let x = 0; x < size; ++x) {
+            const useSeam = seam && x === seamColumn;
+            const a = useSeam ? seamIds[y] : vertexIds[y][x];
+            const b = vertexIds[y][x + 1];
+            const c = vertexIds[y + 1][x + 1];
+            const d = useSeam ? seamIds[y + 1] : vertexIds[y + 1][x];
+            indices.push(a, b, c, a, c, d);
+        }
+    }
+
+    const gltf = {
+        accessors: [{
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        }, {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC2'
+        }, {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        }],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0,
+                    TEXCOORD_0: 1
+                },
+                indices: 2,
+                mode: WebGLConstants.TRIANGLES
+            }]
+        }]
+    };
+    writeAccessorPacked(gltf, gltf.accessors[0], positions, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[1], texcoords, WebGLConstants.ARRAY_BUFFER);
+    writeAccessorPacked(gltf, gltf.accessors[2], indices, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+    return gltf;
+}
+
+function flat() {
+    return 0.0;
+}
+
+function getTriangleCount(gltf) {
+    return gltf.accessors[gltf.meshes[0].primitives[0].indices].count / 3;
+}
+
+function getVertices(gltf) {
+    const attributes = gltf.meshes[0].primitives[0].attributes;
+    const positions = readAccessorPacked(gltf, gltf.accessors[attributes.POSITION]);
+    const texcoords = readAccessorPacked(gltf, gltf.accessors[attributes.TEXCOORD_0]);
+    const vertices = [];
+    for (let i = 0; i < positions.length / 3; ++i) {
+        vertices.push(positions.slice(i * 3, i * 3 + 3).concat(texcoords.slice(i * 2, i * 2 + 2)).join(','));
+    }
+    return vertices;
+}
+
+function getArea(gltf) {
+    const primitive = gltf.meshes[0].primitives[0];
+    const positions = readAccessorPacked(gltf, gltf.accessors[primitive.attributes.POSITION]);
+    const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+    let area = 0.0;
+    for (let i = 0; i < indices.length; i += 3) {
+        const a = indices[i] * 3;
+        const b = indices[i + 1] * 3;
+        const c = indices[i + 2] * 3;
+        // The grid is in the xy plane, so the signed area of the projection is the area of the triangle
+        area += ((positions[b] - positions[a]) * (positions[c + 1] - positions[a + 1]) - (positions[c] - positions[a]) * (positions[b + 1] - positions[a + 1])) * 0.5;
+    }
+    return area;
+}
+
+describe('simplifyMeshes', () => {
+    it('simplifies a flat grid to the target ratio', () => {
+        const gltf = createGrid(8, flat, false);
+        expect(getTriangleCount(gltf)).toBe(128);
+        const originalVertices = getVertices(gltf);
+
+        simplifyMeshes(gltf, {
+            simplifyOptions: {
+                ratio: 0.25
+            }
+        });
+
+        const triangleCount = getTriangleCount(gltf);
+        expect(triangleCount).toBeLessThanOrEqual(32);
+        expect(triangleCount).toBeGreaterThan(0);
+
+        // The remaining vertices keep their attributes, the borders are kept, and no triangle is flipped
+        const vertices = getVertices(gltf);
+        vertices.forEach(function(vertex) {
+            expect(originalVertices).toContain(vertex);
+        });
+        expect(vertices).toContain('0,0,0,0,0');
+        expect(vertices).toContain('8,8,0,1,1');
+        expect(getArea(gltf)).toBeCloseTo(64.0, 6);
+
+        const positionAccessor = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION];
+        expect(positionAccessor.count).toBe(vertices.length);
+        expect(positionAccessor.min).toEqual([0, 0, 0]);
+        expect(positionAccessor.max).toEqual([8, 8, 0]);
+    });
+
+    it('stops at the error bound', () => {
+        const bumpy = function(x, y) {
+            return Math.sin(x * 1.3) * Math.cos(y * 0.7);
+        };
+        const gltf = createGrid(8, bumpy, false);
+
+        simplifyMeshes(gltf, {
+            simplifyOptions: {
+                ratio: 0.0,
+                error: 0.0001
+            }
+        });
+        expect(getTriangleCount(gltf)).toBe(128);
+
+        simplifyMeshes(gltf, {
+            simplifyOptions: {
+                ratio: 0.0,
+                error: 1.0
+            }
+        });
+        expect(getTriangleCount(gltf)).toBeLessThan(128);
+    });
+
+    it('preserves attribute seams', () => {
+        const gltf = createGrid(8, flat, true);
+
+        simplifyMeshes(gltf, {
+            simplifyOptions: {
+                ratio: 0.0,
+                error: 1.0
+            }
+        });
+
+        expect(getTriangleCount(gltf)).toBeLessThan(128);
+        const vertices = getVertices(gltf);
+        for (let y = 0; y <= 8; ++y) {
+            expect(vertices).toContain('4,' + y + ',0,0.5,' + (y / 8));
+            expect(vertices).toContain('4,' + y + ',0,1,' + (y / 8));
+        }
+        expect(getArea(gltf)).toBeCloseTo(64.0, 6);
+    });
+
+    it('does not simplify primitives without removable vertices', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxPath));
+        const primitive = gltf.meshes[0].primitives[0];
+        const indices = primitive.indices;
+
+        simplifyMeshes(gltf, {
+            simplifyOptions: {}
+        });
+
+        expect(primitive.indices).toBe(indices);
+        expect(gltf.accessors[primitive.indices].count).toBe(36);
+    });
+
+    it('throws if the ratio is out of range', () => {
+        const gltf = createGrid(2, flat, false);
+        expect(() => {
+            simplifyMeshes(gltf, {
+                simplifyOptions: {
+                    ratio: 1.5
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+const simplifyTriangles = require('../../lib/simplifyTriangles');
+
+// A flat 4 x 4 grid of quads, whose interior vertices can be removed without error
+function createGrid() {
+    const positions = [];
+    for (let y = 0; y <= 4; ++y) {
+        for (let x = 0; x <= 4; ++x) {
+            positions.push(x, y, 0.0);
+        }
+    }
+    const indices = [];
+    for (let y = 0; y < 4; ++y) {
+        for (let x = 0; x < 4; ++x) {
+            const a = y * 5 + x;
+            indices.push(a, a + 1, a + 6, a, a + 6, a + 5);
+        }
+    }
+    return {
+        positions: positions,
+        indices: indices
+    };
+}
+
+describe('simplifyTriangles', () => {
+    it('removes interior vertices and keeps border vertices', () => {
+        const grid = createGrid();
+        const indices = simplifyTriangles(grid.positions, grid.indices, 0.0, 0.01);
+        expect(indices.length).toBeLessThan(grid.indices.length);
+        expect(indices.length % 3).toBe(0);
+
+        // All border vertices are still referenced
+        for (let i = 0; i < 25; ++i) {
+            const x = i % 5;
+            const y = Math.floor(i / 5);
+            if (x === 0 || x === 4 || y === 0 || y === 4) {
+                expect(indices).toContain(i);
+            }
+        }
+    });
+
+    it('returns the indices unchanged when the target is already reached', () => {
+        const grid = createGrid();
+        expect(simplifyTriangles(grid.positions, grid.indices, 1.0, 0.01)).toBe(grid.indices);
+    });
+});
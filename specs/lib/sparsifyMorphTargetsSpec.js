@@ -0,0 +1,98 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const sparsifyMorphTargets = require('../../lib/sparsifyMorphTargets');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+
+function createGltf(targetValues) {
+    const gltf = {
+        accessors: [],
+        buffers: [],
+        bufferViews: [],
+        meshes: [{
+            primitives: [{
+                attributes: {
+                    POSITION: 0
+                },
+                targets: []
+            }]
+        }]
+    };
+    const values = [0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 1.0, 1.0, 0.0];
+    [values].concat(targetValues).forEach(function(values, i) {
+        const accessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: 'VEC3'
+        };
+        writeAccessorPacked(gltf, accessor, values, WebGLConstants.ARRAY_BUFFER);
+        gltf.accessors.push(accessor);
+        if (i > 0) {
+            gltf.meshes[0].primitives[0].targets.push({
+                POSITION: i
+            });
+        }
+    });
+    return gltf;
+}
+
+describe('sparsifyMorphTargets', () => {
+    it('stores morph targets that are mostly zero as sparse accessors', () => {
+        const sparseValues = [0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.0, 0.5, 0.0];
+        const denseValues = [1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.0, 0.0, 1.0, 0.0, 0.5, 0.0];
+        const gltf = createGltf([sparseValues, denseValues]);
+
+        sparsifyMorphTargets(gltf);
+
+        const sparseAccessor = gltf.accessors[1];
+        expect(sparseAccessor.bufferView).toBeUndefined();
+        expect(sparseAccessor.sparse.count).toBe(1);
+        expect(sparseAccessor.sparse.indices.componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(readAccessorPacked(gltf, sparseAccessor)).toEqual(sparseValues);
+        expect(sparseAccessor.min).toEqual([0.0, 0.0, 0.0]);
+        expect(sparseAccessor.max).toEqual([0.0, 0.5, 0.0]);
+
+        const denseAccessor = gltf.accessors[2];
+        expect(denseAccessor.sparse).toBeUndefined();
+        expect(readAccessorPacked(gltf, denseAccessor)).toEqual(denseValues);
+
+        // The buffer view of the sparse accessor is replaced with buffer views for its indices and values
+        expect(gltf.bufferViews.length).toBe(4);
+    });
+
+    it('removes the buffer view of morph targets that are all zero', () => {
+        const gltf = createGltf([new Array(12).fill(0.0)]);
+
+        sparsifyMorphTargets(gltf);
+
+        const accessor = gltf.accessors[1];
+        expect(accessor.bufferView).toBeUndefined();
+        expect(accessor.sparse).toBeUndefined();
+        expect(accessor.count).toBe(4);
+        expect(readAccessorPacked(gltf, accessor)).toEqual(new Array(12).fill(0.0));
+        expect(gltf.bufferViews.length).toBe(1);
+    });
+
+    it('keeps the values of morph targets', async () => {
+        const gltf = await readResources(fsExtra.readJsonSync(boxMorphPath));
+        // Negative zeros are stored as zeros
+        function readValues(accessor) {
+            return readAccessorPacked(gltf, accessor).map(function(value) {
+                return value + 0.0;
+            });
+        }
+        const expectedValues = gltf.accessors.map(readValues);
+
+        sparsifyMorphTargets(gltf);
+
+        expect(gltf.accessors[4].sparse).toBeDefined();
+        gltf.accessors.forEach(function(accessor, i) {
+            expect(readValues(accessor)).toEqual(expectedValues[i]);
+        });
+    });
+});
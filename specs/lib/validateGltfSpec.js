@@ -0,0 +1,108 @@
+'use strict';
+const fsExtra = require('fs-extra');
+const readResources = require('../../lib/readResources');
+const validateGltf = require('../../lib/validateGltf');
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+function getPointers(issues) {
+    return issues.map(function(issue) {
+        return issue.pointer;
+    });
+}
+
+describe('validateGltf', () => {
+    it('returns no issues for a valid glTF', async () => {
+        const gltf = await readGltf(boxPath);
+        const results = validateGltf(gltf);
+        expect(results.errors).toEqual([]);
+        expect(results.warnings).toEqual([]);
+    });
+
+    it('reports indices that are out of range', async () => {
+        const gltf = await readGltf(boxPath);
+        gltf.nodes[0].children = [5];
+        gltf.meshes[0].primitives[0].material = 2;
+        gltf.materials[0].pbrMetallicRoughness.baseColorTexture.index = 1;
+        gltf.materials[0].normalTexture = {
+            index: 2
+        };
+        gltf.textures[0].source = -1;
+
+        const results = validateGltf(gltf);
+        expect(getPointers(results.errors)).toEqual([
+            '/nodes/0/children/0',
+            '/meshes/0/primitives/0/material',
+            '/materials/0/pbrMetallicRoughness/baseColorTexture/index',
+            '/materials/0/normalTexture/index',
+            '/textures/0/source'
+        ]);
+        expect(results.errors[0].message).toBe('Index 5 is out of range for nodes (length 2).');
+    });
+
+    it('reports accessors and buffer views that are out of bounds', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        positionAccessor.count += 1;
+        const normalAccessor = gltf.accessors[primitive.attributes.NORMAL];
+        normalAccessor.byteOffset += 2;
+        const bufferView = gltf.bufferViews[0];
+        bufferView.byteStride = 6;
+        bufferView.byteLength = gltf.buffers[0].byteLength + 1;
+
+        const results = validateGltf(gltf);
+        const pointers = getPointers(results.errors);
+        expect(pointers).toContain('/bufferViews/0/byteStride');
+        expect(pointers).toContain('/bufferViews/0');
+        expect(pointers).toContain('/accessors/' + primitive.attributes.NORMAL + '/byteOffset');
+        expect(pointers).toContain('/meshes/0/primitives/0/attributes/POSITION');
+    });
+
+    it('reports indices accessors that are out of bounds instead of reading them', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        gltf.accessors[primitive.indices].count = 100000;
+
+        const results = validateGltf(gltf);
+        expect(getPointers(results.errors)).toContain('/accessors/' + primitive.indices);
+    });
+
+    it('reports indices that are out of range of the vertex count', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const indicesAccessor = gltf.accessors[primitive.indices];
+        const bufferView = gltf.bufferViews[indicesAccessor.bufferView];
+        const source = gltf.buffers[bufferView.buffer].extras._pipeline.source;
+        source.writeUInt16LE(100, bufferView.byteOffset + indicesAccessor.byteOffset);
+
+        const results = validateGltf(gltf);
+        expect(results.errors).toEqual([{
+            pointer: '/meshes/0/primitives/0/indices',
+            message: 'Index 100 is out of range for the vertex count 24.'
+        }]);
+    });
+
+    it('reports inconsistent extensions', async () => {
+        const gltf = await readGltf(boxPath);
+        gltf.extensionsUsed = ['KHR_materials_unlit'];
+        gltf.extensionsRequired = ['KHR_texture_transform'];
+        gltf.materials[0].extensions = {
+            KHR_materials_variants: {}
+        };
+
+        const results = validateGltf(gltf);
+        expect(getPointers(results.errors)).toEqual([
+            '/extensionsRequired/0',
+            '/materials/0/extensions/KHR_materials_variants'
+        ]);
+        expect(getPointers(results.warnings)).toEqual([
+            '/extensionsUsed/0'
+        ]);
+    });
+});
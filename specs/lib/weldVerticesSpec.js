@@ -0,0 +1,171 @@
+'use strict';
+const Cesium = require('cesium');
+const fsExtra = require('fs-extra');
+const ForEach = require('../../lib/ForEach');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const readResources = require('../../lib/readResources');
+const weldVertices = require('../../lib/weldVertices');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const DeveloperError = Cesium.DeveloperError;
+const WebGLConstants = Cesium.WebGLConstants;
+
+const boxPath = 'specs/data/2.0/box-textured-embedded/box-textured-embedded.gltf';
+const boxMorphPath = 'specs/data/2.0/box-morph/box-morph.gltf';
+const triangleWithoutIndicesPath = 'specs/data/2.0/triangle-without-indices/triangle-without-indices.gltf';
+
+function readGltf(gltfPath) {
+    const gltf = fsExtra.readJsonSync(gltfPath);
+    return readResources(gltf);
+}
+
+// Returns the attribute values of every index so that primitives can be compared independently of their vertex order
+function getExpandedAttributes(gltf, primitive) {
+    const indices = readAccessorPacked(gltf, gltf.accessors[primitive.indices]);
+    const expanded = {};
+    function expand(accessorId, name) {
+        const accessor = gltf.accessors[accessorId];
+        const values = readAccessorPacked(gltf, accessor);
+        const numberOfComponents = values.length / accessor.count;
+        expanded[name] = [];
+        indices.forEach(function(index) {
+            expanded[name].push(values.slice(index * numberOfComponents, (index + 1) * numberOfComponents));
+        });
+    }
+    ForEach.meshPrimitiveAttribute(primitive, expand);
+    ForEach.meshPrimitiveTarget(primitive, function(target, targetId) {
+        ForEach.meshPrimitiveTargetAttribute(target, function(accessorId, semantic) {
+            expand(accessorId, targetId + semantic);
+        });
+    });
+    return expanded;
+}
+
+describe('weldVertices', () => {
+    it('does not change primitives without duplicate vertices', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const indices = primitive.indices;
+
+        weldVertices(gltf);
+
+        expect(primitive.indices).toBe(indices);
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(24);
+    });
+
+    it('merges duplicate vertices', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        delete primitive.attributes.NORMAL;
+        delete primitive.attributes.TEXCOORD_0;
+        const expected = getExpandedAttributes(gltf, primitive);
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        const min = positionAccessor.min;
+        const max = positionAccessor.max;
+
+        weldVertices(gltf);
+
+        const indicesAccessor = gltf.accessors[primitive.indices];
+        expect(indicesAccessor.componentType).toBe(WebGLConstants.UNSIGNED_BYTE);
+        expect(indicesAccessor.count).toBe(36);
+        expect(gltf.bufferViews[indicesAccessor.bufferView].target).toBe(WebGLConstants.ELEMENT_ARRAY_BUFFER);
+
+        const weldedAccessor = gltf.accessors[primitive.attributes.POSITION];
+        expect(weldedAccessor.count).toBe(8);
+        expect(weldedAccessor.min).toEqual(min);
+        expect(weldedAccessor.max).toEqual(max);
+        expect(getExpandedAttributes(gltf, primitive)).toEqual(expected);
+
+        // Unused accessors are removed
+        expect(gltf.accessors.length).toBe(2);
+    });
+
+    it('merges vertices within the tolerance', async () => {
+        const gltf = await readGltf(boxPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        delete primitive.attributes.NORMAL;
+        delete primitive.attributes.TEXCOORD_0;
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        const positions = readAccessorPacked(gltf, positionAccessor);
+        positions[0] += 0.00001;
+        writeAccessorPacked(gltf, positionAccessor, positions, WebGLConstants.ARRAY_BUFFER);
+
+        weldVertices(gltf, {
+            weldOptions: {}
+        });
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(9);
+
+        weldVertices(gltf, {
+            weldOptions: {
+                tolerance: 0.001
+            }
+        });
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(8);
+    });
+
+    it('welds morph targets', async () => {
+        const gltf = await readGltf(boxMorphPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        delete primitive.attributes.NORMAL;
+        delete primitive.attributes.TANGENT;
+        primitive.targets.forEach(function(target) {
+            delete target.NORMAL;
+            delete target.TANGENT;
+        });
+        const expected = getExpandedAttributes(gltf, primitive);
+
+        weldVertices(gltf);
+
+        const count = gltf.accessors[primitive.attributes.POSITION].count;
+        expect(count).toBeLessThan(24);
+        expect(gltf.accessors[primitive.targets[0].POSITION].count).toBe(count);
+        expect(gltf.accessors[primitive.targets[1].POSITION].count).toBe(count);
+        expect(getExpandedAttributes(gltf, primitive)).toEqual(expected);
+    });
+
+    it('adds indices to primitives without indices', async () => {
+        const gltf = await readGltf(triangleWithoutIndicesPath);
+        const primitive = gltf.meshes[0].primitives[0];
+        const positionAccessor = gltf.accessors[primitive.attributes.POSITION];
+        const positions = readAccessorPacked(gltf, positionAccessor);
+        // Repeat the first vertex
+        writeAccessorPacked(gltf, positionAccessor, positions.concat(positions.slice(0, 3)), WebGLConstants.ARRAY_BUFFER);
+
+        weldVertices(gltf);
+
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(3);
+        expect(readAccessorPacked(gltf, gltf.accessors[primitive.indices])).toEqual([0, 1, 2, 0]);
+    });
+
+    it('does not weld accessors that are shared with primitives using other accessors', async () => {
+        const gltf = await readGltf(boxPath);
+        const mesh = gltf.meshes[0];
+        const primitive = mesh.primitives[0];
+        mesh.primitives.push({
+            attributes: {
+                POSITION: primitive.attributes.POSITION,
+                NORMAL: primitive.attributes.NORMAL
+            },
+            indices: primitive.indices
+        });
+        delete primitive.attributes.NORMAL;
+        delete primitive.attributes.TEXCOORD_0;
+        const indices = primitive.indices;
+
+        weldVertices(gltf);
+
+        expect(primitive.indices).toBe(indices);
+        expect(gltf.accessors[primitive.attributes.POSITION].count).toBe(24);
+    });
+
+    it('throws if the tolerance is negative', async () => {
+        const gltf = await readGltf(boxPath);
+        expect(() => {
+            weldVertices(gltf, {
+                weldOptions: {
+                    tolerance: -1.0
+                }
+            });
+        }).toThrowError(DeveloperError);
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+const Cesium = require('cesium');
+const readAccessorPacked = require('../../lib/readAccessorPacked');
+const writeAccessorPacked = require('../../lib/writeAccessorPacked');
+
+const WebGLConstants = Cesium.WebGLConstants;
+
+describe('writeAccessorPacked', () => {
+    it('writes vertex attributes with padding', () => {
+        const gltf = {
+            buffers: [],
+            bufferViews: []
+        };
+        const accessor = {
+            componentType: WebGLConstants.UNSIGNED_BYTE,
+            type: 'VEC3'
+        };
+        const values = [1, 2, 3, 4, 5, 6];
+        writeAccessorPacked(gltf, accessor, values, WebGLConstants.ARRAY_BUFFER);
+
+        expect(accessor.bufferView).toBe(0);
+        expect(accessor.byteOffset).toBe(0);
+        expect(accessor.count).toBe(2);
+        expect(accessor.min).toEqual([1, 2, 3]);
+        expect(accessor.max).toEqual([4, 5, 6]);
+        expect(gltf.bufferViews[0].byteStride).toBe(4);
+        expect(gltf.bufferViews[0].byteLength).toBe(8);
+        expect(gltf.bufferViews[0].target).toBe(WebGLConstants.ARRAY_BUFFER);
+        expect(readAccessorPacked(gltf, accessor)).toEqual(values);
+    });
+
+    it('writes indices', () => {
+        const gltf = {
+            buffers: [],
+            bufferViews: []
+        };
+        const accessor = {
+            componentType: WebGLConstants.UNSIGNED_SHORT,
+            type: 'SCALAR'
+        };
+        const values = [0, 1, 2];
+        writeAccessorPacked(gltf, accessor, values, WebGLConstants.ELEMENT_ARRAY_BUFFER);
+
+        expect(accessor.count).toBe(3);
+        expect(gltf.bufferViews[0].byteStride).toBeUndefined();
+        expect(gltf.bufferViews[0].byteLength).toBe(6);
+        expect(gltf.bufferViews[0].target).toBe(WebGLConstants.ELEMENT_ARRAY_BUFFER);
+        expect(readAccessorPacked(gltf, accessor)).toEqual(values);
+    });
+
+    it('removes sparse values', () => {
+        const gltf = {
+            buffers: [],
+            bufferViews: []
+        };
+        const accessor = {
+            componentType: WebGLConstants.FLOAT,
+            type: 'SCALAR',
+            sparse: {
+                count: 1,
+                indices: {
+                    bufferView: 0,
+                    componentType: WebGLConstants.UNSIGNED_BYTE
+                },
+                values: {
+                    bufferView: 1
+                }
+            }
+        };
+        const values = [0.0, 1.0];
+        writeAccessorPacked(gltf, accessor, values, WebGLConstants.ARRAY_BUFFER);
+
+        expect(accessor.sparse).toBeUndefined();
+        expect(readAccessorPacked(gltf, accessor)).toEqual(values);
+    });
+});